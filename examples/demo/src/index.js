@@ -28,7 +28,7 @@ import Constants from './constants'
     const viewPort = new Rectangle(0, 0, canvas.width, canvas.height)
     const scaleFactor = viewPort.width < 480 ? 1 : 2 // midway between 320 and 640
 
-    starling = new Starling(Game, canvas, viewPort, window)
+    starling = new Starling(Game, canvas, viewPort)
     starling.stage.stageWidth = Constants.StageWidth // <- same size on all devices!
     starling.stage.stageHeight = Constants.StageHeight // <- same size on all devices!
     starling.skipUnchangedFrames = true
@@ -9,6 +9,9 @@ export default class BenchmarkScene extends Scene {
   static FRAME_TIME_WINDOW_SIZE = 10
   static MAX_FAIL_COUNT = 100
 
+  // compare the results with and without instanced rendering of the test objects
+  static INSTANCED = true
+
   _startButton
   _resultText
   _statusText
@@ -32,6 +35,7 @@ export default class BenchmarkScene extends Scene {
     this._container.y = Constants.CenterY
     this._container.touchable = false // we do not need touch events on the test objects --
     // thus, it is more efficient to disable them.
+    this._container.instanced = BenchmarkScene.INSTANCED
     this.addChildAt(this._container, 0)
 
     //this._statusText = new TextField(Constants.GameWidth - 40, 30);
@@ -0,0 +1,351 @@
+import Button from '../display/button'
+import DisplayObjectContainer from '../display/display-object-container'
+import Event from '../events/event'
+import TextField from '../text/text-field'
+import Rectangle from '../math/rectangle'
+
+const ACTIVATION_KEYS = ['Enter', ' ', 'Spacebar']
+
+/** The AccessibilityManager makes Starling content available to assistive technology,
+ *  like screen readers.
+ *
+ *  <p>Everything Starling displays is drawn into a canvas, which is opaque to assistive
+ *  technology. Thus, the manager mirrors the relevant parts of the display list into a
+ *  tree of invisible DOM elements that is placed on top of the canvas:</p>
+ *
+ *  <ul>
+ *    <li>buttons become <code>button</code> elements, labelled with their text,</li>
+ *    <li>text fields become elements containing their text,</li>
+ *    <li>containers with an <code>accessibilityName</code> become groups, containing
+ *        the elements of their children,</li>
+ *    <li>any other object with an <code>accessibilityName</code> becomes an image.</li>
+ *  </ul>
+ *
+ *  <p>The <code>accessibilityName</code> and <code>accessibilityRole</code> of a display
+ *  object override the label and role of its element. Objects with the role
+ *  <code>"none"</code> are not mirrored, and neither are their children. The elements
+ *  are updated each frame, covering the bounds of their display objects; that's where a
+ *  screen reader will highlight them.</p>
+ *
+ *  <p>The elements also take part in the keyboard navigation of the page: the focus of
+ *  the stage follows the focus of the DOM, and vice versa. Activating a button element
+ *  (e.g. by a screen reader) dispatches <code>Event.TRIGGERED</code> on the button.</p>
+ *
+ *  <p>You don't have to create an AccessibilityManager yourself; Starling does that when
+ *  you enable <code>Starling.accessibilityEnabled</code>. As it needs access to the DOM,
+ *  that's not possible inside a worker.</p>
+ */
+export default class AccessibilityManager {
+  /** The role that keeps an object and its children from being mirrored. */
+  static ROLE_NONE = 'none'
+
+  // helper objects
+  static sHelperRect = new Rectangle()
+
+  _starling
+  _root
+  _elements
+  _objects
+  _visited
+  _scaleX
+  _scaleY
+
+  /** Creates a new AccessibilityManager, adding its root element next to the canvas of
+   *  the given Starling instance. */
+  constructor(starling) {
+    const { canvas } = starling
+    const document = canvas.ownerDocument
+
+    if (!document || !canvas.parentNode)
+      throw new Error(
+        '[NotSupportedError] Accessibility requires a canvas that is part of the DOM'
+      )
+
+    this._starling = starling
+    this._elements = new Map()
+    this._objects = new Map()
+    this._visited = new Set()
+
+    this._root = document.createElement('div')
+    this._root.setAttribute('data-starling-accessibility', '')
+    this.setStyle(this._root, {
+      position: 'absolute',
+      overflow: 'hidden',
+      pointerEvents: 'none'
+    })
+    this._root.addEventListener('click', this.onClick)
+    this._root.addEventListener('focusin', this.onFocusIn)
+    this._root.addEventListener('focusout', this.onFocusOut)
+    this._root.addEventListener('keydown', this.onKey)
+    this._root.addEventListener('keyup', this.onKey)
+
+    canvas.parentNode.insertBefore(this._root, canvas.nextSibling)
+    starling.stage.addEventListener(Event.FOCUS_IN, this.onStageFocusIn)
+    starling.stage.addEventListener(Event.FOCUS_OUT, this.onStageFocusOut)
+  }
+
+  /** Removes the DOM tree and all event handlers. */
+  dispose() {
+    const { stage } = this._starling
+    stage.removeEventListener(Event.FOCUS_IN, this.onStageFocusIn)
+    stage.removeEventListener(Event.FOCUS_OUT, this.onStageFocusOut)
+
+    this._root.removeEventListener('click', this.onClick)
+    this._root.removeEventListener('focusin', this.onFocusIn)
+    this._root.removeEventListener('focusout', this.onFocusOut)
+    this._root.removeEventListener('keydown', this.onKey)
+    this._root.removeEventListener('keyup', this.onKey)
+    this._root.remove()
+
+    this._elements.clear()
+    this._objects.clear()
+  }
+
+  /** Synchronizes the DOM tree with the display list. Called by Starling once per
+   *  frame. */
+  update() {
+    const { canvas, stage, viewPort } = this._starling
+    const { sHelperRect } = AccessibilityManager
+
+    this.setStyle(this._root, {
+      left: `${canvas.offsetLeft || 0}px`,
+      top: `${canvas.offsetTop || 0}px`,
+      width: `${canvas.clientWidth || canvas.width}px`,
+      height: `${canvas.clientHeight || canvas.height}px`
+    })
+
+    this._scaleX = viewPort.width / stage.stageWidth
+    this._scaleY = viewPort.height / stage.stageHeight
+
+    // the bounds of the root element, in stage coordinates
+    sHelperRect.setTo(
+      -viewPort.x / this._scaleX,
+      -viewPort.y / this._scaleY,
+      0,
+      0
+    )
+
+    this.updateChildren(stage, this._root, sHelperRect, 0)
+
+    for (const [object, element] of this._elements) {
+      if (!this._visited.has(object)) {
+        element.remove()
+        this._elements.delete(object)
+        this._objects.delete(element)
+      }
+    }
+
+    this._visited.clear()
+  }
+
+  /** Returns the DOM element that mirrors the given object, or <code>null</code> if it is
+   *  not mirrored. */
+  getElement(object) {
+    return this._elements.get(object) || null
+  }
+
+  // Mirrors the children of the container into the parent element, starting at the
+  // given index. Returns the index following the last mirrored element.
+  updateChildren(container, parentElement, parentBounds, index) {
+    const numChildren = container.numChildren
+
+    for (let i = 0; i < numChildren; ++i)
+      index = this.updateObject(
+        container.getChildAt(i),
+        parentElement,
+        parentBounds,
+        index
+      )
+
+    return index
+  }
+
+  // Mirrors the object (or, if it isn't mirrored itself, its children) into the parent
+  // element at the given index. Returns the index following the last mirrored element.
+  updateObject(object, parentElement, parentBounds, index) {
+    if (
+      !object.visible ||
+      object.accessibilityRole === AccessibilityManager.ROLE_NONE
+    )
+      return index
+
+    const isMirrored =
+      object instanceof Button ||
+      object instanceof TextField ||
+      object.accessibilityName != null
+
+    if (!isMirrored) {
+      if (object instanceof DisplayObjectContainer)
+        index = this.updateChildren(object, parentElement, parentBounds, index)
+
+      return index
+    }
+
+    const { _scaleX, _scaleY } = this
+    const element = this.getOrCreateElement(object)
+    const bounds = object.getBounds(this._starling.stage)
+
+    if (parentElement.children[index] !== element)
+      parentElement.insertBefore(element, parentElement.children[index] || null)
+
+    this.setStyle(element, {
+      left: `${(bounds.x - parentBounds.x) * _scaleX}px`,
+      top: `${(bounds.y - parentBounds.y) * _scaleY}px`,
+      width: `${bounds.width * _scaleX}px`,
+      height: `${bounds.height * _scaleY}px`
+    })
+
+    this.updateAttributes(object, element)
+    this._visited.add(object)
+
+    if (object instanceof DisplayObjectContainer && !(object instanceof Button))
+      this.updateChildren(object, element, bounds, 0)
+
+    return index + 1
+  }
+
+  getOrCreateElement(object) {
+    let element = this._elements.get(object)
+
+    if (!element) {
+      const document = this._root.ownerDocument
+
+      if (object instanceof Button) {
+        element = document.createElement('button')
+        element.setAttribute('type', 'button')
+      } else element = document.createElement('div')
+
+      this.setStyle(element, {
+        position: 'absolute',
+        margin: '0',
+        padding: '0',
+        border: '0',
+        overflow: 'hidden',
+        whiteSpace: 'nowrap',
+        opacity: '0'
+      })
+
+      this._elements.set(object, element)
+      this._objects.set(element, object)
+    }
+
+    return element
+  }
+
+  updateAttributes(object, element) {
+    const name = object.accessibilityName
+    let role = object.accessibilityRole
+    let label = name
+
+    if (object instanceof Button) {
+      if (label == null) label = object.text
+      element.disabled = !object.enabled
+    } else if (object instanceof TextField) {
+      if (element.textContent !== object.text) element.textContent = object.text
+    } else if (role == null) {
+      role = object instanceof DisplayObjectContainer ? 'group' : 'img'
+    }
+
+    this.setAttribute(element, 'role', role)
+    this.setAttribute(element, 'aria-label', label)
+    this.setAttribute(
+      element,
+      'tabindex',
+      object.focusable ? '0' : object instanceof Button ? '-1' : null
+    )
+  }
+
+  setAttribute(element, name, value) {
+    if (value == null || value === '') {
+      if (element.hasAttribute(name)) element.removeAttribute(name)
+    } else if (element.getAttribute(name) !== value) {
+      element.setAttribute(name, value)
+    }
+  }
+
+  setStyle(element, style) {
+    for (const key in style)
+      if (element.style[key] !== style[key]) element.style[key] = style[key]
+  }
+
+  // Returns the display object that is mirrored by the element or its closest ancestor.
+  getObject(element) {
+    while (element && element !== this._root) {
+      const object = this._objects.get(element)
+      if (object) return object
+      element = element.parentNode
+    }
+
+    return null
+  }
+
+  onClick = event => {
+    const object = this.getObject(event.target)
+
+    if (object instanceof Button && object.enabled) {
+      event.preventDefault()
+      object.dispatchEventWith(Event.TRIGGERED, true)
+    }
+  }
+
+  onFocusIn = event => {
+    const object = this.getObject(event.target)
+    const { stage } = this._starling
+
+    if (object && object.focusable && object.stage === stage)
+      stage.focus = object
+  }
+
+  onFocusOut = event => {
+    const { stage } = this._starling
+    const next = event.relatedTarget
+
+    // focus moved on to an element outside of Starling
+    if (
+      next !== this._starling.canvas &&
+      !this._root.contains(next) &&
+      stage.focus &&
+      this._elements.get(stage.focus) === event.target
+    )
+      stage.focus = null
+  }
+
+  // Keys that are not handled by the focused element itself are passed on to Starling,
+  // just like the keyboard events of the canvas.
+  onKey = event => {
+    if (event.key === 'Tab') return
+    if (
+      ACTIVATION_KEYS.indexOf(event.key) !== -1 &&
+      this._objects.get(event.target) instanceof Button
+    )
+      return
+
+    this._starling.onKey(event)
+  }
+
+  onStageFocusIn = event => {
+    const element = this._elements.get(event.target)
+    const document = this._root.ownerDocument
+
+    if (element && document.activeElement !== element)
+      element.focus({ preventScroll: true })
+  }
+
+  onStageFocusOut = event => {
+    const document = this._root.ownerDocument
+    const { canvas } = this._starling
+
+    // keep the keyboard focus within Starling if it's not moved to another object
+    if (
+      !event.data &&
+      this._root.contains(document.activeElement) &&
+      canvas.focus
+    )
+      canvas.focus({ preventScroll: true })
+  }
+
+  /** The root element of the mirrored DOM tree. */
+  get root() {
+    return this._root
+  }
+}
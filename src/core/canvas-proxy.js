@@ -0,0 +1,274 @@
+const PointerEventType = {
+  POINTER_DOWN: 'pointerdown',
+  POINTER_MOVE: 'pointermove',
+  POINTER_UP: 'pointerup',
+  POINTER_CANCEL: 'pointercancel'
+}
+
+const MouseEventType = {
+  MOUSE_LEAVE: 'mouseleave',
+  WHEEL: 'wheel',
+  CONTEXT_MENU: 'contextmenu'
+}
+
+const KeyboardEventType = {
+  KEY_DOWN: 'keydown',
+  KEY_UP: 'keyup'
+}
+
+/** A CanvasProxy allows Starling to run inside a worker.
+ *
+ *  <p>The proxy lives on the main thread. It transfers control over a canvas element to
+ *  a worker, where Starling renders into the resulting <code>OffscreenCanvas</code>.
+ *  As the worker can't listen to DOM events itself, the proxy forwards pointer, mouse
+ *  and keyboard events, changes of the canvas' size and the device pixel ratio as well
+ *  as the focus and visibility of the page via <code>postMessage</code>. The worker
+ *  passes those messages on to <code>Starling.handleProxyMessage</code>.</p>
+ *
+ *  <listing>
+ *  // main thread
+ *  const worker = new Worker('worker.js');
+ *  const proxy = new CanvasProxy(document.getElementById('canvas'), worker);
+ *
+ *  // worker.js
+ *  let starling;
+ *
+ *  self.onmessage = ({ data }) => {
+ *      if (data.type === CanvasProxy.INIT)
+ *      {
+ *          starling = new Starling(Game, data.canvas);
+ *          starling.start();
+ *      }
+ *
+ *      if (starling) starling.handleProxyMessage(data);
+ *  };</listing>
+ *
+ *  <p>Note that events are forwarded asynchronously; thus, calling
+ *  <code>preventDefault()</code> on keyboard or mouse events inside the worker has no
+ *  effect on the browser (e.g. a mouse wheel will still scroll the page). For the same
+ *  reason, the context menu can't be suppressed by preventing a right mouse button event;
+ *  enable <code>preventContextMenu</code> on the proxy instead.</p>
+ *
+ *  @see Environment
+ */
+export default class CanvasProxy {
+  /** Message type of the message containing the <code>OffscreenCanvas</code>. */
+  static INIT = 'starling.init'
+
+  /** Message type of the messages containing a new canvas size or pixel ratio. */
+  static RESIZE = 'starling.resize'
+
+  /** Message type of the messages containing a pointer, mouse or keyboard event. */
+  static EVENT = 'starling.event'
+
+  /** Message type of the messages containing the focus and visibility of the page. */
+  static STATE = 'starling.state'
+
+  _canvas
+  _worker
+  _resizeObserver
+  _pixelRatioQuery
+  _preventContextMenu = false
+
+  /** Creates a new proxy, transferring control over the canvas to the worker right
+   *  away. */
+  constructor(canvas, worker) {
+    if (!canvas) throw new Error('[ArgumentError] Canvas must not be null')
+    if (!worker) throw new Error('[ArgumentError] Worker must not be null')
+
+    this._canvas = canvas
+    this._worker = worker
+
+    const offscreenCanvas = canvas.transferControlToOffscreen()
+
+    worker.postMessage(
+      {
+        type: CanvasProxy.INIT,
+        canvas: offscreenCanvas,
+        width: canvas.clientWidth,
+        height: canvas.clientHeight,
+        pixelRatio: window.devicePixelRatio || 1.0,
+        focused: document.hasFocus(),
+        visible: document.visibilityState !== 'hidden'
+      },
+      [offscreenCanvas]
+    )
+
+    for (const type of Object.values(PointerEventType))
+      canvas.addEventListener(type, this.onPointer, false)
+
+    for (const type of Object.values(KeyboardEventType))
+      canvas.addEventListener(type, this.onKey, false)
+
+    canvas.addEventListener(
+      MouseEventType.MOUSE_LEAVE,
+      this.onMouseLeave,
+      false
+    )
+    canvas.addEventListener(MouseEventType.WHEEL, this.onWheel, false)
+    canvas.addEventListener(
+      MouseEventType.CONTEXT_MENU,
+      this.onContextMenu,
+      false
+    )
+
+    // touches on the canvas are handled by Starling, not by the browser (e.g. to scroll)
+    canvas.style.touchAction = 'none'
+
+    if (window.ResizeObserver) {
+      this._resizeObserver = new window.ResizeObserver(this.onResize)
+      this._resizeObserver.observe(canvas)
+    }
+
+    document.addEventListener('visibilitychange', this.onStateChange)
+    window.addEventListener('focus', this.onStateChange)
+    window.addEventListener('blur', this.onStateChange)
+
+    this.watchPixelRatio()
+  }
+
+  /** Stops forwarding events to the worker. The worker itself is not terminated. */
+  dispose() {
+    for (const type of Object.values(PointerEventType))
+      this._canvas.removeEventListener(type, this.onPointer, false)
+
+    for (const type of Object.values(KeyboardEventType))
+      this._canvas.removeEventListener(type, this.onKey, false)
+
+    this._canvas.removeEventListener(
+      MouseEventType.MOUSE_LEAVE,
+      this.onMouseLeave,
+      false
+    )
+    this._canvas.removeEventListener(MouseEventType.WHEEL, this.onWheel, false)
+    this._canvas.removeEventListener(
+      MouseEventType.CONTEXT_MENU,
+      this.onContextMenu,
+      false
+    )
+
+    document.removeEventListener('visibilitychange', this.onStateChange)
+    window.removeEventListener('focus', this.onStateChange)
+    window.removeEventListener('blur', this.onStateChange)
+
+    if (this._resizeObserver) this._resizeObserver.disconnect()
+    if (this._pixelRatioQuery)
+      this._pixelRatioQuery.removeListener(this.onPixelRatioChange)
+
+    this._resizeObserver = null
+    this._pixelRatioQuery = null
+  }
+
+  onPointer = event => {
+    // keep receiving events of that pointer when it leaves the canvas
+    if (event.type === PointerEventType.POINTER_DOWN)
+      this._canvas.setPointerCapture(event.pointerId)
+
+    this.postEvent({
+      type: event.type,
+      pointerId: event.pointerId,
+      pointerType: event.pointerType,
+      offsetX: event.offsetX,
+      offsetY: event.offsetY,
+      pressure: event.pressure,
+      width: event.width,
+      height: event.height,
+      button: event.button,
+      buttons: event.buttons,
+      ctrlKey: event.ctrlKey,
+      altKey: event.altKey,
+      shiftKey: event.shiftKey
+    })
+  }
+
+  onWheel = event => {
+    this.postEvent({
+      type: event.type,
+      offsetX: event.offsetX,
+      offsetY: event.offsetY,
+      deltaX: event.deltaX,
+      deltaY: event.deltaY,
+      deltaMode: event.deltaMode,
+      ctrlKey: event.ctrlKey,
+      altKey: event.altKey,
+      shiftKey: event.shiftKey
+    })
+  }
+
+  onMouseLeave = event => {
+    this.postEvent({ type: event.type })
+  }
+
+  onContextMenu = event => {
+    if (this._preventContextMenu) event.preventDefault()
+    this.postEvent({ type: event.type })
+  }
+
+  onKey = event => {
+    this.postEvent({
+      type: event.type,
+      charCode: event.charCode,
+      key: event.key,
+      location: event.location,
+      ctrlKey: event.ctrlKey,
+      altKey: event.altKey,
+      shiftKey: event.shiftKey
+    })
+  }
+
+  onResize = () => {
+    this._worker.postMessage({
+      type: CanvasProxy.RESIZE,
+      width: this._canvas.clientWidth,
+      height: this._canvas.clientHeight,
+      pixelRatio: window.devicePixelRatio || 1.0
+    })
+  }
+
+  onStateChange = event => {
+    this._worker.postMessage({
+      type: CanvasProxy.STATE,
+      focused: event.type === 'blur' ? false : document.hasFocus(),
+      visible: document.visibilityState !== 'hidden'
+    })
+  }
+
+  onPixelRatioChange = () => {
+    this._pixelRatioQuery.removeListener(this.onPixelRatioChange)
+    this.watchPixelRatio()
+    this.onResize()
+  }
+
+  postEvent(event) {
+    this._worker.postMessage({ type: CanvasProxy.EVENT, event })
+  }
+
+  watchPixelRatio() {
+    if (!window.matchMedia) return
+
+    this._pixelRatioQuery = window.matchMedia(
+      `(resolution: ${window.devicePixelRatio}dppx)`
+    )
+    this._pixelRatioQuery.addListener(this.onPixelRatioChange)
+  }
+
+  /** The canvas element whose events are forwarded. */
+  get canvas() {
+    return this._canvas
+  }
+
+  /** The worker the events are forwarded to. */
+  get worker() {
+    return this._worker
+  }
+
+  /** Indicates if the browser's context menu is suppressed when the canvas is right
+   *  clicked. Enable this if your game uses the right mouse button. @default false */
+  get preventContextMenu() {
+    return this._preventContextMenu
+  }
+
+  set preventContextMenu(value) {
+    this._preventContextMenu = value
+  }
+}
@@ -10,4 +10,6 @@ class ContextManager {
   }
 }
 
-export default ContextManager
+/** The context manager holding the current Starling instance. It is a module singleton
+ *  rather than a property of <code>window</code>, so the engine works inside a worker. */
+export default new ContextManager()
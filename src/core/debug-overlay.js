@@ -0,0 +1,346 @@
+import DisplayObjectContainer from '../display/display-object-container'
+import Mesh from '../display/mesh'
+import MeshBatch from '../display/mesh-batch'
+import Quad from '../display/quad'
+import BlendMode from '../display/blend-mode'
+import MeshStyle from '../styles/mesh-style'
+import VertexData from '../rendering/vertex-data'
+import IndexData from '../rendering/index-data'
+import BatchBreakReason from '../rendering/batch-break-reason'
+import Matrix from '../math/matrix'
+import Point from '../math/point'
+import Rectangle from '../math/rectangle'
+
+/** The DebugOverlay draws information that helps to understand how the display list is
+ *  rendered on top of the stage.
+ *
+ *  <p>Which information is shown is controlled by a combination of flags:</p>
+ *
+ *  <ul>
+ *    <li><code>BOUNDS</code>: outlines the bounds of each visible object.</li>
+ *    <li><code>PIVOTS</code>: marks the pivot point of each visible object.</li>
+ *    <li><code>HIT_AREAS</code>: fills the bounds of all objects that can be touched.</li>
+ *    <li><code>BATCHES</code>: colors the geometry of each mesh batch that was drawn, so
+ *        that all meshes that share a color ended up in the same draw call.</li>
+ *    <li><code>BATCH_BREAKS</code>: outlines the meshes that could not be added to the
+ *        previous batch, in a color depending on the reason (see
+ *        <code>BREAK_COLORS</code>).</li>
+ *  </ul>
+ *
+ *  <listing>
+ *  starling.debugDraw = DebugOverlay.BATCHES | DebugOverlay.BATCH_BREAKS;
+ *
+ *  // later: find out what's causing those draw calls
+ *  for (const { object, reason } of starling.debugOverlay.batchBreaks)
+ *    console.log(object, reason);</listing>
+ *
+ *  <p>While the overlay is active, the render cache is disabled; otherwise, meshes that
+ *  are drawn from the cache could not be attributed. Thus, the number of draw calls stays
+ *  the same, but rendering will take longer. Batches that are drawn into render textures
+ *  (e.g. by filters) are not shown, and neither are meshes that are not batchable, since
+ *  they are drawn directly.</p>
+ *
+ *  <p>You don't have to create a DebugOverlay yourself; Starling does that when you set
+ *  <code>Starling.debugDraw</code>.</p>
+ */
+export default class DebugOverlay {
+  /** Outline the bounds of each object. */
+  static BOUNDS = 1
+
+  /** Mark the pivot point of each object. */
+  static PIVOTS = 2
+
+  /** Fill the area of each object that can be touched. */
+  static HIT_AREAS = 4
+
+  /** Color the geometry by the mesh batch it ended up in. */
+  static BATCHES = 8
+
+  /** Outline the meshes that cause a new batch. */
+  static BATCH_BREAKS = 16
+
+  /** Show everything. */
+  static ALL = 31
+
+  /** The color of the bounds outlines. */
+  static BOUNDS_COLOR = 0x00ff00
+
+  /** The color of the pivot markers. */
+  static PIVOT_COLOR = 0xffffff
+
+  /** The color of the hit areas. */
+  static HIT_AREA_COLOR = 0x0080ff
+
+  /** The colors that are assigned to mesh batches, one after the other. */
+  static BATCH_COLORS = [
+    0xe6194b,
+    0x3cb44b,
+    0xffe119,
+    0x4363d8,
+    0xf58231,
+    0x911eb4,
+    0x46f0f0,
+    0xf032e6,
+    0xbcf60c,
+    0x008080
+  ]
+
+  /** The colors of the batch break outlines, keyed by <code>BatchBreakReason</code>. */
+  static BREAK_COLORS = {
+    [BatchBreakReason.STYLE]: 0xff00ff,
+    [BatchBreakReason.TEXTURE]: 0xff0000,
+    [BatchBreakReason.TEXTURE_SETTINGS]: 0xff8000,
+    [BatchBreakReason.BLEND_MODE]: 0xffff00,
+    [BatchBreakReason.VERTEX_LIMIT]: 0x8000ff,
+    [BatchBreakReason.STATE]: 0x00ffff
+  }
+
+  static BATCH_ALPHA = 0.4
+  static HIT_AREA_ALPHA = 0.25
+
+  // helper objects
+  static sMatrix = new Matrix()
+  static sPoint = new Point()
+  static sRectangle = new Rectangle()
+
+  _starling
+  _flags
+  _meshBatches
+  _numMeshBatches
+  _quad
+  _batchMesh
+  _batchBreaks
+  _numBatches
+  _lineWidth
+
+  /** Creates a new overlay for the given Starling instance, registering its callbacks
+   *  at the painter. */
+  constructor(starling, flags = DebugOverlay.ALL) {
+    const { painter } = starling
+
+    this._starling = starling
+    this._flags = flags
+    this._meshBatches = []
+    this._numMeshBatches = 0
+    this._quad = new Quad(1, 1)
+    this._batchMesh = new Mesh(
+      new VertexData(MeshStyle.VERTEX_FORMAT),
+      new IndexData()
+    )
+    this._batchBreaks = []
+    this._numBatches = 0
+    this._lineWidth = 1.0
+
+    painter.onBatchDrawn = this.onBatchDrawn
+    painter.onBatchBreak = this.onBatchBreak
+  }
+
+  /** Removes the callbacks from the painter and disposes the overlay's geometry. */
+  dispose() {
+    const { painter } = this._starling
+
+    if (painter.onBatchDrawn === this.onBatchDrawn) painter.onBatchDrawn = null
+    if (painter.onBatchBreak === this.onBatchBreak) painter.onBatchBreak = null
+
+    for (const meshBatch of this._meshBatches) meshBatch.dispose()
+    this._meshBatches.length = 0
+    this._numMeshBatches = 0
+    this._quad.dispose()
+    this._batchMesh.dispose()
+    this._batchBreaks.length = 0
+  }
+
+  /** Prepares the overlay for a new frame and disables the render cache for it. Called by
+   *  Starling before the stage is rendered. */
+  beginFrame(painter) {
+    painter.cacheEnabled = false
+
+    for (let i = 0; i < this._numMeshBatches; ++i) this._meshBatches[i].clear()
+    this._numMeshBatches = 0
+    this._batchBreaks.length = 0
+    this._numBatches = 0
+  }
+
+  /** Draws the overlay. Called by Starling after the stage was rendered. */
+  render(painter) {
+    const { stage, viewPort } = this._starling
+    const { _flags, _meshBatches } = this
+
+    this._lineWidth = stage.stageWidth / viewPort.width
+
+    if (
+      _flags &
+      (DebugOverlay.BOUNDS | DebugOverlay.PIVOTS | DebugOverlay.HIT_AREAS)
+    )
+      this.addObject(stage, true)
+
+    if (_flags & DebugOverlay.BATCH_BREAKS) {
+      for (const { object, reason } of this._batchBreaks) {
+        if (object.stage !== stage) continue
+
+        this.addOutline(
+          object.getBounds(stage, DebugOverlay.sRectangle),
+          DebugOverlay.BREAK_COLORS[reason],
+          this._lineWidth * 2
+        )
+      }
+    }
+
+    const numMeshBatches = this._numMeshBatches
+
+    if (numMeshBatches) {
+      painter.finishMeshBatch()
+      painter.pushState()
+      painter.state.modelviewMatrix.identity()
+      painter.state.alpha = 1.0
+      painter.state.blendMode = BlendMode.NORMAL
+
+      for (let i = 0; i < numMeshBatches; ++i) _meshBatches[i].render(painter)
+
+      painter.popState()
+    }
+  }
+
+  // Adds the markers of the object and its children.
+  addObject(object, touchable) {
+    if (!object.visible) return
+
+    const { _flags, _lineWidth } = this
+    const { stage } = this._starling
+    const { sPoint, sRectangle } = DebugOverlay
+    const isContainer = object instanceof DisplayObjectContainer
+
+    touchable = touchable && object.touchable
+
+    if (object !== stage) {
+      const bounds = object.getBounds(stage, sRectangle)
+
+      if (_flags & DebugOverlay.HIT_AREAS && touchable && !isContainer)
+        this.addRectangle(
+          bounds.x,
+          bounds.y,
+          bounds.width,
+          bounds.height,
+          DebugOverlay.HIT_AREA_COLOR,
+          DebugOverlay.HIT_AREA_ALPHA
+        )
+
+      if (_flags & DebugOverlay.BOUNDS)
+        this.addOutline(bounds, DebugOverlay.BOUNDS_COLOR, _lineWidth)
+
+      if (_flags & DebugOverlay.PIVOTS) {
+        const size = _lineWidth * 6
+        sPoint.setTo(object.pivotX, object.pivotY)
+        object.localToGlobal(sPoint, sPoint)
+
+        this.addRectangle(
+          sPoint.x - size / 2,
+          sPoint.y - _lineWidth / 2,
+          size,
+          _lineWidth,
+          DebugOverlay.PIVOT_COLOR
+        )
+        this.addRectangle(
+          sPoint.x - _lineWidth / 2,
+          sPoint.y - size / 2,
+          _lineWidth,
+          size,
+          DebugOverlay.PIVOT_COLOR
+        )
+      }
+    }
+
+    if (isContainer) {
+      const numChildren = object.numChildren
+
+      for (let i = 0; i < numChildren; ++i)
+        this.addObject(object.getChildAt(i), touchable)
+    }
+  }
+
+  addOutline(bounds, color, lineWidth) {
+    const { x, y, width, height } = bounds
+
+    this.addRectangle(x, y, width, lineWidth, color)
+    this.addRectangle(x, y + height - lineWidth, width, lineWidth, color)
+    this.addRectangle(x, y, lineWidth, height, color)
+    this.addRectangle(x + width - lineWidth, y, lineWidth, height, color)
+  }
+
+  addRectangle(x, y, width, height, color, alpha = 1.0) {
+    const { _quad } = this
+    const { sMatrix } = DebugOverlay
+
+    if (width <= 0 || height <= 0) return
+
+    _quad.color = color
+    sMatrix.setTo(width, 0, 0, height, x, y)
+    this.addMesh(_quad, sMatrix, alpha)
+  }
+
+  // Adds a mesh to the last batch of the overlay; a new batch is started when the
+  // vertices don't fit in, since the indices of a batch are limited to 16 bits.
+  addMesh(mesh, matrix, alpha, ignoreTransformations = false) {
+    const { _meshBatches } = this
+    let meshBatch = _meshBatches[this._numMeshBatches - 1]
+
+    if (!meshBatch || !meshBatch.canAddMesh(mesh)) {
+      meshBatch = _meshBatches[this._numMeshBatches]
+
+      if (!meshBatch) {
+        meshBatch = new MeshBatch()
+        _meshBatches[this._numMeshBatches] = meshBatch
+      }
+
+      this._numMeshBatches += 1
+    }
+
+    meshBatch.addMesh(mesh, matrix, alpha, null, ignoreTransformations)
+  }
+
+  onBatchDrawn = (meshBatch, renderTarget) => {
+    if (renderTarget || !(this._flags & DebugOverlay.BATCHES)) return
+
+    const { BATCH_COLORS, BATCH_ALPHA } = DebugOverlay
+    const { _batchMesh } = this
+    const { vertexData, indexData } = _batchMesh
+
+    // the helper mesh is resized to fit the batch; its buffers are reused.
+    // The vertices of drawn batches are already in stage coordinates.
+    vertexData.numVertices = 0
+    indexData.numIndices = 0
+    meshBatch.vertexData.copyTo(vertexData)
+    meshBatch.indexData.copyTo(indexData)
+
+    _batchMesh.color = BATCH_COLORS[this._numBatches % BATCH_COLORS.length]
+
+    this.addMesh(_batchMesh, null, BATCH_ALPHA, true)
+    this._numBatches += 1
+  }
+
+  onBatchBreak = (mesh, reason) => {
+    this._batchBreaks[this._batchBreaks.length] = { object: mesh, reason }
+  }
+
+  /** The combination of flags that decides what is drawn. */
+  get flags() {
+    return this._flags
+  }
+
+  set flags(value) {
+    this._flags = value
+  }
+
+  /** The meshes that could not be added to the previous batch in the last rendered frame,
+   *  as objects with the properties <code>object</code> and <code>reason</code> (one of
+   *  the constants of the <code>BatchBreakReason</code> class). */
+  get batchBreaks() {
+    return this._batchBreaks
+  }
+
+  /** The number of batches that were drawn to the back buffer in the last rendered
+   *  frame. */
+  get numBatches() {
+    return this._numBatches
+  }
+}
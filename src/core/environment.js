@@ -0,0 +1,86 @@
+/** The Environment class abstracts the platform Starling is running on.
+ *
+ *  <p>Starling may either run on the main thread, rendering into an
+ *  <code>HTMLCanvasElement</code>, or inside a worker, rendering into an
+ *  <code>OffscreenCanvas</code>. Workers have neither a <code>window</code> nor a
+ *  <code>document</code>; thus, all of the engine's accesses to those go through this
+ *  class.</p>
+ *
+ *  <p>Inside a worker, Starling can't listen to input events or to changes of the
+ *  canvas' size itself. Use a <code>CanvasProxy</code> on the main thread to forward
+ *  them.</p>
+ *
+ *  @see CanvasProxy
+ */
+export default class Environment {
+  // the pixel ratio reported by the main thread, if running inside a worker
+  static sDevicePixelRatio = null
+
+  /** The global object: <code>window</code> on the main thread, <code>self</code>
+   *  inside a worker. */
+  static get global() {
+    return typeof window !== 'undefined' ? window : self
+  }
+
+  /** The DOM document, or <code>null</code> if not available (e.g. inside a worker). */
+  static get document() {
+    return typeof document !== 'undefined' ? document : null
+  }
+
+  /** Indicates if Starling is running without access to the DOM, e.g. inside a worker. */
+  static get isWorker() {
+    return !Environment.document
+  }
+
+  /** The ratio between physical and CSS pixels of the screen the canvas is displayed on.
+   *  Inside a worker, this value has to be provided by the main thread; a
+   *  <code>CanvasProxy</code> does that automatically. @default 1 */
+  static get devicePixelRatio() {
+    return (
+      Environment.sDevicePixelRatio ||
+      Environment.global.devicePixelRatio ||
+      1.0
+    )
+  }
+
+  static set devicePixelRatio(value) {
+    Environment.sDevicePixelRatio = value
+  }
+
+  /** Creates a new canvas with the given size; that's a canvas element if there is a
+   *  document, and an <code>OffscreenCanvas</code> otherwise. The canvas is not added
+   *  to the DOM. */
+  static createCanvas(width, height) {
+    const { document } = Environment
+
+    if (document) {
+      const canvas = document.createElement('canvas')
+      canvas.width = width
+      canvas.height = height
+      return canvas
+    } else if (typeof OffscreenCanvas !== 'undefined') {
+      return new OffscreenCanvas(width, height)
+    }
+
+    throw new Error('[NotSupportedError] Canvas creation is not supported')
+  }
+
+  /** The current time in milliseconds, on the same clock as the times passed to the
+   *  callbacks of <code>requestAnimationFrame</code>. */
+  static now() {
+    const { performance } = Environment.global
+    return performance ? performance.now() : Date.now()
+  }
+
+  /** Calls the given function before the next repaint, passing the current time in
+   *  milliseconds. Falls back to a timer in workers that don't support
+   *  <code>requestAnimationFrame</code>. */
+  static requestAnimationFrame(callback) {
+    const { global } = Environment
+
+    if (global.requestAnimationFrame)
+      return global.requestAnimationFrame(callback)
+
+    return setTimeout(() => callback(Environment.now()), 1000 / 60)
+  }
+}
@@ -0,0 +1,189 @@
+import Environment from './environment'
+
+/** The FrameProfiler records where the time of each frame goes, e.g. into processing
+ *  touches, ENTER_FRAME listeners, animations, the traversal of the display list,
+ *  batching and draw calls.
+ *
+ *  <p>While a profiler is recording, Starling's main loop reports spans of time to it.
+ *  The recording can be exported in the Chrome trace event format; save it to a file and
+ *  load it into the performance panel of your browser's developer tools (or into
+ *  <code>chrome://tracing</code>) to inspect it.</p>
+ *
+ *  <listing>
+ *  const profiler = new FrameProfiler();
+ *  profiler.start();
+ *
+ *  // a few frames later
+ *  profiler.stop();
+ *
+ *  const json = JSON.stringify(profiler);
+ *  const link = document.createElement('a');
+ *  link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+ *  link.download = 'starling-trace.json';
+ *  link.click();</listing>
+ *
+ *  <p>Only one profiler can record at a time. Recording has some overhead, especially
+ *  because each mesh that is batched creates an event; thus, the absolute numbers will be
+ *  higher than in reality, but the relations between them still tell where to optimize.
+ *  Without an active profiler, the instrumentation costs next to nothing.</p>
+ *
+ *  <p>To measure your own code, surround it with calls to <code>FrameProfiler.begin</code>
+ *  and <code>FrameProfiler.end</code>.</p>
+ */
+export default class FrameProfiler {
+  /** The category of all events recorded by Starling. */
+  static CATEGORY = 'starling'
+
+  // the profiler that's currently recording
+  static sCurrent = null
+
+  _events
+  _stack
+  _maxNumEvents
+  _truncated
+
+  /** Creates a new profiler that records at most the given number of events; once that
+   *  number is reached, further events are dropped. */
+  constructor(maxNumEvents = 1000000) {
+    this._events = []
+    this._stack = []
+    this._maxNumEvents = maxNumEvents
+    this._truncated = false
+  }
+
+  /** Starts recording, stopping any other profiler that is currently recording. Events
+   *  that were recorded before are kept; call <code>clear</code> to remove them. */
+  start() {
+    if (FrameProfiler.sCurrent) FrameProfiler.sCurrent.stop()
+
+    FrameProfiler.sCurrent = this
+  }
+
+  /** Stops recording. Spans that are still open are discarded. */
+  stop() {
+    const { _stack } = this
+
+    if (FrameProfiler.sCurrent === this) FrameProfiler.sCurrent = null
+    if (_stack.length)
+      this._events = this._events.filter(event => _stack.indexOf(event) === -1)
+
+    _stack.length = 0
+  }
+
+  /** Removes all recorded events. */
+  clear() {
+    this._events.length = 0
+    this._stack.length = 0
+    this._truncated = false
+  }
+
+  /** Opens a span with the given name. The optional target is the object the span is
+   *  about; its name (or that of its class) is added to the event's arguments. */
+  beginSpan(name, target = null) {
+    const event = {
+      name,
+      cat: FrameProfiler.CATEGORY,
+      ph: 'X',
+      ts: Environment.now() * 1000,
+      dur: 0,
+      pid: 1,
+      tid: 1
+    }
+
+    if (target)
+      event.args = {
+        target:
+          typeof target === 'string'
+            ? target
+            : target.name || target.constructor.name
+      }
+
+    // events are stored in the order they begin, which is what viewers expect
+    if (this._events.length < this._maxNumEvents) this._events.push(event)
+    else this._truncated = true
+
+    this._stack.push(event)
+  }
+
+  /** Closes the span that was opened last. */
+  endSpan() {
+    const event = this._stack.pop()
+    if (event) event.dur = Environment.now() * 1000 - event.ts
+  }
+
+  /** Returns the recorded events in the Chrome trace event format. Spans are
+   *  'complete' events (phase <code>X</code>) with timestamps and durations in
+   *  microseconds. */
+  getTraceEvents() {
+    const metadata = [
+      {
+        name: 'process_name',
+        ph: 'M',
+        pid: 1,
+        tid: 1,
+        args: { name: 'Starling' }
+      },
+      {
+        name: 'thread_name',
+        ph: 'M',
+        pid: 1,
+        tid: 1,
+        args: { name: 'Main Loop' }
+      }
+    ]
+
+    return metadata.concat(this._events)
+  }
+
+  /** Returns the recording as a trace object, i.e. in the JSON object format of the
+   *  Chrome trace event format. Called by <code>JSON.stringify</code>. */
+  toJSON() {
+    return {
+      traceEvents: this.getTraceEvents(),
+      displayTimeUnit: 'ms',
+      otherData: { truncated: this._truncated }
+    }
+  }
+
+  /** Opens a span on the profiler that's currently recording (if any). */
+  static begin(name, target = null) {
+    const profiler = FrameProfiler.sCurrent
+    if (profiler) profiler.beginSpan(name, target)
+  }
+
+  /** Closes the span that was opened last on the profiler that's currently recording
+   *  (if any). */
+  static end() {
+    const profiler = FrameProfiler.sCurrent
+    if (profiler) profiler.endSpan()
+  }
+
+  /** The profiler that's currently recording, or <code>null</code>. */
+  static get current() {
+    return FrameProfiler.sCurrent
+  }
+
+  /** Indicates if the profiler is currently recording. */
+  get isRecording() {
+    return FrameProfiler.sCurrent === this
+  }
+
+  /** The number of recorded events. */
+  get numEvents() {
+    return this._events.length
+  }
+
+  /** Indicates if events were dropped because <code>maxNumEvents</code> was reached. */
+  get truncated() {
+    return this._truncated
+  }
+
+  /** The maximum number of events that are recorded. */
+  get maxNumEvents() {
+    return this._maxNumEvents
+  }
+
+  set maxNumEvents(value) {
+    this._maxNumEvents = value
+  }
+}
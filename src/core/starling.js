@@ -1,31 +1,69 @@
 import detectIt from 'detect-it'
 
 import Stage from '../display/stage'
-import ContextManager from './context-manager'
+import StarlingContextManager from './context-manager'
+import Environment from './environment'
+import CanvasProxy from './canvas-proxy'
 import EventDispatcher from '../events/event-dispatcher'
 import Event from '../events/event'
 import KeyboardEvent from '../events/keyboard-event'
+import MouseEvent from '../events/mouse-event'
+import ResizeEvent from '../events/resize-event'
 import TouchProcessor from '../events/touch-processor'
+import FocusManager from '../events/focus-manager'
 import TouchPhase from '../events/touch-phase'
 import Painter from '../rendering/painter'
 import Rectangle from '../math/rectangle'
+import Point from '../math/point'
 import RectangleUtil from '../utils/rectangle-util'
 import Juggler from '../animation/juggler'
 import Align from '../utils/align'
+import SystemUtil from '../utils/system-util'
+import ImageUtil from '../utils/image-util'
 import StatsDisplay from './stats-display'
+import AccessibilityManager from './accessibility-manager'
+import FrameProfiler from './frame-profiler'
+import DebugOverlay from './debug-overlay'
 
-window.StarlingContextManager = new ContextManager()
+// kept for backwards compatibility; there's no 'window' inside a worker, though.
+if (typeof window !== 'undefined')
+  window.StarlingContextManager = StarlingContextManager
 
 const MouseEventType = {
   MOUSE_DOWN: 'mousedown',
   MOUSE_MOVE: 'mousemove',
-  MOUSE_UP: 'mouseup'
+  MOUSE_UP: 'mouseup',
+  MOUSE_LEAVE: 'mouseleave',
+  WHEEL: 'wheel',
+  CONTEXT_MENU: 'contextmenu'
 }
 
+// the values of 'MouseEvent.button' and the corresponding bits of 'MouseEvent.buttons'
+const MouseButton = {
+  MIDDLE: 1,
+  RIGHT: 2
+}
+
+const MouseButtonMask = {
+  [MouseButton.MIDDLE]: 4,
+  [MouseButton.RIGHT]: 2
+}
+
+// the number of pixels per line and page of wheel events that don't scroll by pixels
+const WHEEL_LINE_HEIGHT = 16
+
 const TouchEventType = {
   TOUCH_START: 'touchstart',
   TOUCH_MOVE: 'touchmove',
-  TOUCH_END: 'touchend'
+  TOUCH_END: 'touchend',
+  TOUCH_CANCEL: 'touchcancel'
+}
+
+const PointerEventType = {
+  POINTER_DOWN: 'pointerdown',
+  POINTER_MOVE: 'pointermove',
+  POINTER_UP: 'pointerup',
+  POINTER_CANCEL: 'pointercancel'
 }
 
 const KeyboardEventType = {
@@ -33,6 +71,11 @@ const KeyboardEventType = {
   KEY_UP: 'keyup'
 }
 
+const ContextEventType = {
+  CONTEXT_LOST: 'webglcontextlost',
+  CONTEXT_RESTORED: 'webglcontextrestored'
+}
+
 export default class Starling extends EventDispatcher {
   /** The version of the Starling framework. */
   static VERSION = '2.2.1'
@@ -43,20 +86,37 @@ export default class Starling extends EventDispatcher {
   _juggler
   _painter
   _touchProcessor
+  _focusManager
   _antiAliasing
   _frameTimestamp
   _frameID
-  _leftMouseDown
+  _touchesDown
   _statsDisplay
+  _accessibilityManager
+  _debugOverlay
   _rendering
+  _skipUnchangedFrames
+  _fixedTimeStep
+  _maxFrameRate
+  _accumulatedTime
+  _pauseWhenHidden
+  _applicationActive
+  _applicationVisible
   _showStats
   _supportHighResolutions
   _viewPort
   _previousViewPort
+  _clippedViewPort
+  _canvas
+  _canvasWidth
+  _canvasHeight
+  _resizeObserver
+  _preventContextMenu
 
   static sAll = []
+  static sHelperPoint = new Point()
 
-  constructor(rootClass, canvas, viewPort = null, window) {
+  constructor(rootClass, canvas, viewPort = null) {
     super()
 
     if (!canvas) throw new Error('[ArgumentError] Canvas must not be null')
@@ -65,26 +125,38 @@ export default class Starling extends EventDispatcher {
     Starling.sAll.push(this)
     this.makeCurrent()
     this._rootClass = rootClass
+    this._canvas = canvas
+    this._canvasWidth = canvas.clientWidth || canvas.width
+    this._canvasHeight = canvas.clientHeight || canvas.height
     this._viewPort = viewPort
     this._previousViewPort = new Rectangle()
     this._stage = new Stage(viewPort.width, viewPort.height)
     this._touchProcessor = new TouchProcessor(this._stage)
+    this._focusManager = new FocusManager(this._stage)
+    this._touchesDown = new Set()
     this._juggler = new Juggler()
     this._antiAliasing = 0
     this._supportHighResolutions = false
+    this._skipUnchangedFrames = false
+    this._fixedTimeStep = 0
+    this._maxFrameRate = 0
+    this._accumulatedTime = 0
+    this._debugOverlay = null
+    this._pauseWhenHidden = false
     this._painter = new Painter(canvas)
-    this._frameTimestamp = new Date().getTime() / 1000.0
+    this._frameTimestamp = Environment.now() / 1000.0
     this._frameID = 1
 
-    this._textCanvas = document.getElementById('starling-text-canvas')
+    const { document } = Environment
+    this._textCanvas =
+      document && document.getElementById('starling-text-canvas')
 
-    if (!this._textCanvas) {
-      const textCanvas = document.createElement('canvas')
-      textCanvas.setAttribute('width', canvas.width * 2)
-      textCanvas.setAttribute('height', canvas.height * 2)
-      textCanvas.setAttribute('style', 'display: none')
-      this._textCanvas = document.body.appendChild(textCanvas)
-    }
+    // the text canvas is never displayed, so it doesn't need to be part of the DOM.
+    if (!this._textCanvas)
+      this._textCanvas = Environment.createCanvas(
+        canvas.width * 2,
+        canvas.height * 2
+      )
 
     this.textContext = this._textCanvas.getContext('2d')
 
@@ -92,16 +164,67 @@ export default class Starling extends EventDispatcher {
     for (const touchEventType of this.touchEventTypes)
       canvas.addEventListener(touchEventType, this.onTouch, false)
 
+    // touches on the canvas are handled by Starling, not by the browser (e.g. to scroll)
+    if (canvas.style) canvas.style.touchAction = 'none'
+
     // register other event handlers
 
-    window.requestAnimationFrame(this.nextFrame)
+    Environment.requestAnimationFrame(this.nextFrame)
     canvas.addEventListener(KeyboardEventType.KEY_DOWN, this.onKey, false)
     canvas.addEventListener(KeyboardEventType.KEY_UP, this.onKey, false)
-    //stage.addEventListener(Event.RESIZE, onResize, false, 0, true);
-    //stage.addEventListener(Event.MOUSE_LEAVE, onMouseLeave, false, 0, true);
 
-    //stage3D.addEventListener(Event.CONTEXT3D_CREATE, onContextCreated, false, 10, true);
-    //stage3D.addEventListener(ErrorEvent.ERROR, onStage3DError, false, 10, true);
+    // The canvas' size on screen defines the area Starling may render into. A canvas
+    // without a size of its own grows with its drawing buffer, so it's fixed at its
+    // current size; otherwise, high resolution back buffers would make it grow.
+    if (
+      canvas.style &&
+      !canvas.style.width &&
+      !canvas.style.height &&
+      canvas.clientWidth === canvas.width &&
+      canvas.clientHeight === canvas.height
+    ) {
+      canvas.style.width = `${canvas.width}px`
+      canvas.style.height = `${canvas.height}px`
+    }
+
+    const { ResizeObserver } = Environment.global
+
+    if (ResizeObserver) {
+      this._resizeObserver = new ResizeObserver(this.onResize)
+      this._resizeObserver.observe(canvas)
+    }
+
+    this.watchPixelRatio()
+
+    canvas.addEventListener(
+      MouseEventType.MOUSE_LEAVE,
+      this.onMouseLeave,
+      false
+    )
+    canvas.addEventListener(MouseEventType.WHEEL, this.onWheel, {
+      passive: false
+    })
+    canvas.addEventListener(
+      MouseEventType.CONTEXT_MENU,
+      this.onContextMenu,
+      false
+    )
+
+    SystemUtil.initialize()
+    SystemUtil.addActivationListener(this.onApplicationStateChange)
+    this._applicationActive = SystemUtil.isApplicationActive
+    this._applicationVisible = SystemUtil.isApplicationVisible
+
+    canvas.addEventListener(
+      ContextEventType.CONTEXT_LOST,
+      this.onContextLost,
+      false
+    )
+    canvas.addEventListener(
+      ContextEventType.CONTEXT_RESTORED,
+      this.onContextRestored,
+      false
+    )
 
     this.initialize()
   }
@@ -110,7 +233,7 @@ export default class Starling extends EventDispatcher {
     this.makeCurrent()
     this.updateViewPort(true)
     this.initializeRoot()
-    this._frameTimestamp = new Date().getTime() / 1000.0
+    this._frameTimestamp = Environment.now() / 1000.0
   }
 
   initializeRoot() {
@@ -123,22 +246,64 @@ export default class Starling extends EventDispatcher {
     }
   }
 
-  /** Calls <code>advanceTime()</code> (with the time that has passed since the last frame)
-   *  and <code>render()</code>. */
+  /** Calls <code>step()</code> with the time that has passed since the last frame.
+   *  Invoked via <code>requestAnimationFrame</code>. */
   nextFrame = time => {
     const now = time / 1000
-    let passedTime = now - this._frameTimestamp
+    const passedTime = now - this._frameTimestamp
+
+    // skip this frame if it would exceed the maximum frame rate; the tolerance
+    // accounts for the jitter of the timestamps.
+    if (
+      this._maxFrameRate > 0 &&
+      passedTime < 1.0 / this._maxFrameRate - 0.001
+    ) {
+      Environment.requestAnimationFrame(this.nextFrame)
+      return
+    }
+
     this._frameTimestamp = now
 
+    if (this._rendering && (this._applicationVisible || !this._pauseWhenHidden))
+      this.step(passedTime)
+
+    Environment.requestAnimationFrame(this.nextFrame)
+  }
+
+  /** Advances the time by the given number of seconds and renders a single frame.
+   *
+   *  <p>This is what happens on every animation frame while Starling is started. Call it
+   *  manually to drive the main loop yourself, e.g. in tests or to run a simulation
+   *  deterministically; in that case, stop Starling so that it doesn't advance on its
+   *  own.</p>
+   *
+   *  <p>If a <code>fixedTimeStep</code> is set, the passed time is accumulated and
+   *  <code>advanceTime()</code> is called once per full time step (maybe not at all);
+   *  the remainder is carried over to the next call.</p>
+   */
+  step(passedTime) {
     // to avoid overloading time-based animations, the maximum delta is truncated.
     if (passedTime > 1.0) passedTime = 1.0
+    else if (passedTime < 0.0) passedTime = 0.0
+
+    FrameProfiler.begin('Starling.step')
+
+    if (this._fixedTimeStep > 0) {
+      this._accumulatedTime += passedTime
 
-    if (this._rendering) {
+      while (this._accumulatedTime >= this._fixedTimeStep) {
+        this._accumulatedTime -= this._fixedTimeStep
+        this.advanceTime(this._fixedTimeStep)
+      }
+    } else {
       this.advanceTime(passedTime)
-      this.render()
     }
 
-    window.requestAnimationFrame(this.nextFrame)
+    FrameProfiler.begin('Starling.render')
+    this.render()
+    FrameProfiler.end()
+
+    FrameProfiler.end()
   }
 
   /** Dispatches ENTER_FRAME events on the display list, advances the Juggler
@@ -146,9 +311,17 @@ export default class Starling extends EventDispatcher {
   advanceTime(passedTime) {
     this.makeCurrent()
 
+    FrameProfiler.begin('TouchProcessor.advanceTime')
     this._touchProcessor.advanceTime(passedTime)
+    FrameProfiler.end()
+
+    FrameProfiler.begin('Stage.advanceTime')
     this._stage.advanceTime(passedTime)
+    FrameProfiler.end()
+
+    FrameProfiler.begin('Juggler.advanceTime')
     this._juggler.advanceTime(passedTime)
+    FrameProfiler.end()
   }
 
   /** Renders the complete display list. Before rendering, the context is cleared; afterwards,
@@ -158,10 +331,12 @@ export default class Starling extends EventDispatcher {
    *  instance. That's the last opportunity to make changes before the display list is
    *  rendered.</p> */
   render() {
+    if (!this.contextValid) return
+
     this.makeCurrent()
     this.updateViewPort()
 
-    const doRedraw = this._stage.requiresRedraw
+    const doRedraw = !this._skipUnchangedFrames || this._stage.requiresRedraw
     if (doRedraw) {
       this.dispatchEventWith(Event.RENDER)
 
@@ -173,6 +348,8 @@ export default class Starling extends EventDispatcher {
       this._painter.nextFrame()
       this._painter.pixelSize = 1.0 / this.contentScaleFactor
 
+      if (this._debugOverlay) this._debugOverlay.beginFrame(this._painter)
+
       this._painter.state.setProjectionMatrix(
         this._viewPort.x < 0 ? -this._viewPort.x / scaleX : 0.0,
         this._viewPort.y < 0 ? -this._viewPort.y / scaleY : 0.0,
@@ -186,16 +363,78 @@ export default class Starling extends EventDispatcher {
       if (!this.shareContext) this._painter.clear(stageColor, 1.0)
 
       this._stage.render(this._painter)
+      if (this._debugOverlay) this._debugOverlay.render(this._painter)
       this._painter.finishFrame()
       this._painter.frameID = ++this._frameID
 
       if (!this.shareContext) this._painter.present()
-    }
+    } else this.dispatchEventWith(Event.SKIP_FRAME)
 
     if (this._statsDisplay) {
       this._statsDisplay.drawCount = this._painter.drawCount
+      this._statsDisplay.batchCount = this._painter.batchCount
+      this._statsDisplay.gpuTime = this._painter.gpuTime
       if (!doRedraw) this._statsDisplay.markFrameAsSkipped()
     }
+
+    if (this._accessibilityManager) this._accessibilityManager.update()
+  }
+
+  /** Renders a frame and reads its pixels back from the GPU, e.g. for screenshots. The
+   *  complete back buffer is captured, at its actual resolution (i.e. including the
+   *  device pixel ratio). This is a slow operation, since it has to wait for the GPU to
+   *  finish rendering.
+   *
+   *  <listing>
+   *  const blob = await ImageUtil.toBlob(starling.captureFrame());</listing>
+   *
+   *  @param out  an ImageData object the size of the back buffer; if <code>null</code>,
+   *              a new one is created.
+   *  @return the ImageData object that contains the pixels, with straight alpha.
+   */
+  captureFrame(out = null) {
+    if (!this.contextValid)
+      throw new Error('[IllegalOperationError] The render context is not valid')
+
+    this.setRequiresRedraw()
+    this.render()
+
+    // the back buffer is only valid until the browser has presented it
+    const gl = this._painter.context
+    const width = gl.drawingBufferWidth
+    const height = gl.drawingBufferHeight
+    const rowLength = width * 4
+    const pixels = new Uint8Array(rowLength * height)
+
+    if (!out) out = ImageUtil.createImageData(width, height)
+    else if (out.width !== width || out.height !== height)
+      throw new Error(
+        '[ArgumentError] ImageData must have the size of the back buffer'
+      )
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null)
+    gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels)
+
+    // WebGL returns the rows bottom to top
+    for (let y = 0; y < height; ++y)
+      out.data.set(
+        pixels.subarray((height - y - 1) * rowLength, (height - y) * rowLength),
+        y * rowLength
+      )
+
+    ImageUtil.unmultiplyAlpha(out)
+    return out
+  }
+
+  /** Makes sure that the next frame is actually rendered.
+   *
+   *  <p>When <code>skipUnchangedFrames</code> is enabled, some situations require that you
+   *  manually force a redraw, e.g. when drawing into a canvas that's used as a texture
+   *  source without uploading it. Calling this method is equivalent to calling
+   *  <code>setRequiresRedraw()</code> on the stage.</p>
+   */
+  setRequiresRedraw() {
+    this._stage.setRequiresRedraw()
   }
 
   updateViewPort(forceUpdate = false) {
@@ -206,114 +445,409 @@ export default class Starling extends EventDispatcher {
       forceUpdate ||
       !RectangleUtil.compare(this._viewPort, this._previousViewPort)
     ) {
-      //this._previousViewPort.setTo(this._viewPort.x, this._viewPort.y, this._viewPort.width, this._viewPort.height);
-      //
-      //// Constrained mode requires that the viewport is within the native stage bounds;
-      //// thus, we use a clipped viewport when configuring the back buffer. (In baseline
-      //// mode, that's not necessary, but it does not hurt either.)
-      //
-      //this._clippedViewPort = this._viewPort.intersection(
-      //    new Rectangle(0, 0, this._nativeStage.stageWidth, this._nativeStage.stageHeight));
-      //
-      //if (_clippedViewPort.width  < 32) _clippedViewPort.width  = 32;
-      //if (_clippedViewPort.height < 32) _clippedViewPort.height = 32;
-      //
-      //var contentScaleFactor:Number =
-      //    _supportHighResolutions ? _nativeStage.contentsScaleFactor : 1.0;
-      //
-      //_painter.configureBackBuffer(_clippedViewPort, contentScaleFactor,
-      //    _antiAliasing, true);
-      //
-      //setRequiresRedraw();
+      const { _viewPort, _canvas, _canvasWidth, _canvasHeight } = this
+
+      this._previousViewPort.setTo(
+        _viewPort.x,
+        _viewPort.y,
+        _viewPort.width,
+        _viewPort.height
+      )
+
+      // The back buffer needs to be within the canvas bounds; thus, we use a clipped
+      // viewport when configuring it.
+
+      this._clippedViewPort = _viewPort.intersection(
+        new Rectangle(0, 0, _canvasWidth, _canvasHeight)
+      )
+
+      if (this._clippedViewPort.width < 32) this._clippedViewPort.width = 32
+      if (this._clippedViewPort.height < 32) this._clippedViewPort.height = 32
+
+      const contentScaleFactor = this._supportHighResolutions
+        ? Environment.devicePixelRatio
+        : 1.0
+
+      // the drawing buffer of the canvas always matches its size on screen
+      const bufferWidth = Math.round(_canvasWidth * contentScaleFactor)
+      const bufferHeight = Math.round(_canvasHeight * contentScaleFactor)
+
+      if (_canvas.width !== bufferWidth) _canvas.width = bufferWidth
+      if (_canvas.height !== bufferHeight) _canvas.height = bufferHeight
+
+      this._painter.configureBackBuffer(
+        this._clippedViewPort,
+        contentScaleFactor,
+        this._antiAliasing,
+        true
+      )
+
+      this._stage.setRequiresRedraw()
     }
   }
 
+  onResize = () => {
+    this.resizeCanvas(this._canvas.clientWidth, this._canvas.clientHeight)
+  }
+
+  /** Updates the back buffer after the size of the canvas on screen has changed and
+   *  dispatches a <code>RESIZE</code> event on the stage. */
+  resizeCanvas(width, height) {
+    // e.g. a canvas that's not displayed; there's nothing to render into.
+    if (!width || !height) return
+    if (width === this._canvasWidth && height === this._canvasHeight) return
+
+    this._canvasWidth = width
+    this._canvasHeight = height
+    this.updateViewPort(true)
+
+    const dispatchResizeEvent = () => {
+      // a lost context might be restored with the old size; to avoid problems
+      // with user code, we delay the event dispatching until it becomes valid again.
+      this.makeCurrent()
+      this.removeEventListener(Event.CONTEXT3D_CREATE, dispatchResizeEvent)
+      this._stage.dispatchEvent(new ResizeEvent(Event.RESIZE, width, height))
+    }
+
+    if (this.contextValid) dispatchResizeEvent()
+    else this.addEventListener(Event.CONTEXT3D_CREATE, dispatchResizeEvent)
+  }
+
+  /** Processes a message sent by a <code>CanvasProxy</code> on the main thread. When
+   *  running inside a worker, pass all messages of the proxy to this method; they
+   *  contain input events and changes of the canvas' size, which the worker can't
+   *  listen to itself.
+   *
+   *  @return <code>true</code> if the message was sent by a proxy.
+   *  @see CanvasProxy
+   */
+  handleProxyMessage(message) {
+    if (!message) return false
+
+    switch (message.type) {
+      case CanvasProxy.STATE:
+        SystemUtil.setApplicationState(message.focused, message.visible)
+        return true
+      case CanvasProxy.INIT:
+        SystemUtil.setApplicationState(message.focused, message.visible)
+      // falls through
+      case CanvasProxy.RESIZE:
+        if (message.pixelRatio !== Environment.devicePixelRatio) {
+          Environment.devicePixelRatio = message.pixelRatio
+          if (this._supportHighResolutions) this.updateViewPort(true)
+        }
+
+        this.resizeCanvas(message.width, message.height)
+        return true
+      case CanvasProxy.EVENT: {
+        // the original event can't be prevented anymore; it has already been handled.
+        const event = { ...message.event, preventDefault() {} }
+
+        if (
+          event.type === KeyboardEventType.KEY_DOWN ||
+          event.type === KeyboardEventType.KEY_UP
+        )
+          this.onKey(event)
+        else if (event.type === MouseEventType.WHEEL) this.onWheel(event)
+        else if (event.type === MouseEventType.MOUSE_LEAVE) this.onMouseLeave()
+        else if (event.type === MouseEventType.CONTEXT_MENU)
+          this.onContextMenu(event)
+        else this.onTouch(event)
+
+        return true
+      }
+      default:
+        return false
+    }
+  }
+
+  /** Updates the back buffer whenever the device pixel ratio changes, e.g. when the
+   *  window is moved to another screen or the page is zoomed. */
+  watchPixelRatio() {
+    const { global } = Environment
+    if (!global.matchMedia) return
+
+    const query = global.matchMedia(
+      `(resolution: ${Environment.devicePixelRatio}dppx)`
+    )
+    const onChange = () => {
+      query.removeListener(onChange)
+      this.watchPixelRatio()
+      if (this._supportHighResolutions) this.updateViewPort(true)
+    }
+
+    query.addListener(onChange)
+  }
+
+  onApplicationStateChange = () => {
+    const { isApplicationActive, isApplicationVisible } = SystemUtil
+
+    // browsers don't call 'requestAnimationFrame' on hidden pages. The time spent in the
+    // background must not end up in the next frame, so the clock is reset.
+    if (isApplicationVisible && !this._applicationVisible) {
+      this._frameTimestamp = Environment.now() / 1000.0
+      this._accumulatedTime = 0
+    }
+
+    this._applicationVisible = isApplicationVisible
+
+    if (isApplicationActive !== this._applicationActive) {
+      this._applicationActive = isApplicationActive
+      this.makeCurrent()
+
+      if (!isApplicationActive) {
+        // touches that were in progress won't receive their 'up' events anymore
+        this._touchesDown.clear()
+        this._touchProcessor.cancelTouches()
+      }
+
+      this.dispatchEventWith(
+        isApplicationActive ? Event.ACTIVATE : Event.DEACTIVATE
+      )
+    }
+  }
+
+  onContextLost = event => {
+    // without this, the browser won't ever try to restore the context
+    event.preventDefault()
+    this._painter.onContextLost()
+  }
+
+  onContextRestored = () => {
+    this.makeCurrent()
+    this._painter.onContextRestored()
+
+    // programs, effects and textures listen to this event to recreate their resources
+    this.dispatchEventWith(Event.CONTEXT3D_CREATE, false, this.context)
+    this.dispatchEventWith(Event.TEXTURES_RESTORED)
+    this._stage.setRequiresRedraw()
+  }
+
   onTouch = event => {
     if (!this._rendering) return
-    const { _stage, _viewPort } = this
 
-    let globalX
-    let globalY
-    let touchID
-    let phase
-    const pressure = 1.0
-    const width = 1.0
-    const height = 1.0
-
-    // figure out general touch properties
-    if (event.constructor.name === 'MouseEvent') {
-      const mouseEvent = event
-
-      globalX = mouseEvent.offsetX
-      globalY = mouseEvent.offsetY
-      touchID = 0
-
-      // MouseEvent.buttonDown returns true for both left and right button (AIR supports
-      // the right mouse button). We only want to react on the left button for now,
-      // so we have to save the state for the left button manually.
-      if (event.type === MouseEventType.MOUSE_DOWN) this._leftMouseDown = true
-      else if (event.type === MouseEventType.MOUSE_UP)
-        this._leftMouseDown = false
+    if (
+      event.type === PointerEventType.POINTER_CANCEL ||
+      event.type === TouchEventType.TOUCH_CANCEL
+    ) {
+      this._touchesDown.clear()
+      this._touchProcessor.cancelTouches()
+      return
+    }
+
+    if (event.changedTouches) {
+      // a TouchEvent may contain several touch points at once. Prevent the default to
+      // keep the browser from dispatching emulated mouse events afterwards.
+      const bounds = event.target.getBoundingClientRect()
+
+      for (let i = 0; i < event.changedTouches.length; ++i) {
+        const touch = event.changedTouches[i]
+
+        this.processTouch(
+          event.type,
+          touch.identifier,
+          touch.clientX - bounds.left,
+          touch.clientY - bounds.top,
+          touch.force || 1.0,
+          touch.radiusX ? touch.radiusX * 2 : 1.0,
+          touch.radiusY ? touch.radiusY * 2 : 1.0
+        )
+      }
+
+      event.preventDefault()
+      return
+    }
+
+    // keep receiving events of that pointer when it leaves the canvas
+    if (
+      event.type === PointerEventType.POINTER_DOWN &&
+      event.target &&
+      event.target.setPointerCapture
+    )
+      event.target.setPointerCapture(event.pointerId)
+
+    if (event.pointerType && event.pointerType !== 'mouse') {
+      // touch and pen input
+      this.processTouch(
+        event.type,
+        event.pointerId,
+        event.offsetX,
+        event.offsetY,
+        event.pressure,
+        event.width,
+        event.height,
+        event.button
+      )
     } else {
-      console.log('todo: implement touch events') // todo: touch events
-      //const touchEvent = event;
-      //
-      //// On a system that supports both mouse and touch input, the primary touch point
-      //// is dispatched as mouse event as well. Since we don't want to listen to that
-      //// event twice, we ignore the primary touch in that case.
-      //
-      //if (Mouse.supportsCursor && touchEvent.isPrimaryTouchPoint) return;
-      //else {
-      //    globalX = touchEvent.stageX;
-      //    globalY = touchEvent.stageY;
-      //    touchID = touchEvent.touchPointID;
-      //    pressure = touchEvent.pressure;
-      //    width = touchEvent.sizeX;
-      //    height = touchEvent.sizeY;
-      //}
+      // the middle and right buttons don't cause touches, but mouse events.
+      if (
+        event.button === MouseButton.MIDDLE ||
+        event.button === MouseButton.RIGHT
+      )
+        this.processMouseButton(event)
+
+      // the mouse always uses touch ID 0; multitouch simulation depends on that.
+      this.processTouch(
+        event.type,
+        0,
+        event.offsetX,
+        event.offsetY,
+        1.0,
+        1.0,
+        1.0,
+        event.button
+      )
+
+      // allow objects that depend on mouse-over state to be updated immediately
+      if (
+        (event.type === MouseEventType.MOUSE_UP ||
+          event.type === PointerEventType.POINTER_UP) &&
+        detectIt.hasMouse
+      )
+        this.processTouch(
+          MouseEventType.MOUSE_MOVE,
+          0,
+          event.offsetX,
+          event.offsetY
+        )
     }
+  }
 
-    // figure out touch phase
-    switch (event.type) {
+  /** Enqueues a single touch point in the touch processor. <code>globalX</code> and
+   *  <code>globalY</code> are relative to the canvas. */
+  processTouch(
+    type,
+    touchID,
+    globalX,
+    globalY,
+    pressure = 1.0,
+    width = 1.0,
+    height = 1.0,
+    button = 0
+  ) {
+    const { _touchesDown } = this
+    let phase
+
+    // figure out touch phase. We only react to the primary (e.g. the left mouse) button,
+    // and only to touches that began on the canvas.
+    switch (type) {
       case TouchEventType.TOUCH_START:
-        phase = TouchPhase.BEGAN
-        break
-      case TouchEventType.TOUCH_MOVE:
-        phase = TouchPhase.MOVED
-        break
-      case TouchEventType.TOUCH_END:
-        phase = TouchPhase.ENDED
-        break
       case MouseEventType.MOUSE_DOWN:
+      case PointerEventType.POINTER_DOWN:
+        if (button !== 0) return
+        _touchesDown.add(touchID)
         phase = TouchPhase.BEGAN
         break
+      case TouchEventType.TOUCH_END:
       case MouseEventType.MOUSE_UP:
+      case PointerEventType.POINTER_UP:
+        if (button !== 0 || !_touchesDown.has(touchID)) return
+        _touchesDown.delete(touchID)
         phase = TouchPhase.ENDED
         break
-      case MouseEventType.MOUSE_MOVE:
-        phase = this._leftMouseDown ? TouchPhase.MOVED : TouchPhase.HOVER
-        break
       default:
+        phase = _touchesDown.has(touchID) ? TouchPhase.MOVED : TouchPhase.HOVER
     }
 
     // move position into viewport bounds
-    globalX = (_stage.stageWidth * (globalX - _viewPort.x)) / _viewPort.width
-    globalY = (_stage.stageHeight * (globalY - _viewPort.y)) / _viewPort.height
+    const position = this.canvasToStage(globalX, globalY, Starling.sHelperPoint)
 
     // enqueue touch in touch processor
     this._touchProcessor.enqueue(
       touchID,
       phase,
-      globalX,
-      globalY,
+      position.x,
+      position.y,
       pressure,
       width,
       height
     )
+  }
 
-    // allow objects that depend on mouse-over state to be updated immediately
-    if (event.type === MouseEvent.MOUSE_UP && detectIt.hasMouse)
-      this._touchProcessor.enqueue(touchID, TouchPhase.HOVER, globalX, globalY)
+  /** Converts a position relative to the canvas (in CSS pixels) to stage coordinates. */
+  canvasToStage(canvasX, canvasY, out = null) {
+    const { _stage, _viewPort } = this
+    if (!out) out = new Point()
+
+    out.setTo(
+      (_stage.stageWidth * (canvasX - _viewPort.x)) / _viewPort.width,
+      (_stage.stageHeight * (canvasY - _viewPort.y)) / _viewPort.height
+    )
+
+    return out
+  }
+
+  /** Dispatches the press or release of the middle or right mouse button. With pointer
+   *  events, pressing an additional button is reported as a move; thus, the state is
+   *  taken from the event's 'buttons'. */
+  processMouseButton(event) {
+    const isRight = event.button === MouseButton.RIGHT
+    const isDown =
+      event.buttons !== undefined
+        ? (event.buttons & MouseButtonMask[event.button]) !== 0
+        : event.type === MouseEventType.MOUSE_DOWN ||
+          event.type === PointerEventType.POINTER_DOWN
+
+    let type
+    if (isRight)
+      type = isDown ? MouseEvent.RIGHT_MOUSE_DOWN : MouseEvent.RIGHT_MOUSE_UP
+    else
+      type = isDown ? MouseEvent.MIDDLE_MOUSE_DOWN : MouseEvent.MIDDLE_MOUSE_UP
+
+    const mouseEvent = this.createMouseEvent(type, event)
+    this.makeCurrent()
+    this._touchProcessor.dispatchMouseEvent(mouseEvent)
+
+    if (mouseEvent.isDefaultPrevented()) {
+      // the context menu is opened by a separate event, after 'down' or 'up'
+      if (isRight) this._preventContextMenu = true
+      event.preventDefault()
+    }
+  }
+
+  createMouseEvent(type, event, deltaX = 0, deltaY = 0) {
+    const position = this.canvasToStage(event.offsetX, event.offsetY)
+
+    return new MouseEvent(
+      type,
+      position.x,
+      position.y,
+      deltaX,
+      deltaY,
+      event.ctrlKey,
+      event.altKey,
+      event.shiftKey
+    )
+  }
+
+  onWheel = event => {
+    if (!this._rendering) return
+
+    let scale = 1.0
+    if (event.deltaMode === 1) scale = WHEEL_LINE_HEIGHT
+    else if (event.deltaMode === 2) scale = this._canvasHeight
+
+    const mouseEvent = this.createMouseEvent(
+      MouseEvent.MOUSE_WHEEL,
+      event,
+      event.deltaX * scale,
+      event.deltaY * scale
+    )
+
+    this.makeCurrent()
+    this._touchProcessor.dispatchMouseEvent(mouseEvent)
+
+    if (mouseEvent.isDefaultPrevented()) event.preventDefault()
+  }
+
+  onMouseLeave = () => {
+    if (!this._rendering) return
+    this._touchProcessor.enqueueMouseLeftStage()
+  }
+
+  onContextMenu = event => {
+    if (this._preventContextMenu) event.preventDefault()
+    this._preventContextMenu = false
   }
 
   onKey = event => {
@@ -330,7 +864,7 @@ export default class Starling extends EventDispatcher {
     )
 
     this.makeCurrent()
-    this._stage.dispatchEvent(keyEvent)
+    this._focusManager.dispatchKeyboardEvent(keyEvent)
 
     if (keyEvent.isDefaultPrevented()) event.preventDefault()
   }
@@ -338,11 +872,21 @@ export default class Starling extends EventDispatcher {
   get touchEventTypes() {
     const types = []
 
+    // pointer events cover mouse, touch and pen input alike
+    if (Environment.global.PointerEvent)
+      return [
+        PointerEventType.POINTER_DOWN,
+        PointerEventType.POINTER_MOVE,
+        PointerEventType.POINTER_UP,
+        PointerEventType.POINTER_CANCEL
+      ]
+
     if (this.multitouchEnabled)
       types.push(
         TouchEventType.TOUCH_START,
         TouchEventType.TOUCH_MOVE,
-        TouchEventType.TOUCH_END
+        TouchEventType.TOUCH_END,
+        TouchEventType.TOUCH_CANCEL
       )
 
     if (!this.multitouchEnabled || detectIt.hasMouse)
@@ -356,14 +900,15 @@ export default class Starling extends EventDispatcher {
   }
 
   makeCurrent = () => {
-    window.StarlingContextManager.current = this
+    StarlingContextManager.current = this
   }
 
   // Public API
 
   start() {
     this._rendering = true
-    this._frameTimestamp = new Date().getTime() / 1000.0
+    this._frameTimestamp = Environment.now() / 1000.0
+    this._accumulatedTime = 0
   }
 
   stop() {
@@ -459,10 +1004,194 @@ export default class Starling extends EventDispatcher {
     return this._stage
   }
 
+  /** The canvas Starling renders into; either an <code>HTMLCanvasElement</code> or an
+   *  <code>OffscreenCanvas</code>. */
+  get canvas() {
+    return this._canvas
+  }
+
+  /** Indicates if the display list is made available to assistive technology, like
+   *  screen readers. If enabled, buttons, text fields and objects with an
+   *  <code>accessibilityName</code> are mirrored into a tree of invisible DOM elements
+   *  on top of the canvas. Not supported inside a worker. @default false
+   *
+   *  @see AccessibilityManager */
+  get accessibilityEnabled() {
+    return this._accessibilityManager != null
+  }
+
+  set accessibilityEnabled(value) {
+    if (value === this.accessibilityEnabled) return
+
+    if (value) {
+      this._accessibilityManager = new AccessibilityManager(this)
+      this._accessibilityManager.update()
+    } else {
+      this._accessibilityManager.dispose()
+      this._accessibilityManager = null
+    }
+  }
+
+  /** The accessibility manager, or <code>null</code> if accessibility is not enabled. */
+  get accessibilityManager() {
+    return this._accessibilityManager
+  }
+
+  /** A combination of the flags of the <code>DebugOverlay</code> class that decides which
+   *  debug information is drawn on top of the stage, e.g. the bounds of all objects or the
+   *  mesh batches they ended up in. Zero disables the overlay.
+   *
+   *  <listing>
+   *  starling.debugDraw = DebugOverlay.BATCHES | DebugOverlay.BATCH_BREAKS;</listing>
+   *
+   *  @default 0
+   *  @see DebugOverlay
+   */
+  get debugDraw() {
+    return this._debugOverlay ? this._debugOverlay.flags : 0
+  }
+
+  set debugDraw(value) {
+    if (value) {
+      if (this._debugOverlay) this._debugOverlay.flags = value
+      else this._debugOverlay = new DebugOverlay(this, value)
+    } else if (this._debugOverlay) {
+      this._debugOverlay.dispose()
+      this._debugOverlay = null
+    }
+
+    this._stage.setRequiresRedraw()
+  }
+
+  /** The overlay that draws debug information, or <code>null</code> if
+   *  <code>debugDraw</code> is disabled. */
+  get debugOverlay() {
+    return this._debugOverlay
+  }
+
+  /** When enabled, Starling will skip rendering the stage if it hasn't changed since the
+   *  last frame. Jugglers and enter frame events still advance as usual. This is great for
+   *  apps that remain static from time to time, since it will greatly reduce power
+   *  consumption.
+   *
+   *  <p>Changes of the display list, of texture contents (uploads, render textures) and of
+   *  filters are detected automatically. If you change what's rendered in any other way,
+   *  call <code>setRequiresRedraw()</code> afterwards; otherwise, the change won't
+   *  show up.</p>
+   *
+   *  @default false
+   */
+  get skipUnchangedFrames() {
+    return this._skipUnchangedFrames
+  }
+
+  set skipUnchangedFrames(value) {
+    this._skipUnchangedFrames = value
+  }
+
+  /** The duration of a single logic step in seconds; zero for a variable time step.
+   *
+   *  <p>By default, <code>advanceTime()</code> is called exactly once per frame, with
+   *  the time that has passed since the last frame. With a fixed time step (e.g.
+   *  <code>1 / 60</code>), the display list, the juggler and the touch processor always
+   *  advance in uniform intervals, independent of the frame rate, making the results
+   *  reproducible. To render smoothly in between those steps, interpolate your objects
+   *  in a listener for <code>Event.RENDER</code>, using <code>frameInterpolation</code>.
+   *  </p>
+   *
+   *  @default 0
+   */
+  get fixedTimeStep() {
+    return this._fixedTimeStep
+  }
+
+  set fixedTimeStep(value) {
+    if (value < 0)
+      throw new Error('[ArgumentError] fixedTimeStep must not be negative')
+
+    this._fixedTimeStep = value
+    this._accumulatedTime = 0
+  }
+
+  /** The fraction of the fixed time step that has passed since the last call to
+   *  <code>advanceTime()</code>, but hasn't been simulated yet (a value between zero and
+   *  one). Use it to interpolate between the previous and the current state when
+   *  rendering. Always zero if there is no <code>fixedTimeStep</code>. */
+  get frameInterpolation() {
+    return this._fixedTimeStep > 0
+      ? this._accumulatedTime / this._fixedTimeStep
+      : 0.0
+  }
+
+  /** The maximum number of frames per second; Starling skips animation frames to stay
+   *  below it. Zero means that every animation frame is used (i.e. the frame rate
+   *  matches the refresh rate of the display). @default 0 */
+  get maxFrameRate() {
+    return this._maxFrameRate
+  }
+
+  set maxFrameRate(value) {
+    if (value < 0)
+      throw new Error('[ArgumentError] maxFrameRate must not be negative')
+
+    this._maxFrameRate = value
+  }
+
+  /** Indicates if Starling should stop advancing time and rendering while the page is
+   *  hidden (e.g. in a background tab). Most browsers stop animation frames on hidden
+   *  pages anyway, but not in all situations, e.g. not always for a worker.
+   *
+   *  <p>Either way, the time spent in the background is not passed to the next frame,
+   *  and <code>Event.DEACTIVATE</code> / <code>Event.ACTIVATE</code> are dispatched
+   *  when the page loses / regains the focus or visibility; use them to pause your
+   *  audio, for example.</p>
+   *
+   *  @default false
+   */
+  get pauseWhenHidden() {
+    return this._pauseWhenHidden
+  }
+
+  set pauseWhenHidden(value) {
+    this._pauseWhenHidden = value
+  }
+
+  /** The viewport into which Starling contents will be rendered, in CSS pixels relative
+   *  to the canvas. Update it when the canvas is resized, i.e. in a listener for
+   *  the stage's <code>Event.RESIZE</code>. */
+  get viewPort() {
+    return this._viewPort
+  }
+
+  set viewPort(value) {
+    this._viewPort = value.clone()
+  }
+
+  /** Indicates that if the device supports higher resolutions than the CSS pixels of the
+   *  canvas (e.g. a retina display), Starling will make use of it: the back buffer is
+   *  configured with <code>devicePixelRatio</code>, which is reflected by the
+   *  <code>contentScaleFactor</code>. @default false */
+  get supportHighResolutions() {
+    return this._supportHighResolutions
+  }
+
+  set supportHighResolutions(value) {
+    if (this._supportHighResolutions !== value) {
+      this._supportHighResolutions = value
+      if (this.contextValid) this.updateViewPort(true)
+    }
+  }
+
   get context() {
     return this._painter.context
   }
 
+  /** The profile of the current render context: <code>'webgl2'</code>, or
+   *  <code>'webgl'</code> if the device only supports WebGL 1. */
+  get profile() {
+    return this._painter.profile
+  }
+
   get frameID() {
     return this._frameID
   }
@@ -485,6 +1214,13 @@ export default class Starling extends EventDispatcher {
     this._touchProcessor.simulateMultitouch = value
   }
 
+  /** The focus manager, which dispatches keyboard events at the focused object and
+   *  moves the focus via the Tab key. The focused object itself is accessible via
+   *  <code>stage.focus</code>. */
+  get focusManager() {
+    return this._focusManager
+  }
+
   get juggler() {
     return this._juggler
   }
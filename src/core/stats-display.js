@@ -5,23 +5,61 @@ import Align from '../utils/align'
 import Quad from '../display/quad'
 import MeshStyle from '../styles/mesh-style'
 import Event from '../events/event'
+import ConcreteTexture from '../textures/concrete-texture'
+import Effect from '../rendering/effect'
+import Environment from './environment'
+import StarlingContextManager from './context-manager'
 
 /** A small, lightweight box that displays the current framerate, memory consumption and
- *  the number of draw calls per frame. The display is updated automatically once per frame. */
+ *  the number of draw calls per frame. The display is updated automatically once per frame.
+ *
+ *  <p>These are the values shown, from top to bottom:</p>
+ *
+ *  <ul>
+ *    <li>FPS: the number of frames per second.</li>
+ *    <li>STDMEM: the size of the JavaScript heap in MB. That's only available in
+ *        Chromium-based browsers.</li>
+ *    <li>GPUMEM: the estimated size of all textures and vertex and index buffers in MB.</li>
+ *    <li>GPU: the time the GPU needs per frame in milliseconds. That's only available
+ *        with the <code>EXT_disjoint_timer_query_webgl2</code> extension.</li>
+ *    <li>DRW: the number of draw calls per frame.</li>
+ *    <li>BAT: the number of mesh batches per frame.</li>
+ *  </ul>
+ *
+ *  <p>Below those values, a graph displays the duration of the most recent frames. Each
+ *  bar stands for one frame: green bars took no longer than the target frame time
+ *  (60 fps), yellow bars up to twice as long, and red bars even longer.</p>
+ */
 export default class StatsDisplay extends Sprite {
   static UPDATE_INTERVAL = 0.5
   static B_TO_MB = 1.0 / (1024 * 1024) // convert from bytes to MB
 
+  /** The number of frames shown in the frame time graph. */
+  static NUM_GRAPH_BARS = 45
+
+  /** The frame time (in seconds) that fills the complete height of the graph. */
+  static GRAPH_MAX_FRAME_TIME = 3 / 60
+
+  static GRAPH_COLORS = [0x00ff00, 0xffff00, 0xff0000]
+
   _background
   _labels
   _values
+  _graph
+  _graphHeight
 
   _frameCount = 0
   _totalTime = 0
+  _frameTimes
+  _frameTimeIndex = 0
 
   _fps = 0
   _memory = 0
+  _textureMemory = 0
+  _bufferMemory = 0
+  _gpuTime = -1
   _drawCount = 0
+  _batchCount = 0
   _skipCount = 0
 
   /** Creates a new Statistics Box. */
@@ -32,8 +70,12 @@ export default class StatsDisplay extends Sprite {
     const fontSize = BitmapFont.NATIVE_SIZE
     const fontColor = 0xffffff
     const width = 90
-    const height = 27
-    const labels = 'FPS:\nSTDMEM:\nDRW:'
+    const height = 54
+    const graphHeight = 18
+    const labels = 'FPS:\nSTDMEM:\nGPUMEM:\nGPU:\nDRW:\nBAT:'
+
+    // the statistics are of no interest to assistive technology
+    this.accessibilityRole = 'none'
 
     this._labels = new TextField(width, height, labels)
     this._labels.format.setTo(fontName, fontSize, fontColor, Align.LEFT)
@@ -44,17 +86,31 @@ export default class StatsDisplay extends Sprite {
     this._values.format.setTo(fontName, fontSize, fontColor, Align.RIGHT)
     this._values.batchable = true
 
-    this._background = new Quad(width, height, 0x0)
+    this._background = new Quad(width, height + graphHeight, 0x0)
+    this._graph = new Sprite()
+    this._graph.y = height + graphHeight
+    this._graphHeight = graphHeight - 1
+    this._frameTimes = new Float32Array(StatsDisplay.NUM_GRAPH_BARS)
 
-    // make sure that rendering takes 2 draw calls
-    if (this._background.style.type !== MeshStyle)
-      this._background.style = new MeshStyle()
-    if (this._labels.style.type !== MeshStyle)
-      this._labels.style = new MeshStyle()
-    if (this._values.style.type !== MeshStyle)
-      this._values.style = new MeshStyle()
+    const barWidth = width / StatsDisplay.NUM_GRAPH_BARS
+    const meshes = [this._background, this._labels, this._values]
+
+    for (let i = 0; i < StatsDisplay.NUM_GRAPH_BARS; ++i) {
+      const bar = new Quad(barWidth, 1)
+      bar.x = i * barWidth
+      bar.pivotY = 1
+      bar.scaleY = 0
+      this._graph.addChild(bar)
+      meshes.push(bar)
+    }
+
+    // make sure that rendering takes 2 draw calls:
+    // one for the background and the graph, one for the text.
+    for (const mesh of meshes)
+      if (mesh.style.type !== MeshStyle) mesh.style = new MeshStyle()
 
     this.addChild(this._background)
+    this.addChild(this._graph)
     this.addChild(this._labels)
     this.addChild(this._values)
 
@@ -65,17 +121,30 @@ export default class StatsDisplay extends Sprite {
   onAddedToStage = () => {
     this.addEventListener(Event.ENTER_FRAME, this.onEnterFrame)
     this._totalTime = this._frameCount = this._skipCount = 0
+    this._frameTimes.fill(0)
+    this.setMeasureGPUTime(true)
     this.update()
   }
 
   onRemovedFromStage = () => {
     this.removeEventListener(Event.ENTER_FRAME, this.onEnterFrame)
+    this.setMeasureGPUTime(false)
+  }
+
+  setMeasureGPUTime(value) {
+    const starling = StarlingContextManager.current
+    if (starling && starling.painter) starling.painter.measureGPUTime = value
   }
 
   onEnterFrame = event => {
+    const { _frameTimes } = this
+
     this._totalTime += event.passedTime
     this._frameCount++
 
+    _frameTimes[this._frameTimeIndex] = event.passedTime
+    this._frameTimeIndex = (this._frameTimeIndex + 1) % _frameTimes.length
+
     if (this._totalTime > StatsDisplay.UPDATE_INTERVAL) {
       this.update()
       this._frameCount = this._skipCount = this._totalTime = 0
@@ -87,18 +156,62 @@ export default class StatsDisplay extends Sprite {
     this._background.color =
       this._skipCount > this._frameCount / 2 ? 0x003f00 : 0x0
     this._fps = this._totalTime > 0 ? this._frameCount / this._totalTime : 0
-    this._memory = window.performance
-      ? window.performance.memory.usedJSHeapSize * StatsDisplay.B_TO_MB
-      : ''
 
-    const fpsText = this._fps.toFixed(this._fps < 100 ? 1 : 0)
-    const memText = this._memory.toFixed(this._memory < 100 ? 1 : 0)
-    const drwText = (this._totalTime > 0
-      ? this._drawCount - 2
-      : this._drawCount
-    ).toString() // ignore self
+    // 'performance.memory' is a non-standard API of Chromium-based browsers
+    const { performance } = Environment.global
+    this._memory =
+      performance && performance.memory
+        ? performance.memory.usedJSHeapSize * StatsDisplay.B_TO_MB
+        : -1
+
+    this._textureMemory = ConcreteTexture.textureMemory * StatsDisplay.B_TO_MB
+    this._bufferMemory = Effect.bufferMemory * StatsDisplay.B_TO_MB
+
+    const ignoreSelf = this._totalTime > 0 ? 2 : 0
+    const fpsText = this.formatValue(this._fps)
+    const memText = this.formatValue(this._memory)
+    const gpuMemText = this.formatValue(
+      this._textureMemory + this._bufferMemory
+    )
+    const gpuText = this.formatValue(this._gpuTime)
+    const drwText = (this._drawCount - ignoreSelf).toString()
+    const batText = (this._batchCount - ignoreSelf).toString()
 
-    this._values.text = fpsText + '\n' + memText + '\n' + drwText
+    this._values.text = [
+      fpsText,
+      memText,
+      gpuMemText,
+      gpuText,
+      drwText,
+      batText
+    ].join('\n')
+
+    this.updateGraph()
+  }
+
+  /** Updates the bars of the frame time graph, the rightmost bar showing the most
+   *  recent frame. */
+  updateGraph() {
+    const { _frameTimes, _frameTimeIndex, _graphHeight } = this
+    const { GRAPH_MAX_FRAME_TIME, GRAPH_COLORS } = StatsDisplay
+    const numBars = _frameTimes.length
+    const targetFrameTime = 1 / 60 + 0.001
+
+    for (let i = 0; i < numBars; ++i) {
+      const bar = this._graph.getChildAt(i)
+      const frameTime = _frameTimes[(_frameTimeIndex + i) % numBars]
+      const colorIndex = Math.min(Math.floor(frameTime / targetFrameTime), 2)
+
+      bar.scaleY =
+        Math.min(frameTime / GRAPH_MAX_FRAME_TIME, 1.0) * _graphHeight
+      bar.color = GRAPH_COLORS[colorIndex]
+    }
+  }
+
+  // negative values are unknown
+  formatValue(value) {
+    if (value < 0) return '-'
+    else return value.toFixed(value < 100 ? 1 : 0)
   }
 
   /** Call this once in every frame that can skip rendering because nothing changed. */
@@ -125,6 +238,25 @@ export default class StatsDisplay extends Sprite {
     this._drawCount = value
   }
 
+  /** The number of mesh batches per frame. */
+  get batchCount() {
+    return this._batchCount
+  }
+
+  set batchCount(value) {
+    this._batchCount = value
+  }
+
+  /** The time in milliseconds the GPU needed to render a recent frame, or
+   *  <code>-1</code> if that's not available. */
+  get gpuTime() {
+    return this._gpuTime
+  }
+
+  set gpuTime(value) {
+    this._gpuTime = value
+  }
+
   /** The current frames per second (updated twice per second). */
   get fps() {
     return this._fps
@@ -134,7 +266,8 @@ export default class StatsDisplay extends Sprite {
     this._fps = value
   }
 
-  /** The currently used system memory in MB. */
+  /** The currently used system memory in MB, or <code>-1</code> if the browser doesn't
+   *  provide that information. */
   get memory() {
     return this._memory
   }
@@ -142,4 +275,14 @@ export default class StatsDisplay extends Sprite {
   set memory(value) {
     this._memory = value
   }
+
+  /** The estimated size of all textures in MB. */
+  get textureMemory() {
+    return this._textureMemory
+  }
+
+  /** The size of all vertex and index buffers of effects in MB. */
+  get bufferMemory() {
+    return this._bufferMemory
+  }
 }
@@ -6,14 +6,22 @@ import {
   DST_COLOR,
   ONE_MINUS_SRC_COLOR,
   DST_ALPHA,
-  SRC_ALPHA
+  SRC_ALPHA,
+  FUNC_ADD,
+  FUNC_SUBTRACT,
+  FUNC_REVERSE_SUBTRACT
 } from 'gl-constants'
+import StarlingContextManager from '../core/context-manager'
+
+// part of WebGL 2; WebGL 1 provides them via 'EXT_blend_minmax'
+const MIN = 0x8007
+const MAX = 0x8008
 
 /** A class that provides constant values for visual blend mode effects.
  *
- *  <p>A blend mode is always defined by two 'Context3DBlendFactor' values. A blend factor
- *  represents a particular four-value vector that is multiplied with the source or destination
- *  color in the blending formula. The blending formula is:</p>
+ *  <p>A blend mode is defined by two blend factors. A blend factor represents a particular
+ *  four-value vector that is multiplied with the source or destination color in the
+ *  blending formula. The default blending formula is:</p>
  *
  *  <pre>result = source × sourceFactor + destination × destinationFactor</pre>
  *
@@ -21,25 +29,61 @@ import {
  *  destination color is the color that currently exists in the color buffer, as set by
  *  previous clear and draw operations.</p>
  *
+ *  <p>Optionally, a blend mode may use a different blend equation (subtracting instead of
+ *  adding the products, or picking the minimum or maximum of source and destination, in
+ *  which case the factors are ignored). The alpha channel may be blended with factors and
+ *  an equation of its own.</p>
+ *
  *  <p>You can add your own blend modes via <code>BlendMode.register</code>.
  *  To get the math right, remember that all colors in Starling use premultiplied alpha (PMA),
  *  which means that their RGB values were multiplied with the alpha value.</p>
  *
- *  @see flash.display3D.Context3DBlendFactor
+ *  <p><strong>Advanced blend modes</strong></p>
+ *
+ *  <p>Modes like <code>OVERLAY</code> or <code>HUE</code> can't be expressed with blend
+ *  factors and equations. An object using one of them is drawn into a texture first; then,
+ *  the area of the render target behind the object (the backdrop) is copied into another
+ *  texture, and a shader combines both. That's a lot more expensive than a standard blend
+ *  mode, and it breaks batching, so use them sparingly. Advanced modes are added via
+ *  <code>BlendMode.registerAdvanced</code>.</p>
+ *
+ *  @see https://developer.mozilla.org/en-US/docs/Web/API/WebGLRenderingContext/blendFuncSeparate
+ *  @see https://developer.mozilla.org/en-US/docs/Web/API/WebGLRenderingContext/blendEquationSeparate
  */
 export default class BlendMode {
   _name
   _sourceFactor
   _destinationFactor
+  _equation
+  _sourceAlphaFactor
+  _destinationAlphaFactor
+  _alphaEquation
+  _blendFunction
+  _advancedID
 
   static sBlendModes
+  static sNumAdvancedModes = 0
 
   /** Creates a new BlendMode instance. Don't call this method directly; instead,
    *  register a new blend mode using <code>BlendMode.register</code>. */
-  constructor(name, sourceFactor, destinationFactor) {
+  constructor(
+    name,
+    sourceFactor,
+    destinationFactor,
+    equation = FUNC_ADD,
+    sourceAlphaFactor = sourceFactor,
+    destinationAlphaFactor = destinationFactor,
+    alphaEquation = equation
+  ) {
     this._name = name
     this._sourceFactor = sourceFactor
     this._destinationFactor = destinationFactor
+    this._equation = equation
+    this._sourceAlphaFactor = sourceAlphaFactor
+    this._destinationAlphaFactor = destinationAlphaFactor
+    this._alphaEquation = alphaEquation
+    this._blendFunction = null
+    this._advancedID = 0
   }
 
   /** Inherits the blend mode from this display object's parent. */
@@ -71,6 +115,79 @@ export default class BlendMode {
   /** Draws under/below existing objects; useful especially on RenderTextures. */
   static BELOW = 'below'
 
+  /** Keeps the darker of the colors of the display object and its background, per
+   *  channel. Requires an extra render pass. */
+  static DARKEN = 'darken'
+
+  /** Keeps the lighter of the colors of the display object and its background, per
+   *  channel. */
+  static LIGHTEN = 'lighten'
+
+  /** Subtracts the values of the colors of the display object from the colors of its
+   *  background. The alpha value of the background is not changed. */
+  static SUBTRACT = 'subtract'
+
+  /** Lightens or darkens the background, depending on its colors: multiplies dark and
+   *  screens light areas. Requires an extra render pass (see class documentation). */
+  static OVERLAY = 'overlay'
+
+  /** Multiplies or screens the colors, depending on the colors of the display object, as if
+   *  shining a harsh spotlight on the background. Requires an extra render pass. */
+  static HARD_LIGHT = 'hardLight'
+
+  /** Darkens or lightens the colors, depending on the colors of the display object, as if
+   *  shining a diffused spotlight on the background. Requires an extra render pass. */
+  static SOFT_LIGHT = 'softLight'
+
+  /** Brightens the background to reflect the colors of the display object.
+   *  Requires an extra render pass. */
+  static COLOR_DODGE = 'colorDodge'
+
+  /** Darkens the background to reflect the colors of the display object.
+   *  Requires an extra render pass. */
+  static COLOR_BURN = 'colorBurn'
+
+  /** Subtracts the darker of the colors of the display object and its background from the
+   *  lighter one. Requires an extra render pass. */
+  static DIFFERENCE = 'difference'
+
+  /** Like <code>DIFFERENCE</code>, but with lower contrast. Requires an extra render
+   *  pass. */
+  static EXCLUSION = 'exclusion'
+
+  /** Combines the hue of the display object with the saturation and luminosity of the
+   *  background. Requires an extra render pass. */
+  static HUE = 'hue'
+
+  /** Combines the saturation of the display object with the hue and luminosity of the
+   *  background. Requires an extra render pass. */
+  static SATURATION = 'saturation'
+
+  /** Combines the hue and saturation of the display object with the luminosity of the
+   *  background. Requires an extra render pass. */
+  static COLOR = 'color'
+
+  /** Combines the luminosity of the display object with the hue and saturation of the
+   *  background. Requires an extra render pass. */
+  static LUMINOSITY = 'luminosity'
+
+  /** The blend equation adding source and destination (the default). */
+  static EQUATION_ADD = FUNC_ADD
+
+  /** The blend equation subtracting the destination from the source. */
+  static EQUATION_SUBTRACT = FUNC_SUBTRACT
+
+  /** The blend equation subtracting the source from the destination. */
+  static EQUATION_REVERSE_SUBTRACT = FUNC_REVERSE_SUBTRACT
+
+  /** The blend equation picking the minimum of source and destination, ignoring the
+   *  blend factors. */
+  static EQUATION_MIN = MIN
+
+  /** The blend equation picking the maximum of source and destination, ignoring the
+   *  blend factors. */
+  static EQUATION_MAX = MAX
+
   // static access methods
 
   /** Returns the blend mode with the given name.
@@ -82,14 +199,85 @@ export default class BlendMode {
     else throw new Error('[ArgumentError] Blend mode not found: ' + modeName)
   }
 
-  /** Registers a blending mode under a certain name. */
-  static register(name, srcFactor, dstFactor) {
+  /** Registers a blending mode under a certain name.
+   *
+   *  <p>Only the name and the two factors are required; the remaining parameters allow to
+   *  use a different blend equation and to blend the alpha channel separately. For
+   *  example, this mode darkens the background by the alpha value of the object, while
+   *  leaving the alpha channel of the background untouched:</p>
+   *
+   *  <listing>
+   *  BlendMode.register('shade', GLC.ZERO, GLC.ONE_MINUS_SRC_ALPHA,
+   *      BlendMode.EQUATION_ADD, GLC.ZERO, GLC.ONE);</listing>
+   *
+   *  @param name       the name of the blend mode.
+   *  @param srcFactor  the factor the source color is multiplied with.
+   *  @param dstFactor  the factor the destination color is multiplied with.
+   *  @param equation   the blend equation combining source and destination, e.g.
+   *                    <code>BlendMode.EQUATION_REVERSE_SUBTRACT</code>.
+   *  @param srcAlphaFactor  the source factor of the alpha channel; the same as
+   *                    <code>srcFactor</code> if omitted.
+   *  @param dstAlphaFactor  the destination factor of the alpha channel; the same as
+   *                    <code>dstFactor</code> if omitted.
+   *  @param alphaEquation  the blend equation of the alpha channel; the same as
+   *                    <code>equation</code> if omitted.
+   */
+  static register(
+    name,
+    srcFactor,
+    dstFactor,
+    equation = FUNC_ADD,
+    srcAlphaFactor = srcFactor,
+    dstAlphaFactor = dstFactor,
+    alphaEquation = equation
+  ) {
     if (!BlendMode.sBlendModes) BlendMode.registerDefaults()
-    const blendMode = new BlendMode(name, srcFactor, dstFactor)
+    const blendMode = new BlendMode(
+      name,
+      srcFactor,
+      dstFactor,
+      equation,
+      srcAlphaFactor,
+      dstAlphaFactor,
+      alphaEquation
+    )
     BlendMode.sBlendModes[name] = blendMode
     return blendMode
   }
 
+  /** Registers an advanced blend mode, i.e. one that is computed by a shader, under a
+   *  certain name.
+   *
+   *  <p>The blend function is the GLSL body of a function
+   *  <code>vec3 blend(vec3 cb, vec3 cs)</code> that returns the blended color of the
+   *  backdrop (<code>cb</code>) and the display object (<code>cs</code>). Both colors are
+   *  passed without premultiplied alpha; the result is then composited with the backdrop
+   *  according to the alpha values. Besides the GLSL built-ins, the functions
+   *  <code>hardLight</code>, <code>softLight</code>, <code>colorDodge</code> and
+   *  <code>colorBurn</code> (each taking <code>(cb, cs)</code>), as well as
+   *  <code>lum</code>, <code>setLum</code>, <code>sat</code> and <code>setSat</code> may be
+   *  used. E.g., this is how the 'hue' mode is registered:</p>
+   *
+   *  <listing>
+   *  BlendMode.registerAdvanced('hue',
+   *      'return setLum(setSat(cs, sat(cb)), lum(cb));');</listing>
+   */
+  static registerAdvanced(name, blendFunction) {
+    const blendMode = BlendMode.register(name, ONE, ONE_MINUS_SRC_ALPHA)
+    blendMode._blendFunction = blendFunction
+    blendMode._advancedID = ++BlendMode.sNumAdvancedModes
+    return blendMode
+  }
+
+  /** Indicates if the blend mode with the given name is an advanced one, i.e. if objects
+   *  using it need to be composited with their backdrop by a shader. Returns
+   *  <code>false</code> for unknown names. */
+  static isAdvanced(modeName) {
+    if (!BlendMode.sBlendModes) BlendMode.registerDefaults()
+    const blendMode = BlendMode.sBlendModes[modeName]
+    return blendMode ? blendMode.isAdvanced : false
+  }
+
   static registerDefaults() {
     const { register } = BlendMode
     if (BlendMode.sBlendModes) return
@@ -104,16 +292,44 @@ export default class BlendMode {
     register('erase', ZERO, ONE_MINUS_SRC_ALPHA)
     register('mask', ZERO, SRC_ALPHA)
     register('below', ONE_MINUS_DST_ALPHA, DST_ALPHA)
+    register('lighten', ONE, ONE, MAX, ONE, ONE_MINUS_SRC_ALPHA, FUNC_ADD)
+    register('subtract', ONE, ONE, FUNC_REVERSE_SUBTRACT, ZERO, ONE, FUNC_ADD)
+
+    const { registerAdvanced } = BlendMode
+
+    registerAdvanced('darken', 'return min(cb, cs);')
+    registerAdvanced('overlay', 'return hardLight(cs, cb);')
+    registerAdvanced('hardLight', 'return hardLight(cb, cs);')
+    registerAdvanced('softLight', 'return softLight(cb, cs);')
+    registerAdvanced('colorDodge', 'return colorDodge(cb, cs);')
+    registerAdvanced('colorBurn', 'return colorBurn(cb, cs);')
+    registerAdvanced('difference', 'return abs(cb - cs);')
+    registerAdvanced('exclusion', 'return cb + cs - 2.0 * cb * cs;')
+    registerAdvanced('hue', 'return setLum(setSat(cs, sat(cb)), lum(cb));')
+    registerAdvanced(
+      'saturation',
+      'return setLum(setSat(cb, sat(cs)), lum(cb));'
+    )
+    registerAdvanced('color', 'return setLum(cs, lum(cb));')
+    registerAdvanced('luminosity', 'return setLum(cb, lum(cs));')
   }
 
   // instance methods / properties
 
-  /** Sets the appropriate blend factors for source and destination on the current context. */
+  /** Sets the appropriate blend factors and equations for source and destination on the
+   *  current context. Advanced blend modes activate standard blending, which is how their
+   *  (already composited) output is drawn. */
   activate() {
-    const gl = window.StarlingContextManager.current.context
+    const gl = StarlingContextManager.current.context
 
     gl.enable(gl.BLEND)
-    gl.blendFunc(this._sourceFactor, this._destinationFactor)
+    gl.blendEquationSeparate(this._equation, this._alphaEquation)
+    gl.blendFuncSeparate(
+      this._sourceFactor,
+      this._destinationFactor,
+      this._sourceAlphaFactor,
+      this._destinationAlphaFactor
+    )
   }
 
   /** Returns the name of the blend mode. */
@@ -131,6 +347,42 @@ export default class BlendMode {
     return this._destinationFactor
   }
 
+  /** The blend equation of this blend mode. @default EQUATION_ADD */
+  get equation() {
+    return this._equation
+  }
+
+  /** The source blend factor of the alpha channel. */
+  get sourceAlphaFactor() {
+    return this._sourceAlphaFactor
+  }
+
+  /** The destination blend factor of the alpha channel. */
+  get destinationAlphaFactor() {
+    return this._destinationAlphaFactor
+  }
+
+  /** The blend equation of the alpha channel. */
+  get alphaEquation() {
+    return this._alphaEquation
+  }
+
+  /** Indicates if this is an advanced blend mode, i.e. one that's computed by a shader. */
+  get isAdvanced() {
+    return this._blendFunction !== null
+  }
+
+  /** The GLSL code computing an advanced blend mode; <code>null</code> for standard ones.
+   *  @see #registerAdvanced() */
+  get blendFunction() {
+    return this._blendFunction
+  }
+
+  /** @private A unique number identifying an advanced blend mode; used as program variant. */
+  get advancedID() {
+    return this._advancedID
+  }
+
   /** Returns the name of the blend mode. */
   get name() {
     return this._name
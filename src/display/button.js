@@ -6,7 +6,9 @@ import Image from './image'
 import Event from '../events/event'
 import TouchPhase from '../events/touch-phase'
 import TouchEvent from '../events/touch-event'
+import KeyboardEvent from '../events/keyboard-event'
 import TextField from '../text/text-field'
+import MouseCursor from '../utils/mouse-cursor'
 
 /** A simple button composed of an image and, optionally, text.
  *
@@ -20,6 +22,9 @@ import TextField from '../text/text-field'
  *  <p>To react on touches on a button, there is special <code>Event.TRIGGERED</code> event.
  *  Use this event instead of normal touch events. That way, users can cancel button
  *  activation by moving the mouse/finger away from the button before releasing.</p>
+ *
+ *  <p>Buttons are <code>focusable</code> (while they are enabled). A button that has the
+ *  focus is triggered by pressing Enter, or by pressing and releasing Space.</p>
  */
 export default class Button extends DisplayObjectContainer {
   static MAX_DRAG_DIST = 50
@@ -79,7 +84,11 @@ export default class Button extends DisplayObjectContainer {
     this._contents.addChild(this._body)
     this.addChild(this._contents)
     this.addEventListener(TouchEvent.TOUCH, this.onTouch)
+    this.addEventListener(KeyboardEvent.KEY_DOWN, this.onKey)
+    this.addEventListener(KeyboardEvent.KEY_UP, this.onKey)
+    this.addEventListener(Event.FOCUS_OUT, this.onFocusOut)
 
+    this.focusable = true
     this.touchGroup = true
     this.text = text
   }
@@ -132,10 +141,6 @@ export default class Button extends DisplayObjectContainer {
   }
 
   onTouch = event => {
-    // todo: make it work
-    //Mouse.cursor = (_useHandCursor && _enabled && event.interactsWith(this)) ?
-    //    MouseCursor.BUTTON : MouseCursor.AUTO;
-
     const { _state, stage, _triggerBounds, _enabled } = this
     const touch = event.getTouch(this)
     let isWithinBounds
@@ -175,6 +180,35 @@ export default class Button extends DisplayObjectContainer {
     }
   }
 
+  onKey = event => {
+    if (!this._enabled || event.target !== this) return
+
+    if (event.key === 'Enter') {
+      if (event.type === KeyboardEvent.KEY_DOWN)
+        this.dispatchEventWith(Event.TRIGGERED, true)
+    } else if (event.key === ' ' || event.key === 'Spacebar') {
+      // like a native button, it's triggered on release; that's also when
+      // the default action (scrolling the page) would happen.
+      if (event.type === KeyboardEvent.KEY_DOWN) {
+        this.state = ButtonState.DOWN
+      } else if (this._state === ButtonState.DOWN) {
+        this.state = ButtonState.UP
+        this.dispatchEventWith(Event.TRIGGERED, true)
+      }
+    } else return
+
+    event.preventDefault()
+  }
+
+  onFocusOut = event => {
+    if (
+      event.target === this &&
+      this._enabled &&
+      this._state === ButtonState.DOWN
+    )
+      this.state = ButtonState.UP
+  }
+
   /** The current state of the button. The corresponding strings are found
    *  in the ButtonState class. */
   get state() {
@@ -276,9 +310,22 @@ export default class Button extends DisplayObjectContainer {
     if (this._enabled !== value) {
       this._enabled = value
       this.state = value ? ButtonState.UP : ButtonState.DISABLED
+
+      const { stage } = this
+      if (!value && stage && stage.focus === this) stage.focus = null
     }
   }
 
+  /** Indicates if the button can receive the keyboard focus. Disabled buttons can't,
+   *  regardless of this value. @default true */
+  get focusable() {
+    return this._focusable && this._enabled
+  }
+
+  set focusable(value) {
+    super.focusable = value
+  }
+
   /** The text that is displayed on the button. */
   get text() {
     return this._textField ? this._textField.text : ''
@@ -440,6 +487,17 @@ export default class Button extends DisplayObjectContainer {
     this._useHandCursor = value
   }
 
+  /** The mouse cursor that's displayed while the mouse is over the button. If
+   *  <code>null</code>, a disabled button shows the default cursor. @default null */
+  get cursor() {
+    const cursor = super.cursor
+    return cursor == null && !this._enabled ? MouseCursor.AUTO : cursor
+  }
+
+  set cursor(value) {
+    super.cursor = value
+  }
+
   /** Controls whether or not the instance snaps to the nearest pixel. This can prevent the
    *  object from looking blurry when it's not exactly aligned with the pixels of the screen.
    *  @default true */
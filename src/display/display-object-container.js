@@ -1,4 +1,5 @@
 import DisplayObject from './display-object'
+import BlendMode from './blend-mode'
 
 import Matrix from '../math/matrix'
 import Point from '../math/point'
@@ -7,9 +8,12 @@ import Rectangle from '../math/rectangle'
 import Event from '../events/event'
 
 import BatchToken from '../rendering/batch-token'
+import InstancedQuadBatch from '../rendering/instanced-quad-batch'
 
 import MatrixUtil from '../utils/matrix-util'
 
+import FrameProfiler from '../core/frame-profiler'
+
 /**
  *  A DisplayObjectContainer represents a collection of display objects.
  *  It is the base class of all display objects that act as a container for other objects. By
@@ -52,6 +56,8 @@ export default class DisplayObjectContainer extends DisplayObject {
 
   _children
   _touchGroup
+  _instanced
+  _instancedBatch
 
   // helper objects
   static sHelperMatrix = new Matrix()
@@ -73,6 +79,8 @@ export default class DisplayObjectContainer extends DisplayObject {
     //}
 
     this._children = []
+    this._instanced = false
+    this._instancedBatch = null
   }
 
   /** Disposes the resources of all children. */
@@ -80,6 +88,11 @@ export default class DisplayObjectContainer extends DisplayObject {
     for (let i = this._children.length - 1; i >= 0; --i)
       this._children[i].dispose()
 
+    if (this._instancedBatch) {
+      this._instancedBatch.dispose()
+      this._instancedBatch = null
+    }
+
     super.dispose()
   }
 
@@ -324,11 +337,17 @@ export default class DisplayObjectContainer extends DisplayObject {
 
   /** @inheritDoc */
   render(painter) {
+    if (this._instanced && painter.instancingSupported) {
+      this.renderInstanced(painter)
+      return
+    }
+
     const numChildren = this._children.length
     const frameID = painter.frameID
     const cacheEnabled = frameID !== 0
     const selfOrParentChanged = this._lastParentOrSelfChangeFrameID === frameID
 
+    FrameProfiler.begin('DisplayObjectContainer.render', this)
     painter.pushState()
 
     for (let i = 0; i < numChildren; ++i) {
@@ -353,7 +372,6 @@ export default class DisplayObjectContainer extends DisplayObject {
         } else {
           const pushToken = cacheEnabled ? child._pushToken : null
           const popToken = cacheEnabled ? child._popToken : null
-          const filter = child._filter
           const mask = child._mask
 
           painter.fillToken(pushToken)
@@ -365,8 +383,7 @@ export default class DisplayObjectContainer extends DisplayObject {
 
           if (mask) painter.drawMask(mask, child)
 
-          if (filter) filter.render(painter)
-          else child.render(painter)
+          painter.renderObject(child)
 
           if (mask) painter.eraseMask(mask, child)
 
@@ -378,6 +395,68 @@ export default class DisplayObjectContainer extends DisplayObject {
     }
 
     painter.popState()
+    FrameProfiler.end()
+  }
+
+  // Draws runs of instanceable children with one instanced draw call each; all other
+  // children are rendered one by one, just like without instancing (but uncached).
+  renderInstanced(painter) {
+    const children = this._children
+    const numChildren = children.length
+    const parentBlendMode = painter.state.blendMode
+
+    if (!this._instancedBatch) this._instancedBatch = new InstancedQuadBatch()
+
+    const batch = this._instancedBatch
+
+    FrameProfiler.begin('DisplayObjectContainer.renderInstanced', this)
+    painter.excludeFromCache(this)
+    painter.pushState()
+    batch.clear()
+
+    for (let i = 0; i < numChildren; ++i) {
+      const child = children[i]
+
+      if (!child._hasVisibleArea) continue
+
+      if (InstancedQuadBatch.isInstanceable(child)) {
+        const blendMode =
+          child.blendMode === BlendMode.AUTO ? parentBlendMode : child.blendMode
+
+        if (!batch.canAddQuad(child, blendMode)) {
+          batch.render(painter)
+          batch.clear()
+        }
+
+        batch.addQuad(child, child.transformationMatrix, child.alpha, blendMode)
+      } else {
+        const mask = child._mask
+
+        batch.render(painter)
+        batch.clear()
+
+        painter.setStateTo(
+          child.transformationMatrix,
+          child.alpha,
+          child.blendMode
+        )
+
+        if (mask) painter.drawMask(mask, child)
+
+        painter.renderObject(child)
+
+        if (mask) painter.eraseMask(mask, child)
+
+        // the instances are drawn with the state of the container
+        painter.restoreState()
+      }
+    }
+
+    batch.render(painter)
+    batch.clear()
+
+    painter.popState()
+    FrameProfiler.end()
   }
 
   /** Dispatches an event on all children (recursively). The event must not bubble. */
@@ -431,6 +510,31 @@ export default class DisplayObjectContainer extends DisplayObject {
     this._touchGroup = value
   }
 
+  /** Indicates if quads and images among the children are drawn with instanced
+   *  rendering. Each run of consecutive children that share texture, texture settings and
+   *  blend mode is then drawn with a single call, without copying their vertices; that's
+   *  much faster for containers with thousands of quads, e.g. particles or sprites in a
+   *  benchmark.
+   *
+   *  <p>Only the direct children are affected, and only if they are quads or images with
+   *  the standard <code>MeshStyle</code>, the same color on all vertices, and no filter or
+   *  mask; all other children are rendered as usual. Instancing requires WebGL 2 or the
+   *  <code>ANGLE_instanced_arrays</code> extension; if neither is available, this property
+   *  has no effect. Since the children are neither batched with other objects nor drawn
+   *  from the render cache, enable it only when there are lots of them.</p>
+   *
+   *  @default false */
+  get instanced() {
+    return this._instanced
+  }
+
+  set instanced(value) {
+    if (this._instanced !== value) {
+      this._instanced = value
+      this.setRequiresRedraw()
+    }
+  }
+
   // helpers
 
   static mergeSort(input, compareFunc, startIndex, length, buffer) {
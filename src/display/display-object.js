@@ -1,7 +1,6 @@
 import BlendMode from './blend-mode'
 import EventDispatcher from '../events/event-dispatcher'
 import Event from '../events/event'
-import TouchEvent from '../events/touch-event'
 import AbstractMethodError from '../errors/abstract-method-error'
 import Align from '../utils/align'
 import Point from '../math/point'
@@ -12,6 +11,7 @@ import Matrix3D from '../math/matrix3d'
 import BatchToken from '../rendering/batch-token'
 import MathUtil from '../utils/math-util'
 import MatrixUtil from '../utils/matrix-util'
+import StarlingContextManager from '../core/context-manager'
 
 export default class DisplayObject extends EventDispatcher {
   static sAncestors = []
@@ -37,9 +37,13 @@ export default class DisplayObject extends EventDispatcher {
   _alpha = 1.0
   _visible = true
   _touchable = true
+  _focusable = false
   _blendMode = 'auto' // todo: add enum
   _name
+  _accessibilityName = null
+  _accessibilityRole = null
   _useHandCursor
+  _cursor = null
   _transformationMatrix = new Matrix()
   _transformationMatrix3D
   _transformationChanged
@@ -56,6 +60,7 @@ export default class DisplayObject extends EventDispatcher {
   _filter
   _mask
   _maskInverted = false
+  _blendModeFilter = null // created by the painter for advanced blend modes
 
   constructor() {
     // todo: find eqq
@@ -76,9 +81,10 @@ export default class DisplayObject extends EventDispatcher {
   /** Disposes all resources of the display object.
    * GPU buffers are released, event listeners are removed, filters and masks are disposed. */
   dispose() {
-    const { _filter, _mask } = this
+    const { _filter, _mask, _blendModeFilter } = this
     if (_filter) _filter.dispose()
     if (_mask) _mask.dispose()
+    if (_blendModeFilter) _blendModeFilter.dispose()
     this.removeEventListeners()
     this.mask = null // clear 'mask._maskee', just to be sure.
   }
@@ -436,7 +442,7 @@ export default class DisplayObject extends EventDispatcher {
   setRequiresRedraw() {
     const { _parent, _maskee, _alpha, _scaleX, _scaleY, _visible } = this
     let parent = _parent || _maskee
-    const frameID = window.StarlingContextManager.current.frameID
+    const frameID = StarlingContextManager.current.frameID
 
     this._lastParentOrSelfChangeFrameID = frameID
 
@@ -457,7 +463,7 @@ export default class DisplayObject extends EventDispatcher {
    *  changed its location relative to the stage or some other aspect of its appearance
    *  since it was last rendered. */
   get requiresRedraw() {
-    const frameID = window.StarlingContextManager.current.frameID
+    const frameID = StarlingContextManager.current.frameID
     return (
       this._lastParentOrSelfChangeFrameID === frameID ||
       this._lastChildChangeFrameID === frameID
@@ -632,11 +638,11 @@ export default class DisplayObject extends EventDispatcher {
   }
 
   addEnterFrameListenerToStage() {
-    window.StarlingContextManager.current.stage.addEnterFrameListener(this)
+    StarlingContextManager.current.stage.addEnterFrameListener(this)
   }
 
   removeEnterFrameListenerFromStage() {
-    window.StarlingContextManager.current.stage.removeEnterFrameListener(this)
+    StarlingContextManager.current.stage.removeEnterFrameListener(this)
   }
 
   // properties
@@ -762,26 +768,29 @@ export default class DisplayObject extends EventDispatcher {
     return this._is3D
   }
 
-  /** Indicates if th e mouse cursor should transform into a hand while it's over the sprite.
-   *  @default false */
+  /** Indicates if the mouse cursor should transform into a hand while it's over the sprite.
+   *  An explicitly set <code>cursor</code> takes precedence. @default false */
   get useHandCursor() {
     return this._useHandCursor
   }
 
   set useHandCursor(value) {
-    if (value === this._useHandCursor) return
     this._useHandCursor = value
+  }
 
-    if (this._useHandCursor)
-      this.addEventListener(TouchEvent.TOUCH, this.onTouch)
-    else this.removeEventListener(TouchEvent.TOUCH, this.onTouch)
+  /** The mouse cursor that's displayed while the mouse is over the object: either a CSS
+   *  cursor name (see the <code>MouseCursor</code> class for the most common ones) or a
+   *  texture. If <code>null</code>, the cursor of the closest ancestor with a cursor (or
+   *  with <code>useHandCursor</code> enabled) is used. @default null
+   *
+   *  @see starling.utils.MouseCursor */
+  get cursor() {
+    return this._cursor
   }
 
-  //onTouch(event)
-  //{
-  //    // todo: handle touch
-  //    Mouse.cursor = event.interactsWith(this) ? MouseCursor.BUTTON : MouseCursor.AUTO;
-  //}
+  set cursor(value) {
+    this._cursor = value
+  }
 
   /** The bounds of the object relative to the local coordinates of the parent. */
   get bounds() {
@@ -998,7 +1007,23 @@ export default class DisplayObject extends EventDispatcher {
     this._touchable = value
   }
 
+  /** Indicates if this object can receive the keyboard focus, i.e. become the
+   *  <code>focus</code> of the stage, either by being touched or via the Tab key.
+   *  @default false */
+  get focusable() {
+    return this._focusable
+  }
+
+  set focusable(value) {
+    this._focusable = value
+
+    const { stage } = this
+    if (!value && stage && stage.focus === this) stage.focus = null
+  }
+
   /** The blend mode determines how the object is blended with the objects underneath.
+   *  Advanced blend modes (like <code>BlendMode.OVERLAY</code>) are supported, too; however,
+   *  they are rendered in an extra pass that can't be batched.
    *   @default auto
    *   @see starling.display.BlendMode */
   get blendMode() {
@@ -1009,6 +1034,11 @@ export default class DisplayObject extends EventDispatcher {
     if (value !== this._blendMode) {
       this._blendMode = value
       this.setRequiresRedraw()
+
+      if (this._blendModeFilter && !BlendMode.isAdvanced(value)) {
+        this._blendModeFilter.dispose()
+        this._blendModeFilter = null
+      }
     }
   }
 
@@ -1022,6 +1052,30 @@ export default class DisplayObject extends EventDispatcher {
     this._name = value
   }
 
+  /** The name under which assistive technology (like a screen reader) announces the
+   *  object. Besides buttons and text fields, only objects with an accessibility name are
+   *  mirrored by the <code>AccessibilityManager</code>. @default null
+   *
+   *  @see starling.core.AccessibilityManager */
+  get accessibilityName() {
+    return this._accessibilityName
+  }
+
+  set accessibilityName(value) {
+    this._accessibilityName = value
+  }
+
+  /** The ARIA role under which assistive technology announces the object, e.g.
+   *  <code>"heading"</code> or <code>"link"</code>. If <code>null</code>, the role
+   *  is derived from the object's type. @default null */
+  get accessibilityRole() {
+    return this._accessibilityRole
+  }
+
+  set accessibilityRole(value) {
+    this._accessibilityRole = value
+  }
+
   /** The filter that is attached to the display object. The <code>starling.filters</code>
    *  package contains several classes that define specific filters you can use. To combine
    *  several filters, assign an instance of the <code>FilterChain</code> class; to remove
@@ -240,7 +240,10 @@ export default class MeshBatch extends Mesh {
     if (this._effect) this._effect.dispose()
 
     this._effect = this.style.createEffect()
-    this._effect.onRestore = this.setVertexAndIndexDataChanged
+    this._effect.onRestore = () => {
+      this.setVertexAndIndexDataChanged()
+      if (this._parent) this.setRequiresRedraw()
+    }
 
     this.setVertexAndIndexDataChanged() // we've got a new set of buffers!
   }
@@ -25,13 +25,15 @@ import EnterFrameEvent from '../events/enter-frame-event'
  *
  *  <strong>Keyboard Events</strong>
  *
- *  <p>In Starling, keyboard events are only dispatched at the stage. Add an event listener
- *  directly to the stage to be notified of keyboard events.</p>
+ *  <p>Keyboard events are dispatched at the display object that has the focus (see
+ *  <code>focus</code>); from there, they bubble up to the stage. If no object has the
+ *  focus, they are dispatched at the stage directly. Thus, add an event listener to the
+ *  stage to be notified of all keyboard events.</p>
  *
  *  <strong>Resize Events</strong>
  *
- *  <p>When the Flash player is resized, the stage dispatches a <code>ResizeEvent</code>. The
- *  event contains properties containing the updated width and height of the Flash player.</p>
+ *  <p>When the canvas is resized, the stage dispatches a <code>ResizeEvent</code>. The
+ *  event contains properties containing the updated width and height of the canvas.</p>
  *
  *  @see starling.events.KeyboardEvent
  *  @see starling.events.ResizeEvent
@@ -46,6 +48,7 @@ export default class Stage extends DisplayObjectContainer {
   _cameraPosition
   _enterFrameEvent
   _enterFrameListeners
+  _focus = null
 
   // helper objects
   static sMatrix = new Matrix()
@@ -65,6 +68,10 @@ export default class Stage extends DisplayObjectContainer {
     this._enterFrameListeners = []
   }
 
+  onFocusRemoved = () => {
+    this.focus = null
+  }
+
   /** @inheritDoc */
   advanceTime(passedTime) {
     this._enterFrameEvent.reset(Event.ENTER_FRAME, false, passedTime)
@@ -345,4 +352,43 @@ export default class Stage extends DisplayObjectContainer {
   get cameraPosition() {
     return this.getCameraPosition(null, this._cameraPosition)
   }
+
+  /** The display object that has the keyboard focus, or <code>null</code>. Keyboard
+   *  events are dispatched at this object.
+   *
+   *  <p>Only <code>focusable</code> objects that are part of the stage can receive the
+   *  focus. When the focus changes, the previous object dispatches an
+   *  <code>Event.FOCUS_OUT</code>, the new one an <code>Event.FOCUS_IN</code>; both
+   *  bubble and reference the respective other object in their <code>data</code>
+   *  property. An object that is removed from the stage loses the focus.</p>
+   *
+   *  @see starling.events.FocusManager
+   */
+  get focus() {
+    return this._focus
+  }
+
+  set focus(value) {
+    const previous = this._focus
+    if (value === previous) return
+
+    if (value && (!value.focusable || value.stage !== this))
+      throw new Error(
+        '[ArgumentError] Only focusable objects on the stage can receive the focus'
+      )
+
+    if (previous)
+      previous.removeEventListener(
+        Event.REMOVED_FROM_STAGE,
+        this.onFocusRemoved
+      )
+
+    this._focus = value
+
+    if (value)
+      value.addEventListener(Event.REMOVED_FROM_STAGE, this.onFocusRemoved)
+
+    if (previous) previous.dispatchEventWith(Event.FOCUS_OUT, true, value)
+    if (value) value.dispatchEventWith(Event.FOCUS_IN, true, previous)
+  }
 }
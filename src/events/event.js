@@ -30,19 +30,33 @@ export default class Event {
   static REMOVED_FROM_STAGE = 'removedFromStage'
   /** Event type for a triggered button. */
   static TRIGGERED = 'triggered'
-  /** Event type for a resized Flash Player. */
+  /** Event type for a resized canvas. */
   static RESIZE = 'resize'
+  /** Event type for a display object that received the keyboard focus. */
+  static FOCUS_IN = 'focusIn'
+  /** Event type for a display object that lost the keyboard focus. */
+  static FOCUS_OUT = 'focusOut'
+  /** Event type that is dispatched by the Starling instance when the application gains
+   *  the focus and is visible (again). */
+  static ACTIVATE = 'activate'
+  /** Event type that is dispatched by the Starling instance when the application loses
+   *  the focus or is hidden, e.g. because the user switched to another tab. */
+  static DEACTIVATE = 'deactivate'
   /** Event type that may be used whenever something finishes. */
   static COMPLETE = 'complete'
   /** Event type for a (re)created stage3D rendering context. */
   static CONTEXT3D_CREATE = 'context3DCreate'
   /** Event type that is dispatched by the Starling instance directly before rendering. */
   static RENDER = 'render'
+  /** Event type that is dispatched by the Starling instance when it skips rendering a
+   *  frame, because <code>skipUnchangedFrames</code> is enabled and nothing changed. */
+  static SKIP_FRAME = 'skipFrame'
   /** Event type that indicates that the root DisplayObject has been created. */
   static ROOT_CREATED = 'rootCreated'
   /** Event type for an animated object that requests to be removed from the juggler. */
   static REMOVE_FROM_JUGGLER = 'removeFromJuggler'
-  /** Event type that is dispatched by the AssetManager after a context loss. */
+  /** Event type that is dispatched by the Starling instance after a context loss,
+   *  once all textures have been restored. */
   static TEXTURES_RESTORED = 'texturesRestored'
   /** Event type that is dispatched by the AssetManager when a file/url cannot be loaded. */
   static IO_ERROR = 'ioError'
@@ -0,0 +1,118 @@
+import KeyboardEvent from './keyboard-event'
+import TouchEvent from './touch-event'
+import TouchPhase from './touch-phase'
+import DisplayObjectContainer from '../display/display-object-container'
+
+/** The FocusManager decides which display object receives keyboard input.
+ *
+ *  <p>The object with the focus is stored in the <code>focus</code> property of the stage.
+ *  Only objects that are <code>focusable</code> may receive it. The focus changes when:</p>
+ *
+ *  <ul>
+ *    <li>an object is touched: the focus moves to the touched object or its closest
+ *        focusable ancestor (or is removed, if there is none),</li>
+ *    <li>the Tab key is pressed: the focus moves to the next focusable object in the order
+ *        of the display list (Shift-Tab: the previous one),</li>
+ *    <li>it is assigned manually, via <code>stage.focus</code>.</li>
+ *  </ul>
+ *
+ *  <p>When Tab is pressed on the last focusable object, the focus is removed and the
+ *  browser moves it on to the next element of the page. To keep the focus within
+ *  Starling instead, prevent the default of that KeyboardEvent.</p>
+ *
+ *  <p>You don't have to create a FocusManager yourself; Starling does that. It's
+ *  available via <code>Starling.focusManager</code>.</p>
+ */
+export default class FocusManager {
+  /** The value of <code>KeyboardEvent.key</code> that moves the focus. */
+  static TAB_KEY = 'Tab'
+
+  // helper objects
+  static sFocusables = []
+
+  _stage
+
+  /** Creates a new FocusManager for the given stage. */
+  constructor(stage) {
+    this._stage = stage
+    this._stage.addEventListener(TouchEvent.TOUCH, this.onTouch)
+  }
+
+  /** Removes all event handlers on the stage. */
+  dispose() {
+    this._stage.removeEventListener(TouchEvent.TOUCH, this.onTouch)
+  }
+
+  /** Dispatches a keyboard event at the object with the focus, from where it bubbles up
+   *  to the stage (or at the stage, if no object has the focus). Afterwards, the Tab key
+   *  moves the focus, unless the event's default was prevented. */
+  dispatchKeyboardEvent(event) {
+    const target = this._stage.focus || this._stage
+    target.dispatchEvent(event)
+
+    if (
+      event.type === KeyboardEvent.KEY_DOWN &&
+      event.key === FocusManager.TAB_KEY &&
+      !event.ctrlKey &&
+      !event.altKey &&
+      !event.isDefaultPrevented()
+    ) {
+      if (this.moveFocus(event.shiftKey ? -1 : 1)) event.preventDefault()
+    }
+  }
+
+  /** Moves the focus to the next (<code>direction &gt; 0</code>) or previous
+   *  (<code>direction &lt; 0</code>) focusable and visible object on the stage, in the
+   *  order in which the display list is rendered. Without a current focus, the first or
+   *  last object is focused, respectively.
+   *
+   *  @return <code>false</code> if there is no such object; in that case, the focus is
+   *          removed.
+   */
+  moveFocus(direction = 1) {
+    const { _stage } = this
+    const { sFocusables } = FocusManager
+
+    this.collectFocusables(_stage, sFocusables)
+
+    const index = sFocusables.indexOf(_stage.focus)
+    let nextIndex
+
+    if (index === -1) nextIndex = direction > 0 ? 0 : sFocusables.length - 1
+    else nextIndex = index + (direction > 0 ? 1 : -1)
+
+    const target = sFocusables[nextIndex] || null
+    sFocusables.length = 0
+
+    _stage.focus = target
+    return target !== null
+  }
+
+  /** Adds all visible, focusable descendants of the given object to the given array. */
+  collectFocusables(object, out) {
+    if (!object.visible) return
+    if (object.focusable && object !== this._stage) out[out.length] = object
+
+    if (object instanceof DisplayObjectContainer) {
+      const numChildren = object.numChildren
+
+      for (let i = 0; i < numChildren; ++i)
+        this.collectFocusables(object.getChildAt(i), out)
+    }
+  }
+
+  onTouch = event => {
+    const touch = event.getTouch(this._stage, TouchPhase.BEGAN)
+    if (!touch) return
+
+    let target = touch.target
+    while (target && !target.focusable) target = target.parent
+
+    this._stage.focus = target
+  }
+
+  /** The stage whose focus is managed. */
+  get stage() {
+    return this._stage
+  }
+}
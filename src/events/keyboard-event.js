@@ -5,10 +5,12 @@ import Event from './event'
  *  <p>This is Starling's version of the Flash KeyboardEvent class. It contains the same
  *  properties as the Flash equivalent.</p>
  *
- *  <p>To be notified of keyboard events, add an event listener to any display object that
- *  is part of your display tree. Starling has no concept of a "Focus" like native Flash.</p>
+ *  <p>Keyboard events are dispatched at the display object that has the focus (see
+ *  <code>Stage.focus</code>) and bubble up from there. To be notified of all keyboard
+ *  events, add an event listener to the stage.</p>
  *
  *  @see starling.display.Stage
+ *  @see starling.events.FocusManager
  */
 export default class KeyboardEvent extends Event {
   /** Event type for a key that was released. */
@@ -35,7 +37,7 @@ export default class KeyboardEvent extends Event {
     altKey = false,
     shiftKey = false
   ) {
-    super(type, false, key)
+    super(type, true, key)
     this._charCode = charCode
     this._key = key
     this._keyLocation = keyLocation
@@ -0,0 +1,139 @@
+import Event from './event'
+import Point from '../math/point'
+
+/** A MouseEvent is dispatched for mouse input that can't be represented by a Touch:
+ *  the mouse wheel and the right and middle mouse buttons.
+ *
+ *  <p>The left mouse button is handled like a finger, i.e. it causes TouchEvents. All other
+ *  mouse input is dispatched as a MouseEvent on the display object under the cursor; from
+ *  there, the event bubbles up the display list.</p>
+ *
+ *  <listing>
+ *  map.addEventListener(MouseEvent.MOUSE_WHEEL, event => {
+ *      map.scale *= event.deltaY > 0 ? 0.9 : 1.1;
+ *      event.preventDefault(); // don't scroll the page
+ *  });</listing>
+ *
+ *  <p>Calling <code>preventDefault()</code> on a wheel event keeps the browser from
+ *  scrolling the page; on an event of the right mouse button, it keeps the browser from
+ *  showing its context menu.</p>
+ *
+ *  @see TouchEvent
+ */
+export default class MouseEvent extends Event {
+  /** Event type for a rotated mouse wheel (or a scrolling touchpad). */
+  static MOUSE_WHEEL = 'mouseWheel'
+
+  /** Event type for a pressed right mouse button. */
+  static RIGHT_MOUSE_DOWN = 'rightMouseDown'
+
+  /** Event type for a released right mouse button. */
+  static RIGHT_MOUSE_UP = 'rightMouseUp'
+
+  /** Event type for a right mouse button that was pressed and released over the same
+   *  object. */
+  static RIGHT_CLICK = 'rightClick'
+
+  /** Event type for a pressed middle mouse button. */
+  static MIDDLE_MOUSE_DOWN = 'middleMouseDown'
+
+  /** Event type for a released middle mouse button. */
+  static MIDDLE_MOUSE_UP = 'middleMouseUp'
+
+  /** Event type for a middle mouse button that was pressed and released over the same
+   *  object. */
+  static MIDDLE_CLICK = 'middleClick'
+
+  static sHelperPoint = new Point()
+
+  _globalX
+  _globalY
+  _deltaX
+  _deltaY
+  _ctrlKey
+  _altKey
+  _shiftKey
+  _isDefaultPrevented
+
+  /** Creates a new MouseEvent. The event always bubbles. */
+  constructor(
+    type,
+    globalX,
+    globalY,
+    deltaX = 0,
+    deltaY = 0,
+    ctrlKey = false,
+    altKey = false,
+    shiftKey = false
+  ) {
+    super(type, true)
+    this._globalX = globalX
+    this._globalY = globalY
+    this._deltaX = deltaX
+    this._deltaY = deltaY
+    this._ctrlKey = ctrlKey
+    this._altKey = altKey
+    this._shiftKey = shiftKey
+  }
+
+  /** Converts the position of the mouse cursor to the local coordinate system of a
+   *  display object. If you pass an <code>out</code>-point, the result will be stored in
+   *  this point instead of creating a new object. */
+  getLocation(space, out = null) {
+    MouseEvent.sHelperPoint.setTo(this._globalX, this._globalY)
+    return space.globalToLocal(MouseEvent.sHelperPoint, out)
+  }
+
+  // prevent default
+
+  /** Cancels the default behavior of the browser, i.e. scrolling the page or showing the
+   *  context menu. */
+  preventDefault() {
+    this._isDefaultPrevented = true
+  }
+
+  /** Checks whether the preventDefault() method has been called on the event. */
+  isDefaultPrevented() {
+    return this._isDefaultPrevented
+  }
+
+  // properties
+
+  /** The x-coordinate of the mouse cursor in stage coordinates. */
+  get globalX() {
+    return this._globalX
+  }
+
+  /** The y-coordinate of the mouse cursor in stage coordinates. */
+  get globalY() {
+    return this._globalY
+  }
+
+  /** The horizontal scroll amount of a wheel event in CSS pixels. */
+  get deltaX() {
+    return this._deltaX
+  }
+
+  /** The vertical scroll amount of a wheel event in CSS pixels. Positive values mean
+   *  that the wheel was rotated towards the user, i.e. that the content should move up. */
+  get deltaY() {
+    return this._deltaY
+  }
+
+  /** Indicates whether the Ctrl key is active on Windows or Linux;
+   *  indicates whether either the Ctrl or the Command key is active on Mac OS. */
+  get ctrlKey() {
+    return this._ctrlKey
+  }
+
+  /** Indicates whether the Alt key is active on Windows or Linux;
+   *  indicates whether the Option key is active on Mac OS. */
+  get altKey() {
+    return this._altKey
+  }
+
+  /** Indicates whether the Shift key modifier is active (true) or inactive (false). */
+  get shiftKey() {
+    return this._shiftKey
+  }
+}
@@ -0,0 +1,38 @@
+import Event from './event'
+import Point from '../math/point'
+
+/** A ResizeEvent is dispatched by the stage when the size of the canvas changes.
+ *
+ *  <p>It contains the new width and height of the canvas (in CSS pixels). Use this
+ *  information to update the viewPort of Starling and the dimensions of the stage,
+ *  e.g. with the help of <code>RectangleUtil.fit</code>.</p>
+ *
+ *  <listing>
+ *  stage.addEventListener(Event.RESIZE, event => {
+ *      starling.viewPort = RectangleUtil.fit(
+ *          new Rectangle(0, 0, stage.stageWidth, stage.stageHeight),
+ *          new Rectangle(0, 0, event.width, event.height),
+ *          ScaleMode.SHOW_ALL);
+ *  });</listing>
+ *
+ *  @see starling.display.Stage
+ */
+export default class ResizeEvent extends Event {
+  /** Event type for a resized canvas. */
+  static RESIZE = 'resize'
+
+  /** Creates a new ResizeEvent. */
+  constructor(type, width, height, bubbles = false) {
+    super(type, bubbles, new Point(width, height))
+  }
+
+  /** The updated width of the canvas. */
+  get width() {
+    return this.data.x
+  }
+
+  /** The updated height of the canvas. */
+  get height() {
+    return this.data.y
+  }
+}
@@ -1,9 +1,13 @@
 import Point from '../math/point'
+import Event from './event'
 import Touch from './touch'
 import TouchPhase from './touch-phase'
 import TouchMarker from './touch-marker'
 import TouchEvent from './touch-event'
 import KeyboardEvent from './keyboard-event'
+import MouseEvent from './mouse-event'
+import StarlingContextManager from '../core/context-manager'
+import MouseCursor from '../utils/mouse-cursor'
 
 /** The TouchProcessor is used to convert mouse and touch events of the conventional
  *  Flash stage to Starling's TouchEvents.
@@ -28,6 +32,10 @@ import KeyboardEvent from './keyboard-event'
  *  method, throwing away any touches you're not interested in and passing the rest to the
  *  super implementation.</p>
  *
+ *  <p>The TouchProcessor also updates the mouse cursor, depending on the
+ *  <code>cursor</code> and <code>useHandCursor</code> properties of the display object
+ *  under the mouse. To display it differently, override the "applyCursor" method.</p>
+ *
  *  <p>To use your custom TouchProcessor, assign it to the "Starling.touchProcessor"
  *  property.</p>
  *
@@ -47,10 +55,14 @@ export default class TouchProcessor {
   _multitapTime = 0.3
   _multitapDistance = 25
   _touchEvent
+  _cursor = null
 
   _touchMarker
   _simulateMultitouch
 
+  /** The objects the right and middle mouse buttons were pressed on, to detect clicks. */
+  _mouseDownTargets
+
   /** A vector of arrays with the arguments that were passed to the "enqueue"
    *  method (the oldest being at the end of the vector). */
   _queue
@@ -70,6 +82,7 @@ export default class TouchProcessor {
     this._currentTouches = []
     this._queue = []
     this._lastTaps = []
+    this._mouseDownTargets = {}
     this._touchEvent = new TouchEvent(TouchEvent.TOUCH)
 
     this._stage.addEventListener(KeyboardEvent.KEY_DOWN, this.onKey)
@@ -167,6 +180,38 @@ export default class TouchProcessor {
 
       sUpdatedTouches.length = 0
     }
+
+    this.updateCursor()
+  }
+
+  /** Finds the cursor of the display object under the mouse and applies it if it has
+   *  changed. Called at the end of "advanceTime". */
+  updateCursor() {
+    const mouse = this.getCurrentTouch(0)
+    let cursor = null
+
+    for (let target = mouse && mouse.target; target; target = target.parent) {
+      if (target.cursor != null) cursor = target.cursor
+      else if (target.useHandCursor) cursor = MouseCursor.BUTTON
+      else continue
+
+      break
+    }
+
+    if (cursor !== this._cursor) {
+      this._cursor = cursor
+      this.applyCursor(cursor)
+    }
+  }
+
+  /** Displays the given cursor (a CSS cursor name, a texture or <code>null</code>) on
+   *  the canvas. Inside a worker, there is no canvas element; override this method to
+   *  forward the cursor to the main thread. */
+  applyCursor(cursor) {
+    const starling = StarlingContextManager.current
+    const canvas = starling && starling.canvas
+
+    if (canvas && canvas.style) canvas.style.cursor = MouseCursor.toCSS(cursor)
   }
 
   /** Dispatches TouchEvents to the display objects that are affected by the list of
@@ -239,6 +284,55 @@ export default class TouchProcessor {
     }
   }
 
+  /** Dispatches a MouseEvent (i.e. for the mouse wheel or the right and middle mouse
+   *  buttons) to the display object under the event's position; from there, it bubbles
+   *  up. When a button is released over the object it was pressed on, a click event is
+   *  dispatched, too. Called by Starling right when the native event occurs. */
+  dispatchMouseEvent(event) {
+    const { sHelperPoint } = TouchProcessor
+    const { _mouseDownTargets } = this
+
+    sHelperPoint.setTo(event.globalX, event.globalY)
+    const target = this._root.hitTest(sHelperPoint) || this._root
+
+    target.dispatchEvent(event)
+
+    let clickType = null
+
+    switch (event.type) {
+      case MouseEvent.RIGHT_MOUSE_DOWN:
+      case MouseEvent.MIDDLE_MOUSE_DOWN:
+        _mouseDownTargets[event.type] = target
+        break
+      case MouseEvent.RIGHT_MOUSE_UP:
+        if (_mouseDownTargets[MouseEvent.RIGHT_MOUSE_DOWN] === target)
+          clickType = MouseEvent.RIGHT_CLICK
+        _mouseDownTargets[MouseEvent.RIGHT_MOUSE_DOWN] = null
+        break
+      case MouseEvent.MIDDLE_MOUSE_UP:
+        if (_mouseDownTargets[MouseEvent.MIDDLE_MOUSE_DOWN] === target)
+          clickType = MouseEvent.MIDDLE_CLICK
+        _mouseDownTargets[MouseEvent.MIDDLE_MOUSE_DOWN] = null
+        break
+    }
+
+    if (clickType) {
+      const clickEvent = new MouseEvent(
+        clickType,
+        event.globalX,
+        event.globalY,
+        0,
+        0,
+        event.ctrlKey,
+        event.altKey,
+        event.shiftKey
+      )
+
+      target.dispatchEvent(clickEvent)
+      if (clickEvent.isDefaultPrevented()) event.preventDefault()
+    }
+  }
+
   /** Enqueues an artificial touch that represents the mouse leaving the stage.
    *
    *  <p>On OS X, we get mouse events from outside the stage; on Windows, we do not.
@@ -296,6 +390,7 @@ export default class TouchProcessor {
     // purge touches
     _currentTouches.length = 0
     _queue.length = 0
+    this._mouseDownTargets = {}
   }
 
   createOrUpdateTouch(
@@ -388,7 +483,7 @@ export default class TouchProcessor {
     if (this.simulateMultitouch === value) return // no change
 
     this._simulateMultitouch = value
-    const target = window.StarlingContextManager.current
+    const target = StarlingContextManager.current
 
     const createTouchMarker = () => {
       target.removeEventListener(Event.CONTEXT3D_CREATE, createTouchMarker) // todo: probably should be removed
@@ -400,8 +495,7 @@ export default class TouchProcessor {
     }
 
     if (value && !this._touchMarker) {
-      if (window.StarlingContextManager.current.contextValid)
-        createTouchMarker()
+      if (StarlingContextManager.current.contextValid) createTouchMarker()
       else target.addEventListener(Event.CONTEXT3D_CREATE, createTouchMarker)
     } else if (!value && this._touchMarker) {
       this._touchMarker.removeFromParent(true)
@@ -445,6 +539,12 @@ export default class TouchProcessor {
     return this._stage
   }
 
+  /** The cursor that's currently displayed: a CSS cursor name, a texture, or
+   *  <code>null</code> for the default cursor. */
+  get cursor() {
+    return this._cursor
+  }
+
   /** Returns the number of fingers / touch points that are currently on the stage. */
   get numCurrentTouches() {
     return this._currentTouches.length
@@ -0,0 +1,329 @@
+import { LINEAR } from 'gl-constants'
+
+import FragmentFilter from './fragment-filter'
+import FilterEffect from '../rendering/filter-effect'
+import Program from '../rendering/program'
+import BlendMode from '../display/blend-mode'
+import Rectangle from '../math/rectangle'
+import { createEmptyTexture } from '../utils/texture-creators'
+
+/** @private
+ *
+ *  The filter that renders objects with an advanced blend mode (like 'overlay' or 'hue').
+ *
+ *  <p>The target object (including its own filter, if it has one) is drawn into a texture,
+ *  just like with any other filter. Before the output is drawn, the area of the render
+ *  target behind the object (the backdrop) is copied into a second texture; a shader then
+ *  blends both according to the blend mode. The result is drawn with standard blending.</p>
+ *
+ *  <p>The painter creates an instance for each object that uses an advanced blend mode;
+ *  there's no need to use this class directly.</p>
+ *
+ *  @see starling.display.BlendMode#registerAdvanced()
+ */
+export default class BlendModeFilter extends FragmentFilter {
+  _blendMode = null
+  _backdrop = null
+
+  // helper objects
+  static sBounds = new Rectangle()
+  static sRegion = new Rectangle()
+
+  /** Disposes the filter and the backdrop texture. */
+  dispose() {
+    if (this._backdrop) this._backdrop.dispose()
+    this._backdrop = null
+
+    super.dispose()
+  }
+
+  /** The backdrop may change at any time, so the object can never be drawn from the
+   *  render cache. */
+  render(painter) {
+    painter.excludeFromCache(this._target)
+    super.render(painter)
+  }
+
+  /** @private */
+  process(painter, helper, input0 = null) {
+    const { sBounds, sRegion } = BlendModeFilter
+    const vertexData = this.vertexData
+
+    this.copyBackdrop(painter, helper, sBounds, sRegion)
+
+    // 'sRegion' is the area that was copied, enclosing the target bounds ('sBounds'), both
+    // in WebGL window coordinates; i.e. the top of the target is at the bottom of 'sBounds'.
+    const left = (sBounds.left - sRegion.x) / sRegion.width
+    const right = (sBounds.right - sRegion.x) / sRegion.width
+    const top = (sBounds.bottom - sRegion.y) / sRegion.height
+    const bottom = (sBounds.top - sRegion.y) / sRegion.height
+
+    vertexData.setPoint(0, 'backdropTexCoords', left, top)
+    vertexData.setPoint(1, 'backdropTexCoords', right, top)
+    vertexData.setPoint(2, 'backdropTexCoords', left, bottom)
+    vertexData.setPoint(3, 'backdropTexCoords', right, bottom)
+
+    this.blendModeEffect.backdrop = this._backdrop
+    this.blendModeEffect.blendMode = BlendMode.get(this._blendMode)
+
+    return super.process(painter, helper, input0)
+  }
+
+  // Copies the area of the (parent) render target that's behind the target object into
+  // the backdrop texture. 'outBounds' receives the bounds of the target in pixels,
+  // 'outRegion' the area that was actually copied (made up of whole pixels).
+  copyBackdrop(painter, helper, outBounds, outRegion) {
+    const gl = painter.context
+    const { state } = painter
+
+    painter.pushState()
+    state.renderTarget = helper.renderTarget
+    state.projectionMatrix3D.copyFrom(helper.projectionMatrix3D)
+    painter.applyRenderTarget()
+    painter.getFramebufferBounds(helper.targetBounds, outBounds)
+
+    const x = Math.floor(outBounds.x)
+    const y = Math.floor(outBounds.y)
+    const width = Math.max(1, Math.ceil(outBounds.right) - x)
+    const height = Math.max(1, Math.ceil(outBounds.bottom) - y)
+
+    if (
+      !this._backdrop ||
+      this._backdrop.nativeWidth !== width ||
+      this._backdrop.nativeHeight !== height
+    ) {
+      if (this._backdrop) this._backdrop.dispose()
+
+      this._backdrop = createEmptyTexture({
+        width,
+        height,
+        scale: 1,
+        minFilter: LINEAR
+      })
+    }
+
+    gl.bindTexture(gl.TEXTURE_2D, this._backdrop.base)
+    gl.copyTexSubImage2D(gl.TEXTURE_2D, 0, 0, 0, x, y, width, height)
+    gl.bindTexture(gl.TEXTURE_2D, null)
+
+    painter.popState()
+    outRegion.setTo(x, y, width, height)
+  }
+
+  /** @private */
+  createEffect() {
+    return new BlendModeEffect()
+  }
+
+  /** The effect that blends the object with its backdrop. */
+  get blendModeEffect() {
+    return this.effect
+  }
+
+  /** The name of the advanced blend mode that is applied. */
+  get blendMode() {
+    return this._blendMode
+  }
+
+  set blendMode(value) {
+    this._blendMode = value
+  }
+}
+
+class BlendModeEffect extends FilterEffect {
+  static VERTEX_FORMAT = FilterEffect.VERTEX_FORMAT.extend(
+    'backdropTexCoords:float2'
+  )
+
+  // helper functions that may be used by the blend functions of advanced blend modes;
+  // see https://www.w3.org/TR/compositing-1/#blending
+  static BLEND_FUNCTIONS = `
+                float screen(float cb, float cs) {
+                    return cb + cs - cb * cs;
+                }
+
+                float hardLight(float cb, float cs) {
+                    return cs <= 0.5 ? cb * 2.0 * cs : screen(cb, 2.0 * cs - 1.0);
+                }
+
+                float softLight(float cb, float cs) {
+                    if (cs <= 0.5) return cb - (1.0 - 2.0 * cs) * cb * (1.0 - cb);
+
+                    float d = cb <= 0.25 ? ((16.0 * cb - 12.0) * cb + 4.0) * cb : sqrt(cb);
+                    return cb + (2.0 * cs - 1.0) * (d - cb);
+                }
+
+                float colorDodge(float cb, float cs) {
+                    if (cb == 0.0) return 0.0;
+                    else if (cs == 1.0) return 1.0;
+                    else return min(1.0, cb / (1.0 - cs));
+                }
+
+                float colorBurn(float cb, float cs) {
+                    if (cb == 1.0) return 1.0;
+                    else if (cs == 0.0) return 0.0;
+                    else return 1.0 - min(1.0, (1.0 - cb) / cs);
+                }
+
+                vec3 hardLight(vec3 cb, vec3 cs) {
+                    return vec3(hardLight(cb.r, cs.r), hardLight(cb.g, cs.g), hardLight(cb.b, cs.b));
+                }
+
+                vec3 softLight(vec3 cb, vec3 cs) {
+                    return vec3(softLight(cb.r, cs.r), softLight(cb.g, cs.g), softLight(cb.b, cs.b));
+                }
+
+                vec3 colorDodge(vec3 cb, vec3 cs) {
+                    return vec3(colorDodge(cb.r, cs.r), colorDodge(cb.g, cs.g), colorDodge(cb.b, cs.b));
+                }
+
+                vec3 colorBurn(vec3 cb, vec3 cs) {
+                    return vec3(colorBurn(cb.r, cs.r), colorBurn(cb.g, cs.g), colorBurn(cb.b, cs.b));
+                }
+
+                float lum(vec3 c) {
+                    return dot(c, vec3(0.3, 0.59, 0.11));
+                }
+
+                vec3 clipColor(vec3 c) {
+                    float l = lum(c);
+                    float n = min(min(c.r, c.g), c.b);
+                    float x = max(max(c.r, c.g), c.b);
+
+                    if (n < 0.0) c = l + (c - l) * l / (l - n);
+                    if (x > 1.0) c = l + (c - l) * (1.0 - l) / (x - l);
+
+                    return c;
+                }
+
+                vec3 setLum(vec3 c, float l) {
+                    return clipColor(c + (l - lum(c)));
+                }
+
+                float sat(vec3 c) {
+                    return max(max(c.r, c.g), c.b) - min(min(c.r, c.g), c.b);
+                }
+
+                vec3 setSat(vec3 c, float s) {
+                    float n = min(min(c.r, c.g), c.b);
+                    float x = max(max(c.r, c.g), c.b);
+
+                    return x > n ? (c - n) * s / (x - n) : vec3(0.0);
+                }
+            `
+
+  _backdrop = null
+  _blendMode = null
+
+  /** Each advanced blend mode requires a program of its own. */
+  get programVariantName() {
+    const id = this._blendMode ? this._blendMode.advancedID : 0
+    return super.programVariantName | (id << 4)
+  }
+
+  /** @private */
+  createProgram() {
+    if (!this.texture || !this._blendMode) return super.createProgram()
+
+    const vertexShader = `#version 300 es
+                layout(location = 0) in vec2 aPosition;
+                layout(location = 1) in vec2 aTexCoords;
+                layout(location = 2) in vec2 aBackdropTexCoords;
+
+                uniform mat4 uMVPMatrix;
+
+                out vec2 vTexCoords;
+                out vec2 vBackdropTexCoords;
+
+                void main() {
+                    // Transform to clipspace
+                    gl_Position = uMVPMatrix * vec4(aPosition, 0.0, 1.0);
+
+                    vTexCoords = aTexCoords;
+                    vBackdropTexCoords = aBackdropTexCoords;
+                }
+            `
+
+    const fragmentShader = `#version 300 es
+                precision highp float;
+
+                uniform sampler2D sTexture;
+                uniform sampler2D sBackdrop;
+
+                in vec2 vTexCoords;
+                in vec2 vBackdropTexCoords;
+
+                out vec4 color;
+
+                ${BlendModeEffect.BLEND_FUNCTIONS}
+
+                vec3 blend(vec3 cb, vec3 cs) {
+                    ${this._blendMode.blendFunction}
+                }
+
+                void main() {
+                    vec4 source = texture(sTexture, vTexCoords);
+                    vec4 backdrop = texture(sBackdrop, vBackdropTexCoords);
+
+                    // the blend functions expect colors without premultiplied alpha
+                    vec3 cs = source.a > 0.0 ? source.rgb / source.a : vec3(0.0);
+                    vec3 cb = backdrop.a > 0.0 ? backdrop.rgb / backdrop.a : vec3(0.0);
+                    vec3 blended = clamp(blend(cb, cs), 0.0, 1.0);
+
+                    // where there's no backdrop, the source stays unchanged
+                    vec3 mixed = (1.0 - backdrop.a) * cs + backdrop.a * blended;
+
+                    color = vec4(mixed * source.a, source.a);
+                }
+            `
+
+    return Program.fromSource(vertexShader, fragmentShader)
+  }
+
+  /** In addition to the setup of the <code>FilterEffect</code>, binds the backdrop to
+   *  the second texture unit. */
+  beforeDraw(gl) {
+    super.beforeDraw(gl)
+
+    if (!this.texture || !this._blendMode) return
+
+    gl.activeTexture(gl.TEXTURE1)
+    gl.bindTexture(gl.TEXTURE_2D, this._backdrop.base)
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR)
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR)
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE)
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE)
+    gl.uniform1i(this.program.getUniformLocation('sBackdrop', gl), 1)
+    gl.activeTexture(gl.TEXTURE0)
+  }
+
+  /** Unbinds the backdrop. */
+  afterDraw(gl) {
+    gl.activeTexture(gl.TEXTURE1)
+    gl.bindTexture(gl.TEXTURE_2D, null)
+    gl.activeTexture(gl.TEXTURE0)
+    super.afterDraw(gl)
+  }
+
+  get vertexFormat() {
+    return BlendModeEffect.VERTEX_FORMAT
+  }
+
+  /** The texture containing the pixels behind the object. */
+  get backdrop() {
+    return this._backdrop
+  }
+
+  set backdrop(value) {
+    this._backdrop = value
+  }
+
+  /** The (advanced) blend mode to apply. */
+  get blendMode() {
+    return this._blendMode
+  }
+
+  set blendMode(value) {
+    this._blendMode = value
+  }
+}
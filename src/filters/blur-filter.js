@@ -1,6 +1,7 @@
 import FragmentFilter from './fragment-filter'
 import FilterEffect from '../rendering/filter-effect'
 import Program from '../rendering/program'
+import StarlingContextManager from '../core/context-manager'
 
 /** The BlurFilter applies a Gaussian blur to an object. The strength of the blur can be
  *  set for x- and y-axis separately. */
@@ -118,15 +119,11 @@ export default class BlurFilter extends FragmentFilter {
 
   /** The blur values scaled by the current contentScaleFactor. */
   get totalBlurX() {
-    return (
-      this._blurX * window.StarlingContextManager.current.contentScaleFactor
-    )
+    return this._blurX * StarlingContextManager.current.contentScaleFactor
   }
 
   get totalBlurY() {
-    return (
-      this._blurY * window.StarlingContextManager.current.contentScaleFactor
-    )
+    return this._blurY * StarlingContextManager.current.contentScaleFactor
   }
 
   /** The blur factor in x-direction. */
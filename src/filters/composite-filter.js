@@ -54,6 +54,7 @@ export default class CompositeFilter extends FragmentFilter {
   setOffsetAt(layerID, x, y) {
     this.compositeEffect.getLayerAt(layerID).x = x
     this.compositeEffect.getLayerAt(layerID).y = y
+    this.setRequiresRedraw()
   }
 
   /** Returns the RGB color with which a layer is tinted when it is being drawn.
@@ -69,6 +70,7 @@ export default class CompositeFilter extends FragmentFilter {
   setColorAt(layerID, color, replace = false) {
     this.compositeEffect.getLayerAt(layerID).color = color
     this.compositeEffect.getLayerAt(layerID).replaceColor = replace
+    this.setRequiresRedraw()
   }
 
   /** Indicates the alpha value with which the layer is drawn.
@@ -80,6 +82,7 @@ export default class CompositeFilter extends FragmentFilter {
   /** Adjusts the alpha value with which the layer is drawn. */
   setAlphaAt(layerID, alpha) {
     this.compositeEffect.getLayerAt(layerID).alpha = alpha
+    this.setRequiresRedraw()
   }
 
   get compositeEffect() {
@@ -7,6 +7,7 @@ import SubTexture from '../textures/subtexture'
 import Pool from '../utils/pool'
 import Matrix3D from '../math/matrix3d'
 import { createEmptyTexture } from '../utils/texture-creators'
+import StarlingContextManager from '../core/context-manager'
 
 /** @private
  *
@@ -37,8 +38,7 @@ export default class FilterHelper {
   /** Creates a new, empty instance. */
   constructor(textureFormat = RGBA) {
     //this._usePotTextures = Starling.current.profile == Context3DProfile.BASELINEthis._CONSTRAINED;
-    this._preferredScale =
-      window.StarlingContextManager.current.contentScaleFactor
+    this._preferredScale = StarlingContextManager.current.contentScaleFactor
     this._textureFormat = textureFormat
     this._sizeStep = 64 // must be POT!
     this._pool = []
@@ -236,9 +236,7 @@ export default class FilterHelper {
 
   set textureScale(value) {
     this._preferredScale =
-      value > 0
-        ? value
-        : window.StarlingContextManager.current.contentScaleFactor
+      value > 0 ? value : StarlingContextManager.current.contentScaleFactor
   }
 
   /** The texture format of the returned textures. @default BGRA */
@@ -15,6 +15,7 @@ import Padding from '../utils/padding'
 import FilterEffect from '../rendering/filter-effect'
 import Event from '../events/event'
 import TextureSmoothing from '../textures/texture-smoothing'
+import StarlingContextManager from '../core/context-manager'
 
 /** The FragmentFilter class is the base class for all filter effects in Starling.
  *  All filters must extend this class. You can attach them to any display object through the
@@ -155,7 +156,7 @@ export default class FragmentFilter extends EventDispatcher {
     const origResolution = this._resolution
     const renderSpace = this._target.stage || this._target.parent
     const isOnStage = renderSpace instanceof Stage
-    const stage = window.StarlingContextManager.current.stage
+    const stage = StarlingContextManager.current.stage
     let stageBounds
 
     if (
@@ -173,7 +174,7 @@ export default class FragmentFilter extends EventDispatcher {
       painter.excludeFromCache(this._target)
     }
 
-    if (this._target === window.StarlingContextManager.current.root) {
+    if (this._target === StarlingContextManager.current.root) {
       // full-screen filters use exactly the stage bounds
       stage.getStageBounds(this._target, bounds)
     } else {
@@ -210,12 +211,11 @@ export default class FragmentFilter extends EventDispatcher {
     // extend to actual pixel bounds for maximum sharpness + to avoid jiggling
     RectangleUtil.extendToWholePixels(
       bounds,
-      window.StarlingContextManager.current.contentScaleFactor
+      StarlingContextManager.current.contentScaleFactor
     )
 
     this._helper.textureScale =
-      window.StarlingContextManager.current.contentScaleFactor *
-      this._resolution
+      StarlingContextManager.current.contentScaleFactor * this._resolution
     this._helper.projectionMatrix3D = painter.state.projectionMatrix3D
     this._helper.renderTarget = painter.state.renderTarget
     this._helper.clipRect = painter.state.clipRect
@@ -245,7 +245,12 @@ export default class FragmentFilter extends EventDispatcher {
       stage.cameraPosition
     )
 
-    this._target.render(painter) // -> draw target object into 'input'
+    // -> draw target object into 'input'; a filter that's not the target's own one
+    // (i.e. a BlendModeFilter) needs to include the latter.
+    const targetFilter = this._target._filter
+
+    if (targetFilter && targetFilter !== this) targetFilter.render(painter)
+    else this._target.render(painter)
 
     painter.finishMeshBatch()
     painter.state.setModelviewMatricesToIdentity()
@@ -478,7 +483,8 @@ export default class FragmentFilter extends EventDispatcher {
   }
 
   /** The anti-aliasing level. This is only used for rendering the target object
-   *  into a texture, not for the filter passes. 0 - none, 4 - maximum. @default 0 */
+   *  into a texture, not for the filter passes. 0 - none, 4 - maximum. Requires WebGL 2;
+   *  on WebGL 1, it is ignored. @default 0 */
   get antiAliasing() {
     return this._antiAliasing
   }
@@ -1,4 +1,10 @@
 export { default as Starling } from './core/starling'
+export { default as CanvasProxy } from './core/canvas-proxy'
+export { default as Environment } from './core/environment'
+export { default as AccessibilityManager } from './core/accessibility-manager'
+export { default as FrameProfiler } from './core/frame-profiler'
+export { default as DebugOverlay } from './core/debug-overlay'
+export { default as BatchBreakReason } from './rendering/batch-break-reason'
 
 export { default as Transitions } from './animation/transitions'
 export { default as Tween } from './animation/tween'
@@ -19,6 +25,8 @@ export { default as Button } from './display/button'
 export { default as MovieClip } from './display/movie-clip'
 export { default as Canvas } from './display/canvas'
 
+export { default as MultiTextureStyle } from './styles/multi-texture-style'
+
 export { default as Texture } from './textures/texture'
 export { default as RenderTexture } from './textures/render-texture'
 
@@ -33,7 +41,10 @@ export { default as TextField } from './text/text-field'
 export { default as BitmapFont } from './text/bitmap-font'
 
 export { default as Event } from './events/event'
+export { default as FocusManager } from './events/focus-manager'
 export { default as KeyboardEvent } from './events/keyboard-event'
+export { default as MouseEvent } from './events/mouse-event'
+export { default as ResizeEvent } from './events/resize-event'
 export { default as EventDispatcher } from './events/event-dispatcher'
 export { default as TouchPhase } from './events/touch-phase'
 export { default as TouchEvent } from './events/touch-event'
@@ -48,5 +59,7 @@ import deg2rad from './utils/deg2rad'
 export const Utils = { deg2rad }
 export { default as Color } from './utils/color'
 export { default as Align } from './utils/align'
+export { default as MouseCursor } from './utils/mouse-cursor'
+export { default as ImageUtil } from './utils/image-util'
 
 export * from './utils/texture-creators'
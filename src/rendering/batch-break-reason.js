@@ -0,0 +1,27 @@
+/** A class that provides constant values describing why a mesh could not be added to
+ *  the previous MeshBatch, i.e. why it caused an additional draw call.
+ *
+ *  @see BatchProcessor#onBatchBreak
+ */
+export default class BatchBreakReason {
+  /** The mesh uses a different type of style than the previous one. */
+  static STYLE = 'style'
+
+  /** The mesh uses a different texture than the previous one (or only one of them is
+   *  textured). */
+  static TEXTURE = 'texture'
+
+  /** The textures are the same, but their smoothing or repeat settings differ. */
+  static TEXTURE_SETTINGS = 'textureSettings'
+
+  /** The mesh is rendered with a different blend mode than the previous one. */
+  static BLEND_MODE = 'blendMode'
+
+  /** The previous batch reached the maximum number of vertices. */
+  static VERTEX_LIMIT = 'vertexLimit'
+
+  /** The batch was finished due to a change of the render state, e.g. of the render
+   *  target or clipping rectangle (as caused by masks and filters), or because an object
+   *  was rendered that is not batchable. */
+  static STATE = 'state'
+}
@@ -1,8 +1,10 @@
 import BatchToken from './batch-token'
+import BatchBreakReason from './batch-break-reason'
 
 import MeshBatch from '../display/mesh-batch'
 
 import MeshSubset from '../utils/mesh-subset'
+import FrameProfiler from '../core/frame-profiler'
 
 /** This class manages a list of mesh batches of different types;
  *  it acts as a "meta" MeshBatch that initiates all rendering.
@@ -13,6 +15,7 @@ export default class BatchProcessor {
   _currentBatch
   _currentStyleType
   _onBatchComplete
+  _onBatchBreak
   _cacheToken
 
   // helper objects
@@ -33,6 +36,7 @@ export default class BatchProcessor {
     this._batchPool.purge()
     this._currentBatch = null
     this._onBatchComplete = null
+    this._onBatchBreak = null
   }
 
   /** Adds a mesh to the current batch, or to a new one if the current one does not support
@@ -51,6 +55,8 @@ export default class BatchProcessor {
   addMesh(mesh, state, subset = null, ignoreTransformations = false) {
     const { _cacheToken } = this
 
+    FrameProfiler.begin('BatchProcessor.addMesh', mesh)
+
     if (!subset) {
       subset = BatchProcessor.sMeshSubset
       subset.vertexID = subset.indexID = 0
@@ -68,11 +74,19 @@ export default class BatchProcessor {
         !this._currentBatch ||
         !this._currentBatch.canAddMesh(mesh, subset.numVertices)
       ) {
+        const blendMode = state ? state.blendMode : mesh.blendMode
+
+        if (this._onBatchBreak && this._batches.length)
+          this._onBatchBreak(
+            mesh,
+            this.getBatchBreakReason(mesh, subset.numVertices, blendMode)
+          )
+
         this.finishBatch()
 
         this._currentStyleType = mesh.style.type
         this._currentBatch = this._batchPool.get(this._currentStyleType)
-        this._currentBatch.blendMode = state ? state.blendMode : mesh.blendMode
+        this._currentBatch.blendMode = blendMode
         this._cacheToken.setTo(this._batches.length)
         this._batches[this._batches.length] = this._currentBatch
       }
@@ -90,6 +104,26 @@ export default class BatchProcessor {
       _cacheToken.vertexID += subset.numVertices
       _cacheToken.indexID += subset.numIndices
     }
+
+    FrameProfiler.end()
+  }
+
+  // Figures out why the mesh can't be added to the previous batch.
+  getBatchBreakReason(mesh, numVertices, blendMode) {
+    const previousBatch = this._batches[this._batches.length - 1]
+
+    if (
+      previousBatch === this._currentBatch &&
+      numVertices + previousBatch.numVertices > MeshBatch.MAX_NUM_VERTICES
+    )
+      return BatchBreakReason.VERTEX_LIMIT
+    else if (previousBatch.blendMode !== blendMode)
+      return BatchBreakReason.BLEND_MODE
+    else
+      return (
+        previousBatch.style.getBatchBreakReason(mesh.style) ||
+        BatchBreakReason.STATE
+      )
   }
 
   /** Finishes the current batch, i.e. call the 'onComplete' callback on the batch and
@@ -151,6 +185,19 @@ export default class BatchProcessor {
   set onBatchComplete(value) {
     this._onBatchComplete = value
   }
+
+  /** This callback is executed whenever a mesh can't be added to the previous batch, i.e.
+   *  when it causes an additional draw call. The mesh and the reason (one of the constants
+   *  of the <code>BatchBreakReason</code> class) are passed to the callback. It's meant
+   *  for debugging tools; to make sure all meshes are reported, disable the render cache
+   *  while it's in use. */
+  get onBatchBreak() {
+    return this._onBatchBreak
+  }
+
+  set onBatchBreak(value) {
+    this._onBatchBreak = value
+  }
 }
 
 class BatchPool {
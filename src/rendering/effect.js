@@ -2,6 +2,8 @@ import { STATIC_DRAW } from 'gl-constants'
 import VertexDataFormat from './vertex-data-format'
 import Matrix3D from '../math/matrix3d'
 import Program from '../rendering/program'
+import Event from '../events/event'
+import StarlingContextManager from '../core/context-manager'
 
 /** An effect encapsulates all steps of a Stage3D draw operation. It configures the
  *  render context and sets up shader programs as well as index- and vertex-buffers, thus
@@ -81,39 +83,71 @@ export default class Effect {
   static VERTEX_FORMAT = VertexDataFormat.fromString('position:float2')
 
   _vertexArray
+  _vertexBuffer = null
+  _vertexBufferMemory = 0
+  _indexBuffer = null
+  _indexBufferMemory = 0
   _mvpMatrix3D
   _onRestore
   _programBaseName
 
+  // the size of the buffers of all effects, in bytes
+  static sBufferMemory = 0
+
   // helper objects
   static sProgramNameCache = new Map()
 
+  /** The combined size (in bytes) of the vertex and index buffers of all effects. */
+  static get bufferMemory() {
+    return Effect.sBufferMemory
+  }
+
   /** Creates a new effect. */
   constructor() {
     this._mvpMatrix3D = new Matrix3D()
     this._programBaseName = this.constructor.name // todo: vs getQualifiedClassName
 
-    // Handle lost context (using conventional Flash event for weak listener support)
-    //Starling.current.stage3D.addEventListener(Event.CONTEXT3D_CREATE,
-    //    this.onContextCreated, false, 20, true);
+    // Handle lost context
+    const target = StarlingContextManager.current
+    if (target)
+      target.addEventListener(Event.CONTEXT3D_CREATE, this.onContextCreated)
   }
 
   /** Purges the index- and vertex-buffers. */
   dispose() {
-    //Starling.current.stage3D.removeEventListener(Event.CONTEXT3D_CREATE, this.onContextCreated); // todo: removed
+    const target = StarlingContextManager.current
+    if (target)
+      target.removeEventListener(Event.CONTEXT3D_CREATE, this.onContextCreated)
     this.purgeBuffers()
   }
 
-  //onContextCreated() {
-  //    this.purgeBuffers();
-  //    this.execute(this._onRestore, this);
-  //}
+  onContextCreated = () => {
+    // the vertex array (and its buffers) belonged to the lost context,
+    // so there is nothing to delete; the next upload creates a new one.
+    this._vertexArray = this._vertexBuffer = this._indexBuffer = null
+    this.setBufferMemory(0, 0)
+    if (this._onRestore) this._onRestore(this)
+  }
 
   /** Purges one or both of the vertex- and index-buffers. */
   purgeBuffers() {
-    const gl = window.StarlingContextManager.current.context
+    const gl = StarlingContextManager.current.context
     gl.deleteVertexArray(this._vertexArray)
-    this._vertexArray = null
+    gl.deleteBuffer(this._vertexBuffer)
+    gl.deleteBuffer(this._indexBuffer)
+    this._vertexArray = this._vertexBuffer = this._indexBuffer = null
+    this.setBufferMemory(0, 0)
+  }
+
+  setBufferMemory(vertexBufferMemory, indexBufferMemory) {
+    Effect.sBufferMemory +=
+      vertexBufferMemory +
+      indexBufferMemory -
+      this._vertexBufferMemory -
+      this._indexBufferMemory
+
+    this._vertexBufferMemory = vertexBufferMemory
+    this._indexBufferMemory = indexBufferMemory
   }
 
   /** Uploads the given index data to the internal index buffer. If the buffer is too
@@ -125,15 +159,24 @@ export default class Effect {
    *                     causes the creation of a new index buffer.
    */
   uploadIndexData(indexData, bufferUsage = STATIC_DRAW) {
-    const gl = window.StarlingContextManager.current.context
+    const gl = StarlingContextManager.current.context
 
     if (!this._vertexArray) {
       this._vertexArray = gl.createVertexArray()
     }
 
     gl.bindVertexArray(this._vertexArray)
-    indexData.uploadToIndexBuffer(bufferUsage)
+    const buffer = indexData.uploadToIndexBuffer(bufferUsage)
     gl.bindVertexArray(null)
+
+    if (buffer) {
+      gl.deleteBuffer(this._indexBuffer)
+      this._indexBuffer = buffer
+      this.setBufferMemory(
+        this._vertexBufferMemory,
+        indexData.rawData.byteLength
+      )
+    }
   }
 
   /** Uploads the given vertex data to the internal vertex buffer. If the buffer is too
@@ -145,15 +188,24 @@ export default class Effect {
    *                     causes the creation of a new vertex buffer.
    */
   uploadVertexData(vertexData, bufferUsage = STATIC_DRAW) {
-    const gl = window.StarlingContextManager.current.context
+    const gl = StarlingContextManager.current.context
 
     if (!this._vertexArray) {
       this._vertexArray = gl.createVertexArray()
     }
 
     gl.bindVertexArray(this._vertexArray)
-    vertexData.uploadToVertexBuffer(bufferUsage)
+    const buffer = vertexData.uploadToVertexBuffer(bufferUsage)
     gl.bindVertexArray(null)
+
+    if (buffer) {
+      gl.deleteBuffer(this._vertexBuffer)
+      this._vertexBuffer = buffer
+      this.setBufferMemory(
+        vertexData.rawData.buffer.byteLength,
+        this._indexBufferMemory
+      )
+    }
   }
 
   // rendering
@@ -168,7 +220,7 @@ export default class Effect {
     }
     if (numTriangles === 0) return
 
-    const gl = window.StarlingContextManager.current.context
+    const gl = StarlingContextManager.current.context
     if (!gl) throw new Error('[MissingContextError]')
 
     this.beforeDraw(gl)
@@ -250,6 +302,18 @@ export default class Effect {
     return Program.fromSource(vertexShader, fragmentShader)
   }
 
+  /** Returns effects that, together, use all the programs this effect may require, i.e.
+   *  one instance per program variant. This is used by <code>Painter.precompilePrograms</code>
+   *  to compile those programs before they are needed. Override this method along with
+   *  <code>programVariantName</code>; the variants that are not the effect itself will be
+   *  disposed when they are no longer needed.
+   *
+   *  <p>The basic implementation returns just the effect itself.</p>
+   */
+  createVariants() {
+    return [this]
+  }
+
   /** Override this method if the effect requires a different program depending on the
    *  current settings. Ideally, you do this by creating a bit mask encoding all the options.
    *  This method is called often, so do not allocate any temporary objects when overriding.
@@ -305,11 +369,13 @@ export default class Effect {
    *  Do not override this method! Instead, implement <code>createProgram</code>. */
   get program() {
     const name = this.programName
-    const painter = window.StarlingContextManager.current.painter
+    const painter = StarlingContextManager.current.painter
     let program = painter.getProgram(name)
 
     if (!program) {
       program = this.createProgram()
+      program.name = name
+      program.variantName = this.programVariantName
       painter.registerProgram(name, program)
     }
 
@@ -1,4 +1,5 @@
 import Effect from './effect'
+import ConcreteTexture from '../textures/concrete-texture'
 import TextureSmoothing from '../textures/texture-smoothing'
 import RenderUtil from '../utils/render-util'
 import Program from './program'
@@ -35,6 +36,9 @@ export default class FilterEffect extends Effect {
                 }
             `
 
+  // placeholders for the textures of the program variants
+  static sVariantTextures = null
+
   _texture
   _textureSmoothing
   _textureRepeat
@@ -55,6 +59,23 @@ export default class FilterEffect extends Effect {
     return RenderUtil.getTextureVariantBits(this._texture) // todo: implement
   }
 
+  /** Returns one effect without a texture and one for each kind of texture that
+   *  influences <code>programVariantName</code>, i.e. with and without premultiplied alpha.
+   *  The effects are created via the constructor of this class, which must not require any
+   *  arguments. */
+  createVariants() {
+    if (!FilterEffect.sVariantTextures)
+      FilterEffect.sVariantTextures = [true, false].map(
+        pma => new ConcreteTexture(null, 'bgra', 1, 1, false, pma)
+      )
+
+    return [null, ...FilterEffect.sVariantTextures].map(texture => {
+      const effect = new this.constructor()
+      effect.texture = texture
+      return effect
+    })
+  }
+
   /** @private */
   createProgram() {
     if (this._texture) {
@@ -1,4 +1,5 @@
 import { STATIC_DRAW } from 'gl-constants'
+import StarlingContextManager from '../core/context-manager'
 
 /** The IndexData class manages a raw list of vertex indices, allowing direct upload
  *  to Stage3D index buffers. <em>You only have to work with this class if you're writing
@@ -378,15 +379,17 @@ export default class IndexData {
 
   // IndexBuffer helpers
 
-  /** Uploads the complete data (or a section of it) to the given index buffer. */
+  /** Creates an index buffer and uploads the complete data, returning the buffer (or
+   *  <code>null</code> if there are no indices). */
   uploadToIndexBuffer(bufferUsage = STATIC_DRAW) {
-    if (this._numIndices === 0) return
-    const gl = window.StarlingContextManager.current.context
+    if (this._numIndices === 0) return null
+    const gl = StarlingContextManager.current.context
 
     const indexBuffer = gl.createBuffer()
 
     gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, indexBuffer)
     gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, this.rawData, bufferUsage)
+    return indexBuffer
   }
 
   // properties
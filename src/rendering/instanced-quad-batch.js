@@ -0,0 +1,215 @@
+import InstancedQuadEffect from './instanced-quad-effect'
+import VertexData from './vertex-data'
+import Quad from '../display/quad'
+import MeshStyle from '../styles/mesh-style'
+import BlendMode from '../display/blend-mode'
+
+/** Collects quads (and images) and draws them with a single instanced draw call.
+ *
+ *  <p>Different to a <code>MeshBatch</code>, which copies the four vertices of each quad
+ *  into one big buffer, an instanced batch stores just one entry per quad: its
+ *  transformation, texture coordinates, color and alpha value. The shared unit quad is
+ *  expanded by the vertex shader. That reduces the amount of data that has to be
+ *  processed and uploaded each frame, and there's no limit on the number of quads per
+ *  draw call.</p>
+ *
+ *  <p>Only quads with the standard <code>MeshStyle</code> and a uniform color can be drawn
+ *  that way (see <code>isInstanceable</code>); just like with a MeshBatch, all quads of a
+ *  batch must share texture, texture settings and blend mode.</p>
+ *
+ *  <p>You don't normally use this class directly; instead, enable the
+ *  <code>instanced</code> property of a container.</p>
+ *
+ *  @see starling.display.DisplayObjectContainer#instanced
+ */
+export default class InstancedQuadBatch {
+  _effect
+  _style
+  _instanceData
+  _numInstances
+  _blendMode
+
+  // the offsets of the attributes of MeshStyle.VERTEX_FORMAT, in bytes
+  static sPositionOffset = MeshStyle.VERTEX_FORMAT.getOffset('position')
+  static sTexCoordsOffset = MeshStyle.VERTEX_FORMAT.getOffset('texCoords')
+  static sColorOffset = MeshStyle.VERTEX_FORMAT.getOffset('color')
+
+  /** Creates a new, empty batch. */
+  constructor() {
+    this._effect = new InstancedQuadEffect()
+    this._style = new MeshStyle()
+    this._instanceData = new VertexData(InstancedQuadEffect.INSTANCE_FORMAT, 64)
+    this._numInstances = 0
+    this._blendMode = null
+  }
+
+  /** Disposes the effect and its buffers. */
+  dispose() {
+    this._effect.dispose()
+    this._instanceData.clear()
+  }
+
+  /** Removes all instances. */
+  clear() {
+    this._numInstances = 0
+  }
+
+  /** Indicates if the given object can be drawn by an instanced batch at all: it must be
+   *  a quad or image with four vertices of the same color, must use the standard
+   *  <code>MeshStyle</code>, must have neither a filter nor a mask, and must not use an
+   *  advanced blend mode. */
+  static isInstanceable(object) {
+    if (
+      !(object instanceof Quad) ||
+      object._filter ||
+      object._mask ||
+      BlendMode.isAdvanced(object._blendMode) ||
+      object._style.type !== MeshStyle ||
+      object.numVertices !== 4
+    )
+      return false
+
+    const { rawData, vertexSize } = object.vertexData
+    const position = InstancedQuadBatch.sColorOffset
+    const color = rawData.getUint32(position, true)
+
+    for (let i = 1; i < 4; ++i)
+      if (rawData.getUint32(position + i * vertexSize, true) !== color)
+        return false
+
+    return true
+  }
+
+  /** Indicates if the given quad fits to the current state of the batch, i.e. if it
+   *  shares texture, texture settings and blend mode. Always <code>true</code> for an empty
+   *  batch. */
+  canAddQuad(quad, blendMode) {
+    return (
+      this._numInstances === 0 ||
+      (blendMode === this._blendMode && this._style.canBatchWith(quad._style))
+    )
+  }
+
+  /** Adds an instance of the given quad, which must be instanceable.
+   *
+   *  @param quad       the quad to add.
+   *  @param matrix     the transformation of the quad's vertices, typically its
+   *                    <code>transformationMatrix</code>.
+   *  @param alpha      the alpha value of the quad, multiplied with that of its vertices.
+   *  @param blendMode  the (resolved) blend mode the quad is rendered with.
+   */
+  addQuad(quad, matrix, alpha, blendMode) {
+    const {
+      sPositionOffset,
+      sTexCoordsOffset,
+      sColorOffset
+    } = InstancedQuadBatch
+    const { rawData, vertexSize } = quad.vertexData
+    const instanceData = this._instanceData
+    const instanceID = this._numInstances
+
+    if (instanceID === 0) {
+      this._style.copyFrom(quad._style)
+      this._blendMode = blendMode
+    }
+
+    // grow in big steps; only '_numInstances' of the instances are drawn
+    if (instanceData.numVertices <= instanceID)
+      instanceData.numVertices = Math.max(64, instanceID * 2)
+
+    const { a, b, c, d, tx, ty } = matrix
+    const data = instanceData.rawData
+    const position = instanceID * instanceData.vertexSize
+
+    // positions of the first three vertices; the fourth one completes the parallelogram
+    const x0 = rawData.getFloat32(sPositionOffset, true)
+    const y0 = rawData.getFloat32(sPositionOffset + 4, true)
+    const x1 = rawData.getFloat32(sPositionOffset + vertexSize, true)
+    const y1 = rawData.getFloat32(sPositionOffset + vertexSize + 4, true)
+    const x2 = rawData.getFloat32(sPositionOffset + vertexSize * 2, true)
+    const y2 = rawData.getFloat32(sPositionOffset + vertexSize * 2 + 4, true)
+
+    const u0 = rawData.getFloat32(sTexCoordsOffset, true)
+    const v0 = rawData.getFloat32(sTexCoordsOffset + 4, true)
+    const u1 = rawData.getFloat32(sTexCoordsOffset + vertexSize, true)
+    const v1 = rawData.getFloat32(sTexCoordsOffset + vertexSize + 4, true)
+    const u2 = rawData.getFloat32(sTexCoordsOffset + vertexSize * 2, true)
+    const v2 = rawData.getFloat32(sTexCoordsOffset + vertexSize * 2 + 4, true)
+
+    const dx1 = x1 - x0
+    const dy1 = y1 - y0
+    const dx2 = x2 - x0
+    const dy2 = y2 - y0
+
+    // transform
+    data.setFloat32(position, a * dx1 + c * dy1, true)
+    data.setFloat32(position + 4, b * dx1 + d * dy1, true)
+    data.setFloat32(position + 8, a * dx2 + c * dy2, true)
+    data.setFloat32(position + 12, b * dx2 + d * dy2, true)
+
+    // translation
+    data.setFloat32(position + 16, a * x0 + c * y0 + tx, true)
+    data.setFloat32(position + 20, b * x0 + d * y0 + ty, true)
+
+    // texTransform
+    data.setFloat32(position + 24, u1 - u0, true)
+    data.setFloat32(position + 28, v1 - v0, true)
+    data.setFloat32(position + 32, u2 - u0, true)
+    data.setFloat32(position + 36, v2 - v0, true)
+
+    // texTranslation
+    data.setFloat32(position + 40, u0, true)
+    data.setFloat32(position + 44, v0, true)
+
+    // color & alpha
+    data.setUint32(position + 48, rawData.getUint32(sColorOffset, true), true)
+    data.setFloat32(position + 52, alpha, true)
+
+    this._numInstances += 1
+  }
+
+  /** Draws all instances with the current render state (which must not be modified by
+   *  the quads themselves), using the blend mode of the batch. */
+  render(painter) {
+    if (this._numInstances === 0) return
+
+    const { _effect, _style } = this
+    const { state } = painter
+
+    painter.finishMeshBatch()
+    painter.drawCount += 1
+    painter.pushState()
+
+    state.blendMode = this._blendMode
+    painter.prepareToDraw()
+
+    _effect.texture = _style.texture
+    _effect.textureSmoothing = _style.textureSmoothing
+    _effect.textureRepeat = _style.textureRepeat
+    _effect.mvpMatrix3D = state.mvpMatrix3D
+    _effect.alpha = state.alpha
+    _effect.tinted = true
+
+    _effect.uploadInstanceData(this._instanceData, this._numInstances)
+    _effect.renderInstances(this._numInstances)
+
+    painter.popState()
+  }
+
+  /** The number of quads that were added since the batch was last cleared. */
+  get numInstances() {
+    return this._numInstances
+  }
+
+  /** The vertex data containing one entry per instance (see
+   *  <code>InstancedQuadEffect.INSTANCE_FORMAT</code>). Its size may exceed the number
+   *  of instances. */
+  get instanceData() {
+    return this._instanceData
+  }
+
+  /** The blend mode shared by all instances. */
+  get blendMode() {
+    return this._blendMode
+  }
+}
@@ -0,0 +1,247 @@
+import { STREAM_DRAW } from 'gl-constants'
+
+import Effect from './effect'
+import MeshEffect from './mesh-effect'
+import IndexData from './index-data'
+import VertexData from './vertex-data'
+import VertexDataFormat from './vertex-data-format'
+import Program from './program'
+import StarlingContextManager from '../core/context-manager'
+
+/** An effect drawing any number of textured, colored quads with a single instanced draw
+ *  call. All instances share one unit quad; each of them stores its transformation, its
+ *  texture coordinates, its color and its alpha value, which are expanded by the vertex
+ *  shader.
+ *
+ *  <p>The transformation of an instance is an affine mapping of the unit quad: the
+ *  position of its first vertex (<code>translation</code>), followed by the vectors from
+ *  there to the second and the third vertex (<code>transform</code>). The texture
+ *  coordinates are described the same way, which supports rotated textures of an
+ *  atlas.</p>
+ *
+ *  <p>This effect is used by <code>InstancedQuadBatch</code>; it requires support for
+ *  instanced drawing, i.e. WebGL 2 or the <code>ANGLE_instanced_arrays</code>
+ *  extension.</p>
+ *
+ *  @see InstancedQuadBatch
+ */
+export default class InstancedQuadEffect extends MeshEffect {
+  /** The vertex format of the shared unit quad: <code>'corner:float2'</code> */
+  static QUAD_FORMAT = VertexDataFormat.fromString('corner:float2')
+
+  /** The format expected by <code>uploadInstanceData</code>:
+   *  <code>'transform:float4, translation:float2, texTransform:float4,
+   *  texTranslation:float2, color:bytes4, alpha:float1'</code> */
+  static INSTANCE_FORMAT = VertexDataFormat.fromString(
+    'transform:float4, translation:float2, texTransform:float4, ' +
+      'texTranslation:float2, color:bytes4, alpha:float1'
+  )
+
+  _instanceBuffer = null
+  _instanceBufferMemory = 0
+
+  // the geometry that's shared by all instances
+  static sQuadVertexData = null
+  static sQuadIndexData = null
+
+  /** Purges the buffers of the quad and of the instances. */
+  purgeBuffers() {
+    if (this._instanceBuffer) {
+      const gl = StarlingContextManager.current.context
+      gl.deleteBuffer(this._instanceBuffer)
+    }
+
+    this._instanceBuffer = null
+    this.setInstanceBufferMemory(0)
+    super.purgeBuffers()
+  }
+
+  setInstanceBufferMemory(value) {
+    Effect.sBufferMemory += value - this._instanceBufferMemory
+    this._instanceBufferMemory = value
+  }
+
+  /** Uploads the first <code>numInstances</code> entries of the given instance data,
+   *  which has to use <code>INSTANCE_FORMAT</code>, to the internal instance buffer. The
+   *  shared quad geometry is uploaded along with it, if necessary.
+   *
+   *  <p>The instance buffer is kept between calls; it's only reallocated (to the capacity
+   *  of the instance data) when it's too small to hold the given instances.</p>
+   */
+  uploadInstanceData(instanceData, numInstances, bufferUsage = STREAM_DRAW) {
+    const gl = StarlingContextManager.current.context
+    if (!gl) throw new Error('[MissingContextError]')
+
+    const rawData = instanceData.rawData
+    const byteLength = numInstances * instanceData.vertexSize
+
+    // without a vertex array, the buffers were either never created or lost with the context
+    if (!this._vertexArray) {
+      const { vertexData, indexData } = InstancedQuadEffect.getQuadGeometry()
+
+      this._instanceBuffer = null
+      this.setInstanceBufferMemory(0)
+      this.uploadVertexData(vertexData)
+      this.uploadIndexData(indexData)
+    }
+
+    if (byteLength === 0) return
+
+    if (!this._instanceBuffer) {
+      this._instanceBuffer = gl.createBuffer()
+
+      gl.bindVertexArray(this._vertexArray)
+      gl.bindBuffer(gl.ARRAY_BUFFER, this._instanceBuffer)
+      InstancedQuadEffect.setupInstanceAttributes(gl, 1)
+      gl.bindVertexArray(null)
+    } else gl.bindBuffer(gl.ARRAY_BUFFER, this._instanceBuffer)
+
+    if (this._instanceBufferMemory < byteLength) {
+      gl.bufferData(gl.ARRAY_BUFFER, rawData.byteLength, bufferUsage)
+      this.setInstanceBufferMemory(rawData.byteLength)
+    }
+
+    gl.bufferSubData(
+      gl.ARRAY_BUFFER,
+      0,
+      new Uint8Array(rawData.buffer, rawData.byteOffset, byteLength)
+    )
+    gl.bindBuffer(gl.ARRAY_BUFFER, null)
+  }
+
+  /** Draws the given number of instances of the quad. This calls
+   *  <code>beforeDraw</code>, <code>context.drawElementsInstanced</code>, and
+   *  <code>afterDraw</code>, in this order. */
+  renderInstances(numInstances) {
+    if (numInstances === 0) return
+
+    const gl = StarlingContextManager.current.context
+    if (!gl) throw new Error('[MissingContextError]')
+
+    this.beforeDraw(gl)
+    gl.drawElementsInstanced(
+      gl.TRIANGLES,
+      6,
+      gl.UNSIGNED_SHORT,
+      0,
+      numInstances
+    )
+    this.afterDraw(gl)
+  }
+
+  /** @private */
+  createProgram() {
+    const texture = this.texture
+
+    const vertexShader = `#version 300 es
+                layout(location = 0) in vec2 aCorner;
+                layout(location = 1) in vec4 aTransform;
+                layout(location = 2) in vec2 aTranslation;
+                layout(location = 3) in vec4 aTexTransform;
+                layout(location = 4) in vec2 aTexTranslation;
+                layout(location = 5) in vec4 aColor;
+                layout(location = 6) in float aAlpha;
+
+                uniform mat4 uMVPMatrix;
+                uniform float uAlpha;
+
+                out vec4 vColor;
+                ${texture ? 'out vec2 vTexCoords;' : ''}
+
+                void main() {
+                    vec2 position = aTranslation +
+                        aCorner.x * aTransform.xy + aCorner.y * aTransform.zw;
+
+                    // Transform to clipspace
+                    gl_Position = uMVPMatrix * vec4(position, 0.0, 1.0);
+
+                    // Reverse components because WebGL expects data as little-endian
+                    vColor = aColor.wzyx * (aAlpha * uAlpha);
+
+                    ${
+                      texture
+                        ? `vTexCoords = aTexTranslation +
+                        aCorner.x * aTexTransform.xy + aCorner.y * aTexTransform.zw;`
+                        : ''
+                    }
+                }
+            `
+
+    const fragmentShader = texture
+      ? `#version 300 es
+                precision highp float;
+
+                uniform sampler2D sTexture;
+
+                in vec4 vColor;
+                in vec2 vTexCoords;
+
+                out vec4 color;
+
+                void main() {
+                    color = vColor * texture(sTexture, vTexCoords);
+                }
+            `
+      : `#version 300 es
+                precision highp float;
+
+                in vec4 vColor;
+
+                out vec4 color;
+
+                void main() {
+                   color = vColor;
+                }
+            `
+
+    return Program.fromSource(vertexShader, fragmentShader)
+  }
+
+  /** The vertex format of the shared unit quad: <code>'corner:float2'</code> */
+  get vertexFormat() {
+    return InstancedQuadEffect.QUAD_FORMAT
+  }
+
+  // Points the instance attributes (starting at the given location) to the buffer that's
+  // currently bound to ARRAY_BUFFER; the vertex array stores that setup.
+  static setupInstanceAttributes(gl, firstLocation) {
+    const format = InstancedQuadEffect.INSTANCE_FORMAT
+
+    format.attributes.forEach((attribute, index) => {
+      const location = firstLocation + index
+
+      gl.enableVertexAttribArray(location)
+      gl.vertexAttribPointer(
+        location,
+        attribute.numComponents,
+        attribute.isColor ? gl.UNSIGNED_BYTE : gl.FLOAT,
+        attribute.normalized,
+        format.vertexSize,
+        attribute.offset
+      )
+      gl.vertexAttribDivisor(location, 1)
+    })
+  }
+
+  // Returns the unit quad that's drawn for each instance, creating it if necessary.
+  static getQuadGeometry() {
+    if (!InstancedQuadEffect.sQuadVertexData) {
+      const vertexData = new VertexData(InstancedQuadEffect.QUAD_FORMAT, 4)
+      const indexData = new IndexData(6)
+
+      vertexData.setPoint(0, 'corner', 0, 0)
+      vertexData.setPoint(1, 'corner', 1, 0)
+      vertexData.setPoint(2, 'corner', 0, 1)
+      vertexData.setPoint(3, 'corner', 1, 1)
+      indexData.addQuad(0, 1, 2, 3)
+
+      InstancedQuadEffect.sQuadVertexData = vertexData
+      InstancedQuadEffect.sQuadIndexData = indexData
+    }
+
+    return {
+      vertexData: InstancedQuadEffect.sQuadVertexData,
+      indexData: InstancedQuadEffect.sQuadIndexData
+    }
+  }
+}
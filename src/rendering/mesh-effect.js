@@ -44,6 +44,23 @@ export default class MeshEffect extends FilterEffect {
     return super.programVariantName | (noTinting << 3)
   }
 
+  /** Returns the variants of the parent class, each in a tinted and a non-tinted
+   *  version. */
+  createVariants() {
+    const variants = []
+
+    for (const effect of super.createVariants()) {
+      const untinted = new this.constructor()
+      untinted.texture = effect.texture
+      untinted.tinted = false
+
+      effect.tinted = true
+      variants.push(effect, untinted)
+    }
+
+    return variants
+  }
+
   /** @private */
   createProgram() {
     let vertexShader, fragmentShader
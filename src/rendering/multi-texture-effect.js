@@ -0,0 +1,211 @@
+import MeshEffect from './mesh-effect'
+import Program from './program'
+
+/** An effect drawing a mesh of colored vertices that are textured by one of several
+ *  textures. Each vertex stores the index of its texture, which allows meshes with
+ *  different textures (e.g. from different atlases) to be rendered with a single draw
+ *  call.
+ *
+ *  <p>All textures share the same smoothing and repeat settings, as well as the
+ *  premultiplied alpha setting and format of the first texture. The number of textures is
+ *  part of the program variant, so that only the textures that are actually used are
+ *  bound.</p>
+ *
+ *  @see starling.styles.MultiTextureStyle
+ */
+export default class MultiTextureEffect extends MeshEffect {
+  /** The vertex format expected by <code>uploadVertexData</code>:
+   *  <code>'position:float2, texCoords:float2, color:bytes4, textureIndex:float1'</code> */
+  static VERTEX_FORMAT = MeshEffect.VERTEX_FORMAT.extend('textureIndex:float1')
+
+  // the names of the samplers, by texture index
+  static sSamplerNames = []
+
+  _textures
+
+  /** Creates a new MultiTextureEffect instance. */
+  constructor() {
+    super()
+    this._textures = []
+  }
+
+  /** @private */
+  get programVariantName() {
+    const numTextures = Math.max(1, this._textures.length)
+    return super.programVariantName | ((numTextures - 1) << 4)
+  }
+
+  /** Returns the variants of the <code>MeshEffect</code>, the textured ones for each
+   *  number of textures from one up to the number of <code>textures</code> of this effect.
+   *  Thus, to precompile all programs a <code>MultiTextureStyle</code> may require, pass
+   *  an effect with <code>MultiTextureStyle.maxTextures</code> textures. */
+  createVariants() {
+    const maxNumTextures = Math.max(1, this._textures.length)
+    const variants = []
+
+    for (const effect of super.createVariants()) {
+      const { texture, tinted } = effect
+
+      variants.push(effect)
+
+      if (!texture) continue
+
+      effect.textures = [texture]
+
+      for (let numTextures = 2; numTextures <= maxNumTextures; ++numTextures) {
+        const variant = new this.constructor()
+        variant.texture = texture
+        variant.tinted = tinted
+        variant.textures = new Array(numTextures).fill(texture)
+        variants.push(variant)
+      }
+    }
+
+    return variants
+  }
+
+  /** @private */
+  createProgram() {
+    if (!this.texture) return super.createProgram()
+
+    const numTextures = Math.max(1, this._textures.length)
+    let samplers = ''
+    let sampling = ''
+
+    for (let i = 0; i < numTextures; ++i) {
+      const sample = `textureColor = texture(sTexture${i}, vTexCoords);`
+
+      samplers += `uniform sampler2D sTexture${i};\n`
+
+      // samplers can't be indexed dynamically in GLSL ES 1.00
+      if (i < numTextures - 1)
+        sampling += `if (vTextureIndex < ${i}.5) ${sample}\nelse `
+      else sampling += sample
+    }
+
+    const vertexShader = `#version 300 es
+                layout(location = 0) in vec2 aPosition;
+                layout(location = 1) in vec2 aTexCoords;
+                layout(location = 2) in vec4 aColor;
+                layout(location = 3) in float aTextureIndex;
+
+                uniform mat4 uMVPMatrix;
+                uniform float uAlpha;
+
+                out vec4 vColor;
+                out vec2 vTexCoords;
+                out float vTextureIndex;
+
+                void main() {
+                    // Transform to clipspace
+                    gl_Position = uMVPMatrix * vec4(aPosition, 0.0, 1.0);
+
+                    // Reverse components because WebGL expects data as little-endian
+                    vColor = aColor.wzyx * uAlpha;
+
+                    vTexCoords = aTexCoords;
+                    vTextureIndex = aTextureIndex;
+                }
+            `
+
+    const fragmentShader = `#version 300 es
+                precision highp float;
+
+                ${samplers}
+
+                in vec4 vColor;
+                in vec2 vTexCoords;
+                in float vTextureIndex;
+
+                out vec4 color;
+
+                void main() {
+                    vec4 textureColor;
+                    ${sampling}
+                    color = vColor * textureColor;
+                }
+            `
+
+    return Program.fromSource(vertexShader, fragmentShader)
+  }
+
+  /** This method is called by <code>render</code>, directly before
+   *  <code>context.drawTriangles</code>. In addition to the setup of the
+   *  <code>MeshEffect</code>, it binds all textures to consecutive texture units and
+   *  assigns them to the samplers <code>sTexture0</code>, <code>sTexture1</code>, etc.
+   */
+  beforeDraw(gl) {
+    super.beforeDraw(gl)
+
+    const { _textures, textureSmoothing, textureRepeat } = this
+    const numTextures = _textures.length
+
+    if (!this.texture) return
+
+    const { program } = this
+
+    for (let i = 0; i < numTextures; ++i) {
+      // the first texture was already bound by the super class
+      if (i > 0) {
+        gl.activeTexture(gl.TEXTURE0 + i)
+        gl.bindTexture(gl.TEXTURE_2D, _textures[i].base)
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, textureSmoothing)
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, textureSmoothing)
+        gl.texParameteri(
+          gl.TEXTURE_2D,
+          gl.TEXTURE_WRAP_S,
+          textureRepeat ? gl.REPEAT : gl.CLAMP_TO_EDGE
+        )
+        gl.texParameteri(
+          gl.TEXTURE_2D,
+          gl.TEXTURE_WRAP_T,
+          textureRepeat ? gl.REPEAT : gl.CLAMP_TO_EDGE
+        )
+      }
+
+      gl.uniform1i(
+        program.getUniformLocation(MultiTextureEffect.getSamplerName(i), gl),
+        i
+      )
+    }
+
+    gl.activeTexture(gl.TEXTURE0)
+  }
+
+  /** This method is called by <code>render</code>, directly after
+   *  <code>context.drawTriangles</code>. Unbinds the additional textures. */
+  afterDraw(gl) {
+    const numTextures = this.texture ? this._textures.length : 0
+
+    for (let i = 1; i < numTextures; ++i) {
+      gl.activeTexture(gl.TEXTURE0 + i)
+      gl.bindTexture(gl.TEXTURE_2D, null)
+    }
+
+    gl.activeTexture(gl.TEXTURE0)
+    super.afterDraw(gl)
+  }
+
+  static getSamplerName(index) {
+    const { sSamplerNames } = MultiTextureEffect
+
+    if (!sSamplerNames[index]) sSamplerNames[index] = `sTexture${index}`
+    return sSamplerNames[index]
+  }
+
+  /** The data format that this effect requires from the VertexData that it renders:
+   *  <code>'position:float2, texCoords:float2, color:bytes4, textureIndex:float1'</code> */
+  get vertexFormat() {
+    return MultiTextureEffect.VERTEX_FORMAT
+  }
+
+  /** The textures to sample from, in the order of the indices stored in the vertices.
+   *  The first one must be the same as <code>texture</code>. */
+  get textures() {
+    return this._textures
+  }
+
+  set textures(value) {
+    this._textures = value
+  }
+}
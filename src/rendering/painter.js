@@ -17,6 +17,14 @@ import MeshSubset from '../utils/mesh-subset'
 import Pool from '../utils/pool'
 import RectangleUtil from '../utils/rectangle-util'
 import RenderUtil from '../utils/render-util'
+import FrameProfiler from '../core/frame-profiler'
+import Environment from '../core/environment'
+import MeshEffect from './mesh-effect'
+import FilterEffect from './filter-effect'
+import VertexData from './vertex-data'
+import IndexData from './index-data'
+import TextureSmoothing from '../textures/texture-smoothing'
+import BlendModeFilter from '../filters/blend-mode-filter'
 //import SystemUtil from '../utils/system-util';
 
 /** A class that orchestrates rendering of all Starling display objects.
@@ -62,14 +70,20 @@ export default class Painter {
 
   _stage3D
   _context
+  _contextLost
+  _profile
   _shareContext
   _drawCount
+  _batchCount
   _frameID
   _pixelSize
   _enableErrorChecking
   _stencilReferenceValues
+  _framebuffers
   _clipRectStack
   _batchCacheExclusions
+  _onBatchDrawn = null
+  _onBatchBreak = null
 
   _batchProcessor
   _batchProcessorCurr // current  processor
@@ -81,6 +95,8 @@ export default class Painter {
   _actualCulling
   _actualBlendMode
 
+  _backBufferX
+  _backBufferY
   _backBufferWidth
   _backBufferHeight
   _backBufferScaleFactor
@@ -90,6 +106,15 @@ export default class Painter {
   _stateStackPos
   _stateStackLength
 
+  _measureGPUTime = false
+  _gpuTime = -1
+  _timerQueryExtension
+  _timerQuery = null
+  _pendingTimerQueries = []
+  _parallelShaderCompileExtension
+  _maxSamples
+  _copyEffect = null
+
   // shared data
   static sSharedData = new Map()
 
@@ -100,6 +125,7 @@ export default class Painter {
   static sClipRect = new Rectangle()
   static sBufferRect = new Rectangle()
   static sScissorRect = new Rectangle()
+  static sViewport = new Rectangle()
   static sMeshSubset = new MeshSubset()
 
   // construction
@@ -107,31 +133,32 @@ export default class Painter {
   /** Creates a new Painter object. Normally, it's not necessary to create any custom
    *  painters; instead, use the global painter found on the Starling instance. */
   constructor(canvas) {
-    const gl = canvas.getContext('webgl2', { stencil: true, depth: true })
+    // prefers WebGL 2, falling back to WebGL 1 where that is all the device supports
+    const gl = RenderUtil.requestContext(canvas, 'auto', {
+      stencil: true,
+      depth: true
+    })
 
     if (!gl) {
       console.log(
-        'Dafuq, WebGL 2 is not available.  See <a href="https://www.khronos.org/webgl/wiki/Getting_a_WebGL_Implementation">How to get a WebGL 2 implementation</a>'
+        'Dafuq, WebGL is not available.  See <a href="https://www.khronos.org/webgl/wiki/Getting_a_WebGL_Implementation">How to get a WebGL implementation</a>'
       )
       return
     }
 
-    gl.frontFace(gl.CW)
-    gl.viewport(0, 0, canvas.width, canvas.height)
-    gl.enable(gl.DEPTH_TEST)
-    gl.enable(gl.STENCIL_TEST)
-    gl.enable(gl.CULL_FACE)
     this._context = gl
+    this._profile = RenderUtil.getProfile(gl)
+    this._contextLost = false
 
     this._actualBlendMode = null
     this._actualCulling = null
-    this._backBufferWidth = canvas.width
-    this._backBufferHeight = canvas.height
     this._shareContext = false
+    this._backBufferX = this._backBufferY = 0
     this._backBufferWidth = this._context ? canvas.width : 0
     this._backBufferHeight = this._context ? canvas.height : 0
     this._backBufferScaleFactor = this._pixelSize = 1.0
     this._stencilReferenceValues = new WeakMap()
+    this._framebuffers = new Map()
     this._clipRectStack = []
 
     this._batchProcessorCurr = new BatchProcessor()
@@ -151,6 +178,8 @@ export default class Painter {
     this._stateStack = []
     this._stateStackPos = -1
     this._stateStackLength = 0
+
+    this.setupContext()
   }
 
   /** Disposes all mesh batches, programs, and - if it is not being shared -
@@ -160,12 +189,100 @@ export default class Painter {
     this._batchProcessorPrev.dispose()
     this._batchProcessorSpec.dispose()
 
+    for (const texture of Array.from(this._framebuffers.keys()))
+      this.releaseFramebuffer(texture)
+
+    if (this._copyEffect) this._copyEffect.dispose()
+
     if (!this._shareContext) {
       this._context.dispose(false)
       Painter.sSharedData = new Map()
     }
   }
 
+  // context management
+
+  /** Applies the context settings Starling relies on. Called on construction and
+   *  whenever the context has been restored after a context loss. */
+  setupContext() {
+    const gl = this._context
+
+    gl.frontFace(gl.CW)
+    this.applyBackBufferViewport()
+    gl.enable(gl.DEPTH_TEST)
+    gl.enable(gl.STENCIL_TEST)
+    gl.enable(gl.CULL_FACE)
+  }
+
+  /** Configures the back buffer, i.e. the area of the canvas Starling renders into.
+   *
+   *  @param viewPort    the area of the canvas covered by the back buffer, in points
+   *                     (CSS pixels). The canvas needs to be large enough to contain it.
+   *  @param contentScaleFactor  the number of pixels per point, e.g. the device pixel ratio.
+   *  @param antiAlias   ignored; in WebGL, antialiasing is a context creation attribute.
+   *  @param enableDepthAndStencil  ignored; in WebGL, depth and stencil buffers are context
+   *                     creation attributes.
+   */
+  configureBackBuffer(
+    viewPort,
+    contentScaleFactor,
+    antiAlias,
+    enableDepthAndStencil
+  ) {
+    this._backBufferX = viewPort.x
+    this._backBufferY = viewPort.y
+    this._backBufferWidth = viewPort.width
+    this._backBufferHeight = viewPort.height
+    this._backBufferScaleFactor = contentScaleFactor
+
+    if (!this._state.renderTarget) this.applyBackBufferViewport()
+  }
+
+  /** Makes the back buffer area of the canvas the target of all draw calls. */
+  applyBackBufferViewport() {
+    const scale = this._backBufferScaleFactor
+
+    // WebGL's y-axis points upwards, starting at the bottom of the drawing buffer
+    this._context.viewport(
+      Math.round(this._backBufferX * scale),
+      Math.round(
+        this._context.drawingBufferHeight -
+          (this._backBufferY + this._backBufferHeight) * scale
+      ),
+      Math.round(this._backBufferWidth * scale),
+      Math.round(this._backBufferHeight * scale)
+    )
+  }
+
+  /** Marks the context as lost. Until <code>onContextRestored</code> is called,
+   *  <code>contextValid</code> returns <code>false</code>. Called by Starling when the
+   *  canvas dispatches a 'webglcontextlost' event. */
+  onContextLost() {
+    this._contextLost = true
+  }
+
+  /** Resets all cached context state and re-applies the default context settings.
+   *  Called by Starling when the canvas dispatches a 'webglcontextrestored' event, before
+   *  any programs, buffers or textures are recreated. */
+  onContextRestored() {
+    this._contextLost = false
+    this._actualRenderTarget = null
+    this._actualRenderTargetOptions = null
+    this._stencilReferenceValues = new WeakMap()
+    this._framebuffers.clear() // framebuffers and renderbuffers were lost, too
+
+    // WebGL 1 extensions don't survive a context loss; neither do queries
+    RenderUtil.setupExtensions(this._context)
+    this._timerQueryExtension = undefined
+    this._parallelShaderCompileExtension = undefined
+    this._maxSamples = undefined
+    this._timerQuery = null
+    this._pendingTimerQueries.length = 0
+
+    this.setupContext()
+    this.setupContextDefaults()
+  }
+
   // program management
 
   /** Registers a program under a certain name.
@@ -195,6 +312,88 @@ export default class Painter {
     return name in this.programs
   }
 
+  /** Compiles the programs of the given effects (and of all their variants, see
+   *  <code>Effect.createVariants</code>) ahead of time, so that they don't have to be
+   *  compiled when they are first drawn. Call this method while a loading screen is shown
+   *  to avoid hiccups later on.
+   *
+   *  <p>If the context supports <code>KHR_parallel_shader_compile</code>, all programs are
+   *  compiled in the background, and each one is activated (which finishes it) once the
+   *  driver reports it as complete. Otherwise, one program is compiled per frame.</p>
+   *
+   *  <listing>
+   *  painter.precompilePrograms(null, ratio => {
+   *      progressBar.ratio = ratio;
+   *  }).then(showMenu);</listing>
+   *
+   *  @param effects    the effects whose programs should be compiled. If omitted, the
+   *                    standard <code>MeshEffect</code> and <code>FilterEffect</code> are
+   *                    used; the programs of other effects are then compiled on
+   *                    demand, when they are first drawn. Programs that are already
+   *                    compiled are skipped.
+   *  @param onProgress called with a ratio between 0 and 1 whenever a program was
+   *                    compiled, and with 1 once all of them are done.
+   *  @return a Promise that is resolved when all programs are compiled, or rejected with
+   *          the error of the first program that fails to compile.
+   */
+  precompilePrograms(effects = null, onProgress = null) {
+    const gl = this._context
+    const ownEffects = !effects
+    const programs = []
+
+    if (ownEffects) effects = [new MeshEffect(), new FilterEffect()]
+
+    for (const effect of effects) {
+      for (const variant of effect.createVariants()) {
+        const { program } = variant
+
+        if (!program.nativeProgram && programs.indexOf(program) === -1)
+          programs.push(program)
+
+        if (variant !== effect) variant.dispose()
+      }
+
+      if (ownEffects) effect.dispose()
+    }
+
+    const numPrograms = programs.length
+    const parallel = !!this.parallelShaderCompileExtension
+    let numCompiled = 0
+
+    if (parallel) for (const program of programs) program.compile(gl)
+
+    return new Promise((resolve, reject) => {
+      const update = () => {
+        try {
+          // without the extension, compiling blocks; thus, only one program per frame
+          for (let i = 0; i < programs.length; ++i) {
+            const program = programs[i]
+
+            if (!parallel || program.isCompiled(gl)) {
+              program.activate(gl)
+              programs.splice(i--, 1)
+              numCompiled += 1
+
+              if (onProgress) onProgress(numCompiled / numPrograms)
+              if (!parallel) break
+            }
+          }
+        } catch (error) {
+          reject(error)
+          return
+        }
+
+        if (programs.length) Environment.requestAnimationFrame(update)
+        else resolve()
+      }
+
+      if (numPrograms === 0) {
+        if (onProgress) onProgress(1)
+        resolve()
+      } else Environment.requestAnimationFrame(update)
+    })
+  }
+
   // state stack
 
   /** Pushes the current render state to a stack from which it can be restored later.
@@ -394,6 +593,25 @@ export default class Painter {
     this.popState()
   }
 
+  /** Renders a display object with the current render state, applying its filter.
+   *  If the object uses an advanced blend mode (see <code>BlendMode.isAdvanced</code>),
+   *  it's rendered via a <code>BlendModeFilter</code> that composites it with the
+   *  backdrop. Called by containers and render textures for each object they draw. */
+  renderObject(object) {
+    if (BlendMode.isAdvanced(object._blendMode)) {
+      let blendModeFilter = object._blendModeFilter
+
+      if (!blendModeFilter) {
+        blendModeFilter = object._blendModeFilter = new BlendModeFilter()
+        blendModeFilter.setTarget(object)
+      }
+
+      blendModeFilter.blendMode = object._blendMode
+      blendModeFilter.render(this)
+    } else if (object._filter) object._filter.render(this)
+    else object.render(this)
+  }
+
   pushClipRect(clipRect) {
     const stack = this._clipRectStack
     const stackLength = stack.length
@@ -470,6 +688,7 @@ export default class Painter {
     this._batchProcessor.finishBatch()
     this._batchProcessor = _batchProcessorSpec // no cache between frames
     this.processCacheExclusions()
+    this.endTimerQuery()
   }
 
   processCacheExclusions() {
@@ -503,8 +722,52 @@ export default class Painter {
     this.stencilReferenceValue = Painter.DEFAULT_STENCIL_VALUE
     this._clipRectStack.length = 0
     this._drawCount = 0
+    this._batchCount = 0
     this._stateStackPos = -1
     this._state.reset()
+
+    if (this._measureGPUTime) this.beginTimerQuery()
+  }
+
+  // GPU timing
+
+  // Starts measuring the GPU time of the frame, after collecting the results of
+  // previous frames; those are only available a few frames later.
+  beginTimerQuery() {
+    const gl = this._context
+    const ext = this.timerQueryExtension
+    const pending = this._pendingTimerQueries
+
+    if (!ext || this._timerQuery) return
+
+    // results are invalid if the GPU was interrupted (e.g. by a power state change)
+    const disjoint = gl.getParameter(ext.GPU_DISJOINT_EXT)
+
+    while (
+      pending.length &&
+      gl.getQueryParameter(pending[0], gl.QUERY_RESULT_AVAILABLE)
+    ) {
+      const query = pending.shift()
+
+      if (!disjoint)
+        this._gpuTime = gl.getQueryParameter(query, gl.QUERY_RESULT) / 1e6
+
+      gl.deleteQuery(query)
+    }
+
+    this._timerQuery = gl.createQuery()
+    gl.beginQuery(ext.TIME_ELAPSED_EXT, this._timerQuery)
+  }
+
+  endTimerQuery() {
+    if (!this._timerQuery) return
+
+    this._context.endQuery(this._timerQueryExtension.TIME_ELAPSED_EXT)
+
+    if (this._measureGPUTime) this._pendingTimerQueries.push(this._timerQuery)
+    else this._context.deleteQuery(this._timerQuery)
+
+    this._timerQuery = null
   }
 
   swapBatchProcessors() {
@@ -565,6 +828,9 @@ export default class Painter {
   }
 
   drawBatch = meshBatch => {
+    FrameProfiler.begin('Painter.drawBatch', meshBatch)
+
+    this._batchCount += 1
     this.pushState()
 
     this.state.blendMode = meshBatch.blendMode
@@ -573,7 +839,11 @@ export default class Painter {
 
     meshBatch.render(this)
 
+    if (this._onBatchDrawn)
+      this._onBatchDrawn(meshBatch, this.state.renderTarget)
+
     this.popState()
+    FrameProfiler.end()
   }
 
   // helper methods
@@ -600,6 +870,7 @@ export default class Painter {
 
   /** Resets the render target to the back buffer and displays its contents. */
   present() {
+    this.resolveRenderTarget()
     this._state.renderTarget = null
     this._actualRenderTarget = null
     //this._context.present(); todo: no need for this with gl, consider removing this method
@@ -651,25 +922,37 @@ export default class Painter {
       target !== this._actualRenderTarget ||
       options !== this._actualRenderTargetOptions
     ) {
+      this.resolveRenderTarget()
+
       if (target) {
-        //const antiAlias = _state.renderTargetAntiAlias;
-        //const depthAndStencil = _state.renderTargetSupportsDepthAndStencil;
-        //_context.setRenderToTexture(target, depthAndStencil, antiAlias);
-        // todo: implement depth, stencil
-
-        const fb = gl.createFramebuffer()
-        gl.bindFramebuffer(gl.FRAMEBUFFER, fb) // todo: could be DRAW_FRAMEBUFFER with WGL2
-        gl.viewport(0, 0, _state.renderTarget.width, _state.renderTarget.height)
-        gl.framebufferTexture2D(
-          gl.FRAMEBUFFER,
-          gl.COLOR_ATTACHMENT0,
-          gl.TEXTURE_2D,
+        const { root } = _state.renderTarget
+        const width = root.nativeWidth
+        const height = root.nativeHeight
+
+        const entry = this._framebuffers.get(target)
+        const previousBuffers =
+          entry && entry.multisampled ? entry.multisampleBuffers : null
+
+        this.bindFramebuffer(
           target,
-          0
+          width,
+          height,
+          _state.renderTargetSupportsDepthAndStencil,
+          _state.renderTargetAntiAlias
+        )
+        gl.viewport(0, 0, width, height)
+
+        // multisampled buffers replace the contents of the texture when they're resolved,
+        // so they must receive what was drawn into it before they became active.
+        const { multisampled, multisampleBuffers } = this._framebuffers.get(
+          target
         )
+
+        if (multisampled && multisampleBuffers !== previousBuffers)
+          this.copyTextureToMultisampleBuffers(root)
       } else {
         gl.bindFramebuffer(gl.FRAMEBUFFER, null)
-        gl.viewport(0, 0, this._backBufferWidth, this._backBufferHeight)
+        this.applyBackBufferViewport()
       }
 
       gl.stencilFunc(gl.ALWAYS, this.stencilReferenceValue, 0xff)
@@ -679,24 +962,284 @@ export default class Painter {
     }
   }
 
+  /** Binds the framebuffer that renders into the given base texture. Framebuffers are
+   *  created on first use and cached until the texture is disposed; the same goes for
+   *  their depth and stencil buffer, which is attached only while
+   *  <code>enableDepthAndStencil</code> is <code>true</code>.
+   *
+   *  <p>With anti-aliasing (WebGL 2 only), rendering goes into multisampled renderbuffers
+   *  instead; they are resolved into the texture by <code>resolveRenderTarget</code>.
+   *  <code>applyRenderTarget</code> draws the texture into them whenever they become
+   *  active, so that nothing that was drawn without anti-aliasing is lost.</p>
+   *
+   *  @param texture  the base texture (<code>WebGLTexture</code>) to render into.
+   *  @param width    the native width of the texture, in pixels.
+   *  @param height   the native height of the texture, in pixels.
+   *  @param enableDepthAndStencil  indicates if masks and depth testing need to work
+   *                  when rendering into the texture.
+   *  @param antiAlias  the anti-aliasing quality (range: <code>0 - 4</code>).
+   */
+  bindFramebuffer(
+    texture,
+    width,
+    height,
+    enableDepthAndStencil = true,
+    antiAlias = 0
+  ) {
+    const gl = this._context
+    const samples = this.getNumSamples(antiAlias)
+    let entry = this._framebuffers.get(texture)
+
+    if (!entry) {
+      entry = {
+        width,
+        height,
+        buffers: this.createFramebufferBuffers(),
+        multisampleBuffers: null,
+        multisampled: false
+      }
+
+      gl.bindFramebuffer(gl.FRAMEBUFFER, entry.buffers.framebuffer)
+      gl.framebufferTexture2D(
+        gl.FRAMEBUFFER,
+        gl.COLOR_ATTACHMENT0,
+        gl.TEXTURE_2D,
+        texture,
+        0
+      )
+
+      this._framebuffers.set(texture, entry)
+    }
+
+    if (
+      samples &&
+      (!entry.multisampleBuffers ||
+        entry.multisampleBuffers.samples !== samples)
+    ) {
+      this.deleteFramebufferBuffers(entry.multisampleBuffers)
+
+      const multisampleBuffers = this.createFramebufferBuffers(samples)
+      multisampleBuffers.color = gl.createRenderbuffer()
+
+      gl.bindRenderbuffer(gl.RENDERBUFFER, multisampleBuffers.color)
+      gl.renderbufferStorageMultisample(
+        gl.RENDERBUFFER,
+        samples,
+        gl.RGBA8,
+        width,
+        height
+      )
+      gl.bindRenderbuffer(gl.RENDERBUFFER, null)
+      gl.bindFramebuffer(gl.FRAMEBUFFER, multisampleBuffers.framebuffer)
+      gl.framebufferRenderbuffer(
+        gl.FRAMEBUFFER,
+        gl.COLOR_ATTACHMENT0,
+        gl.RENDERBUFFER,
+        multisampleBuffers.color
+      )
+
+      entry.multisampleBuffers = multisampleBuffers
+    }
+
+    const buffers = samples ? entry.multisampleBuffers : entry.buffers
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, buffers.framebuffer)
+    entry.multisampled = samples > 0
+
+    if (enableDepthAndStencil !== buffers.depthStencilAttached) {
+      if (enableDepthAndStencil && !buffers.depthStencil) {
+        buffers.depthStencil = gl.createRenderbuffer()
+        gl.bindRenderbuffer(gl.RENDERBUFFER, buffers.depthStencil)
+
+        if (samples)
+          gl.renderbufferStorageMultisample(
+            gl.RENDERBUFFER,
+            samples,
+            gl.DEPTH24_STENCIL8,
+            width,
+            height
+          )
+        else
+          gl.renderbufferStorage(
+            gl.RENDERBUFFER,
+            this._profile === 'webgl2' ? gl.DEPTH24_STENCIL8 : gl.DEPTH_STENCIL,
+            width,
+            height
+          )
+
+        gl.bindRenderbuffer(gl.RENDERBUFFER, null)
+      }
+
+      gl.framebufferRenderbuffer(
+        gl.FRAMEBUFFER,
+        gl.DEPTH_STENCIL_ATTACHMENT,
+        gl.RENDERBUFFER,
+        enableDepthAndStencil ? buffers.depthStencil : null
+      )
+
+      buffers.depthStencilAttached = enableDepthAndStencil
+    }
+
+    return buffers.framebuffer
+  }
+
+  /** Copies the contents of the multisampled renderbuffer of the active render target into
+   *  its texture. This happens automatically when the render target changes; call it
+   *  manually only if you need to read back the pixels of a texture that might still be
+   *  the active render target. Does nothing if the target is not anti-aliased. */
+  resolveRenderTarget() {
+    const target = this._actualRenderTarget
+    const entry = target ? this._framebuffers.get(target) : null
+
+    if (!entry || !entry.multisampled) return
+
+    const gl = this._context
+    const { width, height, buffers, multisampleBuffers } = entry
+    const scissorTest = gl.isEnabled(gl.SCISSOR_TEST)
+
+    // the clip rect must not limit the copied area
+    if (scissorTest) gl.disable(gl.SCISSOR_TEST)
+
+    gl.bindFramebuffer(gl.READ_FRAMEBUFFER, multisampleBuffers.framebuffer)
+    gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, buffers.framebuffer)
+    gl.blitFramebuffer(
+      0,
+      0,
+      width,
+      height,
+      0,
+      0,
+      width,
+      height,
+      gl.COLOR_BUFFER_BIT,
+      gl.NEAREST
+    )
+    gl.bindFramebuffer(gl.FRAMEBUFFER, multisampleBuffers.framebuffer)
+
+    if (scissorTest) gl.enable(gl.SCISSOR_TEST)
+  }
+
+  // Draws the given (root) texture into its multisampled buffers, which must be bound.
+  copyTextureToMultisampleBuffers(texture) {
+    const gl = this._context
+    const scissorTest = gl.isEnabled(gl.SCISSOR_TEST)
+    let effect = this._copyEffect
+
+    if (!effect) {
+      // a quad that covers the viewport, i.e. the complete render target
+      const vertexData = new VertexData(FilterEffect.VERTEX_FORMAT, 4)
+      const indexData = new IndexData(6)
+
+      vertexData.setPoint(0, 'position', -1, 1)
+      vertexData.setPoint(1, 'position', 1, 1)
+      vertexData.setPoint(2, 'position', -1, -1)
+      vertexData.setPoint(3, 'position', 1, -1)
+      vertexData.setPoint(0, 'texCoords', 0, 1)
+      vertexData.setPoint(1, 'texCoords', 1, 1)
+      vertexData.setPoint(2, 'texCoords', 0, 0)
+      vertexData.setPoint(3, 'texCoords', 1, 0)
+      indexData.addQuad(0, 1, 2, 3)
+
+      effect = this._copyEffect = new FilterEffect()
+      effect.textureSmoothing = TextureSmoothing.NONE
+      effect.onRestore = () => {
+        effect.uploadVertexData(vertexData)
+        effect.uploadIndexData(indexData)
+      }
+      effect.onRestore()
+    }
+
+    BlendMode.get(BlendMode.NONE).activate()
+    this._actualBlendMode = null
+
+    gl.disable(gl.DEPTH_TEST)
+    gl.disable(gl.STENCIL_TEST)
+    gl.disable(gl.CULL_FACE)
+    if (scissorTest) gl.disable(gl.SCISSOR_TEST)
+
+    effect.texture = texture
+    effect.render(0, 2)
+    effect.texture = null
+
+    gl.enable(gl.DEPTH_TEST)
+    gl.enable(gl.STENCIL_TEST)
+    gl.enable(gl.CULL_FACE)
+    if (scissorTest) gl.enable(gl.SCISSOR_TEST)
+  }
+
+  /** Deletes the framebuffers and renderbuffers that were created for the given base
+   *  texture, if there are any. Called by <code>ConcreteTexture</code> when it is
+   *  disposed. */
+  releaseFramebuffer(texture) {
+    const gl = this._context
+    const entry = this._framebuffers.get(texture)
+
+    this._stencilReferenceValues.delete(texture)
+
+    if (!entry) return
+
+    if (this._actualRenderTarget === texture) {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null)
+      this._actualRenderTarget = null
+    }
+
+    this.deleteFramebufferBuffers(entry.buffers)
+    this.deleteFramebufferBuffers(entry.multisampleBuffers)
+    this._framebuffers.delete(texture)
+  }
+
+  createFramebufferBuffers(samples = 0) {
+    return {
+      framebuffer: this._context.createFramebuffer(),
+      color: null,
+      depthStencil: null,
+      depthStencilAttached: false,
+      samples
+    }
+  }
+
+  deleteFramebufferBuffers(buffers) {
+    const gl = this._context
+
+    if (!buffers) return
+
+    gl.deleteFramebuffer(buffers.framebuffer)
+    if (buffers.color) gl.deleteRenderbuffer(buffers.color)
+    if (buffers.depthStencil) gl.deleteRenderbuffer(buffers.depthStencil)
+  }
+
+  // Returns the number of samples used for the given anti-aliasing quality; zero if
+  // multisampled render targets are not supported.
+  getNumSamples(antiAlias) {
+    if (!antiAlias || this._profile !== 'webgl2') return 0
+
+    if (this._maxSamples === undefined) {
+      const gl = this._context
+      this._maxSamples = gl.getParameter(gl.MAX_SAMPLES) || 0
+    }
+
+    return Math.min(1 << Math.min(antiAlias, 4), this._maxSamples)
+  }
+
   applyClipRect() {
     const clipRect = this._state.clipRect
     const gl = this._context
 
     if (clipRect) {
-      let width, height
       const projMatrix = this._state.projectionMatrix3D
-      const renderTarget = this._state.renderTarget
-
-      if (renderTarget) {
-        width = renderTarget.root.nativeWidth
-        height = renderTarget.root.nativeHeight
-      } else {
-        width = this._backBufferWidth
-        height = this._backBufferHeight
-      }
-
-      const { sPoint3D, sClipRect, sBufferRect, sScissorRect } = Painter
+      const {
+        sPoint3D,
+        sClipRect,
+        sBufferRect,
+        sScissorRect,
+        sViewport
+      } = Painter
+      const {
+        x: offsetX,
+        y: offsetY,
+        width,
+        height
+      } = this.getRenderTargetViewport(sViewport)
 
       // convert to pixel coordinates (matrix transformation ends up in range [-1, 1])
       MatrixUtil.transformCoords3D(
@@ -730,8 +1273,8 @@ export default class Painter {
 
       gl.enable(gl.SCISSOR_TEST)
       gl.scissor(
-        sScissorRect.x,
-        height - sScissorRect.y - sScissorRect.height,
+        offsetX + sScissorRect.x,
+        offsetY + height - sScissorRect.y - sScissorRect.height,
         sScissorRect.width,
         sScissorRect.height
       )
@@ -740,6 +1283,73 @@ export default class Painter {
     }
   }
 
+  // Stores the area of the drawing buffer that's covered by the current render target in
+  // 'out', in WebGL window coordinates (i.e. with the origin at the bottom left).
+  getRenderTargetViewport(out) {
+    const renderTarget = this._state.renderTarget
+
+    if (renderTarget) {
+      out.setTo(
+        0,
+        0,
+        renderTarget.root.nativeWidth,
+        renderTarget.root.nativeHeight
+      )
+    } else {
+      // the back buffer may cover just a part of the canvas
+      const scale = this._backBufferScaleFactor
+
+      out.setTo(
+        this._backBufferX * scale,
+        this._context.drawingBufferHeight -
+          (this._backBufferY + this._backBufferHeight) * scale,
+        this._backBufferWidth * scale,
+        this._backBufferHeight * scale
+      )
+    }
+
+    return out
+  }
+
+  /** Converts a rectangle from the coordinate system of the current projection matrix
+   *  (typically, stage coordinates) into pixels of the current render target. Like all
+   *  WebGL window coordinates, the result has its origin at the bottom left; that's what
+   *  <code>readPixels</code> or <code>copyTexSubImage2D</code> expect. */
+  getFramebufferBounds(rect, out = null) {
+    const { sPoint3D, sViewport } = Painter
+    const projMatrix = this._state.projectionMatrix3D
+    const viewport = this.getRenderTargetViewport(sViewport)
+
+    if (!out) out = new Rectangle()
+
+    MatrixUtil.transformCoords3D(projMatrix, rect.left, rect.top, 0.0, sPoint3D)
+    sPoint3D.project() // eliminate w-coordinate
+
+    const x1 = viewport.x + (sPoint3D.x * 0.5 + 0.5) * viewport.width
+    const y1 = viewport.y + (sPoint3D.y * 0.5 + 0.5) * viewport.height
+
+    MatrixUtil.transformCoords3D(
+      projMatrix,
+      rect.right,
+      rect.bottom,
+      0.0,
+      sPoint3D
+    )
+    sPoint3D.project()
+
+    const x2 = viewport.x + (sPoint3D.x * 0.5 + 0.5) * viewport.width
+    const y2 = viewport.y + (sPoint3D.y * 0.5 + 0.5) * viewport.height
+
+    out.setTo(
+      Math.min(x1, x2),
+      Math.min(y1, y2),
+      Math.abs(x2 - x1),
+      Math.abs(y2 - y1)
+    )
+
+    return out
+  }
+
   // properties
 
   /** Indicates the number of stage3D draw calls. */
@@ -751,6 +1361,103 @@ export default class Painter {
     this._drawCount = value
   }
 
+  /** The number of mesh batches drawn in the current frame. Each batch requires at least
+   *  one draw call; filters and custom rendering code may add more. */
+  get batchCount() {
+    return this._batchCount
+  }
+
+  set batchCount(value) {
+    this._batchCount = value
+  }
+
+  /** A callback that is executed after each mesh batch has been drawn, receiving the
+   *  batch and the render target it was drawn to (<code>null</code> for the back buffer).
+   *  The vertices of such a batch are already transformed into the coordinate system of
+   *  that target. Meant for debugging tools. */
+  get onBatchDrawn() {
+    return this._onBatchDrawn
+  }
+
+  set onBatchDrawn(value) {
+    this._onBatchDrawn = value
+  }
+
+  /** A callback that is executed whenever a mesh can't be added to the previous batch,
+   *  receiving the mesh and one of the constants of the <code>BatchBreakReason</code>
+   *  class. Meshes drawn from the render cache are not reported; thus, debugging tools
+   *  should disable <code>cacheEnabled</code> while they use it.
+   *
+   *  @see BatchProcessor#onBatchBreak
+   */
+  get onBatchBreak() {
+    return this._onBatchBreak
+  }
+
+  set onBatchBreak(value) {
+    this._onBatchBreak = value
+    this._batchProcessorCurr.onBatchBreak = value
+    this._batchProcessorPrev.onBatchBreak = value
+    this._batchProcessorSpec.onBatchBreak = value
+  }
+
+  /** Indicates if the time the GPU spends on each frame is measured. This requires the
+   *  <code>EXT_disjoint_timer_query_webgl2</code> extension, i.e. a WebGL 2 context;
+   *  the <code>StatsDisplay</code> enables it while it's shown. @default false */
+  get measureGPUTime() {
+    return this._measureGPUTime
+  }
+
+  set measureGPUTime(value) {
+    this._measureGPUTime = value
+
+    if (!value) {
+      for (const query of this._pendingTimerQueries)
+        this._context.deleteQuery(query)
+
+      this._pendingTimerQueries.length = 0
+      this._gpuTime = -1
+    }
+  }
+
+  /** The time (in milliseconds) the GPU needed to render a recent frame, or
+   *  <code>-1</code> if that's unknown (e.g. because <code>measureGPUTime</code> is
+   *  disabled or not supported). Results are delayed by a few frames. */
+  get gpuTime() {
+    return this._gpuTime
+  }
+
+  /** The timer query extension, or <code>null</code> if the context doesn't support it. */
+  get timerQueryExtension() {
+    if (this._timerQueryExtension === undefined)
+      this._timerQueryExtension =
+        this._profile === 'webgl2'
+          ? this._context.getExtension('EXT_disjoint_timer_query_webgl2')
+          : null
+
+    return this._timerQueryExtension
+  }
+
+  /** Indicates if the context supports instanced drawing, i.e. if it's a WebGL 2 context
+   *  or provides the <code>ANGLE_instanced_arrays</code> extension. */
+  get instancingSupported() {
+    return (
+      !!this._context &&
+      typeof this._context.drawElementsInstanced === 'function'
+    )
+  }
+
+  /** The extension that allows programs to be compiled in the background, or
+   *  <code>null</code> if the context doesn't support it. */
+  get parallelShaderCompileExtension() {
+    if (this._parallelShaderCompileExtension === undefined)
+      this._parallelShaderCompileExtension = this._context.getExtension(
+        'KHR_parallel_shader_compile'
+      )
+
+    return this._parallelShaderCompileExtension
+  }
+
   /** The current stencil reference value of the active render target. This value
    *  is typically incremented when drawing a mask and decrementing when erasing it.
    *  The painter keeps track of one stencil reference value per render target.
@@ -758,15 +1465,15 @@ export default class Painter {
    */
   get stencilReferenceValue() {
     const key = this._state.renderTarget ? this._state.renderTargetBase : this
-    if (key in this._stencilReferenceValues)
-      return this._stencilReferenceValues[key]
+    if (this._stencilReferenceValues.has(key))
+      return this._stencilReferenceValues.get(key)
     else return Painter.DEFAULT_STENCIL_VALUE
   }
 
   set stencilReferenceValue(value) {
     const key = this._state.renderTarget ? this._state.renderTargetBase : this
     const gl = this._context
-    this._stencilReferenceValues[key] = value
+    this._stencilReferenceValues.set(key, value)
 
     if (this.contextValid)
       gl.stencilFunc(gl.ALWAYS, this.stencilReferenceValue, 0xff)
@@ -809,6 +1516,12 @@ export default class Painter {
     return this._context
   }
 
+  /** The profile of the current render context: <code>'webgl2'</code>, or
+   *  <code>'webgl'</code> on devices that only support WebGL 1. */
+  get profile() {
+    return this._profile
+  }
+
   /** Returns the index of the current frame <strong>if</strong> the render cache is enabled;
    *  otherwise, returns zero. To get the frameID regardless of the render cache, call
    *  <code>Starling.frameID</code> instead. */
@@ -867,13 +1580,7 @@ export default class Painter {
   /** Indicates if the Context3D object is currently valid (i.e. it hasn't been lost or
    *  disposed). */
   get contextValid() {
-    return true
-    //if (this._context)
-    //{
-    //    const driverInfo = this._context.driverInfo;
-    //    return driverInfo !== null && driverInfo !== '' && driverInfo !== 'Disposed';
-    //}
-    //else return false;
+    return !!this._context && !this._contextLost
   }
 
   /** A dictionary that can be used to save custom data related to the render context.
@@ -1,3 +1,10 @@
+import { VERTEX_SHADER } from 'gl-constants'
+
+import Event from '../events/event'
+
+import RenderUtil from '../utils/render-util'
+import StarlingContextManager from '../core/context-manager'
+
 /** A Program represents a pair of a fragment- and vertex-shader.
  *
  *  <p>This class is a convenient replacement for Stage3Ds "Program3D" class. Its main
@@ -14,20 +21,28 @@ export default class Program {
   _vertexShader
   _fragmentShader
   _program3D
+  _name = null
+  _variantName = 0
+  _error = null
+  _pending = null
+  _uniformLocations = new Map()
 
   /** Creates a program from the given AGAL (Adobe Graphics Assembly Language) bytecode. */
   constructor(vertexShader, fragmentShader) {
     this._vertexShader = vertexShader
     this._fragmentShader = fragmentShader
 
-    // Handle lost context (using conventional Flash event for weak listener support)
-    //Starling.current.stage3D.addEventListener(Event.CONTEXT3D_CREATE,
-    //    onContextCreated, false, 30, true);
+    // Handle lost context
+    const target = StarlingContextManager.current
+    if (target)
+      target.addEventListener(Event.CONTEXT3D_CREATE, this.onContextCreated)
   }
 
   /** Disposes the internal Program3D instance. */
   dispose() {
-    //Starling.current.stage3D.removeEventListener(Event.CONTEXT3D_CREATE, onContextCreated);
+    const target = StarlingContextManager.current
+    if (target)
+      target.removeEventListener(Event.CONTEXT3D_CREATE, this.onContextCreated)
     this.disposeProgram()
   }
 
@@ -36,45 +51,201 @@ export default class Program {
     return new Program(vertexShader, fragmentShader)
   }
 
-  /** Activates the program on the given context. If you don't pass a context, the current
-   *  Starling context will be used. */
+  /** Starts compiling and linking the program on the given context, without waiting for
+   *  the result. If the context supports <code>KHR_parallel_shader_compile</code>, the
+   *  driver may do that in the background; check <code>isCompiled</code> to find out when
+   *  <code>activate</code> won't block any longer. Does nothing if the program was
+   *  already compiled. */
+  compile(gl = null) {
+    if (!gl) {
+      gl = StarlingContextManager.current.context
+      if (!gl) throw new Error('[MissingContextError]')
+    }
+
+    if (this._program3D || this._pending || this._error) return
+
+    const legacy = RenderUtil.getProfile(gl) === 'webgl'
+    const vertexSource = legacy
+      ? Program.toGLSL100(this._vertexShader, gl.VERTEX_SHADER)
+      : this._vertexShader
+    const fragmentSource = legacy
+      ? Program.toGLSL100(this._fragmentShader, gl.FRAGMENT_SHADER)
+      : this._fragmentShader
+    const vertexShader = this.createShader(gl, vertexSource, gl.VERTEX_SHADER)
+    const fragmentShader = this.createShader(
+      gl,
+      fragmentSource,
+      gl.FRAGMENT_SHADER
+    )
+    const program = gl.createProgram()
+
+    gl.attachShader(program, vertexShader)
+    gl.attachShader(program, fragmentShader)
+
+    // GLSL ES 1.00 has no layout qualifiers; the locations must be bound before linking
+    if (legacy) {
+      const locations = Program.getAttributeLocations(this._vertexShader)
+      for (const name of Object.keys(locations))
+        gl.bindAttribLocation(program, locations[name], name)
+    }
+
+    gl.linkProgram(program)
+
+    // the results are only queried when they are needed, which would block otherwise
+    this._pending = {
+      program,
+      vertexShader,
+      fragmentShader,
+      vertexSource,
+      fragmentSource
+    }
+  }
+
+  /** Indicates if the compilation started by <code>compile</code> has finished, i.e. if
+   *  <code>activate</code> can be called without blocking. Without support for
+   *  <code>KHR_parallel_shader_compile</code>, that's always the case. */
+  isCompiled(gl = null) {
+    if (!this._pending) return true
+
+    const { context, painter } = StarlingContextManager.current
+    const extension = painter.parallelShaderCompileExtension
+
+    if (!gl) gl = context
+
+    return (
+      !extension ||
+      gl.getProgramParameter(
+        this._pending.program,
+        extension.COMPLETION_STATUS_KHR
+      )
+    )
+  }
+
+  /** Activates the program on the given context, compiling it first if that hasn't
+   *  happened yet. If you don't pass a context, the current Starling context will be used.
+   *
+   *  <p>If a shader can't be compiled or the program can't be linked, an error is thrown
+   *  that contains the log of the compiler and the annotated source of the shader.
+   *  Before that, <code>Event.FATAL_ERROR</code> is dispatched on the current Starling
+   *  instance. Subsequent calls will throw the same error, without compiling again.</p>
+   */
   activate(gl = null) {
     if (!gl) {
-      gl = window.StarlingContextManager.current.context
+      gl = StarlingContextManager.current.context
       if (!gl) throw new Error('[MissingContextError]')
     }
 
+    if (this._error) throw this._error
+
     if (!this._program3D) {
-      const program = gl.createProgram()
-      const vertexShader = this.createShader(
-        gl,
-        this._vertexShader,
-        gl.VERTEX_SHADER
-      )
-      const fragmentShader = this.createShader(
-        gl,
-        this._fragmentShader,
-        gl.FRAGMENT_SHADER
+      try {
+        this.compile(gl)
+        this._program3D = this.finishCompilation(gl)
+      } catch (error) {
+        const starling = StarlingContextManager.current
+        this._error = error
+
+        if (starling)
+          starling.dispatchEventWith(Event.FATAL_ERROR, false, error.message)
+
+        throw error
+      }
+    }
+
+    gl.useProgram(this._program3D)
+  }
+
+  /** Returns the location of the uniform with the given name, which is looked up only
+   *  once per native program. The program must have been activated before. */
+  getUniformLocation(name, gl = null) {
+    let location = this._uniformLocations.get(name)
+
+    if (location === undefined) {
+      if (!gl) gl = StarlingContextManager.current.context
+
+      location = gl.getUniformLocation(this._program3D, name)
+      this._uniformLocations.set(name, location)
+    }
+
+    return location
+  }
+
+  /** Converts GLSL ES 3.00 shader source to the GLSL ES 1.00 dialect supported by WebGL 1.
+   *  This covers what Starling's own shaders use: attribute and varying declarations, a
+   *  single fragment output and <code>texture</code> lookups. */
+  static toGLSL100(source, shaderType) {
+    let result = source
+      .replace(/#version 300 es/, '#version 100')
+      .replace(/\btexture\(/g, 'texture2D(')
+
+    if (shaderType === VERTEX_SHADER) {
+      result = result
+        .replace(/layout\s*\(\s*location\s*=\s*\d+\s*\)\s*in\s/g, 'attribute ')
+        .replace(/^(\s*)in\s/gm, '$1attribute ')
+        .replace(/^(\s*)out\s/gm, '$1varying ')
+    } else {
+      const output = /^\s*out\s+vec4\s+(\w+)\s*;/m.exec(result)
+
+      if (output) {
+        result = result
+          .replace(output[0], '')
+          .replace(new RegExp(`\\b${output[1]}\\b`, 'g'), 'gl_FragColor')
+      }
+
+      result = result.replace(/^(\s*)in\s/gm, '$1varying ').replace(
+        /precision highp float;/,
+        `#ifdef GL_FRAGMENT_PRECISION_HIGH
+                precision highp float;
+                #else
+                precision mediump float;
+                #endif`
       )
-      gl.attachShader(program, vertexShader)
-      gl.deleteShader(vertexShader)
-      gl.attachShader(program, fragmentShader)
-      gl.deleteShader(fragmentShader)
-      gl.linkProgram(program)
+    }
 
-      let log = gl.getProgramInfoLog(program)
-      if (log) console.log(`ProgramLog\n${log}`)
+    return result
+  }
+
+  /** Returns the attribute locations declared via <code>layout(location = n)</code>
+   *  qualifiers in the given GLSL ES 3.00 vertex shader, as a map from name to location. */
+  static getAttributeLocations(source) {
+    const pattern = /layout\s*\(\s*location\s*=\s*(\d+)\s*\)\s*in\s+\w+\s+(\w+)/g
+    const locations = {}
+    let match
+
+    while ((match = pattern.exec(source))) locations[match[2]] = +match[1]
 
-      log = gl.getShaderInfoLog(vertexShader)
-      if (log) console.log(`VertexShaderLog\n${log}`)
+    return locations
+  }
 
-      log = gl.getShaderInfoLog(fragmentShader)
-      if (log) console.log(`FragmentShaderLog\n${log}`)
+  /** Returns the given shader source with line numbers. The lines that are referenced by
+   *  errors or warnings in the given compiler log are marked with <code>&gt;</code> and
+   *  followed by the respective messages. */
+  static annotateSource(source, log = '') {
+    const pattern = /^\s*(?:ERROR|WARNING):\s*\d+:(\d+):\s*(.*)$/gm
+    const messages = new Map()
+    const lines = source.split('\n')
+    const width = String(lines.length).length
+    let match
 
-      this._program3D = program
+    while ((match = pattern.exec(log))) {
+      const lineNumber = +match[1]
+      if (!messages.has(lineNumber)) messages.set(lineNumber, [])
+      messages.get(lineNumber).push(match[2])
     }
 
-    gl.useProgram(this._program3D)
+    return lines
+      .map((line, index) => {
+        const lineMessages = messages.get(index + 1)
+        const prefix = lineMessages ? '>' : ' '
+        let result = `${prefix} ${String(index + 1).padStart(width)} | ${line}`
+
+        if (lineMessages)
+          for (const message of lineMessages)
+            result += `\n  ${' '.repeat(width)} | ^ ${message}`
+
+        return result
+      })
+      .join('\n')
   }
 
   get nativeProgram() {
@@ -88,10 +259,112 @@ export default class Program {
     return shader
   }
 
+  // Checks the results of 'compile', returning the linked program.
+  finishCompilation(gl) {
+    const {
+      program,
+      vertexShader,
+      fragmentShader,
+      vertexSource,
+      fragmentSource
+    } = this._pending
+
+    this._pending = null
+
+    try {
+      this.checkShader(gl, vertexShader, vertexSource, 'vertex')
+      this.checkShader(gl, fragmentShader, fragmentSource, 'fragment')
+
+      const log = gl.getProgramInfoLog(program)
+
+      if (!gl.getProgramParameter(program, gl.LINK_STATUS))
+        throw this.createError(`link ${this.describe()}`, log)
+      else if (log) console.log(`ProgramLog\n${log}`)
+    } catch (error) {
+      gl.deleteProgram(program)
+      throw error
+    } finally {
+      gl.deleteShader(vertexShader)
+      gl.deleteShader(fragmentShader)
+    }
+
+    return program
+  }
+
+  checkShader(gl, shader, source, shaderName) {
+    const log = gl.getShaderInfoLog(shader)
+
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS))
+      throw this.createError(
+        `compile the ${shaderName} shader of ${this.describe()}`,
+        log,
+        source
+      )
+    else if (log) console.log(`${shaderName} shader log\n${log}`)
+  }
+
+  // Returns the program's name and variant, for error messages.
+  describe() {
+    return this._name
+      ? `program "${this._name}" (variant 0x${this._variantName.toString(16)})`
+      : 'the program'
+  }
+
+  createError(description, log, source = null) {
+    let message = `[ShaderError] Could not ${description}`
+
+    if (log) message += `:\n${log.trim()}`
+    if (source) message += `\n\n${Program.annotateSource(source, log)}`
+
+    return new Error(message)
+  }
+
   disposeProgram() {
+    const gl = StarlingContextManager.current.context
+
     if (this._program3D) {
-      this._program3D.dispose()
+      if (gl) gl.deleteProgram(this._program3D)
       this._program3D = null
     }
+
+    this._uniformLocations.clear()
+
+    if (this._pending) {
+      if (gl) {
+        gl.deleteProgram(this._pending.program)
+        gl.deleteShader(this._pending.vertexShader)
+        gl.deleteShader(this._pending.fragmentShader)
+      }
+
+      this._pending = null
+    }
+  }
+
+  onContextCreated = () => {
+    // the native program died with the old context; 'activate' will recreate it.
+    this._program3D = null
+    this._pending = null
+    this._error = null
+    this._uniformLocations.clear()
+  }
+
+  /** The name the program is registered with at the painter, used in error messages.
+   *  Effects set it to their <code>programName</code>. @default null */
+  get name() {
+    return this._name
+  }
+
+  set name(value) {
+    this._name = value
+  }
+
+  /** The variant of the effect the program was created for, used in error messages.
+   *  Effects set it to their <code>programVariantName</code>. @default 0 */
+  get variantName() {
+    return this._variantName
+  }
+
+  set variantName(value) {
+    this._variantName = value
   }
 }
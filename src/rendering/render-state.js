@@ -299,8 +299,8 @@ export default class RenderState {
    *  @param enableDepthAndStencil  Indicates if depth and stencil testing will be available.
    *                    This parameter affects only texture targets.
    *  @param antiAlias  The anti-aliasing quality (range: <code>0 - 4</code>).
-   *                    This parameter affects only texture targets. Note that at the time
-   *                    of this writing, AIR supports anti-aliasing only on Desktop.
+   *                    This parameter affects only texture targets. Anti-aliasing
+   *                    requires WebGL 2; on WebGL 1, it is ignored.
    */
   setRenderTarget(target, enableDepthAndStencil = true, antiAlias = 0) {
     const { _miscOptions, _onDrawRequired } = this
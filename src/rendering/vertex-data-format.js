@@ -1,4 +1,5 @@
 import VertexDataAttribute from './vertex-data-attribute'
+import StarlingContextManager from '../core/context-manager'
 
 /** Describes the memory layout of VertexData instances, as used for every single vertex.
  *
@@ -142,7 +143,7 @@ export default class VertexDataFormat {
    *  <code>bufferOffset</code> and <code>format</code>. */
   setVertexBufferAt(index, buffer, attrName) {
     const attribute = this.getAttribute(attrName)
-    window.StarlingContextManager.current.context.setVertexBufferAt(
+    StarlingContextManager.current.context.setVertexBufferAt(
       index,
       buffer,
       attribute.offset / 4,
@@ -9,6 +9,7 @@ import MathUtil from '../utils/math-util'
 import Color, { premultiplyAlpha, unmultiplyAlpha } from '../utils/color'
 import MeshStyle from '../styles/mesh-style'
 import { copyFromDataView, getDataViewOfLength } from '../utils/data-view'
+import StarlingContextManager from '../core/context-manager'
 
 /** The VertexData class manages a raw list of vertex information, allowing direct upload
  *  to Stage3D vertex buffers. <em>You only have to work with this class if you're writing
@@ -885,11 +886,18 @@ export default class VertexData {
 
   // VertexBuffer helpers
 
-  /** Creates a vertex buffer object with the right size to fit the complete data.
-   *  Optionally, the current data is uploaded right away. */
-  uploadToVertexBuffer(bufferUsage = STATIC_DRAW) {
-    if (this._numVertices === 0) return
-    const gl = window.StarlingContextManager.current.context
+  /** Creates a vertex buffer object with the right size to fit the complete data and
+   *  uploads the data, returning the buffer (or <code>null</code> if there are no
+   *  vertices). The attributes are assigned to consecutive locations, starting with
+   *  <code>firstLocation</code>; a non-zero <code>divisor</code> makes them advance per
+   *  instance instead of per vertex (for instanced drawing). */
+  uploadToVertexBuffer(
+    bufferUsage = STATIC_DRAW,
+    firstLocation = 0,
+    divisor = 0
+  ) {
+    if (this._numVertices === 0) return null
+    const gl = StarlingContextManager.current.context
     if (!gl) throw new Error('[MissingContextError]')
     const { _numAttributes, _rawData, _attributes, _format } = this
 
@@ -900,18 +908,23 @@ export default class VertexData {
     for (let i = 0; i < _numAttributes; ++i) {
       const attribute = _attributes[i]
 
-      gl.enableVertexAttribArray(i)
+      const location = firstLocation + i
+
+      gl.enableVertexAttribArray(location)
       gl.vertexAttribPointer(
-        i,
+        location,
         attribute.numComponents,
         attribute.isColor ? gl.UNSIGNED_BYTE : gl.FLOAT,
         attribute.normalized,
         _format.vertexSize,
         attribute.offset
       )
+
+      if (divisor) gl.vertexAttribDivisor(location, divisor)
     }
     //console.log('vdUPL',vertexDataToSomethingReadable(this));
     gl.bindBuffer(gl.ARRAY_BUFFER, null)
+    return buffer
   }
 
   getAttribute(attrName) {
@@ -3,6 +3,7 @@ import Point from '../math/point'
 import Event from '../events/event'
 
 import MeshEffect from '../rendering/mesh-effect'
+import BatchBreakReason from '../rendering/batch-break-reason'
 
 import TextureSmoothing from '../textures/texture-smoothing'
 
@@ -165,6 +166,27 @@ export default class MeshStyle extends EventDispatcher {
     } else return false
   }
 
+  /** Returns the reason why the current instance cannot be batched with the given style,
+   *  as one of the constants of the <code>BatchBreakReason</code> class, or
+   *  <code>null</code> if it can. Styles that fail only the checks of an overridden
+   *  <code>canBatchWith</code> method are reported as <code>BatchBreakReason.STYLE</code>.
+   */
+  getBatchBreakReason(meshStyle) {
+    if (this.canBatchWith(meshStyle)) return null
+    else if (this._type !== meshStyle._type) return BatchBreakReason.STYLE
+    else if (
+      !this._texture !== !meshStyle._texture ||
+      this._textureBase !== meshStyle._textureBase
+    )
+      return BatchBreakReason.TEXTURE
+    else if (
+      this._textureSmoothing !== meshStyle._textureSmoothing ||
+      this._textureRepeat !== meshStyle._textureRepeat
+    )
+      return BatchBreakReason.TEXTURE_SETTINGS
+    else return BatchBreakReason.STYLE
+  }
+
   /** Copies the vertex data of the style's current target to the target of another style.
    *  If you pass a matrix, all vertices will be transformed during the process.
    *
@@ -0,0 +1,209 @@
+import MeshStyle from './mesh-style'
+import MultiTextureEffect from '../rendering/multi-texture-effect'
+import RenderUtil from '../utils/render-util'
+import StarlingContextManager from '../core/context-manager'
+
+/** A mesh style that allows meshes with different textures to be batched together.
+ *
+ *  <p>With the standard <code>MeshStyle</code>, a batch is broken whenever the texture
+ *  changes; thus, an interface that uses several atlases pays a draw call for each switch.
+ *  This style stores the index of the texture in each vertex instead, and its effect
+ *  samples from up to <code>maxTextures</code> textures at once.</p>
+ *
+ *  <p>To use it for all meshes, make it the default style before creating any of
+ *  them:</p>
+ *
+ *  <listing>
+ *  Mesh.defaultStyle = MultiTextureStyle;</listing>
+ *
+ *  <p>Meshes can still only be batched if their textures share smoothing and repeat
+ *  settings, and if their premultiplied alpha setting and format are the same. Meshes
+ *  without a texture are batched with each other, but not with textured ones.</p>
+ *
+ *  @see starling.rendering.MultiTextureEffect
+ */
+export default class MultiTextureStyle extends MeshStyle {
+  /** The vertex format expected by this style (the same as found in the
+   *  MultiTextureEffect-class). */
+  static VERTEX_FORMAT = MultiTextureEffect.VERTEX_FORMAT
+
+  /** The upper limit of <code>maxTextures</code>. */
+  static MAX_TEXTURES = 16
+
+  // the maximum number of textures per batch (determined on first use)
+  static sMaxTextures = 0
+
+  // helper objects
+  static sIndexMap = []
+
+  _textures
+
+  /** Creates a new MultiTextureStyle instance. */
+  constructor() {
+    super()
+    this._textures = []
+  }
+
+  /** @inheritDoc */
+  copyFrom(meshStyle) {
+    super.copyFrom(meshStyle)
+
+    if (meshStyle instanceof MultiTextureStyle)
+      this._textures = meshStyle._textures.slice()
+    else this._textures = meshStyle._texture ? [meshStyle._texture] : []
+  }
+
+  /** @inheritDoc */
+  createEffect() {
+    return new MultiTextureEffect()
+  }
+
+  /** @inheritDoc */
+  updateEffect(effect, state) {
+    super.updateEffect(effect, state)
+    effect.textures = this._textures
+  }
+
+  /** Indicates if the given style can be batched with this one. Different to the
+   *  <code>MeshStyle</code>, different textures are fine, as long as their combined number
+   *  does not exceed <code>maxTextures</code> and they can be sampled with the same
+   *  program. */
+  canBatchWith(meshStyle) {
+    if (this._type !== meshStyle._type) return false
+
+    const textures = this._textures
+    const newTextures = meshStyle._textures
+
+    if (!textures.length || !newTextures.length)
+      return textures.length === newTextures.length
+    else if (
+      this._textureSmoothing !== meshStyle._textureSmoothing ||
+      this._textureRepeat !== meshStyle._textureRepeat ||
+      RenderUtil.getTextureVariantBits(textures[0]) !==
+        RenderUtil.getTextureVariantBits(newTextures[0])
+    )
+      return false
+
+    let numTextures = textures.length
+
+    for (let i = 0; i < newTextures.length; ++i)
+      if (this.getTextureIndex(newTextures[i]) === -1) numTextures += 1
+
+    return numTextures <= MultiTextureStyle.maxTextures
+  }
+
+  /** Copies the vertex data like the <code>MeshStyle</code> does, adding the textures to
+   *  the target style and updating the texture indices of the copied vertices
+   *  accordingly. */
+  batchVertexData(
+    targetStyle,
+    targetVertexID = 0,
+    matrix = null,
+    vertexID = 0,
+    numVertices = -1
+  ) {
+    super.batchVertexData(
+      targetStyle,
+      targetVertexID,
+      matrix,
+      vertexID,
+      numVertices
+    )
+
+    const textures = this._textures
+    const numTextures = textures.length
+    const { sIndexMap } = MultiTextureStyle
+    let remap = false
+
+    for (let i = 0; i < numTextures; ++i) {
+      sIndexMap[i] = targetStyle.addTexture(textures[i])
+      if (sIndexMap[i] !== i) remap = true
+    }
+
+    if (!remap) return
+    if (numVertices < 0) numVertices = this._vertexData.numVertices - vertexID
+
+    const targetData = targetStyle._vertexData
+    const { rawData, vertexSize } = targetData
+    let position =
+      targetVertexID * vertexSize + targetData.getOffset('textureIndex')
+
+    for (let i = 0; i < numVertices; ++i) {
+      const index = rawData.getFloat32(position, true)
+      rawData.setFloat32(position, sIndexMap[index], true)
+      position += vertexSize
+    }
+  }
+
+  /** Returns the index of the given texture (or another one with the same base) within
+   *  <code>textures</code>, or <code>-1</code> if it's not part of it. */
+  getTextureIndex(texture) {
+    const textures = this._textures
+    const base = texture.base
+
+    for (let i = 0; i < textures.length; ++i)
+      if (textures[i] === texture || textures[i].base === base) return i
+
+    return -1
+  }
+
+  /** Adds the texture to <code>textures</code>, unless it's already part of it,
+   *  and returns its index. */
+  addTexture(texture) {
+    let index = this.getTextureIndex(texture)
+
+    if (index === -1) {
+      index = this._textures.length
+      this._textures[index] = texture
+    }
+
+    return index
+  }
+
+  /** The format used to store the vertices. */
+  get vertexFormat() {
+    return MultiTextureStyle.VERTEX_FORMAT
+  }
+
+  /** The texture that is mapped to the mesh (or <code>null</code>, if there is none). */
+  get texture() {
+    return super.texture
+  }
+
+  set texture(value) {
+    super.texture = value
+    this._textures = value ? [value] : []
+  }
+
+  /** The textures that are sampled by the style; for a mesh, that's just its texture,
+   *  for a batch, those of all the meshes it contains. Don't modify this list! */
+  get textures() {
+    return this._textures
+  }
+
+  /** The maximum number of textures that can be combined in one batch. Defaults to
+   *  the number of texture units of the device, but not more than
+   *  <code>MAX_TEXTURES</code>. Fewer textures mean a simpler fragment shader. */
+  static get maxTextures() {
+    if (!MultiTextureStyle.sMaxTextures) {
+      const starling = StarlingContextManager.current
+      const gl = starling ? starling.context : null
+      const numUnits = gl ? gl.getParameter(gl.MAX_TEXTURE_IMAGE_UNITS) : 0
+
+      // WebGL guarantees at least 8 texture units
+      MultiTextureStyle.sMaxTextures = Math.min(
+        numUnits || 8,
+        MultiTextureStyle.MAX_TEXTURES
+      )
+    }
+
+    return MultiTextureStyle.sMaxTextures
+  }
+
+  static set maxTextures(value) {
+    MultiTextureStyle.sMaxTextures = Math.max(
+      1,
+      Math.min(value, MultiTextureStyle.MAX_TEXTURES)
+    )
+  }
+}
@@ -1,6 +1,7 @@
 import { xml2json } from 'xml-js'
 import atob from 'atob'
 import { createTextureFromData } from '../utils/texture-creators'
+import Environment from '../core/environment'
 
 /* eslint-disable max-len */
 const font =
@@ -32,9 +33,11 @@ const b64toBlob = (b64Data, contentType = '', sliceSize = 512) => {
 let bitmap
 
 // todo: does this happen in time all the time??
-window.createImageBitmap(b64toBlob(texture, 'image/png')).then(b => {
-  bitmap = b
-})
+Environment.global
+  .createImageBitmap(b64toBlob(texture, 'image/png'))
+  .then(b => {
+    bitmap = b
+  })
 
 export const getMiniBitmapFont = () => ({
   fontData: JSON.parse(xml2json(atob(font), { compact: true })),
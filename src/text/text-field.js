@@ -12,6 +12,7 @@ import TextOptions from './text-options'
 import TrueTypeCompositor from './truetype-compositor'
 import BitmapFont from './bitmap-font'
 import TextFormat from './text-format'
+import StarlingContextManager from '../core/context-manager'
 
 /** A TextField displays text, using either standard true type fonts, custom bitmap fonts,
  *  or a custom text representation.
@@ -175,7 +176,7 @@ export default class TextField extends DisplayObjectContainer {
 
     this._meshBatch.x = this._meshBatch.y = 0
     this._options.textureScale =
-      window.StarlingContextManager.current.contentScaleFactor
+      StarlingContextManager.current.contentScaleFactor
     this._compositor.fillMeshBatch(
       this._meshBatch,
       width,
@@ -538,13 +539,13 @@ export default class TextField extends DisplayObjectContainer {
    *  in one Stage3D context, they are saved in Starling's 'contextData' property. */
   static get compositors() {
     let compositors =
-      window.StarlingContextManager.current.painter.sharedData[
+      StarlingContextManager.current.painter.sharedData[
         TextField.COMPOSITOR_DATA_NAME
       ]
 
     if (!compositors) {
       compositors = new Map()
-      window.StarlingContextManager.current.painter.sharedData[
+      StarlingContextManager.current.painter.sharedData[
         TextField.COMPOSITOR_DATA_NAME
       ] = compositors
     }
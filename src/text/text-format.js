@@ -1,4 +1,5 @@
 import EventDispatcher from '../events/event-dispatcher'
+import Event from '../events/event'
 import Align from '../utils/align'
 
 /** The TextFormat class represents character formatting information. It is used by the
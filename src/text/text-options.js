@@ -3,6 +3,7 @@ import { RGBA } from 'gl-constants'
 import Event from '../events/event'
 import TextFieldAutoSize from './text-field-auto-size'
 import EventDispatcher from '../events/event-dispatcher'
+import StarlingContextManager from '../core/context-manager'
 
 /** The TextOptions class contains data that describes how the letters of a text should
  *  be assembled on text composition.
@@ -25,8 +26,7 @@ export default class TextOptions extends EventDispatcher {
     this._wordWrap = wordWrap
     this._autoScale = autoScale
     this._autoSize = TextFieldAutoSize.NONE
-    this._textureScale =
-      window.StarlingContextManager.current.contentScaleFactor
+    this._textureScale = StarlingContextManager.current.contentScaleFactor
     this._textureFormat = RGBA
     this._isHtmlText = false
     this._padding = 0.0
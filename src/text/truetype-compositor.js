@@ -4,6 +4,7 @@ import Quad from '../display/quad'
 import Align from '../utils/align'
 import { createTextureFromData } from '../utils/texture-creators'
 import { toCssRgbString } from '../utils/color'
+import StarlingContextManager from '../core/context-manager'
 
 /** This text compositor uses a Flash TextField to render system- or embedded fonts into
  *  a texture.
@@ -27,6 +28,10 @@ export default class TrueTypeCompositor {
     const { sHelperQuad } = TrueTypeCompositor
     const texture = this.renderText(width, height, text, format, options)
 
+    // the text canvas is shared, so the text needs to be drawn anew after a context loss
+    texture.root.onRestore = () =>
+      this.renderText(width, height, text, format, options, texture)
+
     sHelperQuad.texture = texture
     sHelperQuad.readjustSize()
 
@@ -72,7 +77,7 @@ export default class TrueTypeCompositor {
   }
 
   composeLines(text, width, format, padding, result = []) {
-    const ctx = window.StarlingContextManager.current.textContext
+    const ctx = StarlingContextManager.current.textContext
     const textParts = text.split(/(\s+)/)
 
     result.push('')
@@ -97,10 +102,10 @@ export default class TrueTypeCompositor {
     return result
   }
 
-  renderText(width, height, text, format, options) {
+  renderText(width, height, text, format, options, target = null) {
     const { sLines } = TrueTypeCompositor
     const { font, size, italic, color, horizontalAlign, verticalAlign } = format
-    const ctx = window.StarlingContextManager.current.textContext
+    const ctx = StarlingContextManager.current.textContext
     const scale = options.textureScale
     const padding = options.padding * scale
     const textureWidth = width * scale
@@ -143,18 +148,23 @@ export default class TrueTypeCompositor {
       ctx.fillText(line, Math.round(textX), Math.round(textY + offsetY))
     }
 
-    const texture = createTextureFromData({
-      data: window.StarlingContextManager.current.textCanvas,
-      width: textureWidth,
-      height: textureHeight,
-      scale: textRenderScale
-    })
+    let texture = target
+
+    if (texture)
+      texture.root.uploadBitmapData(StarlingContextManager.current.textCanvas)
+    else
+      texture = createTextureFromData({
+        data: StarlingContextManager.current.textCanvas,
+        width: textureWidth,
+        height: textureHeight,
+        scale: textRenderScale
+      })
 
     ctx.clearRect(
       0,
       0,
-      window.StarlingContextManager.current.textCanvas.width,
-      window.StarlingContextManager.current.textCanvas.height
+      StarlingContextManager.current.textCanvas.width,
+      StarlingContextManager.current.textCanvas.height
     )
     sLines.splice(0)
 
@@ -0,0 +1,342 @@
+import CompressedTextureFormat from './compressed-texture-format'
+
+const KTX_IDENTIFIER = [0xab, 0x4b, 0x54, 0x58, 0x20, 0x31, 0x31, 0xbb]
+const KTX2_IDENTIFIER = [0xab, 0x4b, 0x54, 0x58, 0x20, 0x32, 0x30, 0xbb]
+const DDS_MAGIC = 0x20534444 // 'DDS '
+
+const DDS_FOURCC_DXT1 = 0x31545844
+const DDS_FOURCC_DXT3 = 0x33545844
+const DDS_FOURCC_DXT5 = 0x35545844
+const DDS_FOURCC_DX10 = 0x30315844
+const DDSD_MIPMAPCOUNT = 0x20000
+
+const KHR_DF_FLAG_ALPHA_PREMULTIPLIED = 1
+
+// the sizes of the (fixed) file headers
+const KTX_HEADER_SIZE = 64
+const KTX2_HEADER_SIZE = 80
+const DDS_HEADER_SIZE = 128
+
+/** A parser for compressed texture containers, i.e. KTX, KTX2 and DDS files.
+ *
+ *  <p>The data of such files can be uploaded to the GPU without decompressing it, so it
+ *  takes up only a fraction of the memory of uncompressed textures. However, each GPU
+ *  supports only a few of the compression formats; use
+ *  <code>RenderUtil.supportsCompressedFormat</code> to find out if the data can be
+ *  used on the current device.</p>
+ *
+ *  <p>Supported are 2D textures using one of the formats listed in the
+ *  <code>CompressedTextureFormat</code> class. KTX2 files must not use supercompression
+ *  (like Basis Universal); cube maps, arrays and 3D textures are not supported, either.</p>
+ *
+ *  <p>To create a texture, pass an instance (or the raw data) to
+ *  <code>createTextureFromCompressedData</code>.</p>
+ *
+ *  @see CompressedTextureFormat
+ */
+export default class CompressedTextureData {
+  _format
+  _width
+  _height
+  _levels
+  _premultipliedAlpha
+
+  /** Parses the given data, which must be an ArrayBuffer (or a view of one) containing a
+   *  KTX, KTX2 or DDS file. */
+  constructor(data) {
+    const bytes = CompressedTextureData.getBytes(data)
+    if (!bytes)
+      throw new Error('[ArgumentError] Invalid compressed texture data')
+
+    this._levels = []
+    this._premultipliedAlpha = false
+
+    if (isKtx(bytes)) this.parseKtx(bytes)
+    else if (isKtx2(bytes)) this.parseKtx2(bytes)
+    else if (isDds(bytes)) this.parseDds(bytes)
+    else throw new Error('[ArgumentError] Unknown compressed texture container')
+
+    if (!CompressedTextureFormat.isCompressed(this._format))
+      throw new Error(
+        '[NotSupportedError] Unsupported texture format: 0x' +
+          this._format.toString(16)
+      )
+  }
+
+  /** Checks the first bytes of the given data to find out if it contains a KTX, KTX2 or
+   *  DDS file. Instances of this class are recognized, too. */
+  static isCompressedData(data) {
+    if (data instanceof CompressedTextureData) return true
+
+    const bytes = CompressedTextureData.getBytes(data)
+
+    return !!bytes && (isKtx(bytes) || isKtx2(bytes) || isDds(bytes))
+  }
+
+  static getBytes(data) {
+    if (data instanceof ArrayBuffer) return new Uint8Array(data)
+    else if (ArrayBuffer.isView(data))
+      return new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+    else return null
+  }
+
+  parseKtx(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+    const littleEndian = view.getUint32(12, true) === 0x04030201
+    const getUint32 = offset => view.getUint32(offset, littleEndian)
+
+    const glType = getUint32(16)
+    const depth = getUint32(44)
+    const numArrayElements = getUint32(48)
+    const numFaces = getUint32(52)
+
+    if (glType !== 0)
+      throw new Error(
+        '[ArgumentError] KTX file does not contain compressed data'
+      )
+    if (depth > 1 || numArrayElements > 1 || numFaces !== 1)
+      throw new Error('[NotSupportedError] Only 2D textures are supported')
+
+    this._format = CompressedTextureFormat.getLinearFormat(getUint32(28))
+    this._width = getUint32(36)
+    this._height = Math.max(1, getUint32(40))
+
+    const numLevels = Math.max(1, getUint32(56))
+    let offset = KTX_HEADER_SIZE + getUint32(60) // skip the key/value data
+
+    for (let i = 0; i < numLevels; ++i) {
+      checkSize(bytes, offset + 4)
+
+      const size = getUint32(offset)
+      this.addLevel(bytes, offset + 4, size)
+      offset += 4 + Math.ceil(size / 4) * 4 // 'mipPadding'
+    }
+  }
+
+  parseKtx2(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+    const getUint32 = offset => view.getUint32(offset, true)
+
+    // 64 bit values; offsets beyond 4 GB are out of the question anyway
+    const getUint64 = offset =>
+      getUint32(offset) + getUint32(offset + 4) * 0x100000000
+
+    const depth = getUint32(28)
+    const numLayers = getUint32(32)
+    const numFaces = getUint32(36)
+
+    if (getUint32(44) !== 0)
+      throw new Error(
+        '[NotSupportedError] KTX2 supercompression is not supported'
+      )
+    if (depth > 1 || numLayers > 1 || numFaces !== 1)
+      throw new Error('[NotSupportedError] Only 2D textures are supported')
+
+    this._format = getFormatFromVkFormat(getUint32(12))
+    this._width = getUint32(20)
+    this._height = Math.max(1, getUint32(24))
+
+    const dfdOffset = getUint32(48)
+    if (getUint32(52) >= 16)
+      this._premultipliedAlpha =
+        (bytes[dfdOffset + 15] & KHR_DF_FLAG_ALPHA_PREMULTIPLIED) !== 0
+
+    const numLevels = Math.max(1, getUint32(40))
+    checkSize(bytes, KTX2_HEADER_SIZE + numLevels * 24)
+
+    for (let i = 0; i < numLevels; ++i) {
+      const indexOffset = KTX2_HEADER_SIZE + i * 24
+      this.addLevel(bytes, getUint64(indexOffset), getUint64(indexOffset + 8))
+    }
+  }
+
+  parseDds(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+    const getUint32 = offset => view.getUint32(offset, true)
+
+    const fourCC = getUint32(84)
+    let offset = DDS_HEADER_SIZE
+
+    if (fourCC === DDS_FOURCC_DX10) {
+      this._format = getFormatFromDxgiFormat(getUint32(offset))
+      offset += 20
+    } else this._format = getFormatFromFourCC(fourCC)
+
+    this._width = getUint32(16)
+    this._height = getUint32(12)
+
+    const numLevels =
+      getUint32(8) & DDSD_MIPMAPCOUNT ? Math.max(1, getUint32(28)) : 1
+    let width = this._width
+    let height = this._height
+
+    for (let i = 0; i < numLevels; ++i) {
+      const size = CompressedTextureFormat.getLevelSize(
+        this._format,
+        width,
+        height
+      )
+      this.addLevel(bytes, offset, size)
+
+      offset += size
+      width = Math.max(1, width >> 1)
+      height = Math.max(1, height >> 1)
+    }
+  }
+
+  addLevel(bytes, offset, size) {
+    checkSize(bytes, offset + size)
+
+    const level = this._levels.length
+
+    this._levels.push({
+      width: Math.max(1, this._width >> level),
+      height: Math.max(1, this._height >> level),
+      data: bytes.subarray(offset, offset + size)
+    })
+  }
+
+  // properties
+
+  /** The compressed format of the data, i.e. one of the constants of the
+   *  <code>CompressedTextureFormat</code> class. */
+  get format() {
+    return this._format
+  }
+
+  /** The width of the texture in pixels. */
+  get width() {
+    return this._width
+  }
+
+  /** The height of the texture in pixels. */
+  get height() {
+    return this._height
+  }
+
+  /** The number of mipmap levels contained in the data (at least one). */
+  get numLevels() {
+    return this._levels.length
+  }
+
+  /** The mipmap levels, beginning with the largest one. Each level is an object with the
+   *  properties <code>width</code>, <code>height</code> and <code>data</code> (a
+   *  <code>Uint8Array</code> referencing the original data). */
+  get levels() {
+    return this._levels
+  }
+
+  /** The combined size of all levels, in bytes. */
+  get byteLength() {
+    return this._levels.reduce((sum, level) => sum + level.data.byteLength, 0)
+  }
+
+  /** Indicates if the color channels contain premultiplied alpha values. Only KTX2 files
+   *  store that information; for all others, this is <code>false</code>. */
+  get premultipliedAlpha() {
+    return this._premultipliedAlpha
+  }
+}
+
+const checkSize = (bytes, size) => {
+  if (size > bytes.byteLength)
+    throw new Error('[ArgumentError] Compressed texture data is truncated')
+}
+
+const startsWith = (bytes, identifier, headerSize) =>
+  bytes.byteLength >= headerSize &&
+  identifier.every((value, index) => bytes[index] === value)
+
+const isKtx = bytes => startsWith(bytes, KTX_IDENTIFIER, KTX_HEADER_SIZE)
+
+const isKtx2 = bytes => startsWith(bytes, KTX2_IDENTIFIER, KTX2_HEADER_SIZE)
+
+const isDds = bytes =>
+  bytes.byteLength >= DDS_HEADER_SIZE &&
+  new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0, true) ===
+    DDS_MAGIC
+
+// maps the 'VkFormat' of KTX2 files to WebGL; the sRGB variants are mapped, too.
+const getFormatFromVkFormat = vkFormat => {
+  const F = CompressedTextureFormat
+
+  if (vkFormat >= 157 && vkFormat <= 184)
+    return F.RGBA_ASTC_4x4 + ((vkFormat - 157) >> 1)
+
+  switch (vkFormat) {
+    case 131: // BC1_RGB_UNORM_BLOCK
+    case 132: // BC1_RGB_SRGB_BLOCK
+      return F.RGB_S3TC_DXT1
+    case 133: // BC1_RGBA_UNORM_BLOCK
+    case 134: // BC1_RGBA_SRGB_BLOCK
+      return F.RGBA_S3TC_DXT1
+    case 135: // BC2_UNORM_BLOCK
+    case 136: // BC2_SRGB_BLOCK
+      return F.RGBA_S3TC_DXT3
+    case 137: // BC3_UNORM_BLOCK
+    case 138: // BC3_SRGB_BLOCK
+      return F.RGBA_S3TC_DXT5
+    case 145: // BC7_UNORM_BLOCK
+    case 146: // BC7_SRGB_BLOCK
+      return F.RGBA_BPTC_UNORM
+    case 147: // ETC2_R8G8B8_UNORM_BLOCK
+    case 148: // ETC2_R8G8B8_SRGB_BLOCK
+      return F.RGB8_ETC2
+    case 149: // ETC2_R8G8B8A1_UNORM_BLOCK
+    case 150: // ETC2_R8G8B8A1_SRGB_BLOCK
+      return F.RGB8_PUNCHTHROUGH_ALPHA1_ETC2
+    case 151: // ETC2_R8G8B8A8_UNORM_BLOCK
+    case 152: // ETC2_R8G8B8A8_SRGB_BLOCK
+      return F.RGBA8_ETC2_EAC
+    case 153: // EAC_R11_UNORM_BLOCK
+      return F.R11_EAC
+    case 154: // EAC_R11_SNORM_BLOCK
+      return F.SIGNED_R11_EAC
+    case 155: // EAC_R11G11_UNORM_BLOCK
+      return F.RG11_EAC
+    case 156: // EAC_R11G11_SNORM_BLOCK
+      return F.SIGNED_RG11_EAC
+    default:
+      throw new Error('[NotSupportedError] Unsupported VkFormat: ' + vkFormat)
+  }
+}
+
+// maps the 'DXGI_FORMAT' of DDS files with a DX10 header to WebGL
+const getFormatFromDxgiFormat = dxgiFormat => {
+  const F = CompressedTextureFormat
+
+  switch (dxgiFormat) {
+    case 71: // BC1_UNORM
+    case 72: // BC1_UNORM_SRGB
+      return F.RGBA_S3TC_DXT1
+    case 74: // BC2_UNORM
+    case 75: // BC2_UNORM_SRGB
+      return F.RGBA_S3TC_DXT3
+    case 77: // BC3_UNORM
+    case 78: // BC3_UNORM_SRGB
+      return F.RGBA_S3TC_DXT5
+    case 98: // BC7_UNORM
+    case 99: // BC7_UNORM_SRGB
+      return F.RGBA_BPTC_UNORM
+    default:
+      throw new Error(
+        '[NotSupportedError] Unsupported DXGI format: ' + dxgiFormat
+      )
+  }
+}
+
+const getFormatFromFourCC = fourCC => {
+  const F = CompressedTextureFormat
+
+  switch (fourCC) {
+    // DXT1 may contain transparent pixels ('1 bit alpha')
+    case DDS_FOURCC_DXT1:
+      return F.RGBA_S3TC_DXT1
+    case DDS_FOURCC_DXT3:
+      return F.RGBA_S3TC_DXT3
+    case DDS_FOURCC_DXT5:
+      return F.RGBA_S3TC_DXT5
+    default:
+      throw new Error('[NotSupportedError] Unsupported DDS format')
+  }
+}
@@ -0,0 +1,227 @@
+/** A class that provides constant values for the compressed texture formats Starling
+ *  can upload, along with the properties required to handle them.
+ *
+ *  <p>The values are the WebGL enums of the formats (as used by
+ *  <code>compressedTexImage2D</code>). Each family of formats is made available by a
+ *  WebGL extension; whether a device supports a format can be checked with
+ *  <code>RenderUtil.supportsCompressedFormat</code>.</p>
+ *
+ *  <p>Starling doesn't convert colors into linear space; just like the pixels of a PNG
+ *  file, those of sRGB encoded textures are used as they are. Thus, the sRGB formats are
+ *  always replaced by their linear counterparts (see <code>getLinearFormat</code>).</p>
+ *
+ *  @see starling.utils.RenderUtil#supportsCompressedFormat()
+ *  @see CompressedTextureData
+ */
+export default class CompressedTextureFormat {
+  // S3TC (DXT); desktop GPUs
+
+  static RGB_S3TC_DXT1 = 0x83f0
+  static RGBA_S3TC_DXT1 = 0x83f1
+  static RGBA_S3TC_DXT3 = 0x83f2
+  static RGBA_S3TC_DXT5 = 0x83f3
+  static SRGB_S3TC_DXT1 = 0x8c4c
+  static SRGB_ALPHA_S3TC_DXT1 = 0x8c4d
+  static SRGB_ALPHA_S3TC_DXT3 = 0x8c4e
+  static SRGB_ALPHA_S3TC_DXT5 = 0x8c4f
+
+  // ETC1 and ETC2/EAC; most Android devices, all devices supporting OpenGL ES 3
+
+  static RGB_ETC1 = 0x8d64
+  static R11_EAC = 0x9270
+  static SIGNED_R11_EAC = 0x9271
+  static RG11_EAC = 0x9272
+  static SIGNED_RG11_EAC = 0x9273
+  static RGB8_ETC2 = 0x9274
+  static SRGB8_ETC2 = 0x9275
+  static RGB8_PUNCHTHROUGH_ALPHA1_ETC2 = 0x9276
+  static SRGB8_PUNCHTHROUGH_ALPHA1_ETC2 = 0x9277
+  static RGBA8_ETC2_EAC = 0x9278
+  static SRGB8_ALPHA8_ETC2_EAC = 0x9279
+
+  // ASTC; recent mobile GPUs (the block size is part of the format)
+
+  static RGBA_ASTC_4x4 = 0x93b0
+  static RGBA_ASTC_5x4 = 0x93b1
+  static RGBA_ASTC_5x5 = 0x93b2
+  static RGBA_ASTC_6x5 = 0x93b3
+  static RGBA_ASTC_6x6 = 0x93b4
+  static RGBA_ASTC_8x5 = 0x93b5
+  static RGBA_ASTC_8x6 = 0x93b6
+  static RGBA_ASTC_8x8 = 0x93b7
+  static RGBA_ASTC_10x5 = 0x93b8
+  static RGBA_ASTC_10x6 = 0x93b9
+  static RGBA_ASTC_10x8 = 0x93ba
+  static RGBA_ASTC_10x10 = 0x93bb
+  static RGBA_ASTC_12x10 = 0x93bc
+  static RGBA_ASTC_12x12 = 0x93bd
+
+  /** The offset between the linear ASTC formats and their sRGB counterparts. */
+  static SRGB_ASTC_OFFSET = 0x20
+
+  // BPTC (BC7); recent desktop GPUs
+
+  static RGBA_BPTC_UNORM = 0x8e8c
+  static SRGB_ALPHA_BPTC_UNORM = 0x8e8d
+
+  // the WebGL extensions that provide the formats, in order of preference
+  static S3TC_EXTENSIONS = [
+    'WEBGL_compressed_texture_s3tc',
+    'WEBKIT_WEBGL_compressed_texture_s3tc',
+    'MOZ_WEBGL_compressed_texture_s3tc'
+  ]
+  static ETC1_EXTENSIONS = ['WEBGL_compressed_texture_etc1']
+  static ETC_EXTENSIONS = ['WEBGL_compressed_texture_etc']
+  static ASTC_EXTENSIONS = ['WEBGL_compressed_texture_astc']
+  static BPTC_EXTENSIONS = ['EXT_texture_compression_bptc']
+
+  static sInfos = null
+  static sLinearFormats = new Map([
+    [
+      CompressedTextureFormat.SRGB_S3TC_DXT1,
+      CompressedTextureFormat.RGB_S3TC_DXT1
+    ],
+    [
+      CompressedTextureFormat.SRGB_ALPHA_S3TC_DXT1,
+      CompressedTextureFormat.RGBA_S3TC_DXT1
+    ],
+    [
+      CompressedTextureFormat.SRGB_ALPHA_S3TC_DXT3,
+      CompressedTextureFormat.RGBA_S3TC_DXT3
+    ],
+    [
+      CompressedTextureFormat.SRGB_ALPHA_S3TC_DXT5,
+      CompressedTextureFormat.RGBA_S3TC_DXT5
+    ],
+    [CompressedTextureFormat.SRGB8_ETC2, CompressedTextureFormat.RGB8_ETC2],
+    [
+      CompressedTextureFormat.SRGB8_PUNCHTHROUGH_ALPHA1_ETC2,
+      CompressedTextureFormat.RGB8_PUNCHTHROUGH_ALPHA1_ETC2
+    ],
+    [
+      CompressedTextureFormat.SRGB8_ALPHA8_ETC2_EAC,
+      CompressedTextureFormat.RGBA8_ETC2_EAC
+    ],
+    [
+      CompressedTextureFormat.SRGB_ALPHA_BPTC_UNORM,
+      CompressedTextureFormat.RGBA_BPTC_UNORM
+    ]
+  ])
+
+  /** Returns information about a compressed format, or <code>null</code> if the format
+   *  is unknown (e.g. because it's not compressed at all). The returned object contains
+   *  the properties <code>blockWidth</code> and <code>blockHeight</code> (in pixels),
+   *  <code>blockSize</code> (in bytes), <code>alpha</code> (a Boolean),
+   *  <code>extensions</code> (the names of the extensions that provide the format, any of
+   *  which will do) and <code>fallbacks</code> (formats that can decode the same data). */
+  static getInfo(format) {
+    if (!CompressedTextureFormat.sInfos) CompressedTextureFormat.registerInfos()
+    return CompressedTextureFormat.sInfos.get(format) || null
+  }
+
+  /** Returns the linear counterpart of an sRGB format; other formats are returned
+   *  unchanged. */
+  static getLinearFormat(format) {
+    const {
+      RGBA_ASTC_4x4,
+      RGBA_ASTC_12x12,
+      SRGB_ASTC_OFFSET
+    } = CompressedTextureFormat
+    const linearASTC = format - SRGB_ASTC_OFFSET
+
+    if (linearASTC >= RGBA_ASTC_4x4 && linearASTC <= RGBA_ASTC_12x12)
+      return linearASTC
+    else return CompressedTextureFormat.sLinearFormats.get(format) || format
+  }
+
+  /** Indicates if the given texture format is one of the compressed formats. */
+  static isCompressed(format) {
+    return CompressedTextureFormat.getInfo(format) !== null
+  }
+
+  /** Returns the number of bytes a single (mipmap) level of the given size requires in
+   *  a compressed format. Partial blocks at the edges take up a complete block. */
+  static getLevelSize(format, width, height) {
+    const info = CompressedTextureFormat.getInfo(format)
+    if (!info)
+      throw new Error('[ArgumentError] Invalid compressed format: ' + format)
+
+    return (
+      Math.ceil(width / info.blockWidth) *
+      Math.ceil(height / info.blockHeight) *
+      info.blockSize
+    )
+  }
+
+  static registerInfos() {
+    const infos = (CompressedTextureFormat.sInfos = new Map())
+    const F = CompressedTextureFormat
+
+    const register = (
+      formats,
+      extensions,
+      blockSize,
+      alpha,
+      fallbacks = []
+    ) => {
+      for (const format of formats)
+        infos.set(format, {
+          blockWidth: 4,
+          blockHeight: 4,
+          blockSize,
+          alpha,
+          extensions,
+          fallbacks
+        })
+    }
+
+    register([F.RGB_S3TC_DXT1], F.S3TC_EXTENSIONS, 8, false)
+    register([F.RGBA_S3TC_DXT1], F.S3TC_EXTENSIONS, 8, true)
+    register([F.RGBA_S3TC_DXT3, F.RGBA_S3TC_DXT5], F.S3TC_EXTENSIONS, 16, true)
+
+    // ETC2 is backwards compatible with ETC1; many devices only provide the latter
+    register([F.RGB_ETC1], F.ETC1_EXTENSIONS, 8, false, [F.RGB8_ETC2])
+    register(
+      [F.R11_EAC, F.SIGNED_R11_EAC, F.RGB8_ETC2],
+      F.ETC_EXTENSIONS,
+      8,
+      false
+    )
+    register([F.RG11_EAC, F.SIGNED_RG11_EAC], F.ETC_EXTENSIONS, 16, false)
+    register([F.RGB8_PUNCHTHROUGH_ALPHA1_ETC2], F.ETC_EXTENSIONS, 8, true)
+    register([F.RGBA8_ETC2_EAC], F.ETC_EXTENSIONS, 16, true)
+
+    register([F.RGBA_BPTC_UNORM], F.BPTC_EXTENSIONS, 16, true)
+
+    // there's one ASTC format for each block size
+    const astcBlocks = [
+      [4, 4],
+      [5, 4],
+      [5, 5],
+      [6, 5],
+      [6, 6],
+      [8, 5],
+      [8, 6],
+      [8, 8],
+      [10, 5],
+      [10, 6],
+      [10, 8],
+      [10, 10],
+      [12, 10],
+      [12, 12]
+    ]
+
+    astcBlocks.forEach(([blockWidth, blockHeight], index) => {
+      const info = {
+        blockWidth,
+        blockHeight,
+        blockSize: 16,
+        alpha: true,
+        extensions: F.ASTC_EXTENSIONS,
+        fallbacks: []
+      }
+
+      infos.set(F.RGBA_ASTC_4x4 + index, info)
+    })
+  }
+}
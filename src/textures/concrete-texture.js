@@ -1,5 +1,9 @@
 import Color from '../utils/color'
+import RenderUtil from '../utils/render-util'
+import Event from '../events/event'
 import Texture from './texture'
+import CompressedTextureFormat from './compressed-texture-format'
+import StarlingContextManager from '../core/context-manager'
 
 /** A ConcreteTexture wraps a Stage3D texture object, storing the properties of the texture
  *  and providing utility methods for data upload, etc.
@@ -26,6 +30,15 @@ export default class ConcreteTexture extends Texture {
 
   static sAsyncUploadEnabled = false
 
+  // the size of all textures that have not been disposed, in bytes
+  static sTextureMemory = 0
+
+  /** The combined size (in bytes) of all concrete textures that have not been disposed,
+   *  estimated from their native sizes. */
+  static get textureMemory() {
+    return ConcreteTexture.sTextureMemory
+  }
+
   /** @private
    *
    *  Creates a ConcreteTexture object from a TextureBase, storing information about size,
@@ -61,12 +74,19 @@ export default class ConcreteTexture extends Texture {
     this._premultipliedAlpha = premultipliedAlpha
     this._onRestore = null
     this._dataUploaded = false
+
+    if (base) ConcreteTexture.sTextureMemory += this.memory
   }
 
   /** Disposes the TextureBase object. */
   dispose() {
-    const gl = window.StarlingContextManager.current.context
-    if (this._base) gl.deleteTexture(this._base)
+    const { context: gl, painter } = StarlingContextManager.current
+    if (this._base) {
+      painter.releaseFramebuffer(this._base)
+      gl.deleteTexture(this._base)
+      ConcreteTexture.sTextureMemory -= this.memory
+      this._base = null
+    }
 
     this.onRestore = null // removes event listener
     super.dispose()
@@ -91,6 +111,42 @@ export default class ConcreteTexture extends Texture {
     this.setDataUploaded()
   }
 
+  /** Uploads compressed data (a <code>CompressedTextureData</code> instance) to the
+   *  texture, including its mipmaps if the texture uses any. The data must match the size
+   *  of the texture, and its format must be decodable in the texture's format. */
+  uploadCompressedData(data) {
+    const gl = StarlingContextManager.current.context
+    if (!gl) throw new Error('[MissingContextError]')
+
+    // the extension providing the format is lost along with the context
+    if (RenderUtil.getCompressedUploadFormat(gl, this._format) === null)
+      throw new Error(
+        '[NotSupportedError] Compressed texture format 0x' +
+          this._format.toString(16) +
+          ' is not supported on this device'
+      )
+
+    const numLevels = this._mipMapping ? data.numLevels : 1
+
+    gl.bindTexture(gl.TEXTURE_2D, this._base)
+
+    for (let level = 0; level < numLevels; ++level) {
+      const { width, height, data: levelData } = data.levels[level]
+      gl.compressedTexImage2D(
+        gl.TEXTURE_2D,
+        level,
+        this._format,
+        width,
+        height,
+        0,
+        levelData
+      )
+    }
+
+    gl.bindTexture(gl.TEXTURE_2D, null)
+    this.setDataUploaded()
+  }
+
   /** Specifies a video stream to be rendered within the texture. */
   //attachNetStream(netStream, onComplete = null)
   //{
@@ -111,30 +167,61 @@ export default class ConcreteTexture extends Texture {
 
   // texture backup (context loss)
 
-  //onContextCreated()
-  //{
-  //    this._dataUploaded = false;
-  //    this._base = this.createBase();      // recreate the underlying texture
-  //    execute(_onRestore, this); // restore contents
-  //
-  //    // if no texture has been uploaded above, we init the texture with transparent pixels.
-  //    if (!_dataUploaded) clear();
-  //}
+  onContextCreated = () => {
+    this._dataUploaded = false
+    this._base = this.createBase() // recreate the underlying texture
+    this._onRestore.call(this) // restore contents
+
+    // if no texture has been uploaded above, we init the texture with transparent pixels.
+    if (!this._dataUploaded) this.clear()
+  }
 
-  /** Recreates the underlying Stage3D texture object with the same dimensions and attributes
+  /** Recreates the underlying WebGL texture object with the same dimensions and attributes
    *  as the one that was passed to the constructor. You have to upload new data before the
    *  texture becomes usable again. Beware: this method does <strong>not</strong> dispose
    *  the current base. */
   createBase() {
-    //return Starling.context.createRectangleTexture(
-    //    nativeWidth, nativeHeight, format, optimizedForRenderTexture);
+    const gl = StarlingContextManager.current.context
+    if (!gl) throw new Error('[MissingContextError]')
+
+    const base = gl.createTexture()
+    gl.bindTexture(gl.TEXTURE_2D, base)
+
+    // compressed textures can't be allocated without data
+    if (!CompressedTextureFormat.isCompressed(this._format))
+      RenderUtil.uploadTexture(gl, this._format, this._width, this._height)
+
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR)
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR)
+
+    if (RenderUtil.hasNPOTRestrictions(gl, this._width, this._height)) {
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE)
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE)
+    }
+    gl.bindTexture(gl.TEXTURE_2D, null)
+
+    return base
   }
 
+  /** Uploads an image source (e.g. an <code>ImageBitmap</code> or a canvas) to the texture,
+   *  replacing its current contents. The source is cropped to the native texture size. */
   upload(source) {
-    this.base.uploadFromBitmapData(source)
+    const gl = StarlingContextManager.current.context
+    if (!gl) throw new Error('[MissingContextError]')
+
+    gl.bindTexture(gl.TEXTURE_2D, this._base)
+    RenderUtil.uploadTexture(
+      gl,
+      this._format,
+      this._width,
+      this._height,
+      source
+    )
+    if (this._mipMapping) gl.generateMipmap(gl.TEXTURE_2D)
+    gl.bindTexture(gl.TEXTURE_2D, null)
   }
 
-  /** Recreates the underlying Stage3D texture. May be used to manually restore a texture.
+  /** Recreates the underlying WebGL texture. May be used to manually restore a texture.
    *  Beware that new data needs to be uploaded to the texture before it can be used. */
   recreateBase() {
     this._base = this.createBase()
@@ -150,7 +237,7 @@ export default class ConcreteTexture extends Texture {
         Color.getBlue(color) * alpha
       )
 
-    const painter = window.StarlingContextManager.current.painter
+    const painter = StarlingContextManager.current.painter
 
     painter.pushState()
     painter.state.renderTarget = this
@@ -163,10 +250,58 @@ export default class ConcreteTexture extends Texture {
   /** Notifies the instance that the base texture may now be used for rendering. */
   setDataUploaded() {
     this._dataUploaded = true
+
+    // objects displaying this texture don't know that its contents changed
+    const starling = StarlingContextManager.current
+    if (starling) starling.setRequiresRedraw()
+  }
+
+  // the memory estimate of compressed textures, including all mipmap levels
+  getCompressedMemory() {
+    let width = this._width
+    let height = this._height
+    let size = CompressedTextureFormat.getLevelSize(this._format, width, height)
+
+    while (this._mipMapping && (width > 1 || height > 1)) {
+      width = Math.max(1, width >> 1)
+      height = Math.max(1, height >> 1)
+      size += CompressedTextureFormat.getLevelSize(this._format, width, height)
+    }
+
+    return size
   }
 
   // properties
 
+  /** The function that you provide here will be called after a context loss.
+   *  On execution, a new base texture will already have been created; however,
+   *  it will be empty. Call one of the "upload..." methods from within the callback
+   *  to restore the actual texture data. The callback is executed with the texture
+   *  as <code>this</code>.
+   *
+   *  <listing>
+   *  var texture = createEmptyTexture({ width: 64, height: 64 });
+   *  texture.root.onRestore = function()
+   *  {
+   *      texture.root.uploadBitmapData(drawPattern());
+   *  };</listing>
+   */
+  get onRestore() {
+    return this._onRestore
+  }
+
+  set onRestore(value) {
+    const target = StarlingContextManager.current
+    if (target)
+      target.removeEventListener(Event.CONTEXT3D_CREATE, this.onContextCreated)
+
+    if (value) {
+      this._onRestore = value
+      if (target)
+        target.addEventListener(Event.CONTEXT3D_CREATE, this.onContextCreated)
+    } else this._onRestore = null
+  }
+
   /** @inheritDoc */
   get base() {
     return this._base
@@ -212,6 +347,17 @@ export default class ConcreteTexture extends Texture {
     return this._mipMapping
   }
 
+  /** The estimated size of the texture in GPU memory, in bytes: four bytes per pixel,
+   *  plus a third for the mipmaps (if there are any). Compressed textures take up the size
+   *  of their compressed blocks. */
+  get memory() {
+    if (CompressedTextureFormat.isCompressed(this._format))
+      return this.getCompressedMemory()
+
+    const size = this._width * this._height * 4
+    return this._mipMapping ? Math.ceil((size * 4) / 3) : size
+  }
+
   /** @inheritDoc */
   get premultipliedAlpha() {
     return this._premultipliedAlpha
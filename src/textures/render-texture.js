@@ -1,9 +1,11 @@
 import Rectangle from '../math/rectangle'
+import Matrix from '../math/matrix'
 import BlendMode from '../display/blend-mode'
 import SubTexture from './subtexture'
 import TextureSmoothing from './texture-smoothing'
 import { createEmptyTexture } from '../utils/texture-creators'
 import Image from '../display/image'
+import StarlingContextManager from '../core/context-manager'
 
 /** A RenderTexture is a dynamic texture onto which you can draw any display object.
  *
@@ -87,8 +89,10 @@ export default class RenderTexture extends SubTexture {
   _bufferReady
   _isPersistent
 
-  // helper object
+  // helper objects
   static sClipRect = new Rectangle()
+  static sBounds = new Rectangle()
+  static sMatrix = new Matrix()
 
   /** Creates a new RenderTexture with a certain size (in points). If the texture is
    *  persistent, its contents remains intact after each draw call, allowing you to use the
@@ -129,6 +133,48 @@ export default class RenderTexture extends SubTexture {
     super.dispose()
   }
 
+  /** Creates a non-persistent render texture that contains the given display object,
+   *  e.g. to create a thumbnail or a screenshot of it. The object is drawn without its
+   *  transformation, i.e. the texture has the size of its bounds in its own coordinate
+   *  system, multiplied with the given scale. The object doesn't have to be on the stage.
+   *
+   *  <listing>
+   *  const texture = RenderTexture.fromDisplayObject(drawing, 0.25);
+   *  const blob = await texture.toBlob();
+   *  texture.dispose();</listing>
+   *
+   *  @param object  the object to draw.
+   *  @param scale   the number of pixels per point of the object.
+   *  @param color   the RGB color the texture is filled with before drawing.
+   *  @param alpha   the alpha value the texture is filled with before drawing; if zero,
+   *                 the background stays transparent.
+   */
+  static fromDisplayObject(object, scale = 1.0, color = 0x0, alpha = 0.0) {
+    const { sBounds, sMatrix } = RenderTexture
+    const starling = StarlingContextManager.current
+    const { contentScaleFactor } = starling
+    const bounds = object.getBounds(object, sBounds)
+
+    if (bounds.isEmpty())
+      throw new Error('[ArgumentError] The object has no visible area')
+
+    // the texture uses the content scale factor; thus, that has to be undone
+    const factor = scale / contentScaleFactor
+    const texture = new RenderTexture(
+      Math.ceil(bounds.width * scale) / contentScaleFactor,
+      Math.ceil(bounds.height * scale) / contentScaleFactor,
+      false
+    )
+
+    sMatrix.setTo(factor, 0, 0, factor, -bounds.x * factor, -bounds.y * factor)
+    texture.drawBundled(() => {
+      if (alpha > 0) starling.painter.clear(color, alpha)
+      texture.draw(object, sMatrix)
+    })
+
+    return texture
+  }
+
   /** Draws an object into the texture. Note that any filters on the object will currently
    *  be ignored.
    *
@@ -138,8 +184,7 @@ export default class RenderTexture extends SubTexture {
    *                      the object will be drawn in the orientation depicted by the matrix.
    *  @param alpha        The object's alpha value will be multiplied with this value.
    *  @param antiAliasing Values range from 0 (no antialiasing) to 4 (best quality).
-   *                      Beginning with AIR 22, this feature is supported on all platforms
-   *                      (except for software rendering mode).
+   *                      Requires WebGL 2; on WebGL 1, this parameter is ignored.
    */
   draw(object, matrix = null, alpha = 1.0, antiAliasing = 0) {
     if (!object) return
@@ -155,18 +200,16 @@ export default class RenderTexture extends SubTexture {
    *
    *  @param drawingBlock  a callback with the form: <pre>function();</pre>
    *  @param antiAliasing  Values range from 0 (no antialiasing) to 4 (best quality).
-   *                       Beginning with AIR 22, this feature is supported on all platforms
-   *                       (except for software rendering mode).
+   *                       Requires WebGL 2; on WebGL 1, this parameter is ignored.
    */
   drawBundled(drawingBlock, antiAliasing = 0) {
     this.renderBundled(drawingBlock, null, null, 1.0, antiAliasing)
   }
 
   render(object, matrix = null, alpha = 1.0) {
-    const painter = window.StarlingContextManager.current.painter
+    const painter = StarlingContextManager.current.painter
     const state = painter.state
     const wasCacheEnabled = painter.cacheEnabled
-    const filter = object.filter
     const mask = object.mask
 
     painter.cacheEnabled = false
@@ -182,8 +225,7 @@ export default class RenderTexture extends SubTexture {
 
     if (mask) painter.drawMask(mask, object)
 
-    if (filter) filter.render(painter)
-    else object.render(painter)
+    painter.renderObject(object)
 
     if (mask) painter.eraseMask(mask, object)
 
@@ -199,7 +241,7 @@ export default class RenderTexture extends SubTexture {
     antiAliasing = 0
   ) {
     const { sClipRect } = RenderTexture
-    const starling = window.StarlingContextManager.current
+    const starling = StarlingContextManager.current
     const painter = starling.painter
     const state = painter.state
 
@@ -251,6 +293,9 @@ export default class RenderTexture extends SubTexture {
       this._drawing = false
       painter.popState()
     }
+
+    // objects displaying this texture don't know that its contents changed
+    starling.setRequiresRedraw()
   }
 
   /** Clears the render texture with a certain color and alpha value. Call without any
@@ -294,7 +339,7 @@ export default class RenderTexture extends SubTexture {
    *  @default true for "baseline" and "baselineConstrained", false otherwise
    */
   static get useDoubleBuffering() {
-    const starling = window.StarlingContextManager.current
+    const starling = StarlingContextManager.current
     if (starling) {
       const painter = starling.painter
       const sharedData = painter.sharedData
@@ -309,7 +354,7 @@ export default class RenderTexture extends SubTexture {
   }
 
   static set useDoubleBuffering(value) {
-    const starling = window.StarlingContextManager.current
+    const starling = StarlingContextManager.current
     if (!starling)
       throw new Error('[IllegalOperationError] Starling not yet initialized')
     else
@@ -1,3 +1,5 @@
+import StarlingContextManager from '../core/context-manager'
+
 /** The TextureOptions class specifies options for loading textures with the
  *  <code>Texture.fromData</code> and <code>Texture.fromTextureBase</code> methods. */
 export default class TextureOptions {
@@ -46,9 +48,7 @@ export default class TextureOptions {
 
   set scale(value) {
     this._scale =
-      value > 0
-        ? value
-        : window.StarlingContextManager.current.contentScaleFactor
+      value > 0 ? value : StarlingContextManager.current.contentScaleFactor
   }
 
   /** The <code>Context3DTextureFormat</code> of the underlying texture data. Only used
@@ -2,6 +2,8 @@ import Point from '../math/point'
 import Matrix from '../math/matrix'
 import Rectangle from '../math/rectangle'
 import MatrixUtil from '../utils/matrix-util'
+import ImageUtil from '../utils/image-util'
+import StarlingContextManager from '../core/context-manager'
 import TextureOptions from './texture-options'
 
 /** <p>A texture stores the information that represents an image. It cannot be added to the
@@ -233,6 +235,93 @@ export default class Texture {
     return this.globalToLocal(out.x, out.y, out)
   }
 
+  /** Reads the pixels of the texture back from the GPU. Subtextures (including rotated
+   *  ones) are supported; the frame is ignored. This is a slow operation, since it has to
+   *  wait for the GPU to finish all pending rendering.
+   *
+   *  @param out  an ImageData object the size of the texture's <code>nativeWidth</code>
+   *              and <code>nativeHeight</code>; if <code>null</code>, a new one is created.
+   *  @return the ImageData object that contains the pixels, with straight alpha.
+   */
+  toImageData(out = null) {
+    const { root } = this
+    const { context: gl, painter } = StarlingContextManager.current
+    const width = Math.ceil(this.nativeWidth)
+    const height = Math.ceil(this.nativeHeight)
+    const rootWidth = Math.ceil(root.nativeWidth)
+    const rootHeight = Math.ceil(root.nativeHeight)
+    const rootPixels = new Uint8Array(rootWidth * rootHeight * 4)
+    const uv = Texture.sPoint
+
+    if (!out) out = ImageUtil.createImageData(width, height)
+    else if (out.width !== width || out.height !== height)
+      throw new Error(
+        '[ArgumentError] ImageData must have the native size of the texture'
+      )
+
+    // an anti-aliased render target only receives its contents when it's resolved
+    painter.resolveRenderTarget()
+
+    // attach the root texture to a framebuffer to read back its pixels
+    const previousFramebuffer = gl.getParameter(gl.FRAMEBUFFER_BINDING)
+    const framebuffer = gl.createFramebuffer()
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer)
+    gl.framebufferTexture2D(
+      gl.FRAMEBUFFER,
+      gl.COLOR_ATTACHMENT0,
+      gl.TEXTURE_2D,
+      root.base,
+      0
+    )
+    gl.readPixels(
+      0,
+      0,
+      rootWidth,
+      rootHeight,
+      gl.RGBA,
+      gl.UNSIGNED_BYTE,
+      rootPixels
+    )
+    gl.bindFramebuffer(gl.FRAMEBUFFER, previousFramebuffer)
+    gl.deleteFramebuffer(framebuffer)
+
+    const { data } = out
+
+    for (let y = 0; y < height; ++y) {
+      for (let x = 0; x < width; ++x) {
+        this.localToGlobal((x + 0.5) / width, (y + 0.5) / height, uv)
+
+        // render textures are stored upside down (see 'setTexCoords')
+        const v = this.fbo ? 1 - uv.y : uv.y
+        const rootX = Math.min(Math.floor(uv.x * rootWidth), rootWidth - 1)
+        const rootY = Math.min(Math.floor(v * rootHeight), rootHeight - 1)
+        const source = (rootY * rootWidth + rootX) * 4
+        const target = (y * width + x) * 4
+
+        data[target] = rootPixels[source]
+        data[target + 1] = rootPixels[source + 1]
+        data[target + 2] = rootPixels[source + 2]
+        data[target + 3] = rootPixels[source + 3]
+      }
+    }
+
+    if (this.premultipliedAlpha) ImageUtil.unmultiplyAlpha(out)
+
+    return out
+  }
+
+  /** Reads the pixels of the texture back from the GPU (see <code>toImageData</code>) and
+   *  encodes them as an image file.
+   *
+   *  @param type     the MIME type of the image format.
+   *  @param quality  for lossy formats, a value between 0 and 1.
+   *  @return a Promise that resolves with the Blob that contains the file.
+   */
+  toBlob(type = 'image/png', quality = undefined) {
+    return ImageUtil.toBlob(this.toImageData(), type, quality)
+  }
+
   // properties
 
   /** The texture frame if it has one (see class description), otherwise <code>null</code>.
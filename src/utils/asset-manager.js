@@ -1,14 +1,25 @@
 import { values } from 'ramda'
 import { xml2json } from 'xml-js'
 
-import { createTextureFromData } from './texture-creators'
+import {
+  createTextureFromData,
+  createTextureFromCompressedData
+} from './texture-creators'
+import RenderUtil from './render-util'
+import CompressedTextureData from '../textures/compressed-texture-data'
 import TextureOptions from '../textures/texture-options'
 import TextureAtlas from '../textures/texture-atlas'
 import TextField from '../text/text-field'
 import BitmapFont from '../text/bitmap-font'
+import Environment from '../core/environment'
+import StarlingContextManager from '../core/context-manager'
 
 const DataType = {
   TEXTURE: { id: 'texture', extensions: ['png', 'jpg', 'jpeg'] },
+  COMPRESSED_TEXTURE: {
+    id: 'compressedTexture',
+    extensions: ['ktx', 'ktx2', 'dds']
+  },
   XML_ATLAS: { id: 'xml', extensions: ['xml'] },
   BITMAP_FONT: { id: 'bitmapFont', extensions: ['fnt'] }
 }
@@ -25,10 +36,10 @@ export default class AssetManager {
   }
 
   getType(descriptor) {
-    return values(DataType).find(
-      type =>
-        !!type.extensions.find(extension => descriptor.path.includes(extension))
-    )
+    const matches = /\.([\w-]+)(?:\?.*)?$/.exec(descriptor.path)
+    const extension = matches ? matches[1].toLowerCase() : null
+
+    return values(DataType).find(type => type.extensions.includes(extension))
   }
 
   getName(url) {
@@ -37,16 +48,41 @@ export default class AssetManager {
     else return null
   }
 
+  /** Adds an asset to the queue. Instead of a single path, you can pass a list of
+   *  alternatives, e.g. the same texture in several compressed formats, followed by a PNG
+   *  file. Each alternative is either a path or an object with the properties
+   *  <code>path</code> and <code>format</code> (one of the constants of
+   *  <code>CompressedTextureFormat</code>). The first compressed texture whose format the
+   *  device supports is loaded (images are always supported). Alternatives with an
+   *  unsupported format aren't downloaded at all; those without a format are, to find
+   *  out their format. The name is derived from the first path.
+   *
+   *  <listing>
+   *  assetManager.enqueueWithName({
+   *    path: [
+   *      { path: 'hero.ktx', format: CompressedTextureFormat.RGBA_ASTC_4x4 },
+   *      { path: 'hero.dds', format: CompressedTextureFormat.RGBA_S3TC_DXT5 },
+   *      'hero.png'
+   *    ]
+   *  })</listing>
+   */
   enqueueWithName({ path, name, options }) {
-    name = name || this.getName(path)
+    const candidates = (Array.isArray(path) ? path : [path]).map(
+      candidate =>
+        typeof candidate === 'string' ? { path: candidate } : candidate
+    )
 
-    if (!path) {
+    if (
+      !candidates.length ||
+      candidates.some(candidate => !candidate || !candidate.path)
+    ) {
       throw new Error('[AssetManager] The path of the resource is invalid')
     }
 
     this._queue.push({
-      path,
-      name,
+      path: candidates[0].path,
+      candidates,
+      name: name || this.getName(candidates[0].path),
       options
     })
   }
@@ -58,29 +94,14 @@ export default class AssetManager {
   async loadQueue() {
     const { _queue } = this
 
-    // 1. Load all the assets
-
-    const promises = _queue.map(({ path }) => window.fetch(path))
-    const loadedQueue = await Promise.all(promises)
-
-    // 2. Get appropriate content (text, blob, etc...) from fetch response
+    // 1. Load all the assets and get the appropriate content (text, image, etc...)
 
-    const preparsedQueue = loadedQueue.map((data, index) => {
-      const descriptor = _queue[index]
-      const type = this.getType(descriptor)
-
-      if (type === DataType.TEXTURE) {
-        return data.blob().then(blobData => window.createImageBitmap(blobData))
-      } else if (type === DataType.XML_ATLAS || type === DataType.BITMAP_FONT) {
-        return data.text()
-      }
-
-      return Promise.resolve(data)
-    })
+    const parsedQueue = await Promise.all(
+      _queue.map(descriptor => this.loadAsset(descriptor))
+    )
 
-    // 3. Parse the content.
+    // 2. Parse the content.
 
-    const parsedQueue = await Promise.all(preparsedQueue)
     const parsedAtlases = []
     const parsedBitmapFonts = []
 
@@ -97,6 +118,11 @@ export default class AssetManager {
             height: item.height
           })
         )
+      } else if (type === DataType.COMPRESSED_TEXTURE) {
+        this.addTexture(
+          descriptor.name,
+          createTextureFromCompressedData({ data: item })
+        )
       } else if (type === DataType.XML_ATLAS) {
         parsedAtlases.push({
           data: JSON.parse(xml2json(item, { compact: true })),
@@ -112,7 +138,7 @@ export default class AssetManager {
       // other...
     })
 
-    // 4. Create atlas textures/bitmap fonts, if any
+    // 3. Create atlas textures/bitmap fonts, if any
 
     parsedAtlases.forEach(({ descriptor, data }) => {
       if (data.TextureAtlas) {
@@ -138,6 +164,69 @@ export default class AssetManager {
     })
   }
 
+  // Returns the candidates of the descriptor that might be usable on this device, i.e.
+  // all except compressed textures with a format that's known to be unsupported. If that
+  // rules out every candidate, the last one is returned.
+  getCandidates(descriptor) {
+    const { candidates } = descriptor
+    const gl = StarlingContextManager.current.context
+
+    const usable = candidates.filter(
+      ({ path, format }) =>
+        this.getType({ path }) !== DataType.COMPRESSED_TEXTURE ||
+        format === undefined ||
+        RenderUtil.supportsCompressedFormat(gl, format)
+    )
+
+    return usable.length ? usable : candidates.slice(-1)
+  }
+
+  // Fetches the first of the descriptor's candidates that can be used on this device and
+  // returns its content; 'descriptor.path' is updated to the chosen path. Compressed
+  // textures without a given format are downloaded to find out their format.
+  async loadAsset(descriptor) {
+    const candidates = this.getCandidates(descriptor)
+    const gl = StarlingContextManager.current.context
+
+    for (let i = 0; i < candidates.length; ++i) {
+      const { path } = candidates[i]
+      const isLast = i === candidates.length - 1
+
+      descriptor.path = path
+
+      const type = this.getType(descriptor)
+      const response = await Environment.global.fetch(path)
+
+      if (!response.ok)
+        throw new Error(
+          `[AssetManager] Failed to load "${path}": ${response.status} ${
+            response.statusText
+          }`
+        )
+
+      if (type === DataType.TEXTURE) {
+        const blob = await response.blob()
+        return Environment.global.createImageBitmap(blob)
+      } else if (type === DataType.COMPRESSED_TEXTURE) {
+        let data = null
+
+        try {
+          data = new CompressedTextureData(await response.arrayBuffer())
+        } catch (error) {
+          if (isLast) throw error
+        }
+
+        if (
+          data &&
+          (isLast || RenderUtil.supportsCompressedFormat(gl, data.format))
+        )
+          return data
+      } else if (type === DataType.XML_ATLAS || type === DataType.BITMAP_FONT) {
+        return response.text()
+      } else return response
+    }
+  }
+
   addTexture(name, texture) {
     this._textures.set(name, texture)
   }
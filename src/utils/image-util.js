@@ -0,0 +1,67 @@
+import Environment from '../core/environment'
+
+/** A utility class with methods that help with <code>ImageData</code> objects, e.g. those
+ *  returned by <code>Starling.captureFrame</code> or <code>Texture.toImageData</code>.
+ */
+export default class ImageUtil {
+  /** Creates a new ImageData object with the given size, all of its pixels being
+   *  transparent black. */
+  static createImageData(width, height) {
+    const { ImageData } = Environment.global
+
+    if (ImageData) return new ImageData(width, height)
+    else
+      return Environment.createCanvas(1, 1)
+        .getContext('2d')
+        .createImageData(width, height)
+  }
+
+  /** Encodes the pixels of an ImageData object as an image file, e.g. a PNG or JPEG.
+   *
+   *  @param imageData  the pixels to encode.
+   *  @param type       the MIME type of the image format.
+   *  @param quality    for lossy formats, a value between 0 and 1.
+   *  @return a Promise that resolves with the Blob that contains the file.
+   */
+  static toBlob(imageData, type = 'image/png', quality = undefined) {
+    const canvas = Environment.createCanvas(imageData.width, imageData.height)
+    canvas.getContext('2d').putImageData(imageData, 0, 0)
+
+    if (canvas.convertToBlob) return canvas.convertToBlob({ type, quality })
+    else if (canvas.toBlob)
+      return new Promise((resolve, reject) =>
+        canvas.toBlob(
+          blob =>
+            blob
+              ? resolve(blob)
+              : reject(
+                  new Error(`[IllegalOperationError] Cannot encode as ${type}`)
+                ),
+          type,
+          quality
+        )
+      )
+    else
+      return Promise.reject(
+        new Error('[NotSupportedError] Canvas encoding is not supported')
+      )
+  }
+
+  /** Converts the pixels of an ImageData object from premultiplied alpha (the format
+   *  Starling renders in) to straight alpha (the format of ImageData), in place. */
+  static unmultiplyAlpha(imageData) {
+    const { data } = imageData
+    const length = data.length
+
+    for (let i = 0; i < length; i += 4) {
+      const alpha = data[i + 3]
+
+      if (alpha > 0 && alpha < 255) {
+        const factor = 255 / alpha
+        data[i] = Math.min(255, data[i] * factor)
+        data[i + 1] = Math.min(255, data[i + 1] * factor)
+        data[i + 2] = Math.min(255, data[i + 2] * factor)
+      }
+    }
+  }
+}
@@ -0,0 +1,78 @@
+import Environment from '../core/environment'
+import Texture from '../textures/texture'
+
+/** The MouseCursor class is an enumeration of common cursors and converts custom
+ *  cursors to their CSS representation.
+ *
+ *  <p>Assign a cursor to the <code>cursor</code> property of a display object to change
+ *  the mouse cursor while it's over that object. Besides the constants of this class,
+ *  you can use any CSS cursor name (like <code>"zoom-in"</code>), or a texture.</p>
+ *
+ *  <listing>
+ *  map.cursor = MouseCursor.HAND;
+ *  crosshair.cursor = assets.getTexture('crosshair');
+ *  crosshair.cursor = MouseCursor.fromTexture(assets.getTexture('crosshair'), 16, 16);</listing>
+ */
+export default class MouseCursor {
+  /** The cursor is chosen by the browser, depending on the content under it. */
+  static AUTO = 'auto'
+
+  /** The standard arrow cursor. */
+  static ARROW = 'default'
+
+  /** The cursor that indicates a link or a button. */
+  static BUTTON = 'pointer'
+
+  /** An open hand, indicating that something can be dragged. */
+  static HAND = 'grab'
+
+  /** The cursor that indicates selectable text. */
+  static IBEAM = 'text'
+
+  // the CSS values of texture cursors with their hot spot at the top left
+  static sTextureCursors = new WeakMap()
+
+  /** Converts a cursor (a CSS cursor name or value, or a texture) to a CSS value. A
+   *  cursor that's <code>null</code> is converted to <code>auto</code>. */
+  static toCSS(cursor) {
+    if (cursor == null) return MouseCursor.AUTO
+    if (!(cursor instanceof Texture)) return cursor
+
+    const { sTextureCursors } = MouseCursor
+    let css = sTextureCursors.get(cursor)
+
+    if (!css) {
+      css = MouseCursor.fromTexture(cursor)
+      sTextureCursors.set(cursor, css)
+    }
+
+    return css
+  }
+
+  /** Creates a custom cursor from a texture, returning its CSS value. The hot spot is the
+   *  point of the cursor, in pixels of the texture, that marks the mouse position.
+   *
+   *  <p>The pixels are read back from the GPU; thus, the texture's contents must have been
+   *  uploaded. Beware that browsers limit the size of cursors (typically to 128×128
+   *  pixels).</p>
+   */
+  static fromTexture(texture, hotSpotX = 0, hotSpotY = 0) {
+    const width = Math.ceil(texture.nativeWidth)
+    const height = Math.ceil(texture.nativeHeight)
+    const canvas = Environment.createCanvas(width, height)
+
+    if (!canvas.toDataURL)
+      throw new Error(
+        '[NotSupportedError] Texture cursors require access to the DOM'
+      )
+
+    const context = canvas.getContext('2d')
+    const imageData = context.createImageData(width, height)
+
+    context.putImageData(texture.toImageData(imageData), 0, 0)
+
+    return `url(${canvas.toDataURL()}) ${hotSpotX} ${hotSpotY}, ${
+      MouseCursor.AUTO
+    }`
+  }
+}
@@ -1,10 +1,20 @@
 import Color from './color'
+import MathUtil from './math-util'
+import StarlingContextManager from '../core/context-manager'
+import Environment from '../core/environment'
+import CompressedTextureFormat from '../textures/compressed-texture-format'
 
 /** A utility class containing methods related to Stage3D and rendering in general. */
 export default class RenderUtil {
+  // the profiles of the contexts created via 'requestContext'
+  static sProfiles = new WeakMap()
+  // the compressed formats that were checked for each context (format -> upload format)
+  static sCompressedFormats = new WeakMap()
+  static sCropCanvas = null
+
   /** Clears the render context with a certain color and alpha value. */
   static clear(rgb = 0, alpha = 0.0, depth = 1.0, stencil = 0) {
-    const gl = window.StarlingContextManager.current.context
+    const gl = StarlingContextManager.current.context
     gl.clearColor(
       Color.getRed(rgb) / 255.0,
       Color.getGreen(rgb) / 255.0,
@@ -19,26 +29,20 @@ export default class RenderUtil {
   /** Returns a bit field uniquely describing texture format and premultiplied alpha,
    *  so that each required AGAL variant will get its unique ID. This method is most
    *  useful when overriding the <code>programVariantName</code> method of custom
-   *  effects.
+   *  effects. Compressed formats are told apart by whether they contain alpha.
    *
    *  @return a bit field using the 3 least significant bits.
    */
   static getTextureVariantBits(texture) {
     if (!texture) return 0
 
+    const compressedFormat = CompressedTextureFormat.getInfo(texture.format)
     let bitField = 0
     let formatBits = 0
 
-    switch (texture.format) {
-      //case Context3DTextureFormat.COMPRESSED_ALPHA:
-      //    formatBits = 3;
-      //    break;
-      //case Context3DTextureFormat.COMPRESSED:
-      //    formatBits = 2;
-      //    break;
-      default:
-        formatBits = 1
-    }
+    if (!compressedFormat) formatBits = 1
+    else if (compressedFormat.alpha) formatBits = 3
+    else formatBits = 2
 
     bitField |= formatBits
 
@@ -134,91 +138,192 @@ export default class RenderUtil {
   //    return operation;
   //}
 
-  /** Requests a context3D object from the given Stage3D object.
+  /** Requests a WebGL rendering context from the given canvas.
    *
-   * @param stage3D    The stage3D object the context needs to be requested from.
-   * @param renderMode The 'Context3DRenderMode' to use when requesting the context.
-   * @param profile    If you know exactly which 'Context3DProfile' you want to use, simply
-   *                   pass a String with that profile.
+   * @param canvas     The canvas the context needs to be requested from.
+   * @param profile    If you know exactly which profile you want to use (<code>'webgl2'</code>
+   *                   or <code>'webgl'</code>), simply pass a String with that profile.
    *
    *                   <p>If you are unsure which profiles are supported on the current
    *                   device, you can also pass an Array of profiles; they will be
    *                   tried one after the other (starting at index 0), until a working
    *                   profile is found. If none of the given profiles is supported,
-   *                   the Stage3D object will dispatch an ERROR event.</p>
+   *                   the method returns <code>null</code>.</p>
    *
    *                   <p>You can also pass the String 'auto' to use the best available
-   *                   profile automatically. This will try all known Stage3D profiles,
+   *                   profile automatically. This will try all known profiles,
    *                   beginning with the most powerful.</p>
+   * @param attributes The context attributes passed to <code>canvas.getContext</code>.
    */
-  static requestContext3D() {
+  static requestContext(canvas, profile = 'auto', attributes = null) {
+    let profiles
+
+    if (profile === 'auto') profiles = ['webgl2', 'webgl']
+    else if (typeof profile === 'string') profiles = [profile]
+    else if (Array.isArray(profile)) profiles = profile
+    else
+      throw new Error('[ArgumentError] Profile must be of type String or Array')
+
+    for (const currentProfile of profiles) {
+      const names =
+        currentProfile === 'webgl'
+          ? ['webgl', 'experimental-webgl']
+          : [currentProfile]
+
+      for (const name of names) {
+        const gl = canvas.getContext(name, attributes)
+
+        if (gl) {
+          RenderUtil.sProfiles.set(gl, currentProfile)
+          if (RenderUtil.setupExtensions(gl)) return gl
+        }
+      }
+    }
+
     return null
   }
 
-  //static requestContext3D(stage3D, renderMode, profile)
-  //{
-  //    let profiles:Array;
-  //    let currentProfile;
-  //
-  //    if (profile === 'auto')
-  //        profiles = ['standardExtended', 'standard', 'standardConstrained',
-  //            'baselineExtended', 'baseline', 'baselineConstrained'];
-  //    else if (profile instanceof String)
-  //        profiles = [profile];
-  //    else if (profile instanceof Array)
-  //        profiles = profile;
-  //    else
-  //        throw new Error('[ArgumentError] Profile must be of type String or Array');
-  //
-  //    stage3D.addEventListener(Event.CONTEXT3D_CREATE, onCreated, false, 100);
-  //    stage3D.addEventListener(ErrorEvent.ERROR, onError, false, 100);
-  //
-  //    requestNextProfile();
-  //
-  //    function requestNextProfile()
-  //    {
-  //        currentProfile = profiles.shift();
-  //
-  //        try
-  //        {
-  //            execute(stage3D.requestContext3D, renderMode, currentProfile);
-  //        }
-  //        catch (error)
-  //        {
-  //            if (profiles.length !== 0) setTimeout(requestNextProfile, 1);
-  //            else throw error;
-  //        }
-  //    }
-  //
-  //    function onCreated(event:Event)
-  //    {
-  //        const context = stage3D.context3D;
-  //
-  //        if (renderMode === Context3DRenderMode.AUTO && profiles.length !== 0 &&
-  //            context.driverInfo.indexOf('Software') !== -1)
-  //        {
-  //            onError(event);
-  //        }
-  //        else
-  //        {
-  //            onFinished();
-  //        }
-  //    }
-  //
-  //    function onError(event:Event)
-  //    {
-  //        if (profiles.length !== 0)
-  //        {
-  //            event.stopImmediatePropagation();
-  //            setTimeout(requestNextProfile, 1);
-  //        }
-  //        else onFinished();
-  //    }
-  //
-  //    function onFinished()
-  //    {
-  //        stage3D.removeEventListener(Event.CONTEXT3D_CREATE, onCreated);
-  //        stage3D.removeEventListener(ErrorEvent.ERROR, onError);
-  //    }
-  //}
+  /** Returns the profile (<code>'webgl2'</code> or <code>'webgl'</code>) of a context that
+   *  was created via <code>requestContext</code>. */
+  static getProfile(gl) {
+    return RenderUtil.sProfiles.get(gl) || 'webgl2'
+  }
+
+  /** Makes the WebGL 2 methods Starling relies on available on a WebGL 1 context, using
+   *  the equivalent extensions (<code>OES_vertex_array_object</code> and
+   *  <code>ANGLE_instanced_arrays</code>); the <code>MIN</code> and <code>MAX</code> blend
+   *  equations are enabled via <code>EXT_blend_minmax</code>. Extensions need to be
+   *  enabled anew after a context loss, so this needs to be called again once the context
+   *  has been restored.
+   *
+   *  @return <code>false</code> if the context lacks a mandatory extension.
+   */
+  static setupExtensions(gl) {
+    // compressed texture extensions are enabled on demand
+    RenderUtil.sCompressedFormats.delete(gl)
+
+    if (RenderUtil.getProfile(gl) === 'webgl2') return true
+
+    const vao = gl.getExtension('OES_vertex_array_object')
+    if (!vao) return false
+
+    gl.createVertexArray = () => vao.createVertexArrayOES()
+    gl.bindVertexArray = vertexArray => vao.bindVertexArrayOES(vertexArray)
+    gl.deleteVertexArray = vertexArray => vao.deleteVertexArrayOES(vertexArray)
+
+    const instancing = gl.getExtension('ANGLE_instanced_arrays')
+
+    if (instancing) {
+      gl.drawArraysInstanced = (mode, first, count, primCount) =>
+        instancing.drawArraysInstancedANGLE(mode, first, count, primCount)
+      gl.drawElementsInstanced = (mode, count, type, offset, primCount) =>
+        instancing.drawElementsInstancedANGLE(
+          mode,
+          count,
+          type,
+          offset,
+          primCount
+        )
+      gl.vertexAttribDivisor = (index, divisor) =>
+        instancing.vertexAttribDivisorANGLE(index, divisor)
+    }
+
+    // the extension's constants have the same values as the WebGL 2 ones
+    gl.getExtension('EXT_blend_minmax')
+
+    return true
+  }
+
+  /** Returns the format in which data of the given compressed format can be uploaded
+   *  on the given context, or <code>null</code> if the device can't decode it. That's the
+   *  format itself if the device supports it; otherwise, the first of its fallbacks that
+   *  is supported (e.g. ETC1 data can be uploaded as ETC2). The required extension is
+   *  enabled by this method.
+   *
+   *  @see starling.textures.CompressedTextureFormat
+   */
+  static getCompressedUploadFormat(gl, format) {
+    let formats = RenderUtil.sCompressedFormats.get(gl)
+
+    if (!formats) {
+      formats = new Map()
+      RenderUtil.sCompressedFormats.set(gl, formats)
+    }
+
+    if (!formats.has(format)) {
+      const info = CompressedTextureFormat.getInfo(format)
+      const uploadFormat = !info
+        ? null
+        : [format, ...info.fallbacks].find(candidate =>
+            CompressedTextureFormat.getInfo(candidate).extensions.some(name =>
+              gl.getExtension(name)
+            )
+          )
+
+      formats.set(format, uploadFormat || null)
+    }
+
+    return formats.get(format)
+  }
+
+  /** Indicates if data of the given compressed format can be uploaded on the given
+   *  context, either directly or via one of its fallback formats. */
+  static supportsCompressedFormat(gl, format) {
+    return RenderUtil.getCompressedUploadFormat(gl, format) !== null
+  }
+
+  /** Indicates if a texture with the given size is subject to the WebGL 1 restrictions on
+   *  non-power-of-two textures, i.e. it must neither use mipmaps nor repeat. */
+  static hasNPOTRestrictions(gl, width, height) {
+    return (
+      RenderUtil.getProfile(gl) === 'webgl' &&
+      (MathUtil.getNextPowerOfTwo(width) !== width ||
+        MathUtil.getNextPowerOfTwo(height) !== height)
+    )
+  }
+
+  /** Uploads an image source or typed array to the texture currently bound to
+   *  <code>TEXTURE_2D</code>, defining its size. On WebGL 1, image sources cannot be
+   *  uploaded with an explicit size, so sources of a different size are cropped first. */
+  static uploadTexture(gl, format, width, height, source = null) {
+    if (
+      !source ||
+      ArrayBuffer.isView(source) ||
+      RenderUtil.getProfile(gl) === 'webgl2'
+    ) {
+      gl.texImage2D(
+        gl.TEXTURE_2D,
+        0,
+        format,
+        width,
+        height,
+        0,
+        format,
+        gl.UNSIGNED_BYTE,
+        source
+      )
+    } else {
+      if (source.width !== width || source.height !== height)
+        source = RenderUtil.cropImageSource(source, width, height)
+
+      gl.texImage2D(gl.TEXTURE_2D, 0, format, format, gl.UNSIGNED_BYTE, source)
+    }
+  }
+
+  /** Draws the top left area of an image source into a (shared) canvas of the given size.
+   *  The returned canvas is overwritten by the next call. */
+  static cropImageSource(source, width, height) {
+    if (!RenderUtil.sCropCanvas)
+      RenderUtil.sCropCanvas = Environment.createCanvas(width, height)
+
+    const canvas = RenderUtil.sCropCanvas
+    canvas.width = width
+    canvas.height = height
+
+    const ctx = canvas.getContext('2d')
+    ctx.clearRect(0, 0, width, height)
+    ctx.drawImage(source, 0, 0)
+
+    return canvas
+  }
 }
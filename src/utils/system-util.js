@@ -1,8 +1,12 @@
+import Environment from '../core/environment'
+
 /** A utility class with methods related to the current platform and runtime. */
 export default class SystemUtil {
-  //static sInitialized = false;
-  //static sApplicationActive = true;
-  //static sWaitingCalls = [];
+  static sInitialized = false
+  static sApplicationFocused = true
+  static sApplicationVisible = true
+  static sWaitingCalls = []
+  static sListeners = []
   //static sPlatform:String;
   //static sDesktop;
   //static sVersion:String;
@@ -37,77 +41,116 @@ export default class SystemUtil {
     return typeof value === 'string' || value instanceof String
   }
 
-  /** Initializes the <code>ACTIVATE/DEACTIVATE</code> event handlers on the native
-   *  application. This method is automatically called by the Starling constructor. */
-  //static initialize():void
-  //{
-  //    if (sInitialized) return;
-  //
-  //    sInitialized = true;
-  //    sPlatform = Capabilities.version.substr(0, 3);
-  //    sVersion = Capabilities.version.substr(4);
-  //    sDesktop = /(WIN|MAC|LNX)/.exec(sPlatform) != null;
-  //
-  //    try
-  //    {
-  //        var nativeAppClass:Object = getDefinitionByName("flash.desktop::NativeApplication");
-  //        var nativeApp:EventDispatcher = nativeAppClass["nativeApplication"] as EventDispatcher;
-  //
-  //        nativeApp.addEventListener(Event.ACTIVATE, onActivate, false, 0, true);
-  //        nativeApp.addEventListener(Event.DEACTIVATE, onDeactivate, false, 0, true);
-  //
-  //        var appDescriptor:XML = nativeApp["applicationDescriptor"];
-  //        var ns:Namespace = appDescriptor.namespace();
-  //        var ds:String = appDescriptor.ns::initialWindow.ns::depthAndStencil.toString().toLowerCase();
-  //
-  //        sSupportsDepthAndStencil = (ds == "true");
-  //        sAIR = true;
-  //    }
-  //    catch (e:Error)
-  //    {
-  //        sAIR = false;
-  //    }
-  //}
+  /** Initializes the <code>ACTIVATE/DEACTIVATE</code> event handlers on the page. The
+   *  application state is derived from the Page Visibility API and the focus of the
+   *  window. This method is automatically called by the Starling constructor.
+   *
+   *  <p>Inside a worker, there's no page to listen to; the state is forwarded by a
+   *  <code>CanvasProxy</code> instead.</p> */
+  static initialize() {
+    if (SystemUtil.sInitialized) return
 
-  //private static function onActivate(event:Object):void
-  //{
-  //    sApplicationActive = true;
-  //
-  //    for each (var call in sWaitingCalls)
-  //    {
-  //        try { call[0].apply(null, call[1]); }
-  //        catch (e:Error)
-  //        {
-  //            trace("[Starling] Error in 'executeWhenApplicationIsActive' call:", e.message);
-  //        }
-  //    }
-  //
-  //    sWaitingCalls = [];
-  //}
-  //
-  //private static function onDeactivate(event:Object):void
-  //{
-  //    sApplicationActive = false;
-  //}
+    SystemUtil.sInitialized = true
+
+    const { document, global } = Environment
+    if (!document) return
+
+    document.addEventListener('visibilitychange', SystemUtil.onVisibilityChange)
+    global.addEventListener('focus', SystemUtil.onFocusChange)
+    global.addEventListener('blur', SystemUtil.onFocusChange)
+
+    SystemUtil.setApplicationState(
+      document.hasFocus ? document.hasFocus() : true,
+      document.visibilityState !== 'hidden'
+    )
+  }
+
+  static onVisibilityChange() {
+    SystemUtil.setApplicationState(
+      SystemUtil.sApplicationFocused,
+      Environment.document.visibilityState !== 'hidden'
+    )
+  }
+
+  static onFocusChange(event) {
+    SystemUtil.setApplicationState(
+      event.type === 'focus',
+      SystemUtil.sApplicationVisible
+    )
+  }
+
+  /** Updates the application state and notifies all activation listeners if it changed.
+   *  Called automatically; you only need it when the state is determined some other way,
+   *  as with Starling running inside a worker. */
+  static setApplicationState(focused, visible) {
+    const {
+      isApplicationActive: wasActive,
+      sApplicationFocused,
+      sApplicationVisible
+    } = SystemUtil
+
+    if (focused === sApplicationFocused && visible === sApplicationVisible)
+      return
+
+    SystemUtil.sApplicationFocused = focused
+    SystemUtil.sApplicationVisible = visible
+
+    if (SystemUtil.isApplicationActive && !wasActive) {
+      const waitingCalls = SystemUtil.sWaitingCalls
+      SystemUtil.sWaitingCalls = []
+
+      for (const [call, args] of waitingCalls) {
+        try {
+          call(...args)
+        } catch (e) {
+          console.log(
+            `[Starling] Error in 'executeWhenApplicationIsActive' call: ${
+              e.message
+            }`
+          )
+        }
+      }
+    }
+
+    for (const listener of SystemUtil.sListeners.slice()) listener()
+  }
+
+  /** Registers a function that is called without arguments whenever the application
+   *  state (<code>isApplicationActive</code> or <code>isApplicationVisible</code>)
+   *  changes. */
+  static addActivationListener(listener) {
+    if (!SystemUtil.sListeners.includes(listener))
+      SystemUtil.sListeners.push(listener)
+  }
+
+  /** Removes a function that was registered via <code>addActivationListener</code>. */
+  static removeActivationListener(listener) {
+    const index = SystemUtil.sListeners.indexOf(listener)
+    if (index !== -1) SystemUtil.sListeners.splice(index, 1)
+  }
 
   /** Executes the given function with its arguments the next time the application is active.
    *  (If it <em>is</em> active already, the call will be executed right away.) */
-  //public static function executeWhenApplicationIsActive(call:Function, ...args):void
-  //{
-  //    initialize();
-  //
-  //    if (sApplicationActive) call.apply(null, args);
-  //    else sWaitingCalls.push([call, args]);
-  //}
+  static executeWhenApplicationIsActive(call, ...args) {
+    SystemUtil.initialize()
 
-  /** Indicates if the application is currently active. On Desktop, this means that it has
-   *  the focus; on mobile, that it is in the foreground. In the Flash Plugin, always
-   *  returns true. */
-  //public static function get isApplicationActive()
-  //{
-  //    initialize();
-  //    return sApplicationActive;
-  //}
+    if (SystemUtil.isApplicationActive) call(...args)
+    else SystemUtil.sWaitingCalls.push([call, args])
+  }
+
+  /** Indicates if the application is currently active, i.e. if the page is visible and
+   *  has the focus. */
+  static get isApplicationActive() {
+    SystemUtil.initialize()
+    return SystemUtil.sApplicationFocused && SystemUtil.sApplicationVisible
+  }
+
+  /** Indicates if the page is currently visible, i.e. not in a background tab or in a
+   *  minimized window. A visible page might still lack the focus. */
+  static get isApplicationVisible() {
+    SystemUtil.initialize()
+    return SystemUtil.sApplicationVisible
+  }
 
   /** Returns the three-letter platform string of the current system. These are
    *  the most common platforms: <code>WIN, MAC, LNX, IOS, AND, QNX</code>. Except for the
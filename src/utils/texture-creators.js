@@ -1,8 +1,17 @@
-import { RGBA, LINEAR_MIPMAP_LINEAR, LINEAR } from 'gl-constants'
+import {
+  RGBA,
+  LINEAR_MIPMAP_LINEAR,
+  LINEAR,
+  NEAREST,
+  CLAMP_TO_EDGE
+} from 'gl-constants'
 
 import SubTexture from '../textures/subtexture'
 import ConcreteTexture from '../textures/concrete-texture'
+import CompressedTextureData from '../textures/compressed-texture-data'
 import Rectangle from '../math/rectangle'
+import RenderUtil from './render-util'
+import StarlingContextManager from '../core/context-manager'
 
 /** Creates a texture with a certain size and color.
  *
@@ -52,7 +61,91 @@ export const createTextureFromColor = ({
 export const createEmptyTexture = params =>
   createWithData({ ...params, data: null })
 
-export const createTextureFromData = params => createWithData({ ...params })
+/** Creates a texture from pixel data: an image source (like an <code>ImageBitmap</code>),
+ *  a typed array of RGBA values, or a compressed texture container (KTX, KTX2 or DDS).
+ *  The latter is forwarded to <code>createTextureFromCompressedData</code>. */
+export const createTextureFromData = params =>
+  CompressedTextureData.isCompressedData(params.data)
+    ? createTextureFromCompressedData(params)
+    : createWithData({ ...params })
+
+/** Creates a texture from a compressed texture container (KTX, KTX2 or DDS). The data is
+ *  uploaded as it is, i.e. it stays compressed in GPU memory, including all mipmaps it
+ *  contains.
+ *
+ *  <p>If the device can't decode the format of the data (not even via a fallback format),
+ *  a <code>NotSupportedError</code> is thrown. Use
+ *  <code>RenderUtil.supportsCompressedFormat</code> to check that beforehand, or let the
+ *  <code>AssetManager</code> choose among several files.</p>
+ *
+ *  @param data    a <code>CompressedTextureData</code> instance, or an ArrayBuffer
+ *                 containing the file.
+ *  @param scale   if you omit this parameter, 'Starling.contentScaleFactor' will be used.
+ *  @param premultipliedAlpha  the PMA format of the data. If you omit this parameter, it's
+ *                 taken from the file (only KTX2 files store it; others default to
+ *                 "false").
+ *  @param generateMipMaps  indicates if the mipmaps contained in the file should be
+ *                 uploaded, too.
+ */
+export const createTextureFromCompressedData = ({
+  data,
+  scale = -1,
+  premultipliedAlpha = null,
+  generateMipMaps = true,
+  minFilter = LINEAR,
+  magFilter = LINEAR
+}) => {
+  if (scale <= 0) scale = StarlingContextManager.current.contentScaleFactor
+  if (!(data instanceof CompressedTextureData))
+    data = new CompressedTextureData(data)
+  if (premultipliedAlpha === null) premultipliedAlpha = data.premultipliedAlpha
+
+  const gl = StarlingContextManager.current.context
+
+  if (!gl) throw new Error('[ContextError] Missing context')
+
+  const format = RenderUtil.getCompressedUploadFormat(gl, data.format)
+
+  if (format === null)
+    throw new Error(
+      '[NotSupportedError] Compressed texture format 0x' +
+        data.format.toString(16) +
+        ' is not supported on this device'
+    )
+
+  const { width, height } = data
+
+  // WebGL 1 supports neither mipmaps nor repeating for non-power-of-two textures
+  const npotRestricted = RenderUtil.hasNPOTRestrictions(gl, width, height)
+  const mipMapping = generateMipMaps && data.numLevels > 1 && !npotRestricted
+
+  const nativeTexture = gl.createTexture()
+  gl.bindTexture(gl.TEXTURE_2D, nativeTexture)
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, minFilter)
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, magFilter)
+
+  if (npotRestricted) {
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, CLAMP_TO_EDGE)
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, CLAMP_TO_EDGE)
+  }
+
+  gl.bindTexture(gl.TEXTURE_2D, null)
+
+  const concreteTexture = new ConcreteTexture(
+    nativeTexture,
+    format,
+    width,
+    height,
+    mipMapping,
+    premultipliedAlpha,
+    scale
+  )
+
+  concreteTexture.uploadCompressedData(data)
+  concreteTexture.onRestore = () => concreteTexture.uploadCompressedData(data)
+
+  return concreteTexture
+}
 
 const createWithData = ({
   data,
@@ -65,10 +158,9 @@ const createWithData = ({
   minFilter = LINEAR_MIPMAP_LINEAR,
   magFilter = LINEAR
 }) => {
-  if (scale <= 0)
-    scale = window.StarlingContextManager.current.contentScaleFactor
+  if (scale <= 0) scale = StarlingContextManager.current.contentScaleFactor
 
-  const gl = window.StarlingContextManager.current.context
+  const gl = StarlingContextManager.current.context
 
   if (!gl) throw new Error('[ContextError] Missing context')
 
@@ -78,24 +170,30 @@ const createWithData = ({
   const actualWidth = Math.ceil(origWidth - 0.000000001) // avoid floating point errors
   const actualHeight = Math.ceil(origHeight - 0.000000001)
 
+  // WebGL 1 supports neither mipmaps nor repeating for non-power-of-two textures
+  const npotRestricted = RenderUtil.hasNPOTRestrictions(
+    gl,
+    actualWidth,
+    actualHeight
+  )
+
+  if (npotRestricted) {
+    generateMipMaps = false
+    if (minFilter !== NEAREST) minFilter = LINEAR
+  }
+
   const nativeTexture = gl.createTexture()
   gl.bindTexture(gl.TEXTURE_2D, nativeTexture)
 
-  const border = 0
-  gl.texImage2D(
-    gl.TEXTURE_2D,
-    0,
-    format,
-    actualWidth,
-    actualHeight,
-    border,
-    format,
-    gl.UNSIGNED_BYTE,
-    data
-  )
+  RenderUtil.uploadTexture(gl, format, actualWidth, actualHeight, data)
   gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, minFilter)
   gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, magFilter)
 
+  if (npotRestricted) {
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, CLAMP_TO_EDGE)
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, CLAMP_TO_EDGE)
+  }
+
   if (generateMipMaps) {
     gl.generateMipmap(gl.TEXTURE_2D)
   }
@@ -103,12 +201,17 @@ const createWithData = ({
   const concreteTexture = new ConcreteTexture(
     nativeTexture,
     format,
-    width,
-    height,
+    actualWidth,
+    actualHeight,
+    generateMipMaps,
     premultipliedAlpha,
     scale
   )
-  concreteTexture.onRestore = concreteTexture.clear
+
+  // after a context loss, the source data is uploaded again (if there is any)
+  if (data)
+    concreteTexture.onRestore = () => concreteTexture.uploadBitmapData(data)
+  else concreteTexture.onRestore = concreteTexture.clear
 
   if (actualWidth - origWidth < 0.001 && actualHeight - origHeight < 0.001)
     return concreteTexture
@@ -0,0 +1,146 @@
+import Stage from '../../src/display/stage'
+import Sprite from '../../src/display/sprite'
+import Quad from '../../src/display/quad'
+import Button from '../../src/display/button'
+import Event from '../../src/events/event'
+import Rectangle from '../../src/math/rectangle'
+import TextField from '../../src/text/text-field'
+import AccessibilityManager from '../../src/core/accessibility-manager'
+
+import MockTexture from '../test-utils/mock-texture'
+import { FakeDocument } from '../test-utils/fake-element'
+
+describe('AccessibilityManager', () => {
+  let document, canvas, stage, starling, manager, keyEvents
+
+  beforeEach(() => {
+    document = new FakeDocument()
+    canvas = document.createElement('canvas')
+    canvas.clientWidth = 200
+    canvas.clientHeight = 100
+    document.body.appendChild(canvas)
+
+    keyEvents = []
+    stage = new Stage(100, 50)
+    starling = {
+      canvas,
+      stage,
+      viewPort: new Rectangle(0, 0, 200, 100),
+      onKey: event => keyEvents.push(event)
+    }
+    manager = new AccessibilityManager(starling)
+  })
+
+  afterEach(() => {
+    manager.dispose()
+  })
+
+  it('should add its root element after the canvas', () => {
+    expect(canvas.nextSibling).to.equal(manager.root)
+    manager.dispose()
+    expect(canvas.nextSibling).to.be.null
+  })
+
+  it('should mirror buttons, text fields and named objects', () => {
+    const group = new Sprite()
+    const button = new Button(new MockTexture(20, 10), 'OK')
+    const textField = new TextField(40, 10, 'Hello')
+    const quad = new Quad(10, 10)
+    const unnamedQuad = new Quad(10, 10)
+
+    group.accessibilityName = 'Dialog'
+    group.x = 10
+    group.y = 5
+    button.x = 20
+    quad.accessibilityName = 'Logo'
+    quad.accessibilityRole = 'presentation'
+
+    group.addChild(textField)
+    group.addChild(button)
+    stage.addChild(unnamedQuad)
+    stage.addChild(group)
+    stage.addChild(quad)
+    manager.update()
+
+    const groupElement = manager.getElement(group)
+    const buttonElement = manager.getElement(button)
+    const textElement = manager.getElement(textField)
+    const quadElement = manager.getElement(quad)
+
+    expect(manager.getElement(unnamedQuad)).to.be.null
+    expect(manager.root.children).to.deep.equal([groupElement, quadElement])
+    expect(groupElement.children).to.deep.equal([textElement, buttonElement])
+
+    expect(groupElement.getAttribute('role')).to.equal('group')
+    expect(groupElement.getAttribute('aria-label')).to.equal('Dialog')
+    expect(buttonElement.tagName).to.equal('BUTTON')
+    expect(buttonElement.getAttribute('aria-label')).to.equal('OK')
+    expect(buttonElement.getAttribute('tabindex')).to.equal('0')
+    expect(textElement.textContent).to.equal('Hello')
+    expect(quadElement.getAttribute('role')).to.equal('presentation')
+
+    // positions are relative to the parent element, in CSS pixels
+    expect(groupElement.style.left).to.equal('20px')
+    expect(groupElement.style.top).to.equal('10px')
+    expect(buttonElement.style.left).to.equal('40px')
+    expect(buttonElement.style.width).to.equal('40px')
+
+    group.visible = false
+    manager.update()
+
+    expect(manager.root.children).to.deep.equal([quadElement])
+    expect(manager.getElement(button)).to.be.null
+  })
+
+  it('should trigger buttons activated via the DOM', () => {
+    const button = new Button(new MockTexture(20, 10), 'OK')
+    let numTriggers = 0
+
+    button.addEventListener(Event.TRIGGERED, () => ++numTriggers)
+    stage.addChild(button)
+    manager.update()
+
+    manager.getElement(button).dispatchEvent({ type: 'click' })
+    expect(numTriggers).to.equal(1)
+
+    button.enabled = false
+    manager.update()
+
+    manager.getElement(button).dispatchEvent({ type: 'click' })
+    expect(numTriggers).to.equal(1)
+  })
+
+  it('should synchronize the focus', () => {
+    const buttonA = new Button(new MockTexture(20, 10), 'A')
+    const buttonB = new Button(new MockTexture(20, 10), 'B')
+
+    stage.addChild(buttonA)
+    stage.addChild(buttonB)
+    manager.update()
+
+    stage.focus = buttonA
+    expect(document.activeElement).to.equal(manager.getElement(buttonA))
+
+    manager.getElement(buttonB).dispatchEvent({ type: 'focusin' })
+    expect(stage.focus).to.equal(buttonB)
+
+    manager
+      .getElement(buttonB)
+      .dispatchEvent({ type: 'focusout', relatedTarget: document.body })
+    expect(stage.focus).to.be.null
+  })
+
+  it('should pass on keys not handled by the DOM', () => {
+    const button = new Button(new MockTexture(20, 10), 'OK')
+
+    stage.addChild(button)
+    manager.update()
+
+    const element = manager.getElement(button)
+    element.dispatchEvent({ type: 'keydown', key: 'Enter' })
+    element.dispatchEvent({ type: 'keydown', key: 'Tab' })
+    element.dispatchEvent({ type: 'keydown', key: 'a' })
+
+    expect(keyEvents.map(event => event.key)).to.deep.equal(['a'])
+  })
+})
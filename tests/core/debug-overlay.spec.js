@@ -0,0 +1,126 @@
+import DebugOverlay from '../../src/core/debug-overlay'
+import BatchBreakReason from '../../src/rendering/batch-break-reason'
+import Quad from '../../src/display/quad'
+import MeshBatch from '../../src/display/mesh-batch'
+import MeshStyle from '../../src/styles/mesh-style'
+import VertexData from '../../src/rendering/vertex-data'
+import IndexData from '../../src/rendering/index-data'
+
+describe('DebugOverlay', () => {
+  const starling = window.StarlingContextManager.current
+
+  afterEach(() => {
+    starling.debugDraw = 0
+  })
+
+  it('should be created and disposed via debugDraw', () => {
+    const { painter } = starling
+
+    expect(starling.debugDraw).to.equal(0)
+    expect(starling.debugOverlay).to.be.null
+
+    starling.debugDraw = DebugOverlay.BOUNDS | DebugOverlay.BATCHES
+    const overlay = starling.debugOverlay
+
+    expect(overlay).to.be.an.instanceof(DebugOverlay)
+    expect(starling.debugDraw).to.equal(
+      DebugOverlay.BOUNDS | DebugOverlay.BATCHES
+    )
+    expect(painter.onBatchDrawn).to.equal(overlay.onBatchDrawn)
+    expect(painter.onBatchBreak).to.equal(overlay.onBatchBreak)
+
+    starling.debugDraw = DebugOverlay.ALL
+    expect(starling.debugOverlay).to.equal(overlay)
+    expect(overlay.flags).to.equal(DebugOverlay.ALL)
+
+    starling.debugDraw = 0
+    expect(starling.debugOverlay).to.be.null
+    expect(painter.onBatchDrawn).to.be.null
+    expect(painter.onBatchBreak).to.be.null
+  })
+
+  it('should survive starting Starling and changing the time step', () => {
+    const { painter, isStarted, fixedTimeStep } = starling
+
+    starling.debugDraw = DebugOverlay.BATCHES
+    const overlay = starling.debugOverlay
+
+    starling.start()
+    starling.fixedTimeStep = 1 / 60
+
+    expect(starling.debugOverlay).to.equal(overlay)
+    expect(starling.debugDraw).to.equal(DebugOverlay.BATCHES)
+    expect(painter.onBatchDrawn).to.equal(overlay.onBatchDrawn)
+
+    starling.fixedTimeStep = fixedTimeStep
+    if (!isStarted) starling.stop()
+  })
+
+  it('should add the geometry of drawn batches without new meshes', () => {
+    const { painter } = starling
+    const small = new MeshBatch()
+    const large = new MeshBatch()
+
+    small.addMesh(new Quad(10, 10))
+    for (let i = 0; i < 3; ++i) large.addMesh(new Quad(10, 10))
+
+    starling.debugDraw = DebugOverlay.BATCHES
+    const overlay = starling.debugOverlay
+    const batchMesh = overlay._batchMesh
+
+    overlay.beginFrame(painter)
+    painter.onBatchDrawn(large, null)
+    painter.onBatchDrawn(small, null)
+
+    expect(overlay.numBatches).to.equal(2)
+    expect(overlay._numMeshBatches).to.equal(1)
+    expect(overlay._meshBatches[0].numVertices).to.equal(16)
+    expect(overlay._batchMesh).to.equal(batchMesh)
+    expect(batchMesh.numVertices).to.equal(4)
+    expect(batchMesh.indexData.numIndices).to.equal(6)
+  })
+
+  it('should split its geometry into batches that fit the vertex limit', () => {
+    const { painter } = starling
+    const numVertices = 40000
+    const drawnBatch = {
+      vertexData: new VertexData(MeshStyle.VERTEX_FORMAT, numVertices),
+      indexData: new IndexData(numVertices * 1.5)
+    }
+
+    drawnBatch.vertexData.numVertices = numVertices
+    drawnBatch.indexData.numIndices = numVertices * 1.5
+
+    starling.debugDraw = DebugOverlay.BATCHES
+    const overlay = starling.debugOverlay
+
+    overlay.beginFrame(painter)
+    painter.onBatchDrawn(drawnBatch, null)
+    painter.onBatchDrawn(drawnBatch, null)
+
+    expect(overlay._numMeshBatches).to.equal(2)
+    for (let i = 0; i < 2; ++i)
+      expect(overlay._meshBatches[i].numVertices).to.equal(numVertices)
+
+    overlay.beginFrame(painter)
+    expect(overlay._numMeshBatches).to.equal(0)
+    expect(overlay._meshBatches[0].numVertices).to.equal(0)
+  })
+
+  it('should collect the batch breaks of a frame', () => {
+    const { painter } = starling
+    const quad = new Quad(10, 10)
+
+    starling.debugDraw = DebugOverlay.BATCH_BREAKS
+    const overlay = starling.debugOverlay
+
+    painter.onBatchBreak(quad, BatchBreakReason.TEXTURE)
+    expect(overlay.batchBreaks).to.deep.equal([
+      { object: quad, reason: BatchBreakReason.TEXTURE }
+    ])
+
+    overlay.beginFrame(painter)
+    expect(overlay.batchBreaks.length).to.equal(0)
+    expect(painter.cacheEnabled).to.be.false
+  })
+})
@@ -0,0 +1,91 @@
+import FrameProfiler from '../../src/core/frame-profiler'
+import Sprite from '../../src/display/sprite'
+
+describe('FrameProfiler', () => {
+  const starling = window.StarlingContextManager.current
+  let profiler
+
+  beforeEach(() => {
+    profiler = new FrameProfiler()
+  })
+
+  afterEach(() => {
+    profiler.stop()
+  })
+
+  it('should only record while started', () => {
+    FrameProfiler.begin('outside')
+    FrameProfiler.end()
+
+    profiler.start()
+    expect(FrameProfiler.current).to.equal(profiler)
+
+    FrameProfiler.begin('inside')
+    FrameProfiler.end()
+    profiler.stop()
+
+    FrameProfiler.begin('outside')
+    FrameProfiler.end()
+
+    expect(profiler.isRecording).to.be.false
+    expect(profiler.numEvents).to.equal(1)
+  })
+
+  it('should export nested spans as trace events', () => {
+    const sprite = new Sprite()
+    sprite.name = 'hero'
+
+    profiler.start()
+    FrameProfiler.begin('outer')
+    FrameProfiler.begin('inner', sprite)
+    FrameProfiler.end()
+    FrameProfiler.end()
+
+    const trace = JSON.parse(JSON.stringify(profiler))
+    const spans = trace.traceEvents.filter(event => event.ph === 'X')
+    const [outer, inner] = spans
+
+    expect(spans.map(event => event.name)).to.deep.equal(['outer', 'inner'])
+    expect(inner.args).to.deep.equal({ target: 'hero' })
+    expect(inner.ts).to.be.at.least(outer.ts)
+    expect(inner.ts + inner.dur).to.be.at.most(outer.ts + outer.dur)
+    expect(trace.otherData.truncated).to.be.false
+  })
+
+  it('should drop events beyond the maximum', () => {
+    profiler.maxNumEvents = 1
+    profiler.start()
+
+    for (let i = 0; i < 2; ++i) {
+      FrameProfiler.begin('span')
+      FrameProfiler.end()
+    }
+
+    expect(profiler.numEvents).to.equal(1)
+    expect(profiler.truncated).to.be.true
+
+    profiler.clear()
+    expect(profiler.numEvents).to.equal(0)
+  })
+
+  it('should record the phases of a frame', () => {
+    starling.render = () => {}
+    profiler.start()
+    starling.step(0.01)
+    profiler.stop()
+    delete starling.render
+
+    const names = profiler
+      .getTraceEvents()
+      .filter(event => event.ph === 'X')
+      .map(event => event.name)
+
+    expect(names).to.deep.equal([
+      'Starling.step',
+      'TouchProcessor.advanceTime',
+      'Stage.advanceTime',
+      'Juggler.advanceTime',
+      'Starling.render'
+    ])
+  })
+})
@@ -0,0 +1,454 @@
+import Event from '../../src/events/event'
+import KeyboardEvent from '../../src/events/keyboard-event'
+import MouseEvent from '../../src/events/mouse-event'
+import CanvasProxy from '../../src/core/canvas-proxy'
+import Environment from '../../src/core/environment'
+import TouchPhase from '../../src/events/touch-phase'
+import Rectangle from '../../src/math/rectangle'
+import SystemUtil from '../../src/utils/system-util'
+
+describe('Starling', () => {
+  const starling = window.StarlingContextManager.current
+  const touchProcessor = starling._touchProcessor
+
+  const createPointerEvent = (type, pointerId, props = {}) => ({
+    type,
+    pointerId,
+    pointerType: 'touch',
+    offsetX: 10,
+    offsetY: 20,
+    pressure: 0.5,
+    width: 4,
+    height: 6,
+    button: type === 'pointermove' ? -1 : 0,
+    target: {},
+    ...props
+  })
+
+  beforeEach(() => {
+    starling.start()
+    touchProcessor._queue.length = 0
+  })
+
+  afterEach(() => {
+    starling.stop()
+    starling._touchesDown.clear()
+    touchProcessor._queue.length = 0
+  })
+
+  it('should enqueue pointer events with their ID, pressure and size', () => {
+    starling.onTouch(createPointerEvent('pointerdown', 3))
+    starling.onTouch(createPointerEvent('pointermove', 3))
+    starling.onTouch(createPointerEvent('pointerdown', 4))
+
+    // the position depends on the viewport, which the mock canvas doesn't define
+    const queue = touchProcessor._queue
+      .slice()
+      .reverse()
+      .map(([touchID, phase, , , ...rest]) => [touchID, phase, ...rest])
+
+    expect(queue).to.deep.equal([
+      [3, TouchPhase.BEGAN, 0.5, 4, 6],
+      [3, TouchPhase.MOVED, 0.5, 4, 6],
+      [4, TouchPhase.BEGAN, 0.5, 4, 6]
+    ])
+  })
+
+  it('should map mouse pointers to touch ID 0 and ignore other buttons', () => {
+    const mouse = { pointerType: 'mouse' }
+
+    starling.onTouch(
+      createPointerEvent('pointerdown', 1, { button: 2, ...mouse })
+    )
+    starling.onTouch(createPointerEvent('pointermove', 1, mouse))
+
+    expect(touchProcessor._queue).to.have.length(1)
+    expect(touchProcessor._queue[0][0]).to.equal(0)
+    expect(touchProcessor._queue[0][1]).to.equal(TouchPhase.HOVER)
+  })
+
+  it('should cancel all touches on pointercancel', () => {
+    let cancelled = false
+    const cancelTouches = touchProcessor.cancelTouches
+    touchProcessor.cancelTouches = () => {
+      cancelled = true
+    }
+
+    starling.onTouch(createPointerEvent('pointerdown', 3))
+    starling.onTouch(createPointerEvent('pointercancel', 3))
+    touchProcessor.cancelTouches = cancelTouches
+
+    expect(cancelled).to.be.true
+    expect(starling._touchesDown.size).to.equal(0)
+  })
+
+  describe('resizing', () => {
+    const { stage } = starling
+    let viewPort, stageWidth
+
+    beforeEach(() => {
+      viewPort = starling.viewPort
+      stageWidth = stage.stageWidth
+      starling.viewPort = new Rectangle(0, 0, 100, 100)
+      stage.stageWidth = 100
+    })
+
+    afterEach(() => {
+      starling.viewPort = viewPort
+      stage.stageWidth = stageWidth
+      starling.supportHighResolutions = false
+      Environment.devicePixelRatio = null
+      delete window.devicePixelRatio
+    })
+
+    it('should dispatch a resize event with the new canvas size', () => {
+      let size = null
+      const onResize = event => {
+        size = [event.width, event.height]
+      }
+
+      starling._canvas.clientWidth = 200
+      starling._canvas.clientHeight = 150
+      stage.addEventListener(Event.RESIZE, onResize)
+      starling.onResize()
+      stage.removeEventListener(Event.RESIZE, onResize)
+
+      expect(size).to.deep.equal([200, 150])
+      expect(starling._canvas.width).to.equal(200)
+      expect(starling._canvas.height).to.equal(150)
+    })
+
+    it('should use the device pixel ratio for high resolutions', () => {
+      window.devicePixelRatio = 2
+
+      starling.updateViewPort(true)
+      expect(starling.contentScaleFactor).to.equal(1)
+
+      starling.supportHighResolutions = true
+      expect(starling.contentScaleFactor).to.equal(2)
+      expect(starling.painter.backBufferScaleFactor).to.equal(2)
+    })
+
+    it('should apply the size and pixel ratio sent by a canvas proxy', () => {
+      let size = null
+      const onResize = event => {
+        size = [event.width, event.height]
+      }
+
+      starling.supportHighResolutions = true
+      stage.addEventListener(Event.RESIZE, onResize)
+      const handled = starling.handleProxyMessage({
+        type: CanvasProxy.RESIZE,
+        width: 120,
+        height: 80,
+        pixelRatio: 3
+      })
+      stage.removeEventListener(Event.RESIZE, onResize)
+
+      expect(handled).to.be.true
+      expect(size).to.deep.equal([120, 80])
+      expect(starling._canvas.width).to.equal(360)
+      expect(starling._canvas.height).to.equal(240)
+    })
+  })
+
+  describe('mouse', () => {
+    const { stage } = starling
+    let viewPort, stageWidth, stageHeight
+
+    beforeEach(() => {
+      viewPort = starling.viewPort
+      stageWidth = stage.stageWidth
+      stageHeight = stage.stageHeight
+      starling.viewPort = new Rectangle(0, 0, 100, 100)
+      stage.stageWidth = stage.stageHeight = 100
+    })
+
+    afterEach(() => {
+      starling.viewPort = viewPort
+      stage.stageWidth = stageWidth
+      stage.stageHeight = stageHeight
+    })
+
+    it('should dispatch wheel events with deltas in pixels', () => {
+      let wheelEvent = null
+      let defaultPrevented = false
+      const onWheel = event => {
+        wheelEvent = event
+        event.preventDefault()
+      }
+
+      stage.addEventListener(MouseEvent.MOUSE_WHEEL, onWheel)
+      starling.onWheel({
+        type: 'wheel',
+        offsetX: 30,
+        offsetY: 40,
+        deltaX: 0,
+        deltaY: 3,
+        deltaMode: 1,
+        preventDefault: () => {
+          defaultPrevented = true
+        }
+      })
+      stage.removeEventListener(MouseEvent.MOUSE_WHEEL, onWheel)
+
+      expect(wheelEvent.globalX).to.equal(30)
+      expect(wheelEvent.globalY).to.equal(40)
+      expect(wheelEvent.deltaY).to.equal(48)
+      expect(defaultPrevented).to.be.true
+    })
+
+    it('should dispatch right button events and block the context menu', () => {
+      const types = []
+      const onRightMouse = event => {
+        types.push(event.type)
+        event.preventDefault()
+      }
+      let contextMenuPrevented = false
+      const mouse = { pointerType: 'mouse', preventDefault() {} }
+
+      stage.addEventListener(MouseEvent.RIGHT_MOUSE_DOWN, onRightMouse)
+      stage.addEventListener(MouseEvent.RIGHT_MOUSE_UP, onRightMouse)
+      starling.onTouch(
+        createPointerEvent('pointerdown', 1, {
+          ...mouse,
+          button: 2,
+          buttons: 2
+        })
+      )
+      starling.onTouch(
+        createPointerEvent('pointerup', 1, { ...mouse, button: 2, buttons: 0 })
+      )
+      starling.onContextMenu({
+        preventDefault: () => {
+          contextMenuPrevented = true
+        }
+      })
+      stage.removeEventListener(MouseEvent.RIGHT_MOUSE_DOWN, onRightMouse)
+      stage.removeEventListener(MouseEvent.RIGHT_MOUSE_UP, onRightMouse)
+
+      expect(types).to.deep.equal([
+        MouseEvent.RIGHT_MOUSE_DOWN,
+        MouseEvent.RIGHT_MOUSE_UP
+      ])
+      expect(contextMenuPrevented).to.be.true
+      expect(touchProcessor._queue.map(args => args[1])).not.to.include(
+        TouchPhase.BEGAN
+      )
+    })
+  })
+
+  describe('canvas proxy', () => {
+    it('should route forwarded pointer events into the touch processor', () => {
+      const { target, ...event } = createPointerEvent('pointerdown', 5)
+
+      starling.handleProxyMessage({ type: CanvasProxy.EVENT, event })
+
+      expect(touchProcessor._queue).to.have.length(1)
+      expect(touchProcessor._queue[0][0]).to.equal(5)
+      expect(touchProcessor._queue[0][1]).to.equal(TouchPhase.BEGAN)
+    })
+
+    it('should dispatch forwarded keyboard events on the stage', () => {
+      let key = null
+      const onKeyDown = event => {
+        key = event.key
+        event.preventDefault()
+      }
+
+      starling.stage.addEventListener(KeyboardEvent.KEY_DOWN, onKeyDown)
+      starling.handleProxyMessage({
+        type: CanvasProxy.EVENT,
+        event: { type: 'keydown', key: 'a', charCode: 97 }
+      })
+      starling.stage.removeEventListener(KeyboardEvent.KEY_DOWN, onKeyDown)
+
+      expect(key).to.equal('a')
+    })
+
+    it('should suppress the context menu on the main thread', () => {
+      const listeners = {}
+      const messages = []
+      const canvas = {
+        style: {},
+        clientWidth: 100,
+        clientHeight: 50,
+        transferControlToOffscreen: () => ({}),
+        addEventListener: (type, listener) => (listeners[type] = listener),
+        removeEventListener() {}
+      }
+      const proxy = new CanvasProxy(canvas, {
+        postMessage: message => messages.push(message)
+      })
+      let numPrevented = 0
+      const event = {
+        type: 'contextmenu',
+        preventDefault: () => numPrevented++
+      }
+
+      listeners.contextmenu(event)
+      expect(numPrevented).to.equal(0)
+
+      proxy.preventContextMenu = true
+      listeners.contextmenu(event)
+      expect(numPrevented).to.equal(1)
+
+      // the event is forwarded, too, so that Starling can reset its own suppression
+      const forwarded = messages[messages.length - 1]
+
+      expect(forwarded).to.deep.equal({
+        type: CanvasProxy.EVENT,
+        event: { type: 'contextmenu' }
+      })
+      expect(starling.handleProxyMessage(forwarded)).to.be.true
+    })
+
+    it('should ignore unrelated messages', () => {
+      expect(starling.handleProxyMessage({ type: 'custom' })).to.be.false
+    })
+  })
+
+  describe('main loop', () => {
+    const { stage } = starling
+    let passedTimes
+
+    const onEnterFrame = event => passedTimes.push(event.passedTime)
+
+    // the fake context can't render; only the advancing of time is of interest
+    beforeEach(() => {
+      passedTimes = []
+      starling.render = () => {}
+      stage.addEventListener(Event.ENTER_FRAME, onEnterFrame)
+    })
+
+    afterEach(() => {
+      delete starling.render
+      stage.removeEventListener(Event.ENTER_FRAME, onEnterFrame)
+      starling.fixedTimeStep = 0
+      starling.maxFrameRate = 0
+    })
+
+    it('should advance by the passed time in a variable step', () => {
+      starling.step(0.25)
+      starling.step(2)
+
+      expect(passedTimes).to.deep.equal([0.25, 1])
+    })
+
+    it('should accumulate the passed time in fixed steps', () => {
+      starling.fixedTimeStep = 0.25
+
+      starling.step(0.125)
+      expect(passedTimes).to.have.length(0)
+      expect(starling.frameInterpolation).to.equal(0.5)
+
+      starling.step(0.5)
+      expect(passedTimes).to.deep.equal([0.25, 0.25])
+      expect(starling.frameInterpolation).to.equal(0.5)
+    })
+
+    it('should skip animation frames exceeding the maximum frame rate', () => {
+      starling.maxFrameRate = 10
+      starling._frameTimestamp = 0
+
+      starling.nextFrame(50)
+      expect(passedTimes).to.have.length(0)
+
+      starling.nextFrame(100)
+      expect(passedTimes).to.deep.equal([0.1])
+    })
+  })
+
+  describe('activation', () => {
+    afterEach(() => {
+      SystemUtil.setApplicationState(true, true)
+      starling.pauseWhenHidden = false
+    })
+
+    it('should dispatch deactivate and activate events', () => {
+      const events = []
+      const onEvent = event => events.push(event.type)
+
+      starling.addEventListener(Event.ACTIVATE, onEvent)
+      starling.addEventListener(Event.DEACTIVATE, onEvent)
+      SystemUtil.setApplicationState(false, true)
+      SystemUtil.setApplicationState(false, false)
+      SystemUtil.setApplicationState(true, true)
+      starling.removeEventListener(Event.ACTIVATE, onEvent)
+      starling.removeEventListener(Event.DEACTIVATE, onEvent)
+
+      expect(events).to.deep.equal([Event.DEACTIVATE, Event.ACTIVATE])
+    })
+
+    it('should not pass the time spent hidden to the next frame', () => {
+      starling._frameTimestamp = 0
+      SystemUtil.setApplicationState(true, false)
+      SystemUtil.setApplicationState(true, true)
+
+      expect(starling._frameTimestamp).to.be.above(0)
+    })
+
+    it('should pause while hidden if requested', () => {
+      let numSteps = 0
+      starling.step = () => numSteps++
+      starling.pauseWhenHidden = true
+
+      SystemUtil.setApplicationState(true, false)
+      starling.nextFrame(Environment.now())
+      SystemUtil.setApplicationState(true, true)
+      starling.nextFrame(Environment.now())
+      delete starling.step
+
+      expect(numSteps).to.equal(1)
+    })
+  })
+
+  describe('skipUnchangedFrames', () => {
+    afterEach(() => {
+      starling.skipUnchangedFrames = false
+    })
+
+    it('should skip rendering if the stage did not change', () => {
+      let numSkippedFrames = 0
+      const onSkipFrame = () => numSkippedFrames++
+
+      starling.skipUnchangedFrames = true
+      starling._frameID++ // start a new frame without any changes
+
+      starling.addEventListener(Event.SKIP_FRAME, onSkipFrame)
+      starling.render()
+      starling.removeEventListener(Event.SKIP_FRAME, onSkipFrame)
+
+      expect(numSkippedFrames).to.equal(1)
+    })
+  })
+
+  it('should capture the pixels of a frame', () => {
+    const gl = starling.context
+    let numRenders = 0
+
+    starling.render = () => numRenders++
+    gl.drawingBufferWidth = 1
+    gl.drawingBufferHeight = 2
+    gl.readPixels = (x, y, width, height, format, type, out) =>
+      out.set([0, 0, 255, 255, 255, 0, 0, 255])
+
+    const imageData = starling.captureFrame({
+      width: 1,
+      height: 2,
+      data: new Uint8ClampedArray(8)
+    })
+
+    delete starling.render
+    delete gl.readPixels
+    delete gl.drawingBufferWidth
+    delete gl.drawingBufferHeight
+
+    expect(numRenders).to.equal(1)
+    // prettier-ignore
+    expect(Array.from(imageData.data)).to.deep.equal([
+      255, 0, 0, 255,
+      0, 0, 255, 255
+    ])
+  })
+})
@@ -0,0 +1,33 @@
+import Event from '../../src/events/event'
+import EnterFrameEvent from '../../src/events/enter-frame-event'
+import StatsDisplay from '../../src/core/stats-display'
+
+describe('StatsDisplay', () => {
+  it('should work without performance.memory', () => {
+    const statsDisplay = new StatsDisplay()
+    statsDisplay.update()
+
+    expect(statsDisplay.memory).to.equal(-1)
+    expect(statsDisplay.gpuTime).to.equal(-1)
+  })
+
+  it('should show recent frame times in a graph', () => {
+    const statsDisplay = new StatsDisplay()
+    const numBars = StatsDisplay.NUM_GRAPH_BARS
+
+    statsDisplay.dispatchEventWith(Event.ADDED_TO_STAGE)
+    statsDisplay.dispatchEvent(
+      new EnterFrameEvent(Event.ENTER_FRAME, StatsDisplay.GRAPH_MAX_FRAME_TIME)
+    )
+    statsDisplay.update()
+    statsDisplay.dispatchEventWith(Event.REMOVED_FROM_STAGE)
+
+    const graph = statsDisplay.getChildAt(1)
+    const newestBar = graph.getChildAt(numBars - 1)
+    const previousBar = graph.getChildAt(numBars - 2)
+
+    expect(newestBar.height).to.be.closeTo(17, 0.0001)
+    expect(newestBar.color).to.equal(0xff0000)
+    expect(previousBar.height).to.equal(0)
+  })
+})
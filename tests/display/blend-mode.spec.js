@@ -1,5 +1,6 @@
 import BlendMode from '../../src/display/blend-mode'
 import GLC from 'gl-constants'
+import StarlingContextManager from '../../src/core/context-manager'
 
 describe('BlendMode', () => {
   it('should register', () => {
@@ -12,4 +13,68 @@ describe('BlendMode', () => {
     expect(srcFactor).to.equal(BlendMode.get(name).sourceFactor)
     expect(dstFactor).to.equal(BlendMode.get(name).destinationFactor)
   })
+
+  it('should default to the same factors and equation for the alpha channel', () => {
+    const blendMode = BlendMode.register('test', GLC.ONE, GLC.ONE)
+
+    expect(blendMode.equation).to.equal(BlendMode.EQUATION_ADD)
+    expect(blendMode.sourceAlphaFactor).to.equal(GLC.ONE)
+    expect(blendMode.destinationAlphaFactor).to.equal(GLC.ONE)
+    expect(blendMode.alphaEquation).to.equal(BlendMode.EQUATION_ADD)
+  })
+
+  it('should activate separate equations and factors', () => {
+    const calls = []
+    const gl = {
+      BLEND: GLC.BLEND,
+      enable() {},
+      blendEquationSeparate: (...args) => calls.push(args),
+      blendFuncSeparate: (...args) => calls.push(args)
+    }
+    const { current } = StarlingContextManager
+
+    StarlingContextManager.current = { context: gl }
+    BlendMode.get(BlendMode.SUBTRACT).activate()
+    StarlingContextManager.current = current
+
+    expect(calls).to.deep.equal([
+      [GLC.FUNC_REVERSE_SUBTRACT, GLC.FUNC_ADD],
+      [GLC.ONE, GLC.ONE, GLC.ZERO, GLC.ONE]
+    ])
+  })
+
+  it('should register darken as an advanced and lighten with the max equation', () => {
+    expect(BlendMode.isAdvanced(BlendMode.DARKEN)).to.equal(true)
+    expect(BlendMode.get(BlendMode.LIGHTEN).equation).to.equal(
+      BlendMode.EQUATION_MAX
+    )
+  })
+
+  it('should register advanced blend modes', () => {
+    const blendMode = BlendMode.registerAdvanced(
+      'testAdvanced',
+      'return cb * cs;'
+    )
+
+    expect(blendMode.isAdvanced).to.equal(true)
+    expect(blendMode.blendFunction).to.equal('return cb * cs;')
+    expect(blendMode.advancedID).to.be.above(0)
+    expect(blendMode.sourceFactor).to.equal(GLC.ONE)
+    expect(blendMode.destinationFactor).to.equal(GLC.ONE_MINUS_SRC_ALPHA)
+  })
+
+  it('should tell advanced from standard blend modes', () => {
+    for (const name of [
+      BlendMode.OVERLAY,
+      BlendMode.SOFT_LIGHT,
+      BlendMode.COLOR_DODGE,
+      BlendMode.HUE,
+      BlendMode.LUMINOSITY
+    ])
+      expect(BlendMode.isAdvanced(name)).to.equal(true)
+
+    expect(BlendMode.isAdvanced(BlendMode.NORMAL)).to.equal(false)
+    expect(BlendMode.isAdvanced(BlendMode.AUTO)).to.equal(false)
+    expect(BlendMode.isAdvanced('unknown')).to.equal(false)
+  })
 })
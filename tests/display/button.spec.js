@@ -1,5 +1,10 @@
 import Button from '../../src/display/button'
+import Stage from '../../src/display/stage'
+import ButtonState from '../../src/display/button-state'
+import Event from '../../src/events/event'
+import KeyboardEvent from '../../src/events/keyboard-event'
 import Rectangle from '../../src/math/rectangle'
+import MouseCursor from '../../src/utils/mouse-cursor'
 
 import MockTexture from '../test-utils/mock-texture'
 
@@ -37,4 +42,46 @@ describe('Button', () => {
     expect(textBounds.width).to.be.closeTo(200, E)
     expect(textBounds.height).to.be.closeTo(100, E)
   })
+
+  it('should be triggered by the keyboard', () => {
+    const stage = new Stage(100, 100)
+    const button = new Button(new MockTexture(100, 50))
+    const dispatchKey = (type, key) => {
+      const event = new KeyboardEvent(type, 0, key)
+      button.dispatchEvent(event)
+      return event
+    }
+
+    let numTriggers = 0
+    button.addEventListener(Event.TRIGGERED, () => ++numTriggers)
+    stage.addChild(button)
+    stage.focus = button
+
+    expect(dispatchKey(KeyboardEvent.KEY_DOWN, 'Enter').isDefaultPrevented()).to
+      .be.true
+    expect(numTriggers).to.equal(1)
+
+    dispatchKey(KeyboardEvent.KEY_DOWN, ' ')
+    expect(button.state).to.equal(ButtonState.DOWN)
+    expect(numTriggers).to.equal(1)
+    dispatchKey(KeyboardEvent.KEY_UP, ' ')
+    expect(button.state).to.equal(ButtonState.UP)
+    expect(numTriggers).to.equal(2)
+
+    button.enabled = false
+    expect(stage.focus).to.be.null
+    expect(button.focusable).to.be.false
+    dispatchKey(KeyboardEvent.KEY_DOWN, 'Enter')
+    expect(numTriggers).to.equal(2)
+  })
+
+  it('should show the default cursor when disabled', () => {
+    const button = new Button(new MockTexture(100, 50))
+
+    expect(button.cursor).to.be.null
+    button.enabled = false
+    expect(button.cursor).to.equal(MouseCursor.AUTO)
+    button.cursor = 'not-allowed'
+    expect(button.cursor).to.equal('not-allowed')
+  })
 })
@@ -0,0 +1,132 @@
+import Stage from '../../src/display/stage'
+import Sprite from '../../src/display/sprite'
+import Quad from '../../src/display/quad'
+import Event from '../../src/events/event'
+import KeyboardEvent from '../../src/events/keyboard-event'
+import FocusManager from '../../src/events/focus-manager'
+
+describe('FocusManager', () => {
+  let stage, sprite, quadA, quadB, quadC, focusManager
+
+  const createFocusable = () => {
+    const quad = new Quad(10, 10)
+    quad.focusable = true
+    return quad
+  }
+
+  const pressTab = (shiftKey = false) => {
+    const event = new KeyboardEvent(
+      KeyboardEvent.KEY_DOWN,
+      0,
+      'Tab',
+      0,
+      false,
+      false,
+      shiftKey
+    )
+    focusManager.dispatchKeyboardEvent(event)
+    return event
+  }
+
+  beforeEach(() => {
+    stage = new Stage(100, 100)
+    sprite = new Sprite()
+    quadA = createFocusable()
+    quadB = createFocusable()
+    quadC = createFocusable()
+
+    sprite.addChild(quadB)
+    stage.addChild(quadA)
+    stage.addChild(new Quad(10, 10))
+    stage.addChild(sprite)
+    stage.addChild(quadC)
+
+    focusManager = new FocusManager(stage)
+  })
+
+  afterEach(() => {
+    focusManager.dispose()
+  })
+
+  it('should move the focus in display list order', () => {
+    expect(pressTab().isDefaultPrevented()).to.be.true
+    expect(stage.focus).to.equal(quadA)
+    pressTab()
+    expect(stage.focus).to.equal(quadB)
+    pressTab()
+    expect(stage.focus).to.equal(quadC)
+
+    const event = pressTab()
+    expect(stage.focus).to.be.null
+    expect(event.isDefaultPrevented()).to.not.be.ok
+
+    pressTab(true)
+    expect(stage.focus).to.equal(quadC)
+    pressTab(true)
+    expect(stage.focus).to.equal(quadB)
+  })
+
+  it('should skip invisible objects', () => {
+    sprite.visible = false
+    pressTab()
+    pressTab()
+    expect(stage.focus).to.equal(quadC)
+  })
+
+  it('should not move the focus when tab is prevented', () => {
+    stage.focus = quadA
+    quadA.addEventListener(KeyboardEvent.KEY_DOWN, event =>
+      event.preventDefault()
+    )
+    pressTab()
+    expect(stage.focus).to.equal(quadA)
+  })
+
+  it('should dispatch keyboard events at the focus', () => {
+    const targets = []
+    const onKey = event => targets.push([event.target, event.currentTarget])
+
+    stage.addEventListener(KeyboardEvent.KEY_UP, onKey)
+    stage.focus = quadB
+
+    focusManager.dispatchKeyboardEvent(
+      new KeyboardEvent(KeyboardEvent.KEY_UP, 0, 'a')
+    )
+
+    expect(targets).to.deep.equal([[quadB, stage]])
+  })
+
+  it('should dispatch focus events', () => {
+    const events = []
+    const onFocus = event => events.push([event.type, event.target, event.data])
+
+    stage.addEventListener(Event.FOCUS_IN, onFocus)
+    stage.addEventListener(Event.FOCUS_OUT, onFocus)
+
+    stage.focus = quadA
+    stage.focus = quadB
+
+    expect(events).to.deep.equal([
+      [Event.FOCUS_IN, quadA, null],
+      [Event.FOCUS_OUT, quadA, quadB],
+      [Event.FOCUS_IN, quadB, quadA]
+    ])
+  })
+
+  it('should remove the focus from objects leaving the stage', () => {
+    stage.focus = quadB
+    sprite.removeFromParent()
+    expect(stage.focus).to.be.null
+
+    stage.focus = quadA
+    quadA.focusable = false
+    expect(stage.focus).to.be.null
+  })
+
+  it('should only focus focusable objects on the stage', () => {
+    const quad = new Quad(10, 10)
+    expect(() => (stage.focus = quad)).to.throw()
+    quad.focusable = true
+    expect(() => (stage.focus = quad)).to.throw()
+  })
+})
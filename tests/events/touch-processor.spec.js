@@ -0,0 +1,94 @@
+import Stage from '../../src/display/stage'
+import Sprite from '../../src/display/sprite'
+import Quad from '../../src/display/quad'
+import MouseEvent from '../../src/events/mouse-event'
+import TouchPhase from '../../src/events/touch-phase'
+import TouchProcessor from '../../src/events/touch-processor'
+import MouseCursor from '../../src/utils/mouse-cursor'
+
+describe('TouchProcessor', () => {
+  let stage, sprite, quad, touchProcessor
+
+  beforeEach(() => {
+    stage = new Stage(100, 100)
+    sprite = new Sprite()
+    quad = new Quad(50, 50)
+    sprite.addChild(quad)
+    stage.addChild(sprite)
+    touchProcessor = new TouchProcessor(stage)
+  })
+
+  afterEach(() => {
+    touchProcessor.dispose()
+  })
+
+  it('should dispatch mouse events to the object under the cursor', () => {
+    const targets = []
+    const onWheel = event => targets.push([event.target, event.currentTarget])
+
+    sprite.addEventListener(MouseEvent.MOUSE_WHEEL, onWheel)
+    touchProcessor.dispatchMouseEvent(
+      new MouseEvent(MouseEvent.MOUSE_WHEEL, 10, 10, 0, 100)
+    )
+    touchProcessor.dispatchMouseEvent(
+      new MouseEvent(MouseEvent.MOUSE_WHEEL, 80, 80, 0, 100)
+    )
+
+    expect(targets).to.deep.equal([[quad, sprite]])
+  })
+
+  it('should detect clicks of the right and middle button', () => {
+    const types = []
+    const onEvent = event => types.push(event.type)
+    const dispatch = (type, x) =>
+      touchProcessor.dispatchMouseEvent(new MouseEvent(type, x, 10))
+
+    for (const type of [
+      MouseEvent.RIGHT_MOUSE_DOWN,
+      MouseEvent.RIGHT_MOUSE_UP,
+      MouseEvent.RIGHT_CLICK,
+      MouseEvent.MIDDLE_CLICK
+    ])
+      quad.addEventListener(type, onEvent)
+
+    dispatch(MouseEvent.RIGHT_MOUSE_DOWN, 10)
+    dispatch(MouseEvent.RIGHT_MOUSE_UP, 20)
+    dispatch(MouseEvent.MIDDLE_MOUSE_DOWN, 10)
+    dispatch(MouseEvent.MIDDLE_MOUSE_UP, 80) // released outside of the quad
+
+    expect(types).to.deep.equal([
+      MouseEvent.RIGHT_MOUSE_DOWN,
+      MouseEvent.RIGHT_MOUSE_UP,
+      MouseEvent.RIGHT_CLICK
+    ])
+  })
+
+  it('should move a hovering mouse out of the stage when it leaves', () => {
+    touchProcessor.enqueue(0, TouchPhase.HOVER, 10, 40)
+    touchProcessor.advanceTime(0.1)
+    touchProcessor.enqueueMouseLeftStage()
+
+    const [touchID, phase, globalX, globalY] = touchProcessor._queue[0]
+    expect([touchID, phase, globalX, globalY]).to.deep.equal([
+      0,
+      TouchPhase.HOVER,
+      -1,
+      40
+    ])
+  })
+
+  it('should update the cursor of the object under the mouse', () => {
+    const hover = (x, y) => {
+      touchProcessor.enqueue(0, TouchPhase.HOVER, x, y)
+      touchProcessor.advanceTime(0.1)
+      return touchProcessor.cursor
+    }
+
+    sprite.useHandCursor = true
+    expect(hover(10, 10)).to.equal(MouseCursor.BUTTON)
+
+    quad.cursor = 'zoom-in'
+    expect(hover(20, 20)).to.equal('zoom-in')
+    expect(hover(80, 80)).to.be.null
+  })
+})
@@ -0,0 +1,53 @@
+import BatchProcessor from '../../src/rendering/batch-processor'
+import BatchBreakReason from '../../src/rendering/batch-break-reason'
+import Quad from '../../src/display/quad'
+import BlendMode from '../../src/display/blend-mode'
+import MeshStyle from '../../src/styles/mesh-style'
+import TextureSmoothing from '../../src/textures/texture-smoothing'
+
+import MockTexture from '../test-utils/mock-texture'
+
+describe('BatchProcessor', () => {
+  class MockStyle extends MeshStyle {}
+
+  it('should report batch breaks', () => {
+    const processor = new BatchProcessor()
+    const breaks = []
+    const texture = new MockTexture()
+
+    const quad = new Quad(10, 10)
+    const texturedQuad = new Quad(10, 10)
+    const nearestQuad = new Quad(10, 10)
+    const addQuad = new Quad(10, 10)
+    const styledQuad = new Quad(10, 10)
+
+    texturedQuad.texture = texture
+    nearestQuad.texture = texture
+    nearestQuad.textureSmoothing = TextureSmoothing.NONE
+    addQuad.blendMode = BlendMode.ADD
+    styledQuad.blendMode = BlendMode.ADD
+    styledQuad.style = new MockStyle()
+
+    processor.onBatchBreak = (mesh, reason) => breaks.push([mesh, reason])
+
+    processor.addMesh(quad, null)
+    processor.addMesh(quad, null)
+    expect(breaks.length).to.equal(0)
+
+    processor.addMesh(texturedQuad, null)
+    processor.addMesh(nearestQuad, null)
+    processor.addMesh(addQuad, null)
+    processor.finishBatch()
+    processor.addMesh(addQuad, null)
+    processor.addMesh(styledQuad, null)
+
+    expect(breaks).to.deep.equal([
+      [texturedQuad, BatchBreakReason.TEXTURE],
+      [nearestQuad, BatchBreakReason.TEXTURE_SETTINGS],
+      [addQuad, BatchBreakReason.BLEND_MODE],
+      [addQuad, BatchBreakReason.STATE],
+      [styledQuad, BatchBreakReason.STYLE]
+    ])
+    expect(processor.numBatches).to.equal(6)
+  })
+})
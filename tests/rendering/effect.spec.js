@@ -0,0 +1,18 @@
+import Event from '../../src/events/event'
+import Effect from '../../src/rendering/effect'
+
+describe('Effect', () => {
+  const starling = window.StarlingContextManager.current
+
+  it('should call onRestore after a context loss', () => {
+    const effect = new Effect()
+    let restoredEffect = null
+
+    effect.onRestore = value => {
+      restoredEffect = value
+    }
+
+    starling.dispatchEventWith(Event.CONTEXT3D_CREATE)
+    expect(restoredEffect).to.equal(effect)
+  })
+})
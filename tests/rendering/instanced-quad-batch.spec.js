@@ -0,0 +1,157 @@
+import InstancedQuadBatch from '../../src/rendering/instanced-quad-batch'
+import InstancedQuadEffect from '../../src/rendering/instanced-quad-effect'
+import StarlingContextManager from '../../src/core/context-manager'
+import BlendMode from '../../src/display/blend-mode'
+import Image from '../../src/display/image'
+import Quad from '../../src/display/quad'
+import Sprite from '../../src/display/sprite'
+import Matrix from '../../src/math/matrix'
+import MeshStyle from '../../src/styles/mesh-style'
+
+import MockTexture from '../test-utils/mock-texture'
+
+describe('InstancedQuadBatch', () => {
+  const E = 0.0001
+
+  class CustomStyle extends MeshStyle {}
+
+  function getInstance(batch, instanceID) {
+    const { instanceData } = batch
+    const values = []
+
+    for (const name of [
+      'transform',
+      'translation',
+      'texTransform',
+      'texTranslation'
+    ]) {
+      const position =
+        instanceID * instanceData.vertexSize + instanceData.getOffset(name)
+      const numValues = instanceData.getFormat(name) === 'float4' ? 4 : 2
+
+      for (let i = 0; i < numValues; ++i)
+        values.push(instanceData.rawData.getFloat32(position + i * 4, true))
+    }
+
+    return values
+  }
+
+  it('should only instance quads with a uniform color and the standard style', () => {
+    const quad = new Quad(10, 10, 0xff0000)
+    const gradient = new Quad(10, 10)
+    const styled = new Quad(10, 10)
+
+    gradient.setVertexColor(3, 0x00ff00)
+    styled.style = new CustomStyle()
+
+    expect(InstancedQuadBatch.isInstanceable(quad)).to.be.true
+    expect(InstancedQuadBatch.isInstanceable(gradient)).to.be.false
+    expect(InstancedQuadBatch.isInstanceable(styled)).to.be.false
+    expect(InstancedQuadBatch.isInstanceable(new Sprite())).to.be.false
+  })
+
+  it('should store transformation, texture coordinates, color and alpha', () => {
+    const batch = new InstancedQuadBatch()
+    const image = new Image(new MockTexture(16, 8))
+    const matrix = new Matrix()
+
+    image.color = 0x00ff00
+    matrix.rotate(Math.PI / 2)
+    matrix.translate(100, 50)
+
+    batch.addQuad(image, new Matrix(2, 0, 0, 1, 10, 20), 1.0, BlendMode.NORMAL)
+    batch.addQuad(image, matrix, 0.5, BlendMode.NORMAL)
+
+    const { instanceData } = batch
+    const first = getInstance(batch, 0)
+    const second = getInstance(batch, 1)
+
+    // prettier-ignore
+    const expected = [
+      [32, 0, 0, 8, 10, 20, 1, 0, 0, 1, 0, 0],
+      [0, 16, -8, 0, 100, 50, 1, 0, 0, 1, 0, 0]
+    ]
+
+    expect(batch.numInstances).to.equal(2)
+    first.forEach((value, i) => expect(value).to.be.closeTo(expected[0][i], E))
+    second.forEach((value, i) => expect(value).to.be.closeTo(expected[1][i], E))
+    expect(instanceData.getColor(1)).to.equal(0x00ff00)
+    expect(instanceData.getFloat(1, 'alpha')).to.equal(0.5)
+
+    batch.dispose()
+  })
+
+  it('should only accept quads with the same texture and blend mode', () => {
+    const batch = new InstancedQuadBatch()
+    const texture = new MockTexture()
+    const image = new Image(texture)
+    const other = new Image(texture)
+    const quad = new Quad(10, 10)
+
+    expect(batch.canAddQuad(quad, BlendMode.NORMAL)).to.be.true
+
+    batch.addQuad(image, image.transformationMatrix, 1.0, BlendMode.NORMAL)
+
+    expect(batch.canAddQuad(other, BlendMode.NORMAL)).to.be.true
+    expect(batch.canAddQuad(other, BlendMode.ADD)).to.be.false
+    expect(batch.canAddQuad(quad, BlendMode.NORMAL)).to.be.false
+
+    batch.clear()
+    expect(batch.canAddQuad(quad, BlendMode.ADD)).to.be.true
+
+    batch.dispose()
+  })
+
+  it('should keep one instance buffer and upload only the used instances', () => {
+    const batch = new InstancedQuadBatch()
+    const effect = new InstancedQuadEffect()
+    const calls = []
+    const gl = {
+      ARRAY_BUFFER: 0x8892,
+      createBuffer: () => calls.push(['createBuffer']) && {},
+      bufferData: (target, size) => calls.push(['bufferData', size]),
+      bufferSubData: (target, offset, data) =>
+        calls.push(['bufferSubData', data.byteLength]),
+      bindBuffer() {},
+      bindVertexArray() {},
+      enableVertexAttribArray() {},
+      vertexAttribPointer() {},
+      vertexAttribDivisor() {}
+    }
+    const { current } = StarlingContextManager
+    const quad = new Quad(10, 10)
+    const addQuads = count => {
+      for (let i = 0; i < count; ++i)
+        batch.addQuad(quad, quad.transformationMatrix, 1.0, BlendMode.NORMAL)
+    }
+
+    const { vertexSize } = batch.instanceData
+    effect._vertexArray = {} // skips the upload of the shared quad
+
+    StarlingContextManager.current = { context: gl }
+
+    addQuads(3)
+    effect.uploadInstanceData(batch.instanceData, batch.numInstances)
+    effect.uploadInstanceData(batch.instanceData, batch.numInstances)
+    const capacity = batch.instanceData.rawData.byteLength
+
+    batch.clear()
+    addQuads(100) // exceeds the capacity of the instance data
+    effect.uploadInstanceData(batch.instanceData, batch.numInstances)
+
+    StarlingContextManager.current = current
+
+    expect(calls).to.deep.equal([
+      ['createBuffer'],
+      ['bufferData', capacity],
+      ['bufferSubData', 3 * vertexSize],
+      ['bufferSubData', 3 * vertexSize],
+      ['bufferData', batch.instanceData.rawData.byteLength],
+      ['bufferSubData', 100 * vertexSize]
+    ])
+
+    effect._vertexArray = null
+    effect.setInstanceBufferMemory(0)
+    batch.dispose()
+  })
+})
@@ -0,0 +1,124 @@
+import MultiTextureStyle from '../../src/styles/multi-texture-style'
+import MultiTextureEffect from '../../src/rendering/multi-texture-effect'
+import Image from '../../src/display/image'
+import MeshBatch from '../../src/display/mesh-batch'
+import ConcreteTexture from '../../src/textures/concrete-texture'
+import SubTexture from '../../src/textures/subtexture'
+import Rectangle from '../../src/math/rectangle'
+
+describe('MultiTextureStyle', () => {
+  const maxTextures = MultiTextureStyle.maxTextures
+
+  function createTexture() {
+    return new ConcreteTexture({}, 'bgra', 16, 16, false, true)
+  }
+
+  function createImage(texture) {
+    const image = new Image(texture)
+    image.style = new MultiTextureStyle()
+    return image
+  }
+
+  function getTextureIndices(mesh) {
+    const indices = []
+
+    for (let i = 0; i < mesh.numVertices; ++i)
+      indices.push(mesh.vertexData.getFloat(i, 'textureIndex'))
+
+    return indices
+  }
+
+  afterEach(() => {
+    MultiTextureStyle.maxTextures = maxTextures
+  })
+
+  it('should batch meshes with different textures', () => {
+    const atlas = createTexture()
+    const image0 = createImage(atlas)
+    const image1 = createImage(createTexture())
+    const image2 = createImage(new SubTexture(atlas, new Rectangle(0, 0, 8, 8)))
+    const batch = new MeshBatch()
+
+    batch.addMesh(image0)
+    expect(batch.canAddMesh(image1)).to.be.true
+
+    batch.addMesh(image1)
+    batch.addMesh(image2)
+
+    expect(batch.style.textures.length).to.equal(2)
+    // prettier-ignore
+    expect(getTextureIndices(batch)).to.deep.equal([0, 0, 0, 0, 1, 1, 1, 1, 0, 0, 0, 0])
+  })
+
+  it('should not exceed the maximum number of textures', () => {
+    const batch = new MeshBatch()
+
+    MultiTextureStyle.maxTextures = 2
+
+    batch.addMesh(createImage(createTexture()))
+    batch.addMesh(createImage(createTexture()))
+
+    expect(batch.canAddMesh(createImage(createTexture()))).to.be.false
+    expect(batch.canAddMesh(createImage(batch.style.textures[1]))).to.be.true
+  })
+
+  it('should not batch textures with different alpha modes', () => {
+    const batch = new MeshBatch()
+    const texture = new ConcreteTexture({}, 'bgra', 16, 16, false, false)
+
+    batch.addMesh(createImage(createTexture()))
+    expect(batch.canAddMesh(createImage(texture))).to.be.false
+  })
+
+  it('should remap the texture indices of batched batches', () => {
+    const texture0 = createTexture()
+    const texture1 = createTexture()
+    const source = new MeshBatch()
+    const target = new MeshBatch()
+
+    source.addMesh(createImage(texture0))
+    source.addMesh(createImage(texture1))
+    target.addMesh(createImage(texture1))
+    target.addMesh(source)
+
+    expect(target.style.textures).to.deep.equal([texture1, texture0])
+    // prettier-ignore
+    expect(getTextureIndices(target)).to.deep.equal([0, 0, 0, 0, 1, 1, 1, 1, 0, 0, 0, 0])
+  })
+
+  it('should use a program variant per number of textures', () => {
+    const effect = new MultiTextureEffect()
+    const textures = [createTexture(), createTexture(), createTexture()]
+
+    effect.texture = textures[0]
+    effect.textures = textures
+
+    expect(effect.programVariantName).to.equal(1 | (2 << 4))
+    expect(effect.createProgram()._fragmentShader).to.contain('sTexture2')
+
+    effect.dispose()
+  })
+
+  it('should create the variants for each number of textures', () => {
+    const effect = new MultiTextureEffect()
+    const texture = createTexture()
+
+    effect.texture = texture
+    effect.textures = [texture, texture, texture]
+
+    const variants = effect.createVariants()
+    const names = variants.map(variant => variant.programName)
+    const numTextures = variants.map(
+      variant => (variant.texture ? variant.textures.length : 0)
+    )
+
+    // without a texture, and with two kinds of textures; tinted and not tinted
+    // (which share their programs, since untinted meshes are not optimized)
+    expect(variants.length).to.equal(2 + 2 * 2 * 3)
+    expect(new Set(names).size).to.equal(1 + 2 * 3)
+    expect(numTextures.filter(count => count === 3).length).to.equal(4)
+
+    variants.forEach(variant => variant.dispose())
+    effect.dispose()
+  })
+})
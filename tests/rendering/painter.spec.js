@@ -0,0 +1,315 @@
+import Effect from '../../src/rendering/effect'
+import FilterEffect from '../../src/rendering/filter-effect'
+import MeshEffect from '../../src/rendering/mesh-effect'
+import Painter from '../../src/rendering/painter'
+import Program from '../../src/rendering/program'
+import Rectangle from '../../src/math/rectangle'
+import ConcreteTexture from '../../src/textures/concrete-texture'
+
+describe('Painter', () => {
+  const painter = window.StarlingContextManager.current.painter
+
+  describe('precompilePrograms', () => {
+    const { requestAnimationFrame } = window
+    let activated
+
+    class TestProgram extends Program {
+      activate() {
+        this._program3D = {}
+        activated.push(this.name)
+      }
+    }
+
+    class TestEffect extends Effect {
+      _variant = 0
+
+      createVariants() {
+        const other = new TestEffect()
+        other._variant = 1
+        return [this, other]
+      }
+
+      createProgram() {
+        return new TestProgram('', '')
+      }
+
+      get programVariantName() {
+        return this._variant
+      }
+    }
+
+    beforeEach(() => {
+      activated = []
+      window.requestAnimationFrame = callback => setTimeout(callback, 0)
+    })
+
+    afterEach(() => {
+      window.requestAnimationFrame = requestAnimationFrame
+      painter.deleteProgram('TestEffect')
+      painter.deleteProgram('TestEffect#1')
+    })
+
+    it('should compile all variants and report the progress', () => {
+      const effect = new TestEffect()
+      const ratios = []
+
+      return painter
+        .precompilePrograms([effect], ratio => ratios.push(ratio))
+        .then(() => {
+          expect(activated).to.deep.equal(['TestEffect', 'TestEffect#1'])
+          expect(ratios).to.deep.equal([0.5, 1])
+          expect(painter.getProgram('TestEffect#1').nativeProgram).to.exist
+          effect.dispose()
+        })
+    })
+
+    it('should skip programs that are already compiled', () => {
+      const effect = new TestEffect()
+      const ratios = []
+
+      effect.program.activate()
+
+      return painter
+        .precompilePrograms([effect], ratio => ratios.push(ratio))
+        .then(() => {
+          expect(activated).to.deep.equal(['TestEffect', 'TestEffect#1'])
+          expect(ratios).to.deep.equal([1])
+          effect.dispose()
+        })
+    })
+  })
+
+  it('should create a variant for each kind of texture and tinting', () => {
+    const filterVariants = new FilterEffect().createVariants()
+    const meshVariants = new MeshEffect().createVariants()
+    const names = effects =>
+      effects.map(effect => {
+        effect.dispose()
+        return effect.programVariantName
+      })
+
+    expect(names(filterVariants)).to.deep.equal([0, 1, 5])
+    expect(meshVariants.length).to.equal(6)
+    expect(meshVariants.map(effect => effect.tinted)).to.deep.equal([
+      true,
+      false,
+      true,
+      false,
+      true,
+      false
+    ])
+    names(meshVariants)
+  })
+
+  describe('render targets', () => {
+    const gl = painter.context
+    let calls
+
+    beforeEach(() => {
+      calls = []
+
+      for (const name of [
+        'createFramebuffer',
+        'createRenderbuffer',
+        'framebufferRenderbuffer',
+        'deleteFramebuffer',
+        'deleteRenderbuffer'
+      ])
+        gl[name] = (...args) => {
+          calls.push(name === 'framebufferRenderbuffer' ? args[3] : name)
+          return { name }
+        }
+    })
+
+    afterEach(() => {
+      delete gl.createFramebuffer
+      delete gl.createRenderbuffer
+      delete gl.framebufferRenderbuffer
+      delete gl.deleteFramebuffer
+      delete gl.deleteRenderbuffer
+      painter.present()
+    })
+
+    it('should reuse the framebuffer of a texture', () => {
+      const texture = new ConcreteTexture({}, 'bgra', 16, 16, false, true)
+      const { state } = painter
+
+      state.setRenderTarget(texture, false)
+      painter.applyRenderTarget()
+      state.renderTarget = null
+      painter.applyRenderTarget()
+      state.setRenderTarget(texture, false)
+      painter.applyRenderTarget()
+
+      expect(calls).to.deep.equal(['createFramebuffer'])
+      texture.dispose()
+    })
+
+    it('should convert bounds into framebuffer pixels', () => {
+      const texture = new ConcreteTexture({}, 'bgra', 200, 100, false, true)
+      const { state } = painter
+
+      painter.pushState()
+      state.setRenderTarget(texture, false)
+      state.setProjectionMatrix(0, 0, 100, 50)
+
+      const bounds = painter.getFramebufferBounds(new Rectangle(10, 5, 20, 10))
+
+      painter.popState()
+      texture.dispose()
+
+      // the origin is at the bottom left; the texture has two pixels per point
+      expect(bounds.x).to.be.closeTo(20, 0.001)
+      expect(bounds.y).to.be.closeTo(70, 0.001)
+      expect(bounds.width).to.be.closeTo(40, 0.001)
+      expect(bounds.height).to.be.closeTo(20, 0.001)
+    })
+
+    it('should attach a depth and stencil buffer on demand', () => {
+      const texture = new ConcreteTexture({}, 'bgra', 16, 16, false, true)
+      const { state } = painter
+
+      state.setRenderTarget(texture, false)
+      painter.applyRenderTarget()
+      state.setRenderTarget(texture, true)
+      painter.applyRenderTarget()
+      state.setRenderTarget(texture, false)
+      painter.applyRenderTarget()
+      state.setRenderTarget(texture, true)
+      painter.applyRenderTarget()
+
+      expect(calls).to.deep.equal([
+        'createFramebuffer',
+        'createRenderbuffer',
+        { name: 'createRenderbuffer' },
+        null,
+        { name: 'createRenderbuffer' }
+      ])
+      texture.dispose()
+    })
+
+    it('should delete the framebuffer when the texture is disposed', () => {
+      const texture = new ConcreteTexture({}, 'bgra', 16, 16, false, true)
+
+      painter.state.renderTarget = texture
+      painter.applyRenderTarget()
+      painter.state.renderTarget = null
+      texture.dispose()
+
+      expect(calls.slice(-2)).to.deep.equal([
+        'deleteFramebuffer',
+        'deleteRenderbuffer'
+      ])
+    })
+
+    it('should keep a stencil reference value per render target', () => {
+      const texture = new ConcreteTexture({}, 'bgra', 16, 16, false, true)
+      const other = new ConcreteTexture({}, 'bgra', 16, 16, false, true)
+      const { state } = painter
+
+      state.renderTarget = texture
+      painter.stencilReferenceValue = 5
+      state.renderTarget = other
+      expect(painter.stencilReferenceValue).to.equal(
+        Painter.DEFAULT_STENCIL_VALUE
+      )
+      state.renderTarget = texture
+      expect(painter.stencilReferenceValue).to.equal(5)
+
+      state.renderTarget = null
+      texture.dispose()
+      other.dispose()
+    })
+
+    it('should render into multisampled buffers and resolve them', () => {
+      const texture = new ConcreteTexture({}, 'bgra', 16, 16, false, true)
+      const { state } = painter
+      const { getParameter } = gl
+      const samples = []
+      let numBlits = 0
+
+      gl.getParameter = () => 8
+      gl.renderbufferStorageMultisample = (target, numSamples) =>
+        samples.push(numSamples)
+      gl.blitFramebuffer = () => numBlits++
+      painter.copyTextureToMultisampleBuffers = () => {}
+      painter._maxSamples = undefined
+
+      state.setRenderTarget(texture, true, 2)
+      painter.applyRenderTarget()
+      expect(samples).to.deep.equal([4, 4]) // color, depth & stencil
+      expect(numBlits).to.equal(0)
+
+      state.renderTarget = null
+      painter.applyRenderTarget()
+      expect(numBlits).to.equal(1)
+
+      state.setRenderTarget(texture, false, 4)
+      painter.applyRenderTarget()
+      state.setRenderTarget(texture, false, 0)
+      painter.applyRenderTarget()
+      expect(samples).to.deep.equal([4, 4, 8])
+      expect(numBlits).to.equal(2)
+
+      // the buffers with 4 samples were replaced by those with 8 samples
+      texture.dispose()
+      expect(
+        calls.filter(call => call === 'deleteFramebuffer').length
+      ).to.equal(3)
+
+      gl.getParameter = getParameter
+      delete gl.renderbufferStorageMultisample
+      delete gl.blitFramebuffer
+      delete painter.copyTextureToMultisampleBuffers
+      painter._maxSamples = undefined
+    })
+
+    it('should copy the texture into multisampled buffers when they become active', () => {
+      const texture = new ConcreteTexture({}, 'bgra', 16, 16, false, true)
+      const other = new ConcreteTexture({}, 'bgra', 16, 16, false, true)
+      const { state } = painter
+      const { getParameter } = gl
+      const copies = []
+
+      gl.getParameter = () => 8
+      painter.copyTextureToMultisampleBuffers = copied => copies.push(copied)
+      painter._maxSamples = undefined
+
+      // drawn without anti-aliasing first
+      state.setRenderTarget(texture, false, 0)
+      painter.applyRenderTarget()
+      expect(copies.length).to.equal(0)
+
+      state.setRenderTarget(texture, false, 2)
+      painter.applyRenderTarget()
+      expect(copies).to.deep.equal([texture])
+
+      // the buffers were resolved into the texture, so they are still up to date
+      state.setRenderTarget(other, false, 0)
+      painter.applyRenderTarget()
+      state.setRenderTarget(texture, false, 2)
+      painter.applyRenderTarget()
+      expect(copies.length).to.equal(1)
+
+      state.setRenderTarget(texture, false, 0)
+      painter.applyRenderTarget()
+      state.setRenderTarget(texture, false, 2)
+      painter.applyRenderTarget()
+      expect(copies.length).to.equal(2)
+
+      // new buffers with a different number of samples
+      state.setRenderTarget(texture, false, 4)
+      painter.applyRenderTarget()
+      expect(copies.length).to.equal(3)
+
+      state.renderTarget = null
+      painter.applyRenderTarget()
+      texture.dispose()
+      other.dispose()
+
+      gl.getParameter = getParameter
+      delete painter.copyTextureToMultisampleBuffers
+      painter._maxSamples = undefined
+    })
+  })
+})
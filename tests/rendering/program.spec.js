@@ -0,0 +1,186 @@
+import { VERTEX_SHADER, FRAGMENT_SHADER } from 'gl-constants'
+
+import FilterEffect from '../../src/rendering/filter-effect'
+import Program from '../../src/rendering/program'
+import Event from '../../src/events/event'
+
+describe('Program', () => {
+  const fragmentShader = `#version 300 es
+    precision highp float;
+
+    uniform sampler2D sTexture;
+
+    in vec2 vTexCoords;
+
+    out vec4 color;
+
+    void main() {
+        color = texture(sTexture, vTexCoords);
+    }
+  `
+
+  it('should read attribute locations from layout qualifiers', () => {
+    const locations = Program.getAttributeLocations(
+      FilterEffect.STD_VERTEX_SHADER
+    )
+
+    expect(locations).to.deep.equal({ aPosition: 0, aTexCoords: 1 })
+  })
+
+  it('should convert a vertex shader to GLSL ES 1.00', () => {
+    const source = Program.toGLSL100(
+      FilterEffect.STD_VERTEX_SHADER,
+      VERTEX_SHADER
+    )
+
+    expect(source.indexOf('#version 100')).to.equal(0)
+    expect(source).to.contain('attribute vec2 aPosition;')
+    expect(source).to.contain('attribute vec2 aTexCoords;')
+    expect(source).to.contain('varying vec2 vTexCoords;')
+    expect(source).not.to.contain('layout')
+  })
+
+  it('should convert a fragment shader to GLSL ES 1.00', () => {
+    const source = Program.toGLSL100(fragmentShader, FRAGMENT_SHADER)
+
+    expect(source).to.contain('varying vec2 vTexCoords;')
+    expect(source).to.contain('gl_FragColor = texture2D(sTexture, vTexCoords);')
+    expect(source).to.contain('precision mediump float;')
+    expect(source).not.to.contain('out vec4')
+  })
+
+  it('should annotate the lines referenced by the compiler log', () => {
+    const source = 'void main() {\n  foo = 1.0;\n}'
+    const log = "ERROR: 0:2: 'foo' : undeclared identifier\n"
+
+    expect(Program.annotateSource(source, log).split('\n')).to.deep.equal([
+      '  1 | void main() {',
+      '> 2 |   foo = 1.0;',
+      "    | ^ 'foo' : undeclared identifier",
+      '  3 | }'
+    ])
+  })
+
+  describe('with failing shaders', () => {
+    const starling = window.StarlingContextManager.current
+    let linkStatus
+    let compileStatus
+    let numCompilations
+    let extension
+    let completed
+    let numLookups
+
+    const gl = {
+      VERTEX_SHADER,
+      FRAGMENT_SHADER,
+      createShader: type => ({ type }),
+      shaderSource() {},
+      compileShader: () => numCompilations++,
+      getShaderParameter: shader => compileStatus(shader),
+      getShaderInfoLog: () => "ERROR: 0:1: 'color' : undeclared identifier",
+      deleteShader() {},
+      createProgram: () => ({}),
+      attachShader() {},
+      linkProgram() {},
+      getProgramParameter: (program, name) =>
+        name === 'COMPLETION_STATUS_KHR' ? completed : linkStatus,
+      getProgramInfoLog: () => 'varyings do not match',
+      deleteProgram() {},
+      useProgram() {},
+      getUniformLocation: (program, name) => {
+        numLookups++
+        return { name }
+      },
+      getExtension: () => extension
+    }
+
+    beforeEach(() => {
+      linkStatus = true
+      compileStatus = () => true
+      numCompilations = 0
+      extension = null
+      completed = false
+      numLookups = 0
+    })
+
+    it('should finish a compilation in the background before activating', () => {
+      const program = new Program('void main() {}', 'void main() {}')
+      const { painter } = starling
+      let numQueries = 0
+
+      extension = { COMPLETION_STATUS_KHR: 'COMPLETION_STATUS_KHR' }
+      painter._parallelShaderCompileExtension = undefined
+      painter.context.getExtension = name => {
+        numQueries++
+        return name === 'KHR_parallel_shader_compile' ? extension : null
+      }
+
+      program.compile(gl)
+      expect(numCompilations).to.equal(2)
+      expect(program.isCompiled(gl)).to.be.false
+      expect(program.nativeProgram).to.be.undefined
+
+      completed = true
+      expect(program.isCompiled(gl)).to.be.true
+      expect(numQueries).to.equal(1)
+
+      program.activate(gl)
+      expect(numCompilations).to.equal(2)
+      expect(program.nativeProgram).to.deep.equal({})
+
+      delete painter.context.getExtension
+      painter._parallelShaderCompileExtension = undefined
+    })
+
+    it('should throw and dispatch FATAL_ERROR if a shader does not compile', () => {
+      const program = new Program('void main() {}', 'color = vec4(1.0);')
+      let message = null
+      const onFatalError = event => (message = event.data)
+
+      program.name = 'TestEffect#3'
+      program.variantName = 3
+      compileStatus = shader => shader.type === VERTEX_SHADER
+
+      starling.addEventListener(Event.FATAL_ERROR, onFatalError)
+      expect(() => program.activate(gl)).to.throw(
+        /compile the fragment shader of program "TestEffect#3" \(variant 0x3\)/
+      )
+      starling.removeEventListener(Event.FATAL_ERROR, onFatalError)
+
+      expect(message).to.contain('> 1 | color = vec4(1.0);')
+      expect(message).to.contain("^ 'color' : undeclared identifier")
+
+      expect(() => program.activate(gl)).to.throw(/ShaderError/)
+      expect(numCompilations).to.equal(2)
+      expect(program.nativeProgram).to.be.undefined
+    })
+
+    it('should look up uniform locations once per native program', () => {
+      const program = new Program('void main() {}', 'void main() {}')
+
+      program.activate(gl)
+      const location = program.getUniformLocation('sTexture', gl)
+
+      expect(location).to.deep.equal({ name: 'sTexture' })
+      expect(program.getUniformLocation('sTexture', gl)).to.equal(location)
+      expect(numLookups).to.equal(1)
+
+      // the locations belong to the native program, which is lost with the context
+      starling.dispatchEventWith(Event.CONTEXT3D_CREATE)
+      program.activate(gl)
+
+      expect(program.getUniformLocation('sTexture', gl)).not.to.equal(location)
+      expect(numLookups).to.equal(2)
+      program.dispose()
+    })
+
+    it('should throw if the program does not link', () => {
+      const program = new Program('void main() {}', 'void main() {}')
+      linkStatus = false
+
+      expect(() => program.activate(gl)).to.throw(
+        /Could not link the program:\nvaryings do not match/
+      )
+    })
+  })
+})
@@ -0,0 +1,126 @@
+// Creates minimal compressed texture files (with zeroed blocks) for the tests.
+
+const KTX_IDENTIFIER = [
+  0xab,
+  0x4b,
+  0x54,
+  0x58,
+  0x20,
+  0x31,
+  0x31,
+  0xbb,
+  0x0d,
+  0x0a,
+  0x1a,
+  0x0a
+]
+const KTX2_IDENTIFIER = [
+  0xab,
+  0x4b,
+  0x54,
+  0x58,
+  0x20,
+  0x32,
+  0x30,
+  0xbb,
+  0x0d,
+  0x0a,
+  0x1a,
+  0x0a
+]
+
+const getLevelSizes = (width, height, numLevels, blockSize) => {
+  const sizes = []
+
+  for (let i = 0; i < numLevels; ++i) {
+    const levelWidth = Math.max(1, width >> i)
+    const levelHeight = Math.max(1, height >> i)
+    sizes.push(
+      Math.ceil(levelWidth / 4) * Math.ceil(levelHeight / 4) * blockSize
+    )
+  }
+
+  return sizes
+}
+
+export const createKtx = (
+  format,
+  width,
+  height,
+  numLevels = 1,
+  blockSize = 8
+) => {
+  const sizes = getLevelSizes(width, height, numLevels, blockSize)
+  const buffer = new ArrayBuffer(
+    64 + sizes.reduce((sum, size) => sum + 4 + size, 0)
+  )
+  const view = new DataView(buffer)
+
+  new Uint8Array(buffer).set(KTX_IDENTIFIER)
+  view.setUint32(12, 0x04030201, true)
+  view.setUint32(28, format, true)
+  view.setUint32(36, width, true)
+  view.setUint32(40, height, true)
+  view.setUint32(52, 1, true) // faces
+  view.setUint32(56, numLevels, true)
+
+  let offset = 64
+
+  for (const size of sizes) {
+    view.setUint32(offset, size, true)
+    offset += 4 + size
+  }
+
+  return buffer
+}
+
+export const createKtx2 = (
+  vkFormat,
+  width,
+  height,
+  premultipliedAlpha = false
+) => {
+  const dfdOffset = 104
+  const dataOffset = dfdOffset + 28
+  const size = Math.ceil(width / 4) * Math.ceil(height / 4) * 16
+  const buffer = new ArrayBuffer(dataOffset + size)
+  const view = new DataView(buffer)
+
+  new Uint8Array(buffer).set(KTX2_IDENTIFIER)
+  view.setUint32(12, vkFormat, true)
+  view.setUint32(20, width, true)
+  view.setUint32(24, height, true)
+  view.setUint32(36, 1, true) // faces
+  view.setUint32(40, 1, true) // levels
+  view.setUint32(48, dfdOffset, true)
+  view.setUint32(52, 28, true)
+  view.setUint32(80, dataOffset, true)
+  view.setUint32(88, size, true)
+  view.setUint8(dfdOffset + 15, premultipliedAlpha ? 1 : 0)
+
+  return buffer
+}
+
+export const createDds = (
+  fourCC,
+  width,
+  height,
+  numLevels = 1,
+  blockSize = 16
+) => {
+  const sizes = getLevelSizes(width, height, numLevels, blockSize)
+  const buffer = new ArrayBuffer(
+    128 + sizes.reduce((sum, size) => sum + size, 0)
+  )
+  const view = new DataView(buffer)
+
+  view.setUint32(0, 0x20534444, true) // 'DDS '
+  view.setUint32(4, 124, true)
+  view.setUint32(8, numLevels > 1 ? 0x20000 : 0, true)
+  view.setUint32(12, height, true)
+  view.setUint32(16, width, true)
+  view.setUint32(28, numLevels, true)
+  for (let i = 0; i < 4; ++i) view.setUint8(84 + i, fourCC.charCodeAt(i))
+
+  return buffer
+}
@@ -16,5 +16,57 @@ export class FakeContext {
 
   texImage2D() {}
 
+  compressedTexImage2D() {}
+
   texParameteri() {}
+
+  deleteTexture() {}
+
+  deleteBuffer() {}
+
+  deleteVertexArray() {}
+
+  deleteProgram() {}
+
+  getParameter() {
+    return null
+  }
+
+  getExtension() {
+    return null
+  }
+
+  createFramebuffer() {
+    return {}
+  }
+
+  bindFramebuffer() {}
+
+  framebufferTexture2D() {}
+
+  deleteFramebuffer() {}
+
+  createRenderbuffer() {
+    return {}
+  }
+
+  bindRenderbuffer() {}
+
+  renderbufferStorage() {}
+
+  renderbufferStorageMultisample() {}
+
+  blitFramebuffer() {}
+
+  isEnabled() {
+    return false
+  }
+
+  framebufferRenderbuffer() {}
+
+  deleteRenderbuffer() {}
+
+  stencilFunc() {}
+
+  readPixels() {}
 }
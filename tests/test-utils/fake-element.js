@@ -0,0 +1,99 @@
+// A minimal stand-in for DOM elements, covering what Starling's DOM code uses.
+export class FakeElement {
+  constructor(tagName, ownerDocument) {
+    this.tagName = tagName.toUpperCase()
+    this.ownerDocument = ownerDocument
+    this.style = {}
+    this.attributes = {}
+    this.children = []
+    this.parentNode = null
+    this.listeners = {}
+    this.textContent = ''
+  }
+
+  setAttribute(name, value) {
+    this.attributes[name] = String(value)
+  }
+
+  getAttribute(name) {
+    return name in this.attributes ? this.attributes[name] : null
+  }
+
+  hasAttribute(name) {
+    return name in this.attributes
+  }
+
+  removeAttribute(name) {
+    delete this.attributes[name]
+  }
+
+  insertBefore(child, reference) {
+    child.remove()
+    const index = reference
+      ? this.children.indexOf(reference)
+      : this.children.length
+    this.children.splice(index, 0, child)
+    child.parentNode = this
+    return child
+  }
+
+  appendChild(child) {
+    return this.insertBefore(child, null)
+  }
+
+  remove() {
+    if (this.parentNode) {
+      const { children } = this.parentNode
+      children.splice(children.indexOf(this), 1)
+      this.parentNode = null
+    }
+  }
+
+  contains(element) {
+    for (; element; element = element.parentNode)
+      if (element === this) return true
+    return false
+  }
+
+  get nextSibling() {
+    if (!this.parentNode) return null
+    const { children } = this.parentNode
+    return children[children.indexOf(this) + 1] || null
+  }
+
+  addEventListener(type, listener) {
+    if (!this.listeners[type]) this.listeners[type] = []
+    this.listeners[type].push(listener)
+  }
+
+  removeEventListener(type, listener) {
+    const listeners = this.listeners[type] || []
+    const index = listeners.indexOf(listener)
+    if (index !== -1) listeners.splice(index, 1)
+  }
+
+  // dispatches a bubbling event, like those created by user input
+  dispatchEvent(event) {
+    event.target = this
+    if (!event.preventDefault) event.preventDefault = () => {}
+
+    for (let element = this; element; element = element.parentNode)
+      for (const listener of element.listeners[event.type] || [])
+        listener(event)
+  }
+
+  focus() {
+    this.ownerDocument.activeElement = this
+  }
+}
+
+export class FakeDocument {
+  constructor() {
+    this.activeElement = null
+    this.body = new FakeElement('body', this)
+  }
+
+  createElement(tagName) {
+    return new FakeElement(tagName, this)
+  }
+}
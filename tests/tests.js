@@ -5,6 +5,9 @@ import fetch from 'node-fetch'
 import Sprite from '../src/display/sprite'
 
 const document = {
+  visibilityState: 'visible',
+  hasFocus: () => true,
+  addEventListener() {},
   getElementById: id =>
     id === 'starling-text-canvas'
       ? {
@@ -23,6 +26,8 @@ const mockWindow = {
   createImageBitmap: input => Promise.resolve(input),
   document,
   requestAnimationFrame() {},
+  addEventListener() {},
+  removeEventListener() {},
   navigator: {
     userAgent: ''
   }
@@ -0,0 +1,77 @@
+import CompressedTextureData from '../../src/textures/compressed-texture-data'
+import CompressedTextureFormat from '../../src/textures/compressed-texture-format'
+import {
+  createKtx,
+  createKtx2,
+  createDds
+} from '../test-utils/compressed-files'
+
+describe('CompressedTextureData', () => {
+  it('should parse KTX files', () => {
+    const format = CompressedTextureFormat.RGB8_ETC2
+    const data = new CompressedTextureData(createKtx(format, 16, 8, 3))
+
+    expect(data.format).to.equal(format)
+    expect(data.width).to.equal(16)
+    expect(data.height).to.equal(8)
+    expect(data.numLevels).to.equal(3)
+    expect(data.levels.map(level => [level.width, level.height])).to.deep.equal(
+      [[16, 8], [8, 4], [4, 2]]
+    )
+    expect(data.levels.map(level => level.data.byteLength)).to.deep.equal([
+      64,
+      16,
+      8
+    ])
+    expect(data.premultipliedAlpha).to.be.false
+  })
+
+  it('should parse KTX2 files', () => {
+    const vkFormatASTC6x6 = 165
+    const data = new CompressedTextureData(
+      createKtx2(vkFormatASTC6x6, 12, 12, true)
+    )
+
+    expect(data.format).to.equal(CompressedTextureFormat.RGBA_ASTC_6x6)
+    expect(data.width).to.equal(12)
+    expect(data.numLevels).to.equal(1)
+    expect(data.premultipliedAlpha).to.be.true
+  })
+
+  it('should parse DDS files', () => {
+    const data = new CompressedTextureData(createDds('DXT5', 8, 8, 4))
+
+    expect(data.format).to.equal(CompressedTextureFormat.RGBA_S3TC_DXT5)
+    expect(data.numLevels).to.equal(4)
+    expect(data.byteLength).to.equal(64 + 16 + 16 + 16)
+  })
+
+  it('should replace sRGB formats with their linear counterparts', () => {
+    const { SRGB8_ALPHA8_ETC2_EAC, RGBA8_ETC2_EAC } = CompressedTextureFormat
+    const data = new CompressedTextureData(
+      createKtx(SRGB8_ALPHA8_ETC2_EAC, 4, 4, 1, 16)
+    )
+
+    expect(data.format).to.equal(RGBA8_ETC2_EAC)
+  })
+
+  it('should recognize compressed data', () => {
+    const ktx = createKtx(CompressedTextureFormat.RGB_ETC1, 4, 4)
+
+    expect(CompressedTextureData.isCompressedData(ktx)).to.be.true
+    expect(CompressedTextureData.isCompressedData(new Uint8Array(ktx))).to.be
+      .true
+    expect(CompressedTextureData.isCompressedData(new ArrayBuffer(128))).to.be
+      .false
+    expect(CompressedTextureData.isCompressedData({ width: 4, height: 4 })).to
+      .be.false
+  })
+
+  it('should reject truncated data', () => {
+    const ktx = createKtx(CompressedTextureFormat.RGB_ETC1, 16, 16)
+
+    expect(() => new CompressedTextureData(ktx.slice(0, 100))).to.throw(
+      /truncated/
+    )
+  })
+})
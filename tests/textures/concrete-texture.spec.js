@@ -0,0 +1,107 @@
+import Event from '../../src/events/event'
+import ConcreteTexture from '../../src/textures/concrete-texture'
+import CompressedTextureFormat from '../../src/textures/compressed-texture-format'
+import CompressedTextureData from '../../src/textures/compressed-texture-data'
+import RenderUtil from '../../src/utils/render-util'
+import MockTexture from '../test-utils/mock-texture'
+import { createKtx } from '../test-utils/compressed-files'
+
+describe('ConcreteTexture', () => {
+  const starling = window.StarlingContextManager.current
+
+  it('should restore its contents after a context loss', () => {
+    const texture = new MockTexture(16, 16)
+    let numRestores = 0
+
+    texture.onRestore = function() {
+      numRestores++
+      this.setDataUploaded()
+    }
+
+    starling.dispatchEventWith(Event.CONTEXT3D_CREATE)
+    expect(numRestores).to.equal(1)
+
+    texture.onRestore = null
+    starling.dispatchEventWith(Event.CONTEXT3D_CREATE)
+    expect(numRestores).to.equal(1)
+  })
+
+  it('should enable the extension of compressed data anew after a context loss', () => {
+    const { RGB8_ETC2, ETC_EXTENSIONS } = CompressedTextureFormat
+    const gl = starling.context
+    const data = new CompressedTextureData(createKtx(RGB8_ETC2, 8, 8))
+    const texture = new ConcreteTexture({}, RGB8_ETC2, 8, 8, false, true)
+    const extensions = []
+    const uploads = []
+
+    gl.getExtension = name => {
+      extensions.push(name)
+      return ETC_EXTENSIONS.includes(name) ? {} : null
+    }
+    gl.compressedTexImage2D = (target, level, format) => {
+      expect(extensions).to.include(ETC_EXTENSIONS[0])
+      uploads.push(format)
+    }
+
+    texture.onRestore = () => texture.uploadCompressedData(data)
+    texture.uploadCompressedData(data)
+    expect(uploads).to.deep.equal([RGB8_ETC2])
+
+    RenderUtil.setupExtensions(gl)
+    extensions.length = 0
+    starling.dispatchEventWith(Event.CONTEXT3D_CREATE)
+    expect(uploads).to.deep.equal([RGB8_ETC2, RGB8_ETC2])
+
+    delete gl.getExtension
+    delete gl.compressedTexImage2D
+    RenderUtil.setupExtensions(gl)
+    texture.dispose()
+  })
+
+  it('should stop listening for context loss when disposed', () => {
+    const texture = new MockTexture(16, 16)
+    let numRestores = 0
+
+    texture.onRestore = () => {
+      numRestores++
+      texture.setDataUploaded()
+    }
+    texture.dispose()
+
+    starling.dispatchEventWith(Event.CONTEXT3D_CREATE)
+    expect(numRestores).to.equal(0)
+  })
+
+  it('should request a redraw when its data was uploaded', () => {
+    const texture = new MockTexture(16, 16)
+
+    starling._frameID++
+    expect(starling.stage.requiresRedraw).to.be.false
+
+    texture.setDataUploaded()
+    expect(starling.stage.requiresRedraw).to.be.true
+  })
+
+  it('should keep track of the texture memory', () => {
+    const memory = ConcreteTexture.textureMemory
+    const texture = new ConcreteTexture({}, 'bgra', 16, 8, false, true)
+
+    expect(texture.memory).to.equal(16 * 8 * 4)
+    expect(ConcreteTexture.textureMemory).to.equal(memory + texture.memory)
+
+    texture.dispose()
+    expect(ConcreteTexture.textureMemory).to.equal(memory)
+  })
+
+  it('should estimate the memory of compressed textures', () => {
+    const { RGB8_ETC2, RGBA_ASTC_8x8 } = CompressedTextureFormat
+    const etc2 = new ConcreteTexture({}, RGB8_ETC2, 16, 8, false, false)
+    const astc = new ConcreteTexture({}, RGBA_ASTC_8x8, 16, 8, true, false)
+
+    expect(etc2.memory).to.equal(4 * 2 * 8)
+    expect(astc.memory).to.equal((2 + 1 + 1 + 1 + 1) * 16)
+
+    etc2.dispose()
+    astc.dispose()
+  })
+})
@@ -3,6 +3,7 @@ import VertexData from '../../src/rendering/vertex-data'
 import Point from '../../src/math/point'
 import Rectangle from '../../src/math/rectangle'
 import MockTexture from '../test-utils/mock-texture'
+import ImageUtil from '../../src/utils/image-util'
 import Helpers from '../helpers'
 
 describe('Texture', () => {
@@ -198,4 +199,53 @@ describe('Texture', () => {
     texCoords = subTexture.localToGlobal(1, 1)
     Helpers.comparePoints(new Point(1, 1), texCoords)
   })
+
+  it('should read back its pixels', () => {
+    const gl = window.StarlingContextManager.current.context
+    const texture = new MockTexture(2, 2)
+    const subTexture = new SubTexture(texture, new Rectangle(1, 0, 1, 2))
+    const createImageData = (width, height) => ({
+      width,
+      height,
+      data: new Uint8ClampedArray(width * height * 4)
+    })
+
+    // prettier-ignore
+    const pixels = [
+      255, 0, 0, 255, 0, 0, 0, 0,
+      0, 0, 128, 128, 0, 255, 0, 255
+    ]
+
+    gl.readPixels = (x, y, width, height, format, type, out) => out.set(pixels)
+
+    const imageData = texture.toImageData(createImageData(2, 2))
+    const subImageData = subTexture.toImageData(createImageData(1, 2))
+
+    delete gl.readPixels
+
+    // prettier-ignore
+    expect(Array.from(imageData.data)).to.deep.equal([
+      255, 0, 0, 255, 0, 0, 0, 0,
+      0, 0, 255, 128, 0, 255, 0, 255
+    ])
+    // prettier-ignore
+    expect(Array.from(subImageData.data)).to.deep.equal([
+      0, 0, 0, 0,
+      0, 255, 0, 255
+    ])
+    expect(() => texture.toImageData(createImageData(1, 1))).to.throw()
+  })
+
+  it('should convert premultiplied pixels to straight alpha', () => {
+    const imageData = {
+      data: new Uint8ClampedArray([40, 100, 0, 100, 10, 20, 30, 0])
+    }
+
+    ImageUtil.unmultiplyAlpha(imageData)
+
+    // prettier-ignore
+    expect(Array.from(imageData.data)).to.deep.equal([
+      102, 255, 0, 100, 10, 20, 30, 0
+    ])
+  })
 })
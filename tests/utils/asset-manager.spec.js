@@ -1,5 +1,8 @@
 import AssetManager from '../../src/utils/asset-manager'
 import nock from 'nock'
+import CompressedTextureFormat from '../../src/textures/compressed-texture-format'
+import RenderUtil from '../../src/utils/render-util'
+import { createKtx, createDds } from '../test-utils/compressed-files'
 
 describe('AssetManager', () => {
   let assetManager
@@ -155,4 +158,122 @@ describe('AssetManager', () => {
     expect(assetManager.getBitmapFont('bitmapFont')).to.be.ok
     expect(assetManager.getBitmapFont('bitmapFont').name).to.equal('Desyrel')
   })
+
+  it('should load the first compressed texture the device supports', async () => {
+    const gl = window.StarlingContextManager.current.context
+    const { RGBA_ASTC_4x4, RGBA_S3TC_DXT5 } = CompressedTextureFormat
+
+    gl.getExtension = name =>
+      name === 'WEBGL_compressed_texture_s3tc' ? {} : null
+
+    // only the chosen file may be downloaded
+    const scope = nock(basePath)
+      .get('/hero.dds')
+      .reply(200, Buffer.from(createDds('DXT5', 8, 8)))
+
+    assetManager.enqueueWithName({
+      path: [
+        { path: `${basePath}hero.ktx`, format: RGBA_ASTC_4x4 },
+        { path: `${basePath}hero.dds`, format: RGBA_S3TC_DXT5 },
+        `${basePath}hero.png`
+      ]
+    })
+
+    try {
+      await assetManager.loadQueue()
+    } finally {
+      delete gl.getExtension
+      RenderUtil.setupExtensions(gl)
+    }
+
+    expect(scope.isDone()).to.be.true
+
+    const texture = assetManager.getTexture('hero')
+
+    expect(texture).to.exist
+    expect(texture.format).to.equal(RGBA_S3TC_DXT5)
+    expect(texture.nativeWidth).to.equal(8)
+    texture.dispose()
+  })
+
+  it('should try the next alternative if a downloaded texture is unusable', async () => {
+    const gl = window.StarlingContextManager.current.context
+    const { RGBA_ASTC_4x4, RGBA_S3TC_DXT5 } = CompressedTextureFormat
+
+    gl.getExtension = name =>
+      name === 'WEBGL_compressed_texture_s3tc' ? {} : null
+
+    const scope = nock(basePath)
+      .get('/broken.ktx')
+      .reply(200, 'not a texture')
+      .get('/hero.ktx')
+      .reply(200, Buffer.from(createKtx(RGBA_ASTC_4x4, 8, 8, 1, 16)))
+      .get('/hero.dds')
+      .reply(200, Buffer.from(createDds('DXT5', 8, 8)))
+
+    // the formats are unknown, so the files have to be downloaded
+    assetManager.enqueueWithName({
+      path: [
+        `${basePath}broken.ktx`,
+        `${basePath}hero.ktx`,
+        `${basePath}hero.dds`,
+        `${basePath}hero.png`
+      ],
+      name: 'hero'
+    })
+
+    try {
+      await assetManager.loadQueue()
+    } finally {
+      delete gl.getExtension
+      RenderUtil.setupExtensions(gl)
+    }
+
+    const texture = assetManager.getTexture('hero')
+
+    expect(scope.isDone()).to.be.true
+    expect(texture.format).to.equal(RGBA_S3TC_DXT5)
+    texture.dispose()
+  })
+
+  it('should fall back to the last alternative if no format is supported', async () => {
+    const { RGBA_ASTC_4x4, RGBA_S3TC_DXT5 } = CompressedTextureFormat
+    const scope = nock(basePath)
+      .get('/hero.png')
+      .reply(200, 'image')
+
+    // 'getExtension' of the fake context doesn't provide any extensions
+    assetManager.enqueueWithName({
+      path: [
+        { path: `${basePath}hero.ktx`, format: RGBA_ASTC_4x4 },
+        { path: `${basePath}hero.dds`, format: RGBA_S3TC_DXT5 },
+        `${basePath}hero.png`
+      ]
+    })
+
+    await assetManager.loadAsset(assetManager._queue[0])
+
+    expect(assetManager._queue[0].path).to.equal(`${basePath}hero.png`)
+    expect(scope.isDone()).to.be.true
+  })
+
+  it('should reject assets that could not be downloaded', async () => {
+    nock(basePath)
+      .get('/missing.png')
+      .reply(404)
+
+    assetManager.enqueueWithName({ path: `${basePath}missing.png` })
+
+    let error = null
+
+    try {
+      await assetManager.loadQueue()
+    } catch (e) {
+      error = e
+    }
+
+    expect(error).to.exist
+    expect(error.message).to.contain('missing.png')
+    expect(error.message).to.contain('404')
+  })
 })
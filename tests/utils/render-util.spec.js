@@ -0,0 +1,71 @@
+import RenderUtil from '../../src/utils/render-util'
+import CompressedTextureFormat from '../../src/textures/compressed-texture-format'
+
+describe('RenderUtil', () => {
+  class WebGL1Context {
+    getExtension(name) {
+      if (name === 'OES_vertex_array_object')
+        return { createVertexArrayOES: () => 'vao' }
+      return null
+    }
+  }
+
+  const createCanvas = contexts => ({
+    getContext: name => (contexts[name] ? new contexts[name]() : null)
+  })
+
+  it('should prefer a WebGL 2 context', () => {
+    const canvas = createCanvas({ webgl2: class {}, webgl: WebGL1Context })
+    const gl = RenderUtil.requestContext(canvas)
+
+    expect(RenderUtil.getProfile(gl)).to.equal('webgl2')
+  })
+
+  it('should fall back to WebGL 1 and map the extensions', () => {
+    const canvas = createCanvas({ webgl: WebGL1Context })
+    const gl = RenderUtil.requestContext(canvas)
+
+    expect(RenderUtil.getProfile(gl)).to.equal('webgl')
+    expect(gl.createVertexArray()).to.equal('vao')
+    expect(gl.drawElementsInstanced).to.be.undefined
+  })
+
+  it('should return null if no profile is supported', () => {
+    expect(RenderUtil.requestContext(createCanvas({}))).to.be.null
+
+    class NoExtensionsContext {
+      getExtension() {
+        return null
+      }
+    }
+
+    const canvas = createCanvas({ webgl: NoExtensionsContext })
+    expect(RenderUtil.requestContext(canvas)).to.be.null
+  })
+
+  it('should fall back to ETC2 for ETC1 data', () => {
+    const { RGB_ETC1, RGB8_ETC2, RGBA_S3TC_DXT5 } = CompressedTextureFormat
+    const gl = {
+      getExtension: name =>
+        name === 'WEBGL_compressed_texture_etc' ? {} : null
+    }
+
+    expect(RenderUtil.getCompressedUploadFormat(gl, RGB_ETC1)).to.equal(
+      RGB8_ETC2
+    )
+    expect(RenderUtil.getCompressedUploadFormat(gl, RGB8_ETC2)).to.equal(
+      RGB8_ETC2
+    )
+    expect(RenderUtil.supportsCompressedFormat(gl, RGBA_S3TC_DXT5)).to.be.false
+  })
+
+  it('should tell compressed formats apart in the variant bits', () => {
+    const { RGB8_ETC2, RGBA8_ETC2_EAC } = CompressedTextureFormat
+    const getBits = format =>
+      RenderUtil.getTextureVariantBits({ format, premultipliedAlpha: true })
+
+    expect(getBits('bgra')).to.equal(1)
+    expect(getBits(RGB8_ETC2)).to.equal(2)
+    expect(getBits(RGBA8_ETC2_EAC)).to.equal(3)
+  })
+})
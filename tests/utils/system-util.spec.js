@@ -0,0 +1,47 @@
+import SystemUtil from '../../src/utils/system-util'
+
+describe('SystemUtil', () => {
+  afterEach(() => {
+    SystemUtil.setApplicationState(true, true)
+  })
+
+  it('should be active while focused and visible', () => {
+    expect(SystemUtil.isApplicationActive).to.be.true
+
+    SystemUtil.setApplicationState(false, true)
+    expect(SystemUtil.isApplicationActive).to.be.false
+    expect(SystemUtil.isApplicationVisible).to.be.true
+
+    SystemUtil.setApplicationState(true, false)
+    expect(SystemUtil.isApplicationActive).to.be.false
+    expect(SystemUtil.isApplicationVisible).to.be.false
+  })
+
+  it('should delay calls until the application is active', () => {
+    const calls = []
+    const call = (a, b) => calls.push([a, b])
+
+    SystemUtil.executeWhenApplicationIsActive(call, 1, 2)
+    expect(calls).to.deep.equal([[1, 2]])
+
+    SystemUtil.setApplicationState(true, false)
+    SystemUtil.executeWhenApplicationIsActive(call, 3, 4)
+    expect(calls).to.have.length(1)
+
+    SystemUtil.setApplicationState(true, true)
+    expect(calls).to.deep.equal([[1, 2], [3, 4]])
+  })
+
+  it('should notify activation listeners about changes only', () => {
+    let numCalls = 0
+    const listener = () => numCalls++
+
+    SystemUtil.addActivationListener(listener)
+    SystemUtil.setApplicationState(true, true)
+    SystemUtil.setApplicationState(false, true)
+    SystemUtil.removeActivationListener(listener)
+    SystemUtil.setApplicationState(true, true)
+
+    expect(numCalls).to.equal(1)
+  })
+})